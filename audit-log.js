@@ -0,0 +1,241 @@
+/**
+ * Audit Log Module for The Homies App
+ * Records moderation and admin actions with the values they changed, and pages through the
+ * record for the admin audit log page
+ *
+ * Supported filters:
+ *   actor     username or user ID of whoever did it
+ *   action    an action such as message.delete, or a group such as channel for every channel.* action
+ *   from, to  a date range; either may be a day (YYYY-MM-DD) or a full timestamp
+ */
+
+const { getSupabaseClient } = require('./supabase-client');
+const { encodeCursor, decodeCursor } = require('./message-search');
+
+const AUDIT_ACTIONS = {
+  MESSAGE_DELETE: 'message.delete',
+  MESSAGE_EDIT: 'message.edit',
+  CHANNEL_CREATE: 'channel.create',
+  CHANNEL_UPDATE: 'channel.update',
+  CHANNEL_ARCHIVE: 'channel.archive',
+  CHANNEL_DELETE: 'channel.delete',
+  CHANNEL_SLOW_MODE: 'channel.slow_mode',
+  MEMBER_ROLE: 'member.role',
+  MEMBER_REMOVE: 'member.remove',
+  MEMBER_KICK: 'member.kick',
+  MEMBER_BAN: 'member.ban',
+  MEMBER_TIMEOUT: 'member.timeout',
+  MEMBER_SANCTION_LIFT: 'member.sanction_lift',
+  CATEGORY_CREATE: 'category.create',
+  CATEGORY_RENAME: 'category.rename',
+  CATEGORY_DELETE: 'category.delete',
+  CATEGORY_LAYOUT: 'category.layout',
+  USER_FRIEND_CODE: 'user.friend_code',
+  USER_AVATAR: 'user.avatar'
+};
+
+const ACTION_VALUES = Object.values(AUDIT_ACTIONS);
+const ACTION_GROUPS = [...new Set(ACTION_VALUES.map(action => action.split('.')[0]))];
+
+// Audit log page settings
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Record one audit entry
+ * Failures are logged and swallowed, so a broken audit log never blocks the action itself
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {string} actorId - ID of the user who did it
+ * @param {object} [details] - What it was done to
+ * @param {string} [details.targetType] - 'message', 'channel', 'user' or 'category'
+ * @param {string} [details.targetId] - ID or name of the target
+ * @param {string} [details.targetLabel] - Readable name of the target at the time, e.g. a username
+ * @param {string} [details.channel] - Channel the action happened in
+ * @param {object} [details.before] - Values before the change
+ * @param {object} [details.after] - Values after the change
+ * @param {object} [details.metadata] - Anything else worth keeping, e.g. a reason
+ * @returns {Promise<boolean>} Whether the entry was saved
+ */
+async function recordAuditEntry(action, actorId, { targetType = null, targetId = null, targetLabel = null, channel = null, before = null, after = null, metadata = null } = {}) {
+  try {
+    const { error } = await getSupabaseClient(true)
+      .from('audit_log')
+      .insert({
+        action,
+        actor_id: actorId || null,
+        target_type: targetType,
+        target_id: targetId !== null && targetId !== undefined ? String(targetId) : null,
+        target_label: targetLabel,
+        channel,
+        before,
+        after,
+        metadata
+      });
+
+    if (error) {
+      console.error(`Error recording audit entry ${action}:`, error);
+      return false;
+    }
+    return true;
+  } catch (err) {
+    console.error(`Exception recording audit entry ${action}:`, err);
+    return false;
+  }
+}
+
+/**
+ * Check the filters for an audit log query
+ * @param {object} input - Filters from the query string or client
+ * @returns {{filters?: {actor: string|null, action: string|null, from: string|null, to: string|null}, error?: string}}
+ */
+function parseAuditFilters(input) {
+  const data = input || {};
+  const filters = { actor: null, action: null, from: null, to: null };
+
+  if (typeof data.actor === 'string' && data.actor.trim()) {
+    filters.actor = data.actor.trim().replace(/^@/, '');
+  }
+
+  if (typeof data.action === 'string' && data.action.trim()) {
+    const action = data.action.trim().toLowerCase();
+    if (!ACTION_VALUES.includes(action) && !ACTION_GROUPS.includes(action)) {
+      return { error: `Unknown action "${data.action}"` };
+    }
+    filters.action = action;
+  }
+
+  for (const key of ['from', 'to']) {
+    const value = typeof data[key] === 'string' ? data[key].trim() : '';
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid ${key} date "${value}"` };
+    }
+    // A bare day in "to" includes the whole of that day
+    if (key === 'to' && DATE_PATTERN.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCMilliseconds(-1);
+    }
+    filters[key] = date.toISOString();
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: 'The start date must be before the end date' };
+  }
+  return { filters };
+}
+
+/**
+ * Page through the audit log, newest first
+ * Callers check that the requesting user is an admin
+ * @param {object} query - Filters, see parseAuditFilters
+ * @param {object} options - Pagination options
+ * @param {string|null} options.cursor - Cursor from a previous page's nextCursor
+ * @param {number} options.limit - Page size
+ * @returns {Promise<object>} { success, entries, hasMore, nextCursor } or { success: false, message }
+ */
+async function queryAuditLog(query, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const { filters, error: filterError } = parseAuditFilters(query);
+  if (filterError) {
+    return { success: false, message: filterError };
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !position) {
+    return { success: false, message: 'Invalid cursor' };
+  }
+
+  try {
+    const client = getSupabaseClient(true);
+    let dbQuery = client.from('audit_log').select('*');
+
+    if (filters.actor) {
+      let actorId = UUID_PATTERN.test(filters.actor) ? filters.actor : null;
+      if (!actorId) {
+        const { data: actor } = await client
+          .from('users')
+          .select('id')
+          .ilike('username', filters.actor.replace(/[\\%_]/g, '\\$&'))
+          .maybeSingle();
+        if (!actor) {
+          return { success: true, entries: [], hasMore: false, nextCursor: null };
+        }
+        actorId = actor.id;
+      }
+      dbQuery = dbQuery.eq('actor_id', actorId);
+    }
+
+    if (filters.action) {
+      dbQuery = filters.action.includes('.')
+        ? dbQuery.eq('action', filters.action)
+        : dbQuery.like('action', `${filters.action}.%`);
+    }
+    if (filters.from) {
+      dbQuery = dbQuery.gte('created_at', filters.from);
+    }
+    if (filters.to) {
+      dbQuery = dbQuery.lte('created_at', filters.to);
+    }
+
+    // Continue after the last row of the previous page
+    if (position) {
+      dbQuery = dbQuery.or(`created_at.lt."${position.createdAt}",and(created_at.eq."${position.createdAt}",id.lt.${position.id})`);
+    }
+
+    const { data, error } = await dbQuery
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(pageSize + 1);
+
+    if (error) {
+      console.error('Error querying audit log:', error);
+      return { success: false, message: 'Failed to load the audit log' };
+    }
+
+    const hasMore = data.length > pageSize;
+    const rows = data.slice(0, pageSize);
+
+    // Resolve actor names in one query; deleted users show as unknown
+    const actorIds = [...new Set(rows.map(row => row.actor_id).filter(Boolean))];
+    const actorNames = {};
+    if (actorIds.length) {
+      const { data: actors } = await client.from('users').select('id, username').in('id', actorIds);
+      (actors || []).forEach(actor => { actorNames[actor.id] = actor.username; });
+    }
+
+    const entries = rows.map(row => ({
+      id: row.id,
+      action: row.action,
+      actorId: row.actor_id,
+      actor: actorNames[row.actor_id] || 'Unknown User',
+      targetType: row.target_type,
+      targetId: row.target_id,
+      targetLabel: row.target_label,
+      channel: row.channel,
+      before: row.before,
+      after: row.after,
+      metadata: row.metadata,
+      createdAt: row.created_at
+    }));
+
+    return {
+      success: true,
+      entries,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+    };
+  } catch (err) {
+    console.error('Exception in queryAuditLog:', err);
+    return { success: false, message: 'Failed to load the audit log' };
+  }
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAuditEntry,
+  parseAuditFilters,
+  queryAuditLog
+};
@@ -8,13 +8,22 @@ const waitForSocket = setInterval(() => {
   if (window.socket) {
     clearInterval(waitForSocket);
     
-    // Listen for incoming messages
-    window.socket.on('message', (message) => {
+    // Forward incoming channel messages and DMs to the content script
+    const forwardMessage = (message) => {
+      // Notifications are plain text, so strip the page's Markdown formatting when it's loaded
+      const content = window.markdownRenderer && message.content
+        ? window.markdownRenderer.toPlainText(message.content)
+        : message.content;
+      
       // Dispatch a custom event that our content script can listen for
       document.dispatchEvent(new CustomEvent('homies-chat-message', {
-        detail: message
+        detail: { ...message, content }
       }));
-    });
+    };
+    
+    // Listen for incoming messages
+    window.socket.on('message', forwardMessage);
+    window.socket.on('direct-message', forwardMessage);
     
     // Listen for friend requests
     window.socket.on('friend-request-received', (data) => {
@@ -0,0 +1,81 @@
+/**
+ * Channel Invites Module for The Homies App
+ * Checks the options for new invite links and whether an existing invite can still be used
+ */
+
+const { generateCode } = require('./server-generatecode');
+
+const INVITE_CODE_LENGTH = 10;
+const MAX_INVITE_USES = 1000;
+
+// Furthest ahead an invite can be set to expire
+const MAX_INVITE_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Generate a code for a new invite
+ * @returns {string}
+ */
+function generateInviteCode() {
+  return generateCode(INVITE_CODE_LENGTH);
+}
+
+/**
+ * Check the options for a new invite
+ * @param {object} input - Options from the client
+ * @param {number} [input.maxUses] - How many people can join with it; omit for no limit
+ * @param {string|number} [input.expiresAt] - When it stops working; omit to keep it until revoked
+ * @returns {{options?: {maxUses: number|null, expiresAt: string|null}, error?: string}} The options, or an error message
+ */
+function validateInviteOptions(input) {
+  const data = input || {};
+
+  let maxUses = null;
+  if (data.maxUses !== undefined && data.maxUses !== null && data.maxUses !== '') {
+    maxUses = Number(data.maxUses);
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES) {
+      return { error: `Max uses must be a whole number from 1 to ${MAX_INVITE_USES}` };
+    }
+  }
+
+  let expiresAt = null;
+  if (data.expiresAt) {
+    const expires = new Date(data.expiresAt);
+    if (isNaN(expires.getTime())) {
+      return { error: 'Invalid expiry time' };
+    }
+    if (expires.getTime() <= Date.now()) {
+      return { error: 'The expiry time must be in the future' };
+    }
+    if (expires.getTime() - Date.now() > MAX_INVITE_DURATION_MS) {
+      return { error: 'Invites can last at most 30 days' };
+    }
+    expiresAt = expires.toISOString();
+  }
+
+  return { options: { maxUses, expiresAt } };
+}
+
+/**
+ * Work out why an invite can't be used
+ * @param {object|null} invite - channel_invites row
+ * @param {Date} [now] - Time to check against
+ * @returns {string|null} The reason, or null if the invite is still good
+ */
+function getInviteProblem(invite, now = new Date()) {
+  if (!invite || invite.revoked_at) {
+    return 'This invite is invalid or has been revoked';
+  }
+  if (invite.expires_at && new Date(invite.expires_at) <= now) {
+    return 'This invite has expired';
+  }
+  if (invite.max_uses && invite.use_count >= invite.max_uses) {
+    return 'This invite has reached its maximum number of uses';
+  }
+  return null;
+}
+
+module.exports = {
+  generateInviteCode,
+  validateInviteOptions,
+  getInviteProblem
+};
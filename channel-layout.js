@@ -0,0 +1,102 @@
+/**
+ * Channel Layout Module for The Homies App
+ * Groups channels into the categories shown in the sidebar, in the order admins arranged them,
+ * and checks new arrangements sent from the sidebar's drag and drop
+ */
+
+const MAX_CATEGORY_NAME_LENGTH = 50;
+
+/**
+ * Check a category name
+ * @param {string} name - Name from the client
+ * @returns {{name?: string, error?: string}} The trimmed name, or an error message
+ */
+function validateCategoryName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    return { error: 'Category name cannot be empty' };
+  }
+  if (trimmed.length > MAX_CATEGORY_NAME_LENGTH) {
+    return { error: `Category names can be at most ${MAX_CATEGORY_NAME_LENGTH} characters` };
+  }
+  return { name: trimmed };
+}
+
+/**
+ * Arrange channels into the sidebar tree
+ * @param {Array<object>} categories - channel_categories rows
+ * @param {Array<object>} channels - Channels the user can see (channels rows with category_id and position)
+ * @param {Array<object>} [preferences] - The user's category_preferences rows
+ * @returns {{categories: Array<object>, uncategorized: Array<object>}} Categories in order, each with its
+ *   channels and the user's collapsed/muted preference, plus channels that belong to no category
+ */
+function buildChannelTree(categories, channels, preferences = []) {
+  const byPosition = (a, b) => (a.position || 0) - (b.position || 0) || a.name.localeCompare(b.name);
+  const prefs = new Map(preferences.map(pref => [pref.category_id, pref]));
+  const known = new Set(categories.map(category => category.id));
+
+  const tree = [...categories].sort(byPosition).map(category => ({
+    id: category.id,
+    name: category.name,
+    position: category.position || 0,
+    collapsed: !!(prefs.get(category.id) && prefs.get(category.id).collapsed),
+    muted: !!(prefs.get(category.id) && prefs.get(category.id).muted),
+    channels: channels.filter(channel => channel.category_id === category.id).sort(byPosition)
+  }));
+
+  return {
+    categories: tree,
+    uncategorized: channels.filter(channel => !channel.category_id || !known.has(channel.category_id)).sort(byPosition)
+  };
+}
+
+/**
+ * Check a sidebar arrangement and turn it into positions to save
+ * Every category must appear once; channels left out keep their current place
+ * @param {object} layout - Arrangement from the client
+ * @param {Array<string>} layout.categories - Category IDs in order
+ * @param {object} layout.channels - Category ID (or "uncategorized") -> channel names in order
+ * @param {Array<object>} categories - Existing channel_categories rows
+ * @param {Array<object>} channels - Existing channels rows
+ * @returns {{categoryOrder?: Array<string>, channelLayout?: Array<object>, error?: string}}
+ *   Category IDs in order and { name, category_id, position } for each placed channel, or an error message
+ */
+function validateLayout(layout, categories, channels) {
+  if (!layout || !Array.isArray(layout.categories) || !layout.channels || typeof layout.channels !== 'object') {
+    return { error: 'Invalid layout' };
+  }
+
+  const categoryIds = new Set(categories.map(category => category.id));
+  const order = layout.categories;
+  if (order.length !== categoryIds.size || new Set(order).size !== order.length || !order.every(id => categoryIds.has(id))) {
+    return { error: 'The layout must list every category once' };
+  }
+
+  const channelNames = new Set(channels.map(channel => channel.name));
+  const placed = new Set();
+  const channelLayout = [];
+  for (const [key, names] of Object.entries(layout.channels)) {
+    const categoryId = key === 'uncategorized' ? null : key;
+    if (categoryId && !categoryIds.has(categoryId)) {
+      return { error: 'Unknown category in layout' };
+    }
+    if (!Array.isArray(names)) {
+      return { error: 'Invalid layout' };
+    }
+    for (const [position, name] of names.entries()) {
+      if (!channelNames.has(name) || placed.has(name)) {
+        return { error: `Channel #${name} can't be placed there` };
+      }
+      placed.add(name);
+      channelLayout.push({ name, category_id: categoryId, position });
+    }
+  }
+
+  return { categoryOrder: order, channelLayout };
+}
+
+module.exports = {
+  validateCategoryName,
+  buildChannelTree,
+  validateLayout
+};
@@ -0,0 +1,154 @@
+/**
+ * Channel Moderation Module for The Homies App
+ * Limits for bans, timeouts and slow mode, the messages shown to the people they apply to,
+ * and the record of recent posts that slow mode checks against
+ */
+
+const MAX_TIMEOUT_MINUTES = 28 * 24 * 60;
+const MAX_BAN_MINUTES = 365 * 24 * 60;
+const MAX_SLOW_MODE_SECONDS = 6 * 60 * 60;
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Check the options for a ban or timeout
+ * @param {string} type - 'ban' or 'timeout'
+ * @param {object} input - Options from the client
+ * @param {number} [input.minutes] - How long it lasts; required for timeouts, omit for a permanent ban
+ * @param {string} [input.reason] - Shown to the user it applies to
+ * @returns {{options?: {expiresAt: string|null, reason: string|null}, error?: string}} The options, or an error message
+ */
+function validateSanctionOptions(type, input) {
+  const data = input || {};
+  const max = type === 'ban' ? MAX_BAN_MINUTES : MAX_TIMEOUT_MINUTES;
+
+  let expiresAt = null;
+  const hasDuration = data.minutes !== undefined && data.minutes !== null && data.minutes !== '';
+  if (hasDuration) {
+    const minutes = Number(data.minutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > max) {
+      return { error: `The duration must be a whole number of minutes from 1 to ${max}` };
+    }
+    expiresAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  } else if (type === 'timeout') {
+    return { error: 'A timeout needs a duration' };
+  }
+
+  const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+  if (reason.length > MAX_REASON_LENGTH) {
+    return { error: `Reasons can be at most ${MAX_REASON_LENGTH} characters` };
+  }
+
+  return { options: { expiresAt, reason: reason || null } };
+}
+
+/**
+ * Check a slow mode interval
+ * @param {number} seconds - Seconds each user must wait between messages; 0 turns slow mode off
+ * @returns {{seconds?: number, error?: string}}
+ */
+function validateSlowMode(seconds) {
+  const value = Number(seconds);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_SLOW_MODE_SECONDS) {
+    return { error: `Slow mode must be a whole number of seconds from 0 to ${MAX_SLOW_MODE_SECONDS}` };
+  }
+  return { seconds: value };
+}
+
+/**
+ * Describe a length of time, rounded up to the largest sensible unit
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "45 seconds", "5 minutes", "2 days"
+ */
+function formatDuration(ms) {
+  const units = [['day', 86400000], ['hour', 3600000], ['minute', 60000]];
+  for (const [unit, size] of units) {
+    if (ms >= size) {
+      const count = Math.ceil(ms / size);
+      return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+  }
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  return `${seconds} second${seconds === 1 ? '' : 's'}`;
+}
+
+/**
+ * Tell a user why a ban or timeout stops them posting
+ * @param {object} sanction - channel_sanctions row
+ * @param {Date} [now] - Time to measure the remaining time from
+ * @returns {string}
+ */
+function describeSanction(sanction, now = new Date()) {
+  const remaining = sanction.expires_at ? ` for ${formatDuration(new Date(sanction.expires_at) - now)} more` : '';
+  const reason = sanction.reason ? ` (${sanction.reason})` : '';
+  return sanction.type === 'ban'
+    ? `You are banned from #${sanction.channel}${remaining}${reason}`
+    : `You are timed out in #${sanction.channel}${remaining}${reason}`;
+}
+
+/**
+ * Create the record slow mode checks against: when each user last posted in each channel
+ * It lives in memory, so a restart lets everyone post once straight away
+ * @returns {object} The tracker: claim, release, renameChannel and clearChannel
+ */
+function createSlowModeTracker() {
+  const lastPosts = new Map(); // channel -> Map of user ID -> { at, tempId }
+
+  return {
+    /**
+     * Take the user's next slot in a channel, if their wait is over
+     * A resend of the message that took the last slot is let through, so retries stay idempotent
+     * @param {string} channel - Channel name
+     * @param {string} userId - ID of the user
+     * @param {number} seconds - The channel's slow mode interval
+     * @param {string|null} tempId - Client ID of the message being sent
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {number} 0 if the user may post, otherwise the milliseconds left to wait
+     */
+    claim(channel, userId, seconds, tempId, now = Date.now()) {
+      if (!lastPosts.has(channel)) {
+        lastPosts.set(channel, new Map());
+      }
+      const posts = lastPosts.get(channel);
+      const last = posts.get(userId);
+      if (last && tempId && last.tempId === tempId) {
+        return 0;
+      }
+
+      const wait = last ? last.at + seconds * 1000 - now : 0;
+      if (wait > 0) {
+        return wait;
+      }
+      posts.set(userId, { at: now, tempId });
+      return 0;
+    },
+
+    /**
+     * Give a slot back after the message that took it failed to send
+     */
+    release(channel, userId) {
+      if (lastPosts.has(channel)) {
+        lastPosts.get(channel).delete(userId);
+      }
+    },
+
+    renameChannel(oldName, newName) {
+      if (lastPosts.has(oldName)) {
+        lastPosts.set(newName, lastPosts.get(oldName));
+        lastPosts.delete(oldName);
+      }
+    },
+
+    clearChannel(channel) {
+      lastPosts.delete(channel);
+    }
+  };
+}
+
+module.exports = {
+  MAX_SLOW_MODE_SECONDS,
+  validateSanctionOptions,
+  validateSlowMode,
+  formatDuration,
+  describeSanction,
+  createSlowModeTracker
+};
@@ -0,0 +1,171 @@
+/**
+ * Channel Permissions Module for The Homies App
+ * Channel roles, what each role may do, and who may change whose role
+ *
+ * Public channels let everyone read and post as a member unless they were given
+ * another role; private channels are closed to anyone without a membership row.
+ * The person who created a channel is always its owner.
+ */
+
+// Roles, from most to least trusted
+const CHANNEL_ROLES = ['owner', 'admin', 'moderator', 'member', 'read-only'];
+
+const CHANNEL_PERMISSIONS = {
+  READ: 'read',
+  POST: 'post',
+  PIN: 'pin',
+  DELETE_OTHERS: 'delete_others',
+  MODERATE: 'moderate',
+  MANAGE_MEMBERS: 'manage_members',
+  MANAGE_CHANNEL: 'manage_channel'
+};
+
+// The permission matrix: what each role may do in its channel
+const ROLE_PERMISSIONS = {
+  owner: Object.values(CHANNEL_PERMISSIONS),
+  admin: Object.values(CHANNEL_PERMISSIONS),
+  moderator: [CHANNEL_PERMISSIONS.READ, CHANNEL_PERMISSIONS.POST, CHANNEL_PERMISSIONS.PIN, CHANNEL_PERMISSIONS.DELETE_OTHERS, CHANNEL_PERMISSIONS.MODERATE],
+  member: [CHANNEL_PERMISSIONS.READ, CHANNEL_PERMISSIONS.POST],
+  'read-only': [CHANNEL_PERMISSIONS.READ]
+};
+
+// How far up CHANNEL_ROLES a role sits; higher ranks can act on lower ones
+const roleRank = role => CHANNEL_ROLES.length - CHANNEL_ROLES.indexOf(role);
+
+// Archived channels are read-only: members can still read them and managers can unarchive them
+const ARCHIVED_PERMISSIONS = [CHANNEL_PERMISSIONS.READ, CHANNEL_PERMISSIONS.MANAGE_CHANNEL];
+
+// Shown when a user lacks a permission
+const PERMISSION_ERRORS = {
+  read: 'You do not have access to this channel',
+  post: 'You do not have permission to send messages in this channel',
+  pin: 'You do not have permission to pin messages in this channel',
+  delete_others: 'You can only delete your own messages',
+  moderate: 'You do not have permission to moderate this channel',
+  manage_members: 'You do not have permission to manage members of this channel',
+  manage_channel: 'You do not have permission to change this channel\'s settings'
+};
+
+/**
+ * Work out a user's role in a channel
+ * @param {object|null} channel - channels row, or null for a channel that was never recorded
+ * @param {object|null} membership - The user's channel_members row, if any
+ * @param {string} userId - ID of the user
+ * @returns {string|null} The role, or null if the user has no access
+ */
+function resolveChannelRole(channel, membership, userId) {
+  if (channel && userId && channel.created_by === userId) {
+    return 'owner';
+  }
+  if (membership && CHANNEL_ROLES.includes(membership.role)) {
+    return membership.role;
+  }
+  if (channel && channel.is_private) {
+    return null;
+  }
+  return 'member';
+}
+
+/**
+ * Check whether a role includes a permission
+ * @param {string|null} role - Channel role
+ * @param {string} permission - One of CHANNEL_PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return !!role && (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * List what a role may do, for clients to show or hide controls
+ * @param {string|null} role - Channel role
+ * @returns {Array<string>} Permissions the role includes
+ */
+function getRolePermissions(role) {
+  return role ? [...(ROLE_PERMISSIONS[role] || [])] : [];
+}
+
+/**
+ * List what a role may do in a particular channel, taking its archived state into account
+ * @param {object|null} channel - channels row, or null for a channel that was never recorded
+ * @param {string|null} role - Channel role
+ * @returns {Array<string>} Permissions the user has there
+ */
+function getChannelPermissions(channel, role) {
+  const permissions = getRolePermissions(role);
+  return channel && channel.archived_at
+    ? permissions.filter(permission => ARCHIVED_PERMISSIONS.includes(permission))
+    : permissions;
+}
+
+/**
+ * Explain why a permission check failed
+ * @param {string} permission - One of CHANNEL_PERMISSIONS
+ * @returns {string}
+ */
+function describeMissingPermission(permission) {
+  return PERMISSION_ERRORS[permission] || 'You do not have permission to do that';
+}
+
+/**
+ * Check whether one member may give another a role, or take their membership away
+ * Members can only act on people ranked below them and hand out roles below their own;
+ * ownership stays with the channel's creator
+ * @param {string|null} actorRole - Role of the member making the change
+ * @param {string|null} targetRole - The other user's current role, or null if they aren't a member
+ * @param {string|null} newRole - Role to give them, or null to remove them
+ * @returns {true|string} True if allowed, otherwise the reason it isn't
+ */
+function canChangeMemberRole(actorRole, targetRole, newRole) {
+  if (!hasPermission(actorRole, CHANNEL_PERMISSIONS.MANAGE_MEMBERS)) {
+    return describeMissingPermission(CHANNEL_PERMISSIONS.MANAGE_MEMBERS);
+  }
+  if (newRole !== null && !CHANNEL_ROLES.includes(newRole)) {
+    return 'Invalid role';
+  }
+  if (newRole === 'owner' || targetRole === 'owner') {
+    return 'The channel owner\'s role cannot be changed';
+  }
+
+  if (actorRole !== 'owner') {
+    if (targetRole && roleRank(targetRole) >= roleRank(actorRole)) {
+      return 'You can only manage members with a lower role than yours';
+    }
+    if (newRole && roleRank(newRole) >= roleRank(actorRole)) {
+      return 'You can only give out roles lower than your own';
+    }
+  }
+  return true;
+}
+
+/**
+ * Check whether one member may kick, ban or time out another
+ * Like role changes, moderators can only act on people ranked below them
+ * @param {string|null} actorRole - Role of the moderator
+ * @param {string|null} targetRole - The other user's role, or null if they have no access
+ * @returns {true|string} True if allowed, otherwise the reason it isn't
+ */
+function canModerate(actorRole, targetRole) {
+  if (!hasPermission(actorRole, CHANNEL_PERMISSIONS.MODERATE)) {
+    return describeMissingPermission(CHANNEL_PERMISSIONS.MODERATE);
+  }
+  if (targetRole === 'owner') {
+    return 'The channel owner cannot be moderated';
+  }
+  if (actorRole !== 'owner' && targetRole && roleRank(targetRole) >= roleRank(actorRole)) {
+    return 'You can only moderate members with a lower role than yours';
+  }
+  return true;
+}
+
+module.exports = {
+  CHANNEL_ROLES,
+  CHANNEL_PERMISSIONS,
+  resolveChannelRole,
+  hasPermission,
+  getRolePermissions,
+  getChannelPermissions,
+  describeMissingPermission,
+  canChangeMemberRole,
+  canModerate
+};
@@ -0,0 +1,20 @@
+import { renderMarkdown, toPlainText } from '../public/js/markdown-renderer';
+
+/**
+ * Renders a message body with the same Markdown subset as the chat page.
+ * The renderer escapes all input, so its output is safe to inject.
+ */
+export function MessageContent({ content, plain = false, className = '' }) {
+  if (plain) {
+    return <span className={className}>{toPlainText(content)}</span>;
+  }
+
+  return (
+    <div
+      className={`message-text ${className}`.trim()}
+      dangerouslySetInnerHTML={{ __html: renderMarkdown(content) }}
+    />
+  );
+}
+
+export default MessageContent;
@@ -0,0 +1,139 @@
+/**
+ * Friend Requests Module for The Homies App
+ * The one payload shape friend requests are sent with, how pending requests are described to
+ * each side, and the limits on how quickly a user may send them
+ *
+ * A request names its recipient with exactly one of:
+ *   { userId }                 the recipient's user ID
+ *   { username }               the recipient's username
+ *   { friendCode }             the recipient's friend code
+ *   { username, friendCode }   both, which must belong to the same user
+ */
+
+const { validate: isValidUUID } = require('uuid');
+
+// Friend request limits
+const FRIEND_REQUEST_LIMIT = 10;
+const FRIEND_REQUEST_WINDOW_MS = 10 * 60 * 1000;
+const MAX_PENDING_OUTGOING = 50;
+const MAX_USERNAME_LENGTH = 50;
+const MAX_FRIEND_CODE_LENGTH = 20;
+
+/**
+ * Check who a friend request is for
+ * @param {object} data - Request from the client
+ * @param {string} [data.userId] - Recipient's user ID (`recipientId` is accepted from older clients)
+ * @param {string} [data.username] - Recipient's username
+ * @param {string} [data.friendCode] - Recipient's friend code
+ * @returns {{target?: {userId: string|null, username: string|null, friendCode: string|null}, error?: string}}
+ */
+function parseFriendRequestTarget(data) {
+  if (!data || typeof data !== 'object') {
+    return { error: 'Say who the friend request is for' };
+  }
+
+  const userId = data.userId || data.recipientId || null;
+  const username = typeof data.username === 'string' ? data.username.trim().replace(/^@/, '') : '';
+  const friendCode = typeof data.friendCode === 'string' ? data.friendCode.trim() : '';
+
+  if (userId) {
+    if (username || friendCode) {
+      return { error: 'Send a user ID, or a username and friend code, not both' };
+    }
+    if (!isValidUUID(userId)) {
+      return { error: 'Invalid user ID' };
+    }
+    return { target: { userId, username: null, friendCode: null } };
+  }
+
+  if (!username && !friendCode) {
+    return { error: 'Enter a username or friend code' };
+  }
+  if (username.length > MAX_USERNAME_LENGTH) {
+    return { error: 'Invalid username' };
+  }
+  if (friendCode.length > MAX_FRIEND_CODE_LENGTH) {
+    return { error: 'Invalid friend code' };
+  }
+  return { target: { userId: null, username: username || null, friendCode: friendCode || null } };
+}
+
+/**
+ * Describe a pending request from one side's point of view
+ * Requests without a sender predate requested_by, so both sides see them as incoming
+ * @param {object} row - friends row, with the two users joined as users1 and users2
+ * @param {string} userId - ID of the user the description is for
+ * @returns {object} { id, direction, userId, username, avatar_url, createdAt }
+ */
+function describeFriendRequest(row, userId) {
+  const other = row.users1 && row.users1.id !== userId ? row.users1 : row.users2;
+  const otherId = row.user_id_1 === userId ? row.user_id_2 : row.user_id_1;
+  return {
+    id: row.id,
+    direction: row.requested_by === userId ? 'outgoing' : 'incoming',
+    userId: otherId,
+    username: other ? other.username : 'Unknown User',
+    avatar_url: other ? other.avatar_url : null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Whether a user may accept or decline a pending request, rather than only cancel it
+ * @param {object} row - friends row
+ * @param {string} userId - ID of the user responding
+ * @returns {boolean}
+ */
+function canRespondToFriendRequest(row, userId) {
+  const isParty = row.user_id_1 === userId || row.user_id_2 === userId;
+  return isParty && row.status === 'pending' && row.requested_by !== userId;
+}
+
+/**
+ * Create the record of when each user sent their recent friend requests
+ * It lives in memory, so a restart resets everyone's allowance
+ * @param {object} [options]
+ * @param {number} [options.limit] - Requests allowed per window
+ * @param {number} [options.windowMs] - Length of the window
+ * @returns {object} The limiter: claim and release
+ */
+function createFriendRequestLimiter({ limit = FRIEND_REQUEST_LIMIT, windowMs = FRIEND_REQUEST_WINDOW_MS } = {}) {
+  const sent = new Map(); // user ID -> times of recent requests, oldest first
+
+  return {
+    /**
+     * Take one of the user's requests for this window, if they have any left
+     * @param {string} userId - ID of the sender
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {number} 0 if the user may send, otherwise the milliseconds left to wait
+     */
+    claim(userId, now = Date.now()) {
+      const times = (sent.get(userId) || []).filter(at => at > now - windowMs);
+      if (times.length >= limit) {
+        sent.set(userId, times);
+        return times[0] + windowMs - now;
+      }
+      times.push(now);
+      sent.set(userId, times);
+      return 0;
+    },
+
+    /**
+     * Give the last request back after it failed to send
+     */
+    release(userId) {
+      const times = sent.get(userId);
+      if (times && times.length) {
+        times.pop();
+      }
+    }
+  };
+}
+
+module.exports = {
+  MAX_PENDING_OUTGOING,
+  parseFriendRequestTarget,
+  describeFriendRequest,
+  canRespondToFriendRequest,
+  createFriendRequestLimiter
+};
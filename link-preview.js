@@ -0,0 +1,456 @@
+/**
+ * Link Preview Module for The Homies App
+ * Finds URLs in messages and unfurls them into preview cards using OpenGraph/oEmbed metadata
+ *
+ * Pages are fetched through a pluggable fetcher. The default one refuses to connect to
+ * private, loopback and link-local addresses (checked on every connection, including
+ * redirects) so message links can't be used to probe the server's network.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fetch = require('node-fetch');
+
+// Preview settings
+const MAX_PREVIEWS_PER_MESSAGE = 3;
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_RESPONSE_BYTES = 512 * 1024; // Metadata lives in <head>, so this is plenty
+const MAX_REDIRECTS = 3;
+const MEMORY_CACHE_TTL_MS = 60 * 60 * 1000;
+const MEMORY_CACHE_MAX_ENTRIES = 500;
+const USER_AGENT = 'HomiesChatBot/1.0 (+link preview)';
+
+// Recently unfurled URLs, including failures so broken links aren't refetched constantly
+const memoryCache = new Map(); // url -> { preview, expiresAt }
+
+/**
+ * Parse an IPv6 address into its 16 bytes
+ * Handles "::" compression, a trailing dotted IPv4 part and zone IDs (fe80::1%eth0)
+ * @param {string} address - IPv6 address
+ * @returns {Array<number>|null} Bytes, or null if the address doesn't parse
+ */
+function parseIPv6(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+
+  // A trailing IPv4 part (::ffff:127.0.0.1) becomes two hex groups
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    if (!net.isIPv4(dotted[2])) return null;
+    const [a, b, c, d] = dotted[2].split('.').map(Number);
+    text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) return null;
+
+  return groups.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+/**
+ * Check whether an IP address is in a private, loopback, link-local or otherwise reserved range
+ * IPv6 forms that carry an IPv4 address (mapped, compatible, NAT64) are refused outright,
+ * however they are written, since they can reach IPv4 hosts the IPv4 rules would refuse
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be fetched
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) || // Carrier-grade NAT
+      (a === 169 && b === 254) || // Link-local, including cloud metadata endpoints
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 192 && b === 0) ||
+      (a === 198 && (b === 18 || b === 19)) ||
+      a >= 224; // Multicast and reserved
+  }
+
+  const bytes = net.isIPv6(address.replace(/%.*$/, '')) ? parseIPv6(address) : null;
+  if (bytes) {
+    const startsWith = (prefix) => prefix.every((value, i) => bytes[i] === value);
+    const zeros = (count) => new Array(count).fill(0);
+
+    return startsWith(zeros(12)) || // ::/96, IPv4-compatible, including :: and ::1
+      startsWith([...zeros(10), 0xff, 0xff]) || // ::ffff:0:0/96, IPv4-mapped
+      startsWith([0x00, 0x64, 0xff, 0x9b, ...zeros(8)]) || // 64:ff9b::/96, NAT64
+      startsWith([0x00, 0x64, 0xff, 0x9b, 0x00, 0x01]) || // 64:ff9b:1::/48, local-use NAT64
+      startsWith([0x20, 0x01, 0x00, 0x00]) || // 2001::/32, Teredo
+      (startsWith([0x20, 0x02]) && isPrivateAddress(bytes.slice(2, 6).join('.'))) || // 6to4 of a private IPv4 address
+      (bytes[0] & 0xfe) === 0xfc || // fc00::/7, unique local
+      (bytes[0] === 0xfe && (bytes[1] & 0xc0) === 0x80) || // fe80::/10, link-local
+      (bytes[0] === 0xfe && (bytes[1] & 0xc0) === 0xc0) || // fec0::/10, old site-local
+      bytes[0] === 0xff; // ff00::/8, multicast
+  }
+
+  // Anything that isn't a plain IP address is refused
+  return true;
+}
+
+// DNS lookup that refuses blocked addresses, used for every outgoing connection
+function createGuardedLookup(isBlockedAddress) {
+  return function guardedLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+      if (blocked || addresses.length === 0) {
+        const error = new Error(`Refusing to fetch ${hostname}: resolves to a private address`);
+        error.code = 'EPRIVATEADDRESS';
+        return callback(error);
+      }
+
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+/**
+ * Create the default HTTP fetcher
+ * @param {object} [options] - Fetcher options
+ * @param {boolean} [options.allowPrivateNetworks=false] - Skip the private address check (only for local stub servers)
+ * @param {function(string): boolean} [options.isBlockedAddress] - Which addresses to refuse; defaults to isPrivateAddress
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @param {number} [options.maxBytes] - Largest response body to read
+ * @returns {function(string): Promise<{url: string, contentType: string, body: string}>} Fetcher
+ */
+function createHttpFetcher(options = {}) {
+  const {
+    allowPrivateNetworks = false,
+    timeout = FETCH_TIMEOUT_MS,
+    maxBytes = MAX_RESPONSE_BYTES,
+    isBlockedAddress = isPrivateAddress
+  } = options;
+
+  const agentOptions = allowPrivateNetworks ? {} : { lookup: createGuardedLookup(isBlockedAddress) };
+  const httpAgent = new http.Agent(agentOptions);
+  const httpsAgent = new https.Agent(agentOptions);
+
+  return async function httpFetcher(url) {
+    let currentUrl = url;
+
+    // Redirects are followed by hand so every hop gets the same URL checks
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const parsed = parsePublicUrl(currentUrl);
+      if (!parsed) {
+        throw new Error(`Refusing to fetch ${currentUrl}`);
+      }
+      // IP literals never reach the DNS lookup, so they are checked here
+      const literal = parsed.hostname.replace(/^\[|\]$/g, '');
+      if (!allowPrivateNetworks && net.isIP(literal) && isBlockedAddress(literal)) {
+        throw new Error(`Refusing to fetch ${currentUrl}: private address`);
+      }
+
+      const response = await fetch(parsed.href, {
+        agent: parsed.protocol === 'https:' ? httpsAgent : httpAgent,
+        redirect: 'manual',
+        timeout,
+        size: maxBytes,
+        headers: {
+          'User-Agent': USER_AGENT,
+          Accept: 'text/html,application/xhtml+xml,application/json;q=0.9,*/*;q=0.5'
+        }
+      });
+
+      if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+        currentUrl = new URL(response.headers.get('location'), parsed.href).href;
+        continue;
+      }
+
+      if (!response.ok) {
+        throw new Error(`Fetching ${parsed.href} failed with status ${response.status}`);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      const isText = /text\/html|application\/xhtml\+xml|json/i.test(contentType);
+      return {
+        url: parsed.href,
+        contentType,
+        body: isText ? await response.text() : ''
+      };
+    }
+
+    throw new Error(`Too many redirects fetching ${url}`);
+  };
+}
+
+// The fetcher used for unfurling; replaceable so tests can point it at a local stub server
+let previewFetcher = createHttpFetcher();
+
+/**
+ * Replace the fetcher used for link previews
+ * @param {function(string): Promise<{url: string, contentType: string, body: string}>} fetcher - Fetcher, or null for the default
+ */
+function setPreviewFetcher(fetcher) {
+  previewFetcher = fetcher || createHttpFetcher();
+  memoryCache.clear();
+}
+
+/**
+ * Parse a URL, accepting only http(s) URLs without credentials on standard-looking hosts
+ * @param {string} url - URL to check
+ * @returns {URL|null} Parsed URL, or null if it must not be fetched
+ */
+function parsePublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol) || parsed.username || parsed.password) {
+    return null;
+  }
+  if (!parsed.hostname || parsed.hostname === 'localhost' || parsed.hostname.endsWith('.localhost') ||
+      parsed.hostname.endsWith('.local') || parsed.hostname.endsWith('.internal')) {
+    return null;
+  }
+  return parsed;
+}
+
+/**
+ * Find the URLs a message should preview
+ * URLs inside code or wrapped in <angle brackets> are skipped
+ * @param {string} content - Message content
+ * @returns {Array<string>} Unique URLs, at most MAX_PREVIEWS_PER_MESSAGE
+ */
+function extractUrls(content) {
+  if (!content || typeof content !== 'string') {
+    return [];
+  }
+
+  const text = content
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/(`+)[^`\n]+?\1/g, ' ')
+    .replace(/<https?:\/\/[^\s>]+>/g, ' ');
+
+  const urls = [];
+  const pattern = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null && urls.length < MAX_PREVIEWS_PER_MESSAGE) {
+    // Drop trailing punctuation unless it closes a parenthesis in the URL
+    let url = match[0];
+    while (/[.,!?;:)\]]$/.test(url)) {
+      if (url.endsWith(')') && (url.match(/\(/g) || []).length >= (url.match(/\)/g) || []).length) {
+        break;
+      }
+      url = url.slice(0, -1);
+    }
+
+    if (parsePublicUrl(url) && !urls.includes(url)) {
+      urls.push(url);
+    }
+  }
+  return urls;
+}
+
+// Decode the handful of HTML entities that show up in meta tags
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+// Read the attributes of one HTML tag into an object with lowercased names
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([a-zA-Z:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[3] ?? match[4] ?? match[5] ?? '');
+  }
+  return attributes;
+}
+
+// Clean a metadata value for display
+function cleanText(value, maxLength) {
+  if (!value) {
+    return null;
+  }
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return null;
+  }
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+// Resolve an image URL against the page, keeping only http(s) images
+function resolveImageUrl(value, baseUrl) {
+  if (!value) {
+    return null;
+  }
+  try {
+    const resolved = new URL(value, baseUrl);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Extract OpenGraph/Twitter card metadata from an HTML page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL the page was fetched from, for resolving relative links
+ * @returns {{title: string|null, description: string|null, image: string|null, siteName: string|null, oembedUrl: string|null}} Metadata
+ */
+function parseMetadata(html, pageUrl) {
+  const head = (html.split(/<\/head>/i)[0] || '').slice(0, MAX_RESPONSE_BYTES);
+  const meta = {};
+
+  (head.match(/<meta\b[^>]*>/gi) || []).forEach(tag => {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content && !(key in meta)) {
+      meta[key] = attributes.content;
+    }
+  });
+
+  let oembedUrl = null;
+  (head.match(/<link\b[^>]*>/gi) || []).forEach(tag => {
+    const attributes = parseAttributes(tag);
+    if (!oembedUrl && /alternate/i.test(attributes.rel || '') && /json\+oembed/i.test(attributes.type || '') && attributes.href) {
+      oembedUrl = resolveImageUrl(attributes.href, pageUrl);
+    }
+  });
+
+  const titleTag = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+  return {
+    title: cleanText(meta['og:title'] || meta['twitter:title'] || (titleTag && decodeEntities(titleTag[1])), 200),
+    description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, 300),
+    image: resolveImageUrl(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'], pageUrl),
+    siteName: cleanText(meta['og:site_name'] || meta['application-name'], 100),
+    oembedUrl
+  };
+}
+
+/**
+ * Fetch and build the preview for one URL, bypassing the caches
+ * @param {string} url - URL to unfurl
+ * @returns {Promise<object|null>} Preview card data, or null if the page has nothing to show
+ */
+async function fetchLinkPreview(url) {
+  const page = await previewFetcher(url);
+  if (!/html/i.test(page.contentType) || !page.body) {
+    return null;
+  }
+
+  const metadata = parseMetadata(page.body, page.url);
+
+  // oEmbed fills gaps for sites (video hosts mostly) with thin OpenGraph tags
+  if (metadata.oembedUrl && (!metadata.title || !metadata.image)) {
+    try {
+      const oembedResponse = await previewFetcher(metadata.oembedUrl);
+      const oembed = JSON.parse(oembedResponse.body);
+      metadata.title = metadata.title || cleanText(oembed.title, 200);
+      metadata.siteName = metadata.siteName || cleanText(oembed.provider_name, 100);
+      metadata.image = metadata.image || resolveImageUrl(oembed.thumbnail_url, page.url);
+      metadata.description = metadata.description || cleanText(oembed.author_name, 300);
+    } catch (err) {
+      console.warn(`Ignoring oEmbed data for ${url}:`, err.message);
+    }
+  }
+
+  if (!metadata.title && !metadata.description) {
+    return null;
+  }
+
+  return {
+    url,
+    title: metadata.title,
+    description: metadata.description,
+    image: metadata.image,
+    siteName: metadata.siteName || new URL(page.url).hostname.replace(/^www\./, '')
+  };
+}
+
+/**
+ * Get the preview for a URL, using the in-memory cache first and then the optional persistent cache
+ * @param {string} url - URL to unfurl
+ * @param {object} [cache] - Persistent cache: get(url) resolves to {preview, failed} or null, set(url, preview) stores a result
+ * @returns {Promise<object|null>} Preview card data, or null if there is none
+ */
+async function getLinkPreview(url, cache = null) {
+  const cached = memoryCache.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.preview;
+  }
+
+  let preview;
+  const stored = cache ? await cache.get(url) : null;
+  if (stored) {
+    preview = stored.failed ? null : stored.preview;
+  } else {
+    try {
+      preview = await fetchLinkPreview(url);
+    } catch (err) {
+      console.warn(`Could not unfurl ${url}:`, err.message);
+      preview = null;
+    }
+    if (cache) {
+      await cache.set(url, preview);
+    }
+  }
+
+  // Evict the oldest entry once the cache is full
+  if (memoryCache.size >= MEMORY_CACHE_MAX_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+  memoryCache.set(url, { preview, expiresAt: Date.now() + MEMORY_CACHE_TTL_MS });
+
+  return preview;
+}
+
+/**
+ * Build the previews for every URL in a message
+ * @param {string} content - Message content
+ * @param {object} [cache] - Persistent cache passed on to getLinkPreview
+ * @returns {Promise<Array<object>>} Preview cards in the order the URLs appear
+ */
+async function getPreviewsForContent(content, cache = null) {
+  const urls = extractUrls(content);
+  const previews = await Promise.all(urls.map(url => getLinkPreview(url, cache)));
+  return previews.filter(Boolean);
+}
+
+module.exports = {
+  MAX_PREVIEWS_PER_MESSAGE,
+  isPrivateAddress,
+  createHttpFetcher,
+  setPreviewFetcher,
+  extractUrls,
+  parseMetadata,
+  getLinkPreview,
+  getPreviewsForContent
+};
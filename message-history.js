@@ -0,0 +1,165 @@
+/**
+ * Message History Module for The Homies App
+ * Loads pages of channel and DM history with cursors keyed on (created_at, id),
+ * so messages arriving while the user scrolls back are never skipped or repeated
+ *
+ * Modes:
+ *   latest          the newest page
+ *   before:CURSOR   the page just older than a cursor
+ *   after:CURSOR    the page just newer than a cursor
+ *   around:ID       a page centred on one message, for jumping to it
+ */
+
+const { validate: isValidUUID } = require('uuid');
+const { getSupabaseClient } = require('./supabase-client');
+const { encodeCursor, decodeCursor } = require('./message-search');
+
+// Pagination settings
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Start a messages query limited to one conversation
+ * @param {object} client - Supabase client
+ * @param {object} scope - { channel } for a channel, or { userId, otherUserId } for a DM
+ * @returns {object} Query builder with the conversation and deletion filters applied
+ */
+function scopedQuery(client, scope) {
+  const query = client
+    .from('messages')
+    .select('*')
+    .or('is_deleted.is.null,is_deleted.eq.false');
+
+  if (scope.channel) {
+    // Thread replies are loaded separately through get-thread-replies
+    return query.eq('channel', scope.channel).is('reply_to', null);
+  }
+
+  return query.or(`and(sender_id.eq.${scope.userId},recipient_id.eq.${scope.otherUserId}),and(sender_id.eq.${scope.otherUserId},recipient_id.eq.${scope.userId})`);
+}
+
+/**
+ * Load the rows on one side of a position
+ * @param {object} client - Supabase client
+ * @param {object} scope - Conversation, as for scopedQuery
+ * @param {{createdAt: string, id: string}|null} position - Exclusive boundary; null starts from the newest message
+ * @param {string} direction - 'before' for older rows, 'after' for newer ones
+ * @param {number} limit - Rows to return
+ * @returns {Promise<{rows: Array<object>, hasMore: boolean}>} Rows in chronological order
+ */
+async function loadSide(client, scope, position, direction, limit) {
+  const older = direction === 'before';
+  let query = scopedQuery(client, scope);
+
+  if (position) {
+    const op = older ? 'lt' : 'gt';
+    query = query.or(`created_at.${op}."${position.createdAt}",and(created_at.eq."${position.createdAt}",id.${op}.${position.id})`);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: !older })
+    .order('id', { ascending: !older })
+    .limit(limit + 1);
+
+  if (error) {
+    throw error;
+  }
+
+  const rows = data.slice(0, limit);
+  if (older) {
+    rows.reverse();
+  }
+  return { rows, hasMore: data.length > limit };
+}
+
+/**
+ * Load a page of a conversation's history
+ * @param {object} scope - { channel } for a channel, or { userId, otherUserId } for a DM between them
+ * @param {object} options - Where the page starts; give at most one of before, after and around
+ * @param {string} [options.before] - Cursor to load older messages from
+ * @param {string} [options.after] - Cursor to load newer messages from
+ * @param {string} [options.around] - ID of a message to centre the page on
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<object>} { success, mode, rows, hasMoreBefore, hasMoreAfter, beforeCursor, afterCursor } with rows in chronological order, or { success: false, message }
+ */
+async function getMessagePage(scope, { before = null, after = null, around = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+  if (!scope || (!scope.channel && !(scope.userId && scope.otherUserId))) {
+    return { success: false, message: 'Choose a channel or a conversation' };
+  }
+  // DM participants go into a filter string, so only real user IDs are let through
+  if (!scope.channel && (!isValidUUID(scope.userId) || !isValidUUID(scope.otherUserId))) {
+    return { success: false, message: 'Invalid conversation' };
+  }
+  if (around && !isValidUUID(around)) {
+    return { success: false, message: 'Invalid message ID' };
+  }
+  if ([before, after, around].filter(Boolean).length > 1) {
+    return { success: false, message: 'Use only one of before, after and around' };
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const position = before || after ? decodeCursor(before || after) : null;
+  if ((before || after) && !position) {
+    return { success: false, message: 'Invalid cursor' };
+  }
+
+  try {
+    const client = getSupabaseClient(true);
+    let mode = 'latest';
+    let rows;
+    let hasMoreBefore = false;
+    let hasMoreAfter = false;
+
+    if (around) {
+      mode = 'around';
+      const { data: anchor, error } = await scopedQuery(client, scope).eq('id', around).maybeSingle();
+      if (error) {
+        throw error;
+      }
+      if (!anchor) {
+        return { success: false, message: 'Message not found in this conversation' };
+      }
+
+      // Split the rest of the page between both sides of the message
+      const anchorPosition = { createdAt: anchor.created_at, id: anchor.id };
+      const olderCount = Math.floor((pageSize - 1) / 2);
+      const [older, newer] = await Promise.all([
+        loadSide(client, scope, anchorPosition, 'before', olderCount),
+        loadSide(client, scope, anchorPosition, 'after', pageSize - 1 - olderCount)
+      ]);
+      rows = [...older.rows, anchor, ...newer.rows];
+      hasMoreBefore = older.hasMore;
+      hasMoreAfter = newer.hasMore;
+    } else if (after) {
+      mode = 'after';
+      const page = await loadSide(client, scope, position, 'after', pageSize);
+      rows = page.rows;
+      hasMoreBefore = true;
+      hasMoreAfter = page.hasMore;
+    } else {
+      mode = before ? 'before' : 'latest';
+      const page = await loadSide(client, scope, position, 'before', pageSize);
+      rows = page.rows;
+      hasMoreBefore = page.hasMore;
+      hasMoreAfter = !!before;
+    }
+
+    return {
+      success: true,
+      mode,
+      rows,
+      hasMoreBefore,
+      hasMoreAfter,
+      beforeCursor: rows.length ? encodeCursor(rows[0]) : null,
+      afterCursor: rows.length ? encodeCursor(rows[rows.length - 1]) : null
+    };
+  } catch (err) {
+    console.error('Exception in getMessagePage:', err);
+    return { success: false, message: 'Failed to load messages' };
+  }
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  getMessagePage
+};
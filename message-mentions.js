@@ -0,0 +1,53 @@
+/**
+ * Message Mentions Module for The Homies App
+ * Finds @username, @here and @channel mentions in message content
+ */
+
+// Usernames follow the registration rules: 3-20 letters, digits or underscores
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_]{3,20})\b/g;
+
+// Group mentions that notify more than one person
+const GROUP_MENTIONS = ['here', 'channel'];
+
+// Most individual users one message may notify
+const MAX_USER_MENTIONS = 20;
+
+/**
+ * Parse the mentions in a message
+ * @param {string} content - Message content
+ * @returns {{usernames: Array<string>, here: boolean, channel: boolean}} Mentioned usernames (lowercased, unique) and group mention flags
+ */
+function parseMentions(content) {
+  const result = { usernames: [], here: false, channel: false };
+  if (!content || typeof content !== 'string') {
+    return result;
+  }
+
+  let match;
+  MENTION_PATTERN.lastIndex = 0;
+  while ((match = MENTION_PATTERN.exec(content)) !== null) {
+    const name = match[2].toLowerCase();
+
+    if (GROUP_MENTIONS.includes(name)) {
+      result[name] = true;
+    } else if (!result.usernames.includes(name) && result.usernames.length < MAX_USER_MENTIONS) {
+      result.usernames.push(name);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a message mentions anyone
+ * @param {object} mentions - Output of parseMentions
+ * @returns {boolean} True if there is at least one mention
+ */
+function hasMentions(mentions) {
+  return mentions.here || mentions.channel || mentions.usernames.length > 0;
+}
+
+module.exports = {
+  parseMentions,
+  hasMentions
+};
@@ -0,0 +1,398 @@
+/**
+ * Message Search Module for The Homies App
+ * Parses search queries with filter operators and runs them over channel messages and DMs
+ *
+ * Supported operators:
+ *   from:alice       messages sent by a user
+ *   in:#general      messages in a channel (in:@bob for a DM with bob)
+ *   has:file         messages with an attachment (also has:image, has:link)
+ *   before:DATE      messages sent before a day (YYYY-MM-DD)
+ *   after:DATE       messages sent after a day (YYYY-MM-DD)
+ * Everything else is matched as words; "quoted text" is matched as a phrase.
+ */
+
+const { validate: isValidUUID } = require('uuid');
+const { getSupabaseClient } = require('./supabase-client');
+
+// Search settings
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const SNIPPET_RADIUS = 60; // Characters of context on each side of the first match
+const HAS_VALUES = ['file', 'image', 'link'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CHANNEL_NAME_PATTERN = /^[\w-]{1,100}$/; // Same rule channels are created with
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})?$/;
+
+/**
+ * Parse a raw search string into words, phrases and filters
+ * @param {string} query - The search string typed by the user
+ * @returns {object} Parsed query with words, phrases, filters and any errors
+ */
+function parseSearchQuery(query) {
+  const parsed = {
+    words: [],
+    phrases: [],
+    from: [],
+    in: [],
+    has: [],
+    before: null,
+    after: null,
+    errors: []
+  };
+
+  const tokenPattern = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = tokenPattern.exec(String(query || ''))) !== null) {
+    const [token, operator, rawValue, phrase, word] = match;
+
+    if (phrase !== undefined) {
+      const phraseWords = toSearchWords(phrase);
+      if (phraseWords.length > 0) parsed.phrases.push(phraseWords);
+      continue;
+    }
+
+    if (word !== undefined) {
+      parsed.words.push(...toSearchWords(word));
+      continue;
+    }
+
+    const value = rawValue.replace(/^"|"$/g, '').trim();
+    switch (operator.toLowerCase()) {
+      case 'from':
+        if (value) parsed.from.push(value.replace(/^@/, ''));
+        break;
+      case 'in':
+        if (value.startsWith('@')) {
+          parsed.in.push({ type: 'dm', username: value.substring(1) });
+        } else if (value) {
+          // Channel names go into a filter string, so only names a channel could have are accepted
+          const name = value.replace(/^#/, '');
+          if (CHANNEL_NAME_PATTERN.test(name)) {
+            parsed.in.push({ type: 'channel', name });
+          } else {
+            parsed.errors.push(`Invalid channel for in: "${value}"`);
+          }
+        }
+        break;
+      case 'has':
+        if (HAS_VALUES.includes(value.toLowerCase())) {
+          parsed.has.push(value.toLowerCase());
+        } else {
+          parsed.errors.push(`Unknown has: filter "${value}" (use ${HAS_VALUES.join(', ')})`);
+        }
+        break;
+      case 'before':
+      case 'after': {
+        const date = DATE_PATTERN.test(value) ? new Date(`${value}T00:00:00.000Z`) : null;
+        if (!date || isNaN(date.getTime())) {
+          parsed.errors.push(`Invalid date for ${operator}: "${value}" (use YYYY-MM-DD)`);
+        } else if (operator.toLowerCase() === 'before') {
+          parsed.before = date.toISOString();
+        } else {
+          // "after" a day means from the start of the following day
+          parsed.after = new Date(date.getTime() + 24 * 60 * 60 * 1000).toISOString();
+        }
+        break;
+      }
+      default:
+        // Not an operator we know, so search for it as plain text
+        parsed.words.push(...toSearchWords(token));
+    }
+  }
+
+  const hasFilters = parsed.from.length || parsed.in.length || parsed.has.length || parsed.before || parsed.after;
+  if (!parsed.words.length && !parsed.phrases.length && !hasFilters && !parsed.errors.length) {
+    parsed.errors.push('Enter something to search for');
+  }
+
+  return parsed;
+}
+
+/**
+ * Split text into words usable in a full-text query
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lowercased words, split on punctuation the way Postgres does
+ */
+function toSearchWords(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Build a Postgres tsquery from parsed words and phrases
+ * Words match as prefixes so partial words still find results
+ * @param {object} parsed - Output of parseSearchQuery
+ * @returns {string|null} The tsquery, or null when there is no text to match
+ */
+function buildTsQuery(parsed) {
+  const parts = parsed.words.map(word => `${word}:*`);
+  parsed.phrases.forEach(words => parts.push(`(${words.join(' <-> ')})`));
+  return parts.length ? parts.join(' & ') : null;
+}
+
+/**
+ * Encode the position after a result row as an opaque cursor
+ * @param {object} row - The last message row of a page
+ * @returns {string} Cursor string
+ */
+function encodeCursor(row) {
+  return Buffer.from(`${row.created_at}|${row.id}`).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * Both parts end up inside PostgREST filter strings, so anything but a timestamp and a UUID is rejected
+ * @param {string} cursor - Cursor string
+ * @returns {{createdAt: string, id: string}|null} Position, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const parts = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+    if (parts.length !== 2) return null;
+    const [createdAt, id] = parts;
+    if (!TIMESTAMP_PATTERN.test(createdAt) || isNaN(new Date(createdAt).getTime()) || !isValidUUID(id)) return null;
+    return { createdAt, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Cut a snippet around the first matching word and highlight every match in it
+ * @param {string} content - Full message content
+ * @param {Array<string>} words - Words to highlight
+ * @returns {string} HTML-escaped snippet with matches wrapped in <mark>
+ */
+function buildSnippet(content, words) {
+  const text = String(content || '');
+  if (!words.length) {
+    return escapeHtml(text.length > SNIPPET_RADIUS * 2 ? `${text.substring(0, SNIPPET_RADIUS * 2)}…` : text);
+  }
+
+  const pattern = new RegExp(`(${words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'giu');
+  const firstMatch = text.search(pattern);
+  const start = firstMatch > SNIPPET_RADIUS ? firstMatch - SNIPPET_RADIUS : 0;
+  const end = Math.min(text.length, Math.max(firstMatch, 0) + SNIPPET_RADIUS * 2);
+  const window = text.substring(start, end);
+
+  const highlighted = window
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Look up user IDs for a list of usernames
+ * @param {object} client - Supabase client
+ * @param {Array<string>} usernames - Usernames to resolve
+ * @returns {Promise<object>} Map of lowercased username to user ID
+ */
+async function getUserIdsByUsername(client, usernames) {
+  const ids = {};
+  for (const username of usernames) {
+    const { data } = await client
+      .from('users')
+      .select('id, username')
+      .ilike('username', username.replace(/[%_]/g, '\\$&'))
+      .maybeSingle();
+    if (data) ids[username.toLowerCase()] = data.id;
+  }
+  return ids;
+}
+
+/**
+ * Get the names of channels the user cannot read: private channels they aren't in,
+ * and any channel they are banned from for now
+ * @param {object} client - Supabase client
+ * @param {string} userId - ID of the searching user
+ * @returns {Promise<Array<string>>} Channel names to exclude from results
+ */
+async function getHiddenChannels(client, userId) {
+  const [{ data, error }, { data: memberships }, { data: bans }] = await Promise.all([
+    client.from('channels').select('name, created_by').eq('is_private', true),
+    client.from('channel_members').select('channel').eq('user_id', userId),
+    client
+      .from('channel_sanctions')
+      .select('channel')
+      .eq('user_id', userId)
+      .eq('type', 'ban')
+      .is('lifted_at', null)
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+  ]);
+
+  const hidden = new Set((bans || []).map(ban => ban.channel));
+  if (error || !data) return [...hidden];
+  const joined = new Set((memberships || []).map(membership => membership.channel));
+  data
+    .filter(channel => channel.created_by !== userId && !joined.has(channel.name))
+    .forEach(channel => hidden.add(channel.name));
+  return [...hidden];
+}
+
+/**
+ * Search the messages a user is allowed to see
+ * @param {string} userId - ID of the searching user
+ * @param {string} query - Raw search string with optional operators
+ * @param {object} options - Pagination options
+ * @param {string|null} options.cursor - Cursor from a previous page's nextCursor
+ * @param {number} options.limit - Page size
+ * @returns {Promise<object>} { success, results, hasMore, nextCursor } or { success: false, message }
+ */
+async function searchMessages(userId, query, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+  if (!userId) {
+    return { success: false, message: 'Not authenticated' };
+  }
+
+  const parsed = parseSearchQuery(query);
+  if (parsed.errors.length) {
+    return { success: false, message: parsed.errors.join('. ') };
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !position) {
+    return { success: false, message: 'Invalid cursor' };
+  }
+
+  try {
+    const client = getSupabaseClient(true);
+
+    let dbQuery = client
+      .from('messages')
+      .select('id, content, sender_id, recipient_id, channel, created_at, is_dm, type, file_url, file_type, reply_to')
+      .or('is_deleted.is.null,is_deleted.eq.false')
+      .or('type.is.null,type.neq.system')
+      // Channel messages are visible to everyone; DMs only to their participants
+      .or(`recipient_id.is.null,sender_id.eq.${userId},recipient_id.eq.${userId}`);
+
+    const hiddenChannels = await getHiddenChannels(client, userId);
+    if (hiddenChannels.length) {
+      dbQuery = dbQuery.not('channel', 'in', `(${hiddenChannels.map(name => `"${name}"`).join(',')})`);
+    }
+
+    const tsQuery = buildTsQuery(parsed);
+    if (tsQuery) {
+      dbQuery = dbQuery.textSearch('search_vector', tsQuery, { config: 'simple' });
+    }
+
+    // Resolve the usernames mentioned in from: and in:@ filters
+    const usernames = [...parsed.from, ...parsed.in.filter(f => f.type === 'dm').map(f => f.username)];
+    const userIds = await getUserIdsByUsername(client, usernames);
+
+    if (parsed.from.length) {
+      const senderIds = parsed.from.map(name => userIds[name.toLowerCase()]).filter(Boolean);
+      if (!senderIds.length) {
+        return { success: true, results: [], hasMore: false, nextCursor: null };
+      }
+      dbQuery = dbQuery.in('sender_id', senderIds);
+    }
+
+    if (parsed.in.length) {
+      const scopes = parsed.in.map(filter => {
+        if (filter.type === 'channel') {
+          return `and(channel.eq."${filter.name}",recipient_id.is.null)`;
+        }
+        const otherId = userIds[filter.username.toLowerCase()];
+        if (!otherId) return null;
+        return `and(sender_id.eq.${userId},recipient_id.eq.${otherId}),and(sender_id.eq.${otherId},recipient_id.eq.${userId})`;
+      }).filter(Boolean);
+
+      if (!scopes.length) {
+        return { success: true, results: [], hasMore: false, nextCursor: null };
+      }
+      dbQuery = dbQuery.or(scopes.join(','));
+    }
+
+    if (parsed.has.includes('file')) {
+      dbQuery = dbQuery.not('file_url', 'is', null);
+    }
+    if (parsed.has.includes('image')) {
+      dbQuery = dbQuery.like('file_type', 'image/%');
+    }
+    if (parsed.has.includes('link')) {
+      dbQuery = dbQuery.or('content.ilike.%http://%,content.ilike.%https://%');
+    }
+    if (parsed.before) {
+      dbQuery = dbQuery.lt('created_at', parsed.before);
+    }
+    if (parsed.after) {
+      dbQuery = dbQuery.gte('created_at', parsed.after);
+    }
+
+    // Continue after the last row of the previous page, newest first
+    if (position) {
+      dbQuery = dbQuery.or(`created_at.lt."${position.createdAt}",and(created_at.eq."${position.createdAt}",id.lt.${position.id})`);
+    }
+
+    const { data, error } = await dbQuery
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(pageSize + 1);
+
+    if (error) {
+      console.error('Error searching messages:', error);
+      return { success: false, message: 'Search failed' };
+    }
+
+    const hasMore = data.length > pageSize;
+    const rows = data.slice(0, pageSize);
+
+    // Resolve sender names in one query
+    const senderIds = [...new Set(rows.map(row => row.sender_id).filter(Boolean))];
+    const senderNames = {};
+    if (senderIds.length) {
+      const { data: senders } = await client.from('users').select('id, username').in('id', senderIds);
+      (senders || []).forEach(sender => { senderNames[sender.id] = sender.username; });
+    }
+
+    const highlightWords = [...parsed.words, ...parsed.phrases.flat()];
+    const results = rows.map(row => ({
+      id: row.id,
+      content: row.content,
+      snippet: buildSnippet(row.content, highlightWords),
+      sender: senderNames[row.sender_id] || 'Unknown User',
+      senderId: row.sender_id,
+      channel: row.channel,
+      isDM: !!(row.is_dm || row.recipient_id),
+      recipientId: row.recipient_id,
+      replyTo: row.reply_to || null,
+      timestamp: row.created_at,
+      hasFile: !!row.file_url
+    }));
+
+    return {
+      success: true,
+      results,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+    };
+  } catch (err) {
+    console.error('Exception in searchMessages:', err);
+    return { success: false, message: 'Search failed' };
+  }
+}
+
+module.exports = {
+  parseSearchQuery,
+  searchMessages,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,424 @@
+/**
+ * Message Service Module for The Homies App
+ * The one path every new message takes, whichever socket event or feature sent it:
+ * a single validation schema, the sender taken from the authenticated session,
+ * slash commands, persistence, fan-out and the acknowledgement returned to the sender
+ */
+
+const { validate: isValidUUID } = require('uuid');
+
+// Message limits
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_CHANNEL_NAME_LENGTH = 100;
+const MAX_TEMP_ID_LENGTH = 100;
+const COMMAND_RESEND_WINDOW_MS = 24 * 60 * 60 * 1000; // How long a handled command's tempId is remembered
+
+/**
+ * Check the text of a new or edited message
+ * @param {*} raw - Text from the client
+ * @returns {{content?: string, error?: string}} The trimmed text, or an error message
+ */
+function validateMessageContent(raw) {
+  const content = typeof raw === 'string' ? raw.trim() : '';
+  if (!content) {
+    return { error: 'Message content cannot be empty' };
+  }
+  if (content.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+  return { content };
+}
+
+/**
+ * Check a message a client wants to send and shape it for the service
+ * @param {object} data - Message from the client
+ * @param {string} data.content - Message text (`message` is accepted from older clients)
+ * @param {string} [data.channel] - Channel to post in; defaults to general
+ * @param {string} [data.recipientId] - User to send a DM to instead of posting in a channel
+ * @param {string} [data.replyTo] - Message being replied to in a thread (channels only)
+ * @param {string} [data.tempId] - Client ID for the message, used to recognize resends
+ * @param {string} [data.fileUrl] - Attached file, with fileType and fileSize
+ * @returns {{message?: object, error?: string}} The checked message, or an error message
+ */
+function validateOutgoingMessage(data) {
+  if (!data || typeof data !== 'object') {
+    return { error: 'Invalid message format' };
+  }
+
+  const { content, error: contentError } = validateMessageContent(data.content !== undefined ? data.content : data.message);
+  if (contentError) {
+    return { error: contentError };
+  }
+
+  const recipientId = data.recipientId || null;
+  if (data.isDM && !recipientId) {
+    return { error: 'Recipient ID is required' };
+  }
+  if (recipientId && !isValidUUID(recipientId)) {
+    return { error: 'Invalid recipient' };
+  }
+
+  let channel = null;
+  if (!recipientId) {
+    channel = typeof data.channel === 'string' && data.channel.trim() ? data.channel.trim().replace(/^#/, '') : 'general';
+    if (channel.length > MAX_CHANNEL_NAME_LENGTH) {
+      return { error: 'Invalid channel' };
+    }
+  }
+
+  const replyTo = data.replyTo || data.reply_to || null;
+  if (replyTo && (recipientId || !isValidUUID(replyTo))) {
+    return { error: recipientId ? 'Replies are only supported in channels' : 'Invalid reply target' };
+  }
+
+  const tempId = data.tempId == null ? null : String(data.tempId);
+  if (tempId && tempId.length > MAX_TEMP_ID_LENGTH) {
+    return { error: 'Invalid tempId' };
+  }
+
+  const file = typeof data.fileUrl === 'string' && data.fileUrl
+    ? { url: data.fileUrl, type: data.fileType || null, size: data.fileSize || null }
+    : null;
+
+  return {
+    message: { content, channel, recipientId, replyTo, tempId: tempId || null, file }
+  };
+}
+
+/**
+ * Create the message service
+ * @param {object} services - Server helpers the service sends through
+ * @param {Function} services.saveMessage - Inserts a messages row and returns it, or null on failure
+ * @param {Function} services.findMessageByTempId - Finds a sender's saved message by client tempId
+ * @param {Function} services.toClientMessage - Shapes a messages row for clients
+ * @param {Function} services.resolveNickname - Nickname for a user ID
+ * @param {Function} services.userExists - Whether a user ID belongs to an account
+ * @param {Function} services.checkUserBlock - Why a block stops one user messaging another, or null
+ * @param {Function} services.checkChannelPermission - Whether a user has a permission in a channel (true or the reason not)
+ * @param {Function} services.checkChannelSanctions - A ban or timeout stopping a user posting in a channel, or null
+ * @param {Function} services.claimSlowModeSlot - Takes a user's slow mode slot in a channel; returns null or how long to wait
+ * @param {Function} services.releaseSlowModeSlot - Gives a slot back when the message that took it failed
+ * @param {Function} services.resolveThreadParent - Top-level message a reply belongs to, or null
+ * @param {Function} services.isCommand - Whether text is a slash command
+ * @param {Function} services.runSlashCommand - Runs a command; returns the message to send in its place, or null
+ * @param {Function} services.attachPoll - Saves the poll for a just-saved poll message and returns it for clients
+ * @param {Function} services.cacheChannelMessage - Adds a channel message to the in-memory history
+ * @param {Function} services.emitToChannel - Emits an event to everyone who can read a channel
+ * @param {Function} services.emitToUser - Emits an event to every socket of one user
+ * @param {Function} services.broadcastThreadUpdate - Sends a thread's new reply count
+ * @param {Function} services.notifyMentions - Notifies users mentioned in a channel message
+ * @param {Function} services.unfurlMessageLinks - Fetches link previews for a saved message
+ * @returns {object} The service: send, deliverChannelMessage and deliverDirectMessage
+ */
+function createMessageService(services) {
+  // Sends still being handled, by `${senderId}:${tempId}`, so a resend waits for the first attempt instead of running again
+  const inFlightSends = new Map();
+  // Slash commands that posted nothing, by `${senderId}:${tempId}` -> when they ran; kept in memory only
+  const handledCommands = new Map();
+
+  function rememberCommand(key, now = Date.now()) {
+    // Entries are in the order they ran, so the expired ones are at the front
+    for (const [oldKey, at] of handledCommands) {
+      if (at > now - COMMAND_RESEND_WINDOW_MS) break;
+      handledCommands.delete(oldKey);
+    }
+    handledCommands.set(key, now);
+  }
+
+  /**
+   * Handle a send at most once per client tempId, slash commands included
+   * A resend racing the first attempt waits for it, and one arriving after it was handled
+   * gets the stored message (or the command's acknowledgement) back without running anything again
+   * @param {string} senderId - ID of the sender
+   * @param {string|null} tempId - Client tempId; without one every call runs
+   * @param {Function} run - Runs commands, then saves and delivers the message, resolving to the acknowledgement
+   * @returns {Promise<object>} The acknowledgement, with duplicate set
+   */
+  async function sendOnce(senderId, tempId, run) {
+    if (!tempId) {
+      return { duplicate: false, ...(await run()) };
+    }
+
+    const key = `${senderId}:${tempId}`;
+    if (inFlightSends.has(key)) {
+      const first = await inFlightSends.get(key);
+      return first.success ? { ...first, duplicate: true } : first;
+    }
+
+    const attempt = (async () => {
+      if (handledCommands.has(key)) {
+        return { success: true, command: true, duplicate: true };
+      }
+      const existing = await services.findMessageByTempId(senderId, tempId);
+      if (existing) {
+        const message = await services.toClientMessage(existing, { channel: existing.channel, isDM: !!existing.recipient_id });
+        message.tempId = tempId;
+        return { success: true, message, messageId: message.id, duplicate: true };
+      }
+
+      const result = await run();
+      if (result.success && result.command) {
+        rememberCommand(key);
+      }
+      return { duplicate: false, ...result };
+    })();
+
+    inFlightSends.set(key, attempt);
+    try {
+      return await attempt;
+    } finally {
+      inFlightSends.delete(key);
+    }
+  }
+
+  /**
+   * Save a message row and build the object clients receive
+   * @param {object} fields - Message fields
+   * @returns {Promise<{row: object, message: object}>} Throws if the save fails
+   */
+  async function persist({ senderId, username, content, channel, recipientId, replyTo, tempId, type, file }) {
+    const row = await services.saveMessage({
+      sender_id: senderId,
+      content,
+      channel: channel || undefined,
+      recipient_id: recipientId,
+      reply_to: replyTo,
+      type,
+      file_url: file ? file.url : null,
+      file_type: file ? file.type : null,
+      file_size: file ? file.size : null,
+      client_temp_id: tempId
+    });
+
+    if (!row || !row.id) {
+      throw new Error('Failed to save message or retrieve ID from database.');
+    }
+
+    // Past this point the message is saved, so a missing nickname only falls back to the username
+    let senderNickname = null;
+    try {
+      senderNickname = await services.resolveNickname(senderId);
+    } catch (err) {
+      console.error('Error resolving nickname:', err);
+    }
+
+    const message = {
+      id: row.id,
+      content,
+      sender: username,
+      username, // For client compatibility
+      senderId,
+      senderNickname,
+      timestamp: row.created_at || new Date().toISOString(),
+      created_at: row.created_at,
+      channel: channel || null,
+      isDM: !!recipientId,
+      recipientId: recipientId || null,
+      replyTo: replyTo || null,
+      type,
+      fileUrl: file ? file.url : null,
+      fileType: file ? file.type : null,
+      fileSize: file ? file.size : null,
+      tempId: tempId || null
+    };
+
+    return { row, message };
+  }
+
+  /**
+   * Save a channel message and deliver it to everyone who can read the channel
+   * Used by send and by server features that post on a user's behalf (scheduled messages, polls)
+   * @param {object} options - Message fields; channel is required
+   * @returns {Promise<object>} The delivered message; throws only if the save fails
+   */
+  async function deliverChannelMessage({ senderId, username, content, channel, replyTo = null, tempId = null, type = 'text', poll = null, file = null }) {
+    const { row, message } = await persist({ senderId, username, content, channel, recipientId: null, replyTo, tempId, type, file });
+
+    // A poll is saved against its message before anyone sees the message
+    if (poll) {
+      message.poll = await services.attachPoll(row, poll);
+    }
+
+    // The message is saved by now, so a failure from here on is logged rather than reported to the sender
+    try {
+      services.cacheChannelMessage(channel, message);
+      await services.emitToChannel(channel, 'message', message);
+
+      // Refresh the reply count shown on the thread's parent message
+      if (replyTo) {
+        await services.broadcastThreadUpdate(replyTo, channel);
+      }
+
+      // Notify anyone mentioned, even if they're viewing another channel
+      await services.notifyMentions(message, senderId);
+    } catch (err) {
+      console.error('Error delivering channel message:', err);
+    }
+
+    // Previews are fetched in the background and arrive as a separate update
+    services.unfurlMessageLinks(message.id).catch(err => console.error('Error unfurling links:', err));
+
+    return message;
+  }
+
+  /**
+   * Save a DM and deliver it to both participants' sockets
+   * The sender's copy keeps their other tabs in step
+   * @param {object} options - Message fields; recipientId is required
+   * @returns {Promise<object>} The delivered message; throws only if the save fails
+   */
+  async function deliverDirectMessage({ senderId, username, recipientId, content, tempId = null, type = 'text', poll = null, file = null }) {
+    const { row, message } = await persist({ senderId, username, content, channel: null, recipientId, replyTo: null, tempId, type, file });
+
+    if (poll) {
+      message.poll = await services.attachPoll(row, poll);
+    }
+
+    try {
+      services.emitToUser(recipientId, 'direct-message', message);
+      if (recipientId !== senderId) {
+        services.emitToUser(senderId, 'direct-message', message);
+      }
+    } catch (err) {
+      console.error('Error delivering direct message:', err);
+    }
+
+    services.unfurlMessageLinks(message.id).catch(err => console.error('Error unfurling links:', err));
+
+    return message;
+  }
+
+  /**
+   * Send a message from a signed-in user
+   * @param {object} session - The socket's session; only its id and username are trusted
+   * @param {object} data - Message from the client, checked with validateOutgoingMessage
+   * @param {object} [options]
+   * @param {object} [options.socket] - Socket the message came from, for private slash command replies
+   * @returns {Promise<object>} The acknowledgement: { success, message, messageId, duplicate },
+   *   { success, command, duplicate } when a slash command had nothing to post, or { success: false, message };
+   *   failures caused by a ban, timeout or slow mode also carry moderation: { type, until, retryAfter }
+   */
+  async function send(session, data, { socket = null } = {}) {
+    if (!session || !session.authenticated || !session.id) {
+      return { success: false, message: 'Not authenticated' };
+    }
+
+    const { message: outgoing, error } = validateOutgoingMessage(data);
+    if (error) {
+      return { success: false, message: error };
+    }
+
+    const isDM = !!outgoing.recipientId;
+
+    // Banned and timed out users can't post or run commands in the channel
+    if (!isDM) {
+      const sanction = await services.checkChannelSanctions(session.id, outgoing.channel);
+      if (sanction) {
+        return { success: false, message: sanction.message, moderation: { type: sanction.type, until: sanction.until } };
+      }
+    }
+
+    // Commands are held to the same checks as messages, so nobody runs one where they couldn't post
+    if (isDM && !(await services.userExists(outgoing.recipientId))) {
+      return { success: false, message: 'Recipient user not found' };
+    }
+    if (isDM) {
+      const blocked = await services.checkUserBlock(session.id, outgoing.recipientId);
+      if (blocked) {
+        return { success: false, message: blocked };
+      }
+    }
+    if (!isDM) {
+      const allowed = await services.checkChannelPermission(session.id, outgoing.channel, 'post');
+      if (allowed !== true) {
+        return { success: false, message: allowed };
+      }
+    }
+
+    // Everything from here runs once per tempId, so a resend never repeats a command's side effects
+    return sendOnce(session.id, outgoing.tempId, async () => {
+      let content = outgoing.content;
+      let type = 'text';
+
+      // Slash commands run here; a leading "//" sends the text with a single slash
+      if (content.startsWith('//') && services.isCommand(content.slice(1))) {
+        content = content.slice(1);
+      } else if (services.isCommand(content)) {
+        const result = await services.runSlashCommand(socket, content, {
+          userId: session.id,
+          username: session.username,
+          channel: outgoing.channel || 'general',
+          isDM,
+          recipientId: outgoing.recipientId,
+          tempId: outgoing.tempId
+        });
+        if (!result) {
+          return { success: true, command: true };
+        }
+        content = result.content;
+        type = result.type || 'text';
+      }
+
+      // Replying to a reply joins the same thread
+      let threadId = null;
+      if (outgoing.replyTo) {
+        threadId = await services.resolveThreadParent(outgoing.replyTo, outgoing.channel);
+        if (!threadId) {
+          return { success: false, message: 'The message you are replying to no longer exists' };
+        }
+      }
+
+      // Slow mode is checked last, so only messages that will actually be posted use up a slot
+      if (!isDM) {
+        const slowed = await services.claimSlowModeSlot(session.id, outgoing.channel, outgoing.tempId);
+        if (slowed) {
+          return { success: false, message: slowed.message, moderation: { type: slowed.type, retryAfter: slowed.retryAfter } };
+        }
+      }
+
+      try {
+        const message = isDM
+          ? await deliverDirectMessage({
+            senderId: session.id,
+            username: session.username,
+            recipientId: outgoing.recipientId,
+            content,
+            tempId: outgoing.tempId,
+            type,
+            file: outgoing.file
+          })
+          : await deliverChannelMessage({
+            senderId: session.id,
+            username: session.username,
+            content,
+            channel: outgoing.channel,
+            replyTo: threadId,
+            tempId: outgoing.tempId,
+            type,
+            file: outgoing.file
+          });
+
+        return { success: true, message, messageId: message.id };
+      } catch (err) {
+        console.error('Error sending message:', err);
+        if (!isDM) {
+          services.releaseSlowModeSlot(session.id, outgoing.channel);
+        }
+        return { success: false, message: 'Failed to save message' };
+      }
+    });
+  }
+
+  return {
+    send,
+    deliverChannelMessage,
+    deliverDirectMessage
+  };
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  validateMessageContent,
+  validateOutgoingMessage,
+  createMessageService
+};
@@ -0,0 +1,148 @@
+/**
+ * Polls Module for The Homies App
+ * Validates new polls and votes, and turns stored votes into result tallies
+ */
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+
+// Furthest ahead a poll can be set to close
+const MAX_POLL_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check a poll the client asked to create and shape it as a polls row
+ * @param {object} input - Poll from the client
+ * @param {string} input.question - Question being asked
+ * @param {Array<string>} input.options - Answer texts, in display order
+ * @param {boolean} [input.allowMultiple] - Whether voters may pick more than one option
+ * @param {boolean} [input.anonymous] - Whether to hide who voted for what
+ * @param {string|number} [input.closesAt] - When voting ends; omit to keep the poll open until closed by hand
+ * @returns {{poll?: object, error?: string}} The row fields (question, options, allow_multiple, anonymous, closes_at), or an error message
+ */
+function validatePoll(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid poll' };
+  }
+
+  const question = typeof input.question === 'string' ? input.question.trim() : '';
+  if (!question) {
+    return { error: 'A poll needs a question' };
+  }
+  if (question.length > MAX_QUESTION_LENGTH) {
+    return { error: `Questions can be at most ${MAX_QUESTION_LENGTH} characters` };
+  }
+
+  const texts = (Array.isArray(input.options) ? input.options : [])
+    .map(option => (typeof option === 'string' ? option.trim() : ''))
+    .filter(Boolean);
+  if (texts.length < MIN_POLL_OPTIONS || texts.length > MAX_POLL_OPTIONS) {
+    return { error: `A poll needs between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options` };
+  }
+  if (texts.some(text => text.length > MAX_OPTION_LENGTH)) {
+    return { error: `Options can be at most ${MAX_OPTION_LENGTH} characters` };
+  }
+  if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+    return { error: 'Each option must be different' };
+  }
+
+  let closesAt = null;
+  if (input.closesAt) {
+    const time = new Date(input.closesAt).getTime();
+    if (Number.isNaN(time)) {
+      return { error: 'Invalid closing time' };
+    }
+    if (time <= Date.now()) {
+      return { error: 'The closing time must be in the future' };
+    }
+    if (time - Date.now() > MAX_POLL_DURATION_MS) {
+      return { error: 'Polls can stay open for at most 30 days' };
+    }
+    closesAt = new Date(time).toISOString();
+  }
+
+  return {
+    poll: {
+      question,
+      // Option IDs are positions, so votes stay valid however the texts are displayed
+      options: texts.map((text, id) => ({ id, text })),
+      allow_multiple: !!input.allowMultiple,
+      anonymous: !!input.anonymous,
+      closes_at: closesAt
+    }
+  };
+}
+
+/**
+ * Whether a poll has stopped accepting votes
+ * @param {object} poll - polls row
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True once it was closed by hand or its closing time has passed
+ */
+function isPollClosed(poll, now = Date.now()) {
+  return !!(poll.closed_at || (poll.closes_at && new Date(poll.closes_at).getTime() <= now));
+}
+
+/**
+ * Check the options a user picked
+ * @param {object} poll - polls row
+ * @param {Array<number>} optionIds - Picked option IDs; an empty list retracts the vote
+ * @returns {{optionIds?: Array<number>, error?: string}} The unique picked IDs, or an error message
+ */
+function validateVote(poll, optionIds) {
+  if (!Array.isArray(optionIds)) {
+    return { error: 'Invalid vote' };
+  }
+
+  const validIds = new Set(poll.options.map(option => option.id));
+  const picked = [...new Set(optionIds.map(id => Number(id)))];
+  if (picked.some(id => !validIds.has(id))) {
+    return { error: 'That option is not part of this poll' };
+  }
+  if (!poll.allow_multiple && picked.length > 1) {
+    return { error: 'This poll allows only one choice' };
+  }
+
+  return { optionIds: picked };
+}
+
+/**
+ * Count a poll's votes into the shape the client renders
+ * @param {object} poll - polls row
+ * @param {Array<{user_id: string, option_id: number}>} votes - Every vote cast in the poll
+ * @param {object} [usernames] - Username by user ID, used to list voters on non-anonymous polls
+ * @returns {object} Poll with per-option counts and, unless anonymous, voter names
+ */
+function tallyPoll(poll, votes, usernames = {}) {
+  const voters = new Set(votes.map(vote => vote.user_id));
+
+  return {
+    id: poll.id,
+    messageId: poll.message_id,
+    question: poll.question,
+    allowMultiple: !!poll.allow_multiple,
+    anonymous: !!poll.anonymous,
+    closesAt: poll.closes_at || null,
+    closed: isPollClosed(poll),
+    createdBy: poll.created_by,
+    totalVoters: voters.size,
+    options: poll.options.map(option => {
+      const optionVotes = votes.filter(vote => vote.option_id === option.id);
+      return {
+        id: option.id,
+        text: option.text,
+        votes: optionVotes.length,
+        voters: poll.anonymous ? [] : optionVotes.map(vote => usernames[vote.user_id] || 'Unknown User')
+      };
+    })
+  };
+}
+
+module.exports = {
+  MAX_POLL_OPTIONS,
+  validatePoll,
+  isPollClosed,
+  validateVote,
+  tallyPoll
+};
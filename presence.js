@@ -0,0 +1,103 @@
+/**
+ * Presence Module for The Homies App
+ * Validates statuses and custom status messages, and decides what other users
+ * are allowed to see: an invisible user looks exactly like an offline one
+ */
+
+// Statuses a user can pick; "idle" is also set automatically when they step away
+const PRESENCE_STATUSES = ['online', 'idle', 'dnd', 'invisible'];
+
+const MAX_CUSTOM_STATUS_LENGTH = 128;
+const MAX_CUSTOM_STATUS_EMOJI_LENGTH = 32;
+
+// Furthest ahead a custom status can be set to clear itself
+const MAX_CUSTOM_STATUS_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check a custom status the client wants to set
+ * @param {object} input - Custom status from the client
+ * @param {string} [input.text] - Status message, e.g. "back at 3pm"
+ * @param {string} [input.emoji] - Emoji shown before the message
+ * @param {string|number} [input.expiresAt] - When the status clears itself; omit to keep it until cleared by hand
+ * @returns {{customStatus?: object|null, error?: string}} The status ({ text, emoji, expiresAt }), null to clear it, or an error message
+ */
+function validateCustomStatus(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Invalid custom status' };
+  }
+
+  const text = typeof input.text === 'string' ? input.text.trim() : '';
+  const emoji = typeof input.emoji === 'string' ? input.emoji.trim() : '';
+  if (!text && !emoji) {
+    return { customStatus: null };
+  }
+  if (text.length > MAX_CUSTOM_STATUS_LENGTH) {
+    return { error: `Custom statuses can be at most ${MAX_CUSTOM_STATUS_LENGTH} characters` };
+  }
+  if (emoji.length > MAX_CUSTOM_STATUS_EMOJI_LENGTH) {
+    return { error: 'Invalid status emoji' };
+  }
+
+  let expiresAt = null;
+  if (input.expiresAt) {
+    const expires = new Date(input.expiresAt);
+    if (isNaN(expires.getTime())) {
+      return { error: 'Invalid expiry time' };
+    }
+    if (expires.getTime() <= Date.now()) {
+      return { error: 'The expiry time must be in the future' };
+    }
+    if (expires.getTime() - Date.now() > MAX_CUSTOM_STATUS_DURATION_MS) {
+      return { error: 'Custom statuses can last at most 30 days' };
+    }
+    expiresAt = expires.toISOString();
+  }
+
+  return { customStatus: { text: text || null, emoji: emoji || null, expiresAt } };
+}
+
+/**
+ * Drop a custom status whose expiry has passed
+ * @param {object|null} customStatus - { text, emoji, expiresAt }
+ * @param {Date} [now] - Time to check against
+ * @returns {object|null} The status, or null if there is none or it has expired
+ */
+function getActiveCustomStatus(customStatus, now = new Date()) {
+  if (!customStatus || (!customStatus.text && !customStatus.emoji)) {
+    return null;
+  }
+  if (customStatus.expiresAt && new Date(customStatus.expiresAt) <= now) {
+    return null;
+  }
+  return customStatus;
+}
+
+/**
+ * Work out how a user's presence looks to someone else
+ * @param {object} presence - The user's presence
+ * @param {boolean} presence.connected - Whether they have a signed-in socket
+ * @param {string} presence.status - Status they picked
+ * @param {boolean} [presence.idle] - Whether they were detected as away
+ * @param {object|null} [presence.customStatus] - Their custom status
+ * @param {string|null} [presence.lastSeen] - When they were last visibly online
+ * @returns {{status: string, customStatus: object|null, lastSeen: string|null}} What others see
+ */
+function toPublicPresence({ connected, status, idle = false, customStatus = null, lastSeen = null }) {
+  if (!connected || status === 'invisible') {
+    // Custom statuses are only shown while a user appears online
+    return { status: 'offline', customStatus: null, lastSeen };
+  }
+
+  return {
+    status: status === 'online' && idle ? 'idle' : status,
+    customStatus: getActiveCustomStatus(customStatus),
+    lastSeen
+  };
+}
+
+module.exports = {
+  PRESENCE_STATUSES,
+  validateCustomStatus,
+  getActiveCustomStatus,
+  toPublicPresence
+};
@@ -0,0 +1,190 @@
+/**
+ * Audit Log Page for The Homies App
+ * Lets admins page through moderation and admin actions, filtered by actor, action and date range
+ */
+
+// Labels for the actions the server records, grouped as the action filter shows them
+const AUDIT_ACTION_LABELS = {
+    message: {
+        label: 'Messages',
+        actions: {
+            'message.delete': 'Deleted a message',
+            'message.edit': 'Edited a message'
+        }
+    },
+    channel: {
+        label: 'Channels',
+        actions: {
+            'channel.create': 'Created a channel',
+            'channel.update': 'Updated a channel',
+            'channel.archive': 'Archived or unarchived a channel',
+            'channel.delete': 'Deleted a channel',
+            'channel.slow_mode': 'Changed slow mode'
+        }
+    },
+    member: {
+        label: 'Members',
+        actions: {
+            'member.role': 'Changed a role',
+            'member.remove': 'Removed a member',
+            'member.kick': 'Kicked a member',
+            'member.ban': 'Banned a member',
+            'member.timeout': 'Timed out a member',
+            'member.sanction_lift': 'Lifted a ban or timeout'
+        }
+    },
+    category: {
+        label: 'Categories',
+        actions: {
+            'category.create': 'Created a category',
+            'category.rename': 'Renamed a category',
+            'category.delete': 'Deleted a category',
+            'category.layout': 'Rearranged the sidebar'
+        }
+    },
+    user: {
+        label: 'Profiles',
+        actions: {
+            'user.friend_code': 'Changed a friend code',
+            'user.avatar': 'Changed an avatar'
+        }
+    }
+};
+
+class AuditLogPage {
+    constructor() {
+        this.entriesEl = document.getElementById('audit-log-entries');
+        this.statusEl = document.getElementById('audit-log-status');
+        this.loadMoreButton = document.getElementById('audit-load-more');
+        this.filtersForm = document.getElementById('audit-log-filters');
+        this.nextCursor = null;
+        this.loading = false;
+
+        this._renderActionOptions();
+        this.filtersForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.load();
+        });
+        document.getElementById('audit-reset').addEventListener('click', () => {
+            this.filtersForm.reset();
+            this.load();
+        });
+        this.loadMoreButton.addEventListener('click', () => this.load({ append: true }));
+    }
+
+    // One option per action group, then each action under it
+    _renderActionOptions() {
+        const selectEl = document.getElementById('audit-action');
+        Object.entries(AUDIT_ACTION_LABELS).forEach(([group, { label, actions }]) => {
+            const groupEl = document.createElement('optgroup');
+            groupEl.label = label;
+
+            const allOption = document.createElement('option');
+            allOption.value = group;
+            allOption.textContent = `All ${label.toLowerCase()} actions`;
+            groupEl.appendChild(allOption);
+
+            Object.entries(actions).forEach(([action, actionLabel]) => {
+                const option = document.createElement('option');
+                option.value = action;
+                option.textContent = actionLabel;
+                groupEl.appendChild(option);
+            });
+            selectEl.appendChild(groupEl);
+        });
+    }
+
+    // Query string for the current filters; dates cover whole days in the admin's own time zone
+    _buildQuery(cursor) {
+        const params = new URLSearchParams();
+        const actor = document.getElementById('audit-actor').value.trim();
+        const action = document.getElementById('audit-action').value;
+        const from = document.getElementById('audit-from').value;
+        const to = document.getElementById('audit-to').value;
+
+        if (actor) params.set('actor', actor);
+        if (action) params.set('action', action);
+        if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+        if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+        if (cursor) params.set('cursor', cursor);
+        return params.toString();
+    }
+
+    /**
+     * Load the first page for the current filters, or the next page after the ones shown
+     * @param {object} [options]
+     * @param {boolean} [options.append] - Add the next page instead of starting over
+     */
+    async load({ append = false } = {}) {
+        if (this.loading) return;
+        this.loading = true;
+        this.statusEl.textContent = 'Loading...';
+        if (!append) {
+            this.entriesEl.innerHTML = '';
+            this.nextCursor = null;
+        }
+
+        try {
+            const response = await fetch(`/api/audit-log?${this._buildQuery(append ? this.nextCursor : null)}`, {
+                credentials: 'same-origin'
+            });
+            const result = await response.json();
+            if (!result.success) {
+                this.statusEl.textContent = result.message || 'Could not load the audit log';
+                this.loadMoreButton.style.display = 'none';
+                return;
+            }
+
+            result.entries.forEach(entry => this.entriesEl.appendChild(this._createEntryRow(entry)));
+            this.nextCursor = result.nextCursor;
+            this.loadMoreButton.style.display = result.hasMore ? '' : 'none';
+            this.statusEl.textContent = this.entriesEl.children.length ? '' : 'No entries match these filters';
+        } catch (error) {
+            console.error('[AUDIT_LOG] Error loading audit log:', error);
+            this.statusEl.textContent = 'Could not load the audit log';
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    _createEntryRow(entry) {
+        const rowEl = document.createElement('tr');
+        const group = AUDIT_ACTION_LABELS[entry.action.split('.')[0]];
+        const actionLabel = group && group.actions[entry.action] ? group.actions[entry.action] : entry.action;
+
+        let target = entry.targetLabel || entry.targetId || '';
+        if (entry.targetType === 'channel' && !entry.targetLabel) target = `#${entry.targetId}`;
+        const channel = entry.channel && entry.targetType !== 'channel' ? ` in #${entry.channel}` : '';
+        const reason = entry.metadata && entry.metadata.reason ? `<div class="audit-log-reason">Reason: ${this._escapeHtml(entry.metadata.reason)}</div>` : '';
+
+        rowEl.innerHTML = `
+            <td class="audit-log-time">${this._escapeHtml(new Date(entry.createdAt).toLocaleString())}</td>
+            <td>${this._escapeHtml(entry.actor)}</td>
+            <td><span class="audit-log-action">${this._escapeHtml(actionLabel)}</span>${reason}</td>
+            <td>${this._escapeHtml(`${entry.targetType ? `${entry.targetType}: ` : ''}${target}${channel}`)}</td>
+            <td>${this._formatValues(entry.before)}</td>
+            <td>${this._formatValues(entry.after)}</td>
+        `;
+        return rowEl;
+    }
+
+    // Before and after values as a key/value list; nested values are shown as JSON
+    _formatValues(values) {
+        if (!values) return '';
+        return Object.entries(values).map(([key, value]) => {
+            const text = value === null || value === undefined ? '(none)' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return `<div class="audit-log-value"><span class="audit-log-key">${this._escapeHtml(key)}:</span> ${this._escapeHtml(text)}</div>`;
+        }).join('');
+    }
+
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const page = new AuditLogPage();
+    page.load();
+});
@@ -51,8 +51,89 @@ class ChatManager {
         this.expectedChunkSize = 15; // Number of messages to load in each lazy loading chunk
         this.hasMoreMessagesToLoad = true; // Whether there are more messages to load
         this.isLoadingMoreMessages = false; // Whether we're currently loading more messages
-        this.currentMessageOffset = 0; // Current offset for pagination
+        this.hasNewerMessagesToLoad = false; // Whether the loaded history stops short of the newest message
+        this.oldestMessageCursor = null; // Cursor for the page before the loaded messages
+        this.newestMessageCursor = null; // Cursor for the page after the loaded messages
         this.scrollObserver = null; // Intersection observer for lazy loading
+        
+        // --- Thread Panel Variables ---
+        this.activeThreadId = null; // ID of the parent message whose thread is open
+        this.threadRepliesPerPage = 20; // Number of replies to load at once
+        this.hasMoreThreadReplies = false; // Whether the open thread has older replies
+        this.isLoadingThreadReplies = false; // Whether we're currently loading thread replies
+        this.oldestThreadReplyTimestamp = null; // Cursor for loading older replies
+        
+        // --- Pinned Messages Variables ---
+        this.pinnedMessages = []; // Pins for the current channel, newest first
+        this.pinnedMessageIds = new Set(); // Quick lookup for rendering pin state on messages
+        
+        // --- Search Variables ---
+        this.searchQuery = ''; // Query behind the results currently shown
+        this.searchCursor = null; // Cursor for the next page of results
+        this.isSearching = false; // Whether a search request is in flight
+        this.pendingJumpMessageId = null; // Message to scroll to once its conversation has loaded
+        
+        // --- Mention Variables ---
+        this.activeUsernames = []; // Online usernames, offered first by mention autocomplete
+        this.mentionSuggestions = []; // Usernames currently shown in the autocomplete popup
+        this.mentionSuggestionIndex = 0; // Highlighted autocomplete entry
+        this.unreadMentionCount = 0; // Mentions received since the inbox was last opened
+        this.mentionsCursor = null; // Cursor for the next page of the mentions inbox
+        this.isLoadingMentions = false; // Whether a mentions inbox request is in flight
+        
+        // --- Slash Command Variables ---
+        this.commands = null; // Commands from the server, loaded the first time "/" is typed
+        this.isLoadingCommands = false; // Whether the command list request is in flight
+        this.commandSuggestions = []; // Commands currently shown in the palette
+        this.commandSuggestionIndex = 0; // Highlighted palette entry
+        this.commandHint = null; // Command whose usage is shown while its arguments are typed
+        this.userNicknames = {}; // Nicknames changed with /nick since the messages were loaded
+        this.mutedChannels = new Map(); // Channel -> when its mute ends (null for until /unmute)
+        
+        // --- Read State Variables ---
+        this.readStates = { channels: {}, dms: {} }; // Unread and mention counts and read markers per conversation
+        this.unreadDivider = { key: null, lastReadAt: null, unreadCount: 0 }; // Where the "new messages" divider goes in the open conversation
+        this.markReadTimer = null; // Debounces read markers sent while scrolling
+        this.dmPeerReadAt = null; // How far the other person in the open DM has read
+        
+        // --- Outbox Variables ---
+        this.outbox = window.MessageOutbox ? new window.MessageOutbox() : null; // Keeps unsent messages across reloads
+        this.outboxEntries = new Map(); // tempId -> message waiting for the server to confirm it
+        this.outboxTimer = null; // Next scheduled resend
+        this.isFlushingOutbox = false; // Whether queued messages are being sent right now
+        this.outboxAckTimeoutMs = 10000; // How long to wait for the server to confirm a send
+        this.outboxRetryBaseMs = 2000; // First resend delay, doubled after each unanswered attempt
+        this.outboxRetryMaxMs = 60000; // Longest wait between resends
+        this.outboxMaxAttempts = 6; // Unanswered attempts before a message is marked failed
+        
+        // --- Typing Variables ---
+        this.typingUsers = {}; // 'channel:<name>' or 'dm:<userId>' -> users typing there
+        this.typingConversation = null; // Where the server currently thinks this user is typing
+        this.lastTypingSentAt = 0; // When the last "still typing" refresh was sent
+        this.typingRefreshMs = 3000; // How often to remind the server while the user keeps typing
+        this.typingIdleMs = 5000; // How long a pause stops the typing indicator
+        this.typingIdleTimer = null; // Stops the indicator after a pause
+        
+        // --- Presence Variables ---
+        this.userPresence = {}; // userId -> { username, status, customStatus, lastSeen } as the server last sent it
+        this.myCustomStatus = null; // The user's own custom status, { text, emoji, expiresAt }
+        this.idleAfterMs = 5 * 60 * 1000; // Inactivity before the user is shown as idle
+        this.idleWhenHiddenMs = 60 * 1000; // Time in a background tab before the user is shown as idle
+        this.idleTimer = null; // Marks the user idle when it fires
+        this.isAutoIdle = false; // Whether the server was told the user stepped away
+        this.lastActivityAt = 0; // Last input counted towards staying online
+        
+        // --- Channel Variables ---
+        this.channelPermissions = {}; // channel -> what the user may do there, from the server
+        this.defaultChannels = null; // Channels built into the sidebar, kept when the list is refreshed
+        this.privateChannels = new Set(); // Channels only open to their members
+        this.archivedChannels = new Set(); // Read-only channels, hidden from the sidebar unless shown
+        this.channelRoles = {}; // channel -> the user's role there
+        this.showArchivedChannels = false; // Whether archived channels are listed in the sidebar
+        this.channelCategories = {}; // channel -> ID of the sidebar category it sits in
+        this.mutedCategories = new Set(); // Categories whose channels don't notify
+        this.channelSlowMode = {}; // channel -> seconds between messages, 0 when slow mode is off
+        this.blockedUserIds = new Set(); // Users this user has blocked; their channel messages are collapsed
 
         // Set up keep-alive mechanism to prevent Glitch from sleeping
         this.setupKeepAlive();
@@ -71,6 +152,12 @@ class ChatManager {
                     menu.classList.remove('show');
                 });
             }
+            
+            // Reveal spoilers on click
+            const spoiler = event.target.closest('.md-spoiler');
+            if (spoiler) {
+                spoiler.classList.add('revealed');
+            }
         });
         
         // Check if user is logged in via session storage
@@ -141,8 +228,18 @@ class ChatManager {
             
             if (this.socket && this.socket.connected) {
                 this.performInitialDataFetch();
+                this._loadMutedChannels();
+                this._loadBlockList();
+                this._loadChannels();
+                this._loadUnreadCounts();
             }
             
+            // Queued messages are shown (and resent once connected) right away
+            this._loadOutbox();
+            
+            // Opened from an invite link
+            this._redeemInviteFromUrl();
+            
             console.log('[CHAT_DEBUG] Chat interface initialized');
         } catch (error) {
             console.error('[CHAT_DEBUG] Error initializing chat:', error);
@@ -479,6 +576,99 @@ class ChatManager {
             settingsModal.hide();
         });
         
+        // Search panel toggle
+        document.getElementById('search-messages-button')?.addEventListener('click', () => {
+            this._toggleSearchPanel();
+        });
+        
+        // Pinned messages drawer toggle
+        document.getElementById('pinned-messages-button')?.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this._togglePinnedDrawer();
+        });
+        
+        // Mentions inbox toggle
+        document.getElementById('mentions-button')?.addEventListener('click', () => {
+            this._toggleMentionsPanel();
+        });
+        
+        // Rename, archive or delete the current channel
+        document.getElementById('channel-settings-button')?.addEventListener('click', () => {
+            if (!this.isDMMode) this._openChannelSettingsModal(this.currentChannel.replace(/^#/, ''));
+        });
+        
+        // Switch between the All, Pending and Blocked friends tabs
+        document.querySelectorAll('.friend-tab-btn').forEach(tabBtn => {
+            tabBtn.addEventListener('click', () => {
+                const tab = tabBtn.getAttribute('data-tab');
+                document.querySelectorAll('.friend-tab-btn').forEach(btn => btn.classList.toggle('active', btn === tabBtn));
+                document.querySelectorAll('.friends-tab-pane').forEach(pane => pane.classList.toggle('active', pane.id === `friends-${tab}`));
+                if (tab === 'pending') this._loadPendingRequests();
+                if (tab === 'blocked') this._loadBlockedUsers();
+            });
+        });
+        
+        // Admins add sidebar categories
+        document.getElementById('add-category-btn')?.addEventListener('click', () => {
+            this._createCategory();
+        });
+        
+        // Slow mode, bans and timeouts for the current channel
+        document.getElementById('channel-moderation-button')?.addEventListener('click', () => {
+            if (!this.isDMMode) this._openChannelModerationModal(this.currentChannel.replace(/^#/, ''));
+        });
+        
+        // Invite links for the current private channel
+        document.getElementById('channel-invites-button')?.addEventListener('click', () => {
+            if (!this.isDMMode) this._openInviteModal(this.currentChannel.replace(/^#/, ''));
+        });
+        
+        // Scheduled messages panel toggle
+        document.getElementById('scheduled-messages-button')?.addEventListener('click', () => {
+            this._toggleScheduledPanel();
+        });
+        
+        // Schedule the composed message for later
+        document.getElementById('schedule-message-button')?.addEventListener('click', () => {
+            this._openScheduleModal();
+        });
+        
+        // Post a poll in the current conversation
+        document.getElementById('create-poll-button')?.addEventListener('click', () => {
+            this._openPollModal();
+        });
+        
+        // Messages count as read once the user scrolls down to them with the tab visible
+        this.messagesContainer?.addEventListener('scroll', () => {
+            this._updateJumpToUnreadButton();
+            if (this._isScrolledToLatest()) this._scheduleMarkRead();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this._scheduleMarkRead();
+        });
+        
+        // Show the user as idle when they step away, and online again when they're back
+        this._setupIdleDetection();
+        
+        // Status and custom status controls in the settings modal
+        document.querySelectorAll('.status-selector [data-status]').forEach(button => {
+            button.addEventListener('click', () => this._setUserStatus(button.getAttribute('data-status')));
+        });
+        document.getElementById('save-settings')?.addEventListener('click', () => this._saveCustomStatus());
+        
+        // Mention autocomplete while typing
+        this.messageInput?.addEventListener('input', () => this._updateMentionSuggestions());
+        this.messageInput?.addEventListener('keydown', (event) => this._handleMentionKeydown(event));
+        this.messageInput?.addEventListener('blur', () => setTimeout(() => this._hideMentionSuggestions(), 150));
+        
+        // Command palette while typing a slash command
+        this.messageInput?.addEventListener('input', () => this._updateCommandPalette());
+        
+        // Let the people in this conversation see that the user is typing
+        this.messageInput?.addEventListener('input', () => this._handleTypingInput());
+        this.messageInput?.addEventListener('keydown', (event) => this._handleCommandKeydown(event));
+        this.messageInput?.addEventListener('blur', () => setTimeout(() => this._hideCommandPalette(), 150));
+        
         // Send message button click handler
         this.sendButton?.addEventListener('click', () => {
             console.log('[CHAT_DEBUG] Send message button clicked');
@@ -848,10 +1038,18 @@ _showEmptyFriendsState(container, isError = false) {
     // Create a friend list item element
     _createFriendListItem(friendship) {
         // Get the friend's user ID (the other user in the friendship)
-        const friendUserId = friendship.user_id;
-        const friendUsername = friendship.username || 'Unknown User';
-        const friendStatus = friendship.status || 'offline';
-        const friendAvatarUrl = friendship.avatar_url || 'https://cdn.glitch.global/2ac452ce-4fe9-49bc-bef8-47241df17d07/default%20pic.png?v=1746110048911';
+        const friendUserId = friendship.friend_id || friendship.user_id;
+        const friendUsername = friendship.friend_username || friendship.username || 'Unknown User';
+        const friendStatus = friendship.friend_status || friendship.status || 'offline';
+        const friendAvatarUrl = friendship.friend_avatar_url || friendship.avatar_url || 'https://cdn.glitch.global/2ac452ce-4fe9-49bc-bef8-47241df17d07/default%20pic.png?v=1746110048911';
+        
+        // Remember the friend's presence so status updates can redraw this item
+        this.userPresence[friendUserId] = {
+            username: friendUsername,
+            status: friendStatus,
+            customStatus: friendship.friend_custom_status || null,
+            lastSeen: friendship.friend_last_seen || null
+        };
         
         // Create the friend item element
         const friendItem = document.createElement('div');
@@ -866,7 +1064,7 @@ _showEmptyFriendsState(container, isError = false) {
             </div>
             <div class="friend-info">
                 <div class="friend-name">${friendUsername}</div>
-                <div class="friend-status">${this._formatStatus(friendStatus)}</div>
+                <div class="friend-status">${this._escapeHtml(this._formatPresenceText(this.userPresence[friendUserId]))}</div>
             </div>
             <div class="friend-actions">
                 <button class="btn btn-sm btn-primary message-btn" title="Message">
@@ -896,6 +1094,8 @@ _showEmptyFriendsState(container, isError = false) {
                 return 'Idle';
             case 'dnd':
                 return 'Do Not Disturb';
+            case 'invisible':
+                return 'Invisible';
             case 'offline':
             default:
                 return 'Offline';
@@ -928,6 +1128,7 @@ _showEmptyFriendsState(container, isError = false) {
                         <div class="mb-3">
                             <label for="friend-code-input" class="form-label">Friend Code</label>
                             <input type="text" class="form-control" id="friend-code-input" placeholder="Enter friend code">
+                            <div class="form-text">Enter a username, a friend code, or both</div>
                         </div>
                         <hr>
                         <div class="friend-code-container">
@@ -964,18 +1165,16 @@ _showEmptyFriendsState(container, isError = false) {
                 const username = usernameInput.value.trim();
                 const friendCode = friendCodeInput.value.trim();
                 
-                if (!username) {
-                    this._showNotification('Please enter a username', 'error');
-                    return;
-                }
-                
-                if (!friendCode) {
-                    this._showNotification('Please enter a friend code', 'error');
+                if (!username && !friendCode) {
+                    this._showNotification('Please enter a username or friend code', 'error');
                     return;
                 }
                 
-                // Send friend request with both username and friend code
-                this.socket.emit('add-friend-by-username-code', { username, friendCode }, (response) => {
+                // Send friend request with whichever of username and friend code were given
+                const target = {};
+                if (username) target.username = username;
+                if (friendCode) target.friendCode = friendCode;
+                this.socket.emit('send-friend-request', target, (response) => {
                     if (response && response.success) {
                         // Show success notification
                         this._showNotification(`Friend request sent to ${response.recipientUsername}`, 'success');
@@ -1028,48 +1227,63 @@ _showEmptyFriendsState(container, isError = false) {
         this._showAddFriendModal();
     }
     
-    // Load pending friend requests
+    // Load pending friend requests, incoming first
     _loadPendingRequests() {
         console.log('[CHAT_DEBUG] Loading pending friend requests');
         
-        // Get the friends list container
-        const friendsListContainer = document.getElementById('friends-list');
-        if (!friendsListContainer) return;
+        // Get the pending requests container
+        const pendingListContainer = document.getElementById('pending-requests-list');
+        if (!pendingListContainer) return;
         
         // Clear the container
-        friendsListContainer.innerHTML = '';
+        pendingListContainer.innerHTML = '';
         
         // Show loading indicator
         const loadingIndicator = document.createElement('div');
         loadingIndicator.className = 'loading-indicator';
         loadingIndicator.innerHTML = '<div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div>';
-        friendsListContainer.appendChild(loadingIndicator);
+        pendingListContainer.appendChild(loadingIndicator);
         
         // Request pending friend requests from server
-        this.socket.emit('get-pending-requests', {}, (response) => {
+        this.socket.emit('get-friend-requests', {}, (response) => {
             // Remove loading indicator
             loadingIndicator.remove();
             
-            if (response && response.success && response.requests) {
-                const pendingRequests = response.requests;
-                
-                if (pendingRequests.length === 0) {
-                    // Show empty state
-                    this._showEmptyPendingState(friendsListContainer);
-                } else {
-                    // Display pending requests
-                    pendingRequests.forEach(request => {
-                        const requestItem = this._createPendingRequestItem(request);
-                        friendsListContainer.appendChild(requestItem);
-                    });
-                }
-            } else {
+            if (!response || !response.success) {
                 // Show error state
-                this._showEmptyPendingState(friendsListContainer, true);
+                this._showEmptyPendingState(pendingListContainer, true);
+                return;
+            }
+            
+            if (response.incoming.length === 0 && response.outgoing.length === 0) {
+                // Show empty state
+                this._showEmptyPendingState(pendingListContainer);
+                return;
             }
+            
+            [['Incoming', response.incoming], ['Outgoing', response.outgoing]].forEach(([label, requests]) => {
+                if (requests.length === 0) return;
+                
+                const headingEl = document.createElement('div');
+                headingEl.className = 'pending-requests-heading';
+                headingEl.textContent = `${label} — ${requests.length}`;
+                pendingListContainer.appendChild(headingEl);
+                
+                requests.forEach(request => {
+                    pendingListContainer.appendChild(this._createPendingRequestItem(request));
+                });
+            });
         });
     }
     
+    // Redraw the friends lists after a friend request changes, if they are on screen
+    _refreshFriendLists(friendsChanged = false) {
+        if (document.getElementById('friends-section')?.classList.contains('d-none')) return;
+        
+        this._loadPendingRequests();
+        if (friendsChanged) this._loadFriendsList();
+    }
+    
     // Show empty pending requests state
     _showEmptyPendingState(container, isError = false) {
         const emptyState = document.createElement('div');
@@ -1095,7 +1309,7 @@ _showEmptyFriendsState(container, isError = false) {
     // Create a pending request item element
     _createPendingRequestItem(request) {
         const isIncoming = request.direction === 'incoming';
-        const username = request.username || 'Unknown User';
+        const username = this._escapeHtml(request.username || 'Unknown User');
         const avatarUrl = request.avatar_url || 'https://cdn.glitch.global/2ac452ce-4fe9-49bc-bef8-47241df17d07/default%20pic.png?v=1746110048911';
         
         // Create the request item element
@@ -1171,9 +1385,6 @@ _showEmptyFriendsState(container, isError = false) {
             if (response && response.success) {
                 // Show success notification
                 this._showNotification('Friend request accepted!', 'success');
-                
-                // Reload pending requests
-                this._loadPendingRequests();
             } else {
                 // Show error notification
                 this._showNotification(response?.message || 'Failed to accept friend request', 'error');
@@ -1187,9 +1398,6 @@ _showEmptyFriendsState(container, isError = false) {
             if (response && response.success) {
                 // Show success notification
                 this._showNotification('Friend request rejected', 'success');
-                
-                // Reload pending requests
-                this._loadPendingRequests();
             } else {
                 // Show error notification
                 this._showNotification(response?.message || 'Failed to reject friend request', 'error');
@@ -1203,9 +1411,6 @@ _showEmptyFriendsState(container, isError = false) {
             if (response && response.success) {
                 // Show success notification
                 this._showNotification('Friend request cancelled', 'success');
-                
-                // Reload pending requests
-                this._loadPendingRequests();
             } else {
                 // Show error notification
                 this._showNotification(response?.message || 'Failed to cancel friend request', 'error');
@@ -1217,8 +1422,8 @@ _showEmptyFriendsState(container, isError = false) {
     _loadBlockedUsers() {
         console.log('[CHAT_DEBUG] Loading blocked users');
         
-        // Get the friends list container
-        const friendsListContainer = document.getElementById('friends-list');
+        // Get the blocked users list container
+        const friendsListContainer = document.getElementById('blocked-users-list');
         if (!friendsListContainer) return;
         
         // Clear the container
@@ -1237,6 +1442,7 @@ _showEmptyFriendsState(container, isError = false) {
             
             if (response && response.success && response.blockedUsers) {
                 const blockedUsers = response.blockedUsers;
+                this.blockedUserIds = new Set(blockedUsers.map(user => user.id));
                 
                 if (blockedUsers.length === 0) {
                     // Show empty state
@@ -1318,6 +1524,9 @@ _showEmptyFriendsState(container, isError = false) {
     _unblockUser(userId) {
         this.socket.emit('unblock-user', { userId }, (response) => {
             if (response && response.success) {
+                this.blockedUserIds.delete(userId);
+                this._applyBlockedState(userId);
+                
                 // Show success notification
                 this._showNotification('User unblocked', 'success');
                 
@@ -1330,6 +1539,68 @@ _showEmptyFriendsState(container, isError = false) {
         });
     }
 
+    // Load the IDs of blocked users, so their messages can be collapsed
+    _loadBlockList() {
+        this.socket.emit('get-blocked-users', {}, (response) => {
+            if (!response || !response.success) return;
+            this.blockedUserIds = new Set(response.blockedUsers.map(user => user.id));
+            this.blockedUserIds.forEach(userId => this._applyBlockedState(userId));
+        });
+    }
+
+    // Block a user after confirming; they can no longer DM, friend-request, mention or call this user
+    _blockUser(userId, username) {
+        if (!confirm(`Block ${username}? They won't be able to message, call or mention you, and any friendship between you will end.`)) return;
+
+        this.socket.emit('block-user', { userId }, (response) => {
+            if (!response || !response.success) {
+                this._showNotification(response?.message || 'Failed to block user', 'error');
+                return;
+            }
+            this.blockedUserIds.add(userId);
+            this._applyBlockedState(userId);
+            this._loadBlockedUsers();
+            this._showNotification(`${username} is blocked`, 'success');
+        });
+    }
+
+    // Collapse or restore the channel messages already shown from a user after blocking or unblocking them
+    _applyBlockedState(userId) {
+        if (this.isDMMode) return;
+        document.querySelectorAll(`.message[data-sender-id="${userId}"]`).forEach(messageEl => {
+            this._applyBlockedMessageState(messageEl);
+            const label = messageEl.querySelector('.block-action-label');
+            if (label) label.textContent = this.blockedUserIds.has(userId) ? 'Unblock User' : 'Block User';
+        });
+    }
+
+    // A blocked user's message is hidden behind a notice with a "Show anyway" button
+    _applyBlockedMessageState(messageEl) {
+        const blocked = this.blockedUserIds.has(messageEl.getAttribute('data-sender-id'));
+        messageEl.classList.toggle('blocked-message', blocked);
+        let noticeEl = messageEl.querySelector('.blocked-message-notice');
+
+        if (!blocked) {
+            messageEl.classList.remove('revealed');
+            noticeEl?.remove();
+            return;
+        }
+        if (noticeEl) return;
+
+        noticeEl = document.createElement('div');
+        noticeEl.className = 'blocked-message-notice';
+        noticeEl.innerHTML = `
+            <i class="bi bi-slash-circle"></i>
+            <span>Message from a blocked user</span>
+            <button type="button" class="btn btn-link btn-sm blocked-message-toggle">Show anyway</button>
+        `;
+        noticeEl.querySelector('.blocked-message-toggle').addEventListener('click', (e) => {
+            const revealed = messageEl.classList.toggle('revealed');
+            e.currentTarget.textContent = revealed ? 'Hide' : 'Show anyway';
+        });
+        messageEl.prepend(noticeEl);
+    }
+
     // Start a DM conversation with a user
     _startDMConversation(userId, username) {
         console.log(`[CHAT_DEBUG] Starting DM conversation with ${username} (${userId})`);
@@ -1348,21 +1619,21 @@ _showEmptyFriendsState(container, isError = false) {
             this.chatTitle.innerHTML = `<i class="bi bi-chat-fill me-2"></i> ${username}`;
         }
         
-        // Load DM messages
-        this.socket.emit('get-dm-messages', { recipientId: userId }, (response) => {
-            if (response && response.messages) {
-                // Cache the messages
-                this.dmConversations[userId] = response.messages;
-                
-                // Display the messages
-                this._displayDMConversation(userId);
-            }
-        });
+        // Load the newest page of the conversation
+        this._requestHistoryPage();
     }
     
     // Display a DM conversation
     _displayDMConversation(userId) {
         console.log(`[CHAT_DEBUG] Displaying DM conversation with user ${userId}`);
+        this._applyChannelPermissions(null);
+        
+        // Reset lazy loading state until the server sends this conversation's cursors
+        this.hasMoreMessagesToLoad = true;
+        this.hasNewerMessagesToLoad = false;
+        this.isLoadingMoreMessages = false;
+        this.oldestMessageCursor = null;
+        this.newestMessageCursor = null;
         
         // Clear messages container
         if (this.messagesContainer) {
@@ -1389,8 +1660,20 @@ _showEmptyFriendsState(container, isError = false) {
                 
                 // Scroll to bottom
                 this._scrollToBottom();
+                
+                // Mark where the unread messages start, then record that they've been seen
+                this._prepareUnreadDivider({ recipientId: userId });
+                this._renderUnreadDivider();
+                this._scheduleMarkRead();
             }
+            
+            this._loadDMPeerReadState(userId);
+            
+            // Messages still in the outbox sit below the history
+            this._renderOutboxMessages();
         }
+        
+        this._renderTypingIndicator();
     }
     
     // Setup socket listeners
@@ -1406,6 +1689,19 @@ _showEmptyFriendsState(container, isError = false) {
             if (this.currentUser && this.currentUser.id) {
                 console.log('[CHAT_DEBUG] User authenticated, performing initial data fetch');
                 this.performInitialDataFetch();
+                this._loadMutedChannels();
+                this._loadBlockList();
+                this._loadChannels();
+                this._loadUnreadCounts();
+                
+                // Resend anything queued while offline without waiting out its backoff
+                this.outboxEntries.forEach(entry => {
+                    if (entry.status === 'pending') {
+                        entry.nextAttemptAt = 0;
+                        this._renderOutboxState(entry);
+                    }
+                });
+                this._flushOutbox();
             } else {
                 console.log('[CHAT_DEBUG] Waiting for user authentication before fetching data');
                 // We'll fetch data when user is fully authenticated
@@ -1415,127 +1711,442 @@ _showEmptyFriendsState(container, isError = false) {
         this.socket.on('disconnect', () => {
             console.log('[CHAT_DEBUG] Socket disconnected');
             this.isSocketConnected = false;
+            this.outboxEntries.forEach(entry => this._renderOutboxState(entry));
+        });
+        
+        // A send was rejected; messages from the outbox carry their tempId
+        this.socket.on('message-error', (data) => {
+            console.error('[CHAT_DEBUG] Message error:', data);
+            // Bans, timeouts and slow mode are worth telling the user about straight away
+            if (data && data.moderation) {
+                this._showNotification(data.message, 'warning');
+            }
+            if (data && data.tempId && this.outboxEntries.has(data.tempId)) {
+                this._failOutboxMessage(data.tempId, data.message);
+            }
         });
         
         // Handle active users updates
         this.socket.on('active-users', (users) => {
             console.log('[CHAT_DEBUG] Received active users:', users);
+            // Remember who is online for mention autocomplete
+            this.activeUsernames = (users || [])
+                .map(user => (typeof user === 'string' ? user : user && user.username))
+                .filter(Boolean);
             // Update UI with active users
             this._updateActiveUsersList(users);
         });
         
-        // Handle message history
+        // Handle message history, one cursor page at a time
         this.socket.on('message-history', (data) => {
-            console.log(`[CHAT_DEBUG] Received message history for ${data.channel}:`, data.messages.length);
+            console.log(`[CHAT_DEBUG] Received ${data.mode || 'latest'} message history for ${data.channel}:`, data.messages.length);
+            this._handleHistoryPage(data, { channel: data.channel });
+        });
+        
+        // Handle incoming messages
+        this.socket.on('message', (message) => {
+            console.log('[CHAT_DEBUG] Received new message:', message);
+            this._handleIncomingChannelMessage(message);
+        });
+        
+        // Scheduled messages report back once they have gone out
+        this.socket.on('scheduled-message-sent', (data) => {
+            console.log('[CHAT_DEBUG] Scheduled message sent:', data);
+            this._showNotification('Your scheduled message was sent', 'success');
+            this._refreshScheduledPanel();
+        });
+        
+        this.socket.on('scheduled-message-failed', (data) => {
+            console.log('[CHAT_DEBUG] Scheduled message failed:', data);
+            this._showNotification((data && data.error) || 'A scheduled message could not be sent', 'error');
+            this._refreshScheduledPanel();
+        });
+        
+        // Private replies to slash commands
+        this.socket.on('command-response', (data) => {
+            console.log('[CHAT_DEBUG] Command response:', data);
+            if (!data || !data.content) return;
+            this._showEphemeralMessage(data.content, { level: data.level === 'error' ? 'error' : 'info' });
+        });
+        
+        // A reminder set with /remind has come due
+        this.socket.on('reminder', (data) => {
+            console.log('[CHAT_DEBUG] Reminder:', data);
+            if (!data) return;
             
-            // Determine if this is an initial load or a lazy load of older messages
-            const isLazyLoad = data.isOlderMessages === true;
+            const where = data.channel ? ` (from #${data.channel})` : '';
+            this._showEphemeralMessage(`Reminder: ${data.content}${where}`, {
+                icon: 'bi-alarm',
+                action: data.channel && !this._isCurrentChannel(data.channel)
+                    ? { label: `Open #${data.channel}`, onClick: () => this._openChannel(data.channel) }
+                    : null
+            });
+            this._showNotification(`Reminder: ${this._toPlainText(data.content)}`, 'info');
+            this._playNotificationSound?.();
+            this._refreshScheduledPanel();
+        });
+        
+        // Someone invited the current user to a channel with /invite
+        this.socket.on('channel-invite', (data) => {
+            console.log('[CHAT_DEBUG] Channel invite:', data);
+            if (!data || !data.channel) return;
             
-            if (isLazyLoad) {
-                // For lazy loading, prepend messages to existing ones
-                const currentScrollHeight = this.messagesContainer.scrollHeight;
-                const currentScrollPosition = this.messagesContainer.scrollTop;
-                
-                // Get current first message element for reference
-                const firstMessage = this.messagesContainer.querySelector('.message');
-                
-                // Store the current height of the first message if it exists
-                const firstMessageHeight = firstMessage ? firstMessage.offsetHeight : 0;
-                
-                // Prepend older messages to the existing channel messages
-                if (!this.channelMessages[data.channel]) {
-                    this.channelMessages[data.channel] = [];
-                }
-                
-                // Add older messages at the beginning of the array
-                this.channelMessages[data.channel] = [...data.messages, ...this.channelMessages[data.channel]];
-                
-                // Display only the new messages at the top
-                this._prependOlderMessages(data.channel, data.messages);
-                
-                // Maintain scroll position after adding messages
-                if (firstMessage) {
-                    // Calculate new scroll position to keep the same message in view
-                    const newScrollHeight = this.messagesContainer.scrollHeight;
-                    const heightDifference = newScrollHeight - currentScrollHeight;
-                    this.messagesContainer.scrollTop = currentScrollPosition + heightDifference;
-                }
-                
-                // Update lazy loading state
-                this.isLoadingMoreMessages = false;
-                
-                // If we received fewer messages than requested, we've reached the beginning
-                if (data.messages.length < this.messagesPerPage) {
-                    this.hasMoreMessagesToLoad = false;
-                    
-                    // Add a "beginning of conversation" indicator
-                    if (data.messages.length > 0 && !this.messagesContainer.querySelector('.beginning-message')) {
-                        const beginningMessage = document.createElement('div');
-                        beginningMessage.className = 'beginning-message';
-                        beginningMessage.textContent = 'Beginning of conversation';
-                        this.messagesContainer.insertBefore(beginningMessage, this.messagesContainer.firstChild);
-                    }
+            this._showEphemeralMessage(`${data.inviter} invited you to #${data.channel}`, {
+                icon: 'bi-envelope-open',
+                action: { label: `Open #${data.channel}`, onClick: () => this._openChannel(data.channel) }
+            });
+            this._showNotification(`${data.inviter} invited you to #${data.channel}`, 'info');
+        });
+        
+        // Channel topic changed with /topic
+        this.socket.on('channel-topic-updated', (data) => {
+            console.log('[CHAT_DEBUG] Channel topic updated:', data);
+            if (!data || this.isDMMode || !this._isCurrentChannel(data.channel)) return;
+            this._setChannelTopic(data.topic);
+        });
+        
+        // A channel the user can see was created
+        this.socket.on('channel-created', (data) => {
+            console.log('[CHAT_DEBUG] Channel created:', data);
+            this._loadChannels();
+        });
+        
+        // An admin changed the categories or moved channels around
+        this.socket.on('channel-layout-updated', (data) => {
+            console.log('[CHAT_DEBUG] Channel layout updated:', data);
+            this._loadChannels();
+        });
+        
+        // The current user collapsed or muted a category, possibly from another tab
+        this.socket.on('category-preference-updated', (data) => {
+            console.log('[CHAT_DEBUG] Category preference updated:', data);
+            if (!data || !data.categoryId) return;
+            this._applyCategoryPreference(data.categoryId, data.collapsed, data.muted);
+        });
+        
+        // A channel was renamed or its description or topic changed
+        this.socket.on('channel-updated', (data) => {
+            console.log('[CHAT_DEBUG] Channel updated:', data);
+            if (!data || !data.channel) return;
+            
+            const wasCurrent = !this.isDMMode && this._isCurrentChannel(data.channel);
+            if (data.name && data.name !== data.channel) {
+                this._renameChannelLocally(data.channel, data.name);
+            }
+            this._loadChannels();
+            
+            if (wasCurrent) {
+                if (this.chatTitle) {
+                    this.chatTitle.innerHTML = `<i class="bi bi-hash me-2"></i> ${this._escapeHtml(data.name)}`;
                 }
+                this._setChannelTopic(data.topic);
+            }
+        });
+        
+        // A channel was archived or unarchived
+        this.socket.on('channel-archived', (data) => {
+            console.log('[CHAT_DEBUG] Channel archived:', data);
+            if (!data || !data.channel) return;
+            
+            if (data.archived) {
+                this.archivedChannels.add(data.channel);
             } else {
-                // For initial load, replace existing messages
-                this.channelMessages[data.channel] = data.messages;
-                
-                // If this is the current channel, display messages
-                if (data.channel === this.currentChannel) {
-                    this._displayChannelMessages(data.channel);
-                }
-                
-                // Reset lazy loading state for new channel
-                this.hasMoreMessagesToLoad = data.messages.length >= this.messagesPerPage;
-                this.isLoadingMoreMessages = false;
-                this.currentMessageOffset = data.messages.length;
+                this.archivedChannels.delete(data.channel);
+            }
+            this._loadChannels();
+            
+            // Refetch permissions, which change while a channel is archived
+            if (!this.isDMMode && this._isCurrentChannel(data.channel)) {
+                this._loadChannelTopic(data.channel);
             }
         });
         
-        // Handle incoming messages
-        this.socket.on('message', (message) => {
-            console.log('[CHAT_DEBUG] Received new message:', message);
+        // A channel was deleted
+        this.socket.on('channel-deleted', (data) => {
+            console.log('[CHAT_DEBUG] Channel deleted:', data);
+            if (!data || !data.channel) return;
             
-            // Add message to appropriate channel cache
-            const channel = message.channel || 'general';
-            if (!this.channelMessages[channel]) {
-                this.channelMessages[channel] = [];
+            delete this.channelMessages[data.channel];
+            delete this.channelPermissions[data.channel];
+            if (this.defaultChannels && this.defaultChannels.includes(data.channel)) {
+                this.defaultChannels = this.defaultChannels.filter(name => name !== data.channel);
+                document.querySelector(`#channels-list .list-item[data-channel="${data.channel}"]`)?.remove();
             }
-            this.channelMessages[channel].push(message);
+            this._loadChannels();
             
-            // If this is the current channel, display the message
-            if (channel === this.currentChannel || 
-                (this.currentChannel.startsWith('#') && channel === this.currentChannel.substring(1))) {
-                this._displayMessage(message);
+            if (!this.isDMMode && this._isCurrentChannel(data.channel)) {
+                this._showNotification(`#${data.channel} was deleted by ${data.deletedByUsername}`, 'warning');
+                this._openChannel('general');
             }
+        });
+        
+        // The user's role in a channel changed, or they were removed from it
+        this.socket.on('channel-role-updated', (data) => {
+            console.log('[CHAT_DEBUG] Channel role updated:', data);
+            if (!data || !data.channel) return;
             
-            // Play notification sound if message is not from current user
-            if (message.senderId !== this.currentUser.id) {
-                this._playNotificationSound();
+            this.channelPermissions[data.channel] = data.permissions || [];
+            this._loadChannels();
+            
+            if (this.isDMMode || !this._isCurrentChannel(data.channel)) return;
+            if (!this.channelPermissions[data.channel].includes('read')) {
+                this._showNotification(`You no longer have access to #${data.channel}`, 'warning');
+                this._openChannel('general');
+            } else {
+                this._applyChannelPermissions(data.channel);
+            }
+        });
+        
+        // A moderator acted on the current user in a channel
+        this.socket.on('channel-moderation', (data) => {
+            console.log('[CHAT_DEBUG] Channel moderation:', data);
+            if (!data || !data.channel) return;
+            
+            const reason = data.reason ? ` Reason: ${data.reason}` : '';
+            const until = data.until ? ` until ${new Date(data.until).toLocaleString()}` : '';
+            const notices = {
+                kick: [`${data.by} kicked you from #${data.channel}.${reason}`, 'warning'],
+                ban: [`${data.by} banned you from #${data.channel}${until}.${reason}`, 'warning'],
+                timeout: [`${data.by} timed you out in #${data.channel}${until}.${reason}`, 'warning'],
+                unban: [`${data.by} lifted your ban from #${data.channel}`, 'info'],
+                'timeout-lifted': [`${data.by} lifted your timeout in #${data.channel}`, 'info']
+            };
+            if (notices[data.action]) {
+                this._showNotification(...notices[data.action]);
+            }
+            
+            if (data.action === 'kick' && !this.isDMMode && this._isCurrentChannel(data.channel)) {
+                this._openChannel('general');
+            }
+            if (data.action === 'unban') {
+                this._loadChannels();
+            }
+        });
+        
+        // Slow mode was turned on, changed or turned off
+        // Blocks made or lifted in another tab
+        this.socket.on('user-blocked', (data) => {
+            if (!data || !data.userId) return;
+            this.blockedUserIds.add(data.userId);
+            this._applyBlockedState(data.userId);
+        });
+        
+        this.socket.on('user-unblocked', (data) => {
+            if (!data || !data.userId) return;
+            this.blockedUserIds.delete(data.userId);
+            this._applyBlockedState(data.userId);
+        });
+        
+        this.socket.on('channel-slow-mode-updated', (data) => {
+            console.log('[CHAT_DEBUG] Slow mode updated:', data);
+            if (!data || !data.channel) return;
+            
+            this.channelSlowMode[data.channel] = data.seconds;
+            if (!this.isDMMode && this._isCurrentChannel(data.channel)) {
+                this._applyChannelPermissions(data.channel);
+            }
+        });
+        
+        // Someone changed their nickname with /nick
+        this.socket.on('user-nickname-updated', (data) => {
+            console.log('[CHAT_DEBUG] Nickname updated:', data);
+            if (!data || !data.userId) return;
+            this._applyNicknameUpdate(data.userId, data.nickname);
+        });
+        
+        // The current user muted or unmuted a channel, possibly from another tab
+        this.socket.on('channel-mute-updated', (data) => {
+            console.log('[CHAT_DEBUG] Channel mute updated:', data);
+            if (!data || !data.channel) return;
+            
+            if (data.muted) {
+                this.mutedChannels.set(data.channel, data.mutedUntil);
+            } else {
+                this.mutedChannels.delete(data.channel);
+            }
+        });
+        
+        // Handle message edit events
+        this.socket.on('message-edited', (data) => {
+            console.log('[CHAT_DEBUG] Message edited event received:', data);
+            if (!data || !data.messageId) return;
+            
+            this._applyMessageEdit(data.messageId, data.newContent, data.editedAt);
+        });
+        
+        // Handle pin events for the current channel
+        this.socket.on('message-pinned', (data) => {
+            console.log('[CHAT_DEBUG] Message pinned:', data);
+            if (!data || !data.pin || !this._isCurrentChannel(data.channel)) return;
+            
+            this.pinnedMessages = [data.pin, ...this.pinnedMessages.filter(pin => pin.messageId !== data.messageId)];
+            this.pinnedMessageIds.add(data.messageId);
+            this._updateMessagePinState(data.messageId, true);
+            this._renderPinnedDrawer();
+        });
+        
+        this.socket.on('message-unpinned', (data) => {
+            console.log('[CHAT_DEBUG] Message unpinned:', data);
+            if (!data || !this._isCurrentChannel(data.channel)) return;
+            
+            this.pinnedMessages = this.pinnedMessages.filter(pin => pin.messageId !== data.messageId);
+            this.pinnedMessageIds.delete(data.messageId);
+            this._updateMessagePinState(data.messageId, false);
+            this._renderPinnedDrawer();
+        });
+        
+        // Someone mentioned the current user
+        this.socket.on('mention', (data) => {
+            console.log('[CHAT_DEBUG] Mentioned:', data);
+            if (!data || data.senderId === this.currentUser.id) return;
+            
+            this.unreadMentionCount++;
+            this._updateMentionsBadge();
+            
+            const current = this._getCurrentConversation();
+            if (data.channel && (!current || current.channel !== data.channel || !this._isScrolledToLatest())) {
+                this._getReadState({ channel: data.channel }).mentions++;
+                this._renderUnreadBadges();
+            }
+            
+            const where = data.mentionType === 'user' ? '' : ` (@${data.mentionType})`;
+            this._showNotification(`${data.sender} mentioned you in #${data.channel}${where}`, 'info');
+            this._playNotificationSound?.();
+            
+            // Prepend to the inbox if it is open
+            const panel = document.getElementById('mentions-panel');
+            if (panel && panel.classList.contains('open')) {
+                const listEl = panel.querySelector('.mentions-list');
+                listEl.querySelector('.search-status')?.remove();
+                listEl.prepend(this._createMentionElement({
+                    mentionType: data.mentionType,
+                    createdAt: data.timestamp,
+                    message: {
+                        id: data.messageId,
+                        content: data.content,
+                        sender: data.sender,
+                        senderId: data.senderId,
+                        channel: data.channel,
+                        replyTo: data.replyTo,
+                        timestamp: data.timestamp
+                    }
+                }));
             }
         });
         
-        // Handle friend requests
+        // Link previews arrive after the message itself, and change when the author removes one
+        this.socket.on('link-previews-updated', (data) => {
+            console.log('[CHAT_DEBUG] Link previews updated:', data);
+            if (!data || !data.messageId) return;
+            
+            this._applyLinkPreviewUpdate(data.messageId, data.previews || []);
+        });
+        
+        // Who is typing in a channel, or whether the other person in a DM is
+        this.socket.on('typing-update', (data) => {
+            if (!data || !Array.isArray(data.users) || (!data.channel && !data.dmUserId)) return;
+            
+            const key = data.dmUserId ? `dm:${data.dmUserId}` : `channel:${data.channel}`;
+            this.typingUsers[key] = data.users.filter(user => user.id !== this.currentUser?.id);
+            this._renderTypingIndicator();
+        });
+        
+        // Unread counts pushed after logging in
+        this.socket.on('unread-counts', (summary) => {
+            console.log('[CHAT_DEBUG] Unread counts:', summary);
+            this._applyUnreadSummary(summary);
+        });
+        
+        // The user read a conversation, possibly in another tab
+        this.socket.on('read-state-updated', (data) => {
+            console.log('[CHAT_DEBUG] Read state updated:', data);
+            if (!data || (!data.channel && !data.recipientId)) return;
+            
+            Object.assign(this._getReadState(data.recipientId ? { recipientId: data.recipientId } : { channel: data.channel }), {
+                unread: 0,
+                mentions: 0,
+                lastReadMessageId: data.lastReadMessageId,
+                lastReadAt: data.lastReadAt
+            });
+            this._renderUnreadBadges();
+        });
+        
+        // The other person in a DM read up to a message
+        this.socket.on('dm-read', (data) => {
+            console.log('[CHAT_DEBUG] DM read:', data);
+            if (!data || !this.isDMMode || data.readerId !== this.currentDmRecipientId) return;
+            
+            this.dmPeerReadAt = data.lastReadAt;
+            this._renderSeenIndicator();
+        });
+        
+        // DMs delivered live, including the sender's own copy from another tab
+        this.socket.on('direct-message', (message) => {
+            console.log('[CHAT_DEBUG] Received direct message:', message);
+            this._handleIncomingDirectMessage(message);
+        });
+        
+        // Live poll results, and the final tally when a poll closes
+        this.socket.on('poll-updated', (data) => {
+            console.log('[CHAT_DEBUG] Poll updated:', data);
+            if (!data || !data.messageId || !data.poll) return;
+            
+            this._applyPollUpdate(data.messageId, data.poll);
+        });
+        
+        // Keep reaction chips in sync for everyone viewing the message
+        this.socket.on('reaction-updated', (data) => {
+            console.log('[CHAT_DEBUG] Reactions updated:', data);
+            if (!data || !data.messageId) return;
+            
+            this._applyReactionUpdate(data.messageId, data.reactions || []);
+        });
+        
+        // Keep thread reply counts on parent messages up to date
+        this.socket.on('thread-updated', (data) => {
+            console.log('[CHAT_DEBUG] Thread updated:', data);
+            if (!data || !data.parentId) return;
+            
+            this._updateThreadReplyCount(data.parentId, data.replyCount);
+        });
+        
+        // Friend requests; each event carries the request as this user sees it
         this.socket.on('friend-request-received', (data) => {
             console.log('[CHAT_DEBUG] Received friend request:', data);
-            // Show friend request notification
-            this._showFriendRequestNotification(data);
+            if (!data || !data.request) return;
+            
+            this._showNotification(`${data.request.username} sent you a friend request`, 'info');
+            this._refreshFriendLists();
+        });
+        
+        this.socket.on('friend-request-sent', () => {
+            this._refreshFriendLists();
         });
         
-        // Handle friend request responses
-        this.socket.on('friend-request-response', (data) => {
-            console.log('[CHAT_DEBUG] Friend request response:', data);
-            // Update UI based on response
-            if (data.accepted) {
-                this._addFriendToList(data.friendship);
+        this.socket.on('friend-request-accepted', (data) => {
+            console.log('[CHAT_DEBUG] Friend request accepted:', data);
+            if (!data || !data.request) return;
+            
+            if (data.request.direction === 'outgoing') {
+                this._showNotification(`${data.request.username} accepted your friend request`, 'success');
             }
+            this._refreshFriendLists(true);
+        });
+        
+        // Declines aren't announced to the sender; the request just leaves their list
+        this.socket.on('friend-request-declined', () => {
+            this._refreshFriendLists();
+        });
+        
+        this.socket.on('friend-request-cancelled', () => {
+            this._refreshFriendLists();
         });
         
         // Handle user status changes
         this.socket.on('user-status-change', (data) => {
             console.log('[CHAT_DEBUG] User status change:', data);
             // Update user status in UI
-            this._updateUserStatus(data.username, data.status);
+            this._updateUserStatus(data);
         });
         
         // Listen for avatar updates from other users
@@ -1628,22 +2239,34 @@ _showEmptyFriendsState(container, isError = false) {
         const messageData = {
             content: messageContent,
             channel: dataChannel,
+            isDM: this.isDMMode,
+            recipientId: this.isDMMode ? this.currentDmRecipientId : null,
             timestamp: new Date().toISOString()
         };
         
         // Clear input field immediately for better UX
         this.messageInput.value = '';
         this.messageInput.focus();
+        this._hideCommandPalette();
+        this._stopTyping();
         
         // Play sent message sound
         this._playSentMessageSound();
         
+        // Messages go through the outbox so they survive a dropped connection;
+        // slash commands act on the current state, so they are only ever sent live
+        const isCommand = messageContent.startsWith('/') && !messageContent.startsWith('//');
+        if (!isCommand) {
+            this._queueOutgoingMessage(messageData);
+            return;
+        }
+        
         // Send message via socket with callback
         this.socket.emit('send-message', messageData, (response) => {
             if (response && !response.success) {
                 console.error('[CHAT_DEBUG] Error sending message:', response.message);
-                // Only show alert for actual errors, not just DB storage issues
-                if (response.message !== 'Database error') {
+                // Only show alert for actual errors, not just DB storage issues; message-error reports moderation
+                if (response.message !== 'Database error' && !response.moderation) {
                     alert('Failed to send message: ' + response.message);
                 }
             }
@@ -1661,7 +2284,6 @@ _showEmptyFriendsState(container, isError = false) {
         this.socket.emit('get-channel-messages', { 
             channel: normalizedChannel,
             limit: this.messagesPerPage,
-            offset: 0,
             isInitialLoad: true
         });
         
@@ -1677,13 +2299,22 @@ _showEmptyFriendsState(container, isError = false) {
             this.messagesContainer.innerHTML = '';
         }
         
-        // Reset lazy loading state
+        // Reset lazy loading state until the server sends this conversation's cursors
         this.hasMoreMessagesToLoad = true;
+        this.hasNewerMessagesToLoad = false;
         this.isLoadingMoreMessages = false;
-        this.currentMessageOffset = 0;
+        this.oldestMessageCursor = null;
+        this.newestMessageCursor = null;
+        
+        // Threads belong to the channel they were opened in
+        this._closeThread();
         
         // Get messages for channel - normalize channel name handling
         const channelKey = channel.startsWith('#') ? channel.substring(1) : channel;
+        
+        // Pins are per channel, so refresh them along with the messages
+        this._loadPinnedMessages(channelKey);
+        this._loadChannelTopic(channelKey);
         const messages = this.channelMessages[channelKey] || [];
         
         // Display messages
@@ -1698,6 +2329,11 @@ _showEmptyFriendsState(container, isError = false) {
             
             // Set up lazy loading for older messages
             this._setupLazyLoadingObserver();
+            
+            // Mark where the unread messages start, then record that they've been seen
+            this._prepareUnreadDivider({ channel: channelKey });
+            this._renderUnreadDivider();
+            this._scheduleMarkRead();
         } else {
             console.log(`[CHAT_DEBUG] No messages found for channel ${channel}`);
             
@@ -1716,6 +2352,11 @@ _showEmptyFriendsState(container, isError = false) {
             
             this.messagesContainer.appendChild(emptyMessage);
         }
+        
+        // Messages still in the outbox sit below the history
+        this._renderOutboxMessages();
+        
+        this._renderTypingIndicator();
     }
     
     // Request channel messages from server
@@ -1729,7 +2370,6 @@ _showEmptyFriendsState(container, isError = false) {
         this.socket.emit('get-channel-messages', { 
             channel: dataChannel,
             limit: this.messagesPerPage,
-            offset: 0,
             isInitialLoad: true
         });
     }
@@ -1856,6 +2496,11 @@ _showEmptyFriendsState(container, isError = false) {
     
     // Helper method to create a message element
     _createMessageElement(message, scrollToBottom = true, isGrouped = false) {
+        // System notices (pins, channel changes) get a compact single-line layout
+        if (message.type === 'system') {
+            return this._createSystemMessageElement(message);
+        }
+        
         // Check if message is deleted
         const isDeleted = message.is_deleted === true;
         
@@ -1884,6 +2529,7 @@ _showEmptyFriendsState(container, isError = false) {
         const sender = message.sender || 'Unknown User';
         const senderId = message.senderId || '';
         const isCurrentUser = senderId === this.currentUser.id;
+        const displayName = this._getDisplayName(senderId, sender, message.senderNickname);
         
         // Get avatar URL
         let avatarUrl = 'https://cdn.glitch.global/2ac452ce-4fe9-49bc-bef8-47241df17d07/default%20pic.png?v=1746110048911';
@@ -1909,29 +2555,84 @@ _showEmptyFriendsState(container, isError = false) {
         // Determine message content
         let messageContent = isDeleted 
             ? '<em class="deleted-message">[This message has been deleted]</em>' 
-            : this._formatMessageContent(message.content);
+            : this._formatMessageContent(message.content) + this._editedMarkerHtml(message);
+        
+        // Polls replace the text with a card that is filled in once the element exists
+        const isPoll = message.type === 'poll' && !!message.poll && !isDeleted;
+        if (isPoll) {
+            messageContent = '<div class="poll-card"></div>';
+        }
+        
+        // /me actions read as "name does something"
+        if (message.type === 'action' && !isDeleted) {
+            messageEl.classList.add('action-message');
+            messageContent = `<span class="action-author" title="${this._escapeHtml(sender)}">${this._escapeHtml(displayName)}</span> ${messageContent}`;
+        }
+        
+        // Only top-level channel messages can start a thread
+        const canStartThread = !isDeleted && !message.isDM && !message.replyTo && !!message.id;
+        const canPin = !isDeleted && !message.isDM && !!message.id;
+        const isPinned = canPin && this.pinnedMessageIds.has(message.id);
+        if (isPinned) {
+            messageEl.classList.add('pinned');
+        }
+        const replyCount = message.replyCount || 0;
+        const messageChannel = (message.channel || this.currentChannel || '').replace(/^#/, '');
+        const canModerateSender = !isDeleted && !message.isDM && message.type !== 'system' && !!message.senderId
+            && !isCurrentUser && this._canModerate(messageChannel);
+        const canBlockSender = !!message.senderId && !isCurrentUser;
         
         // Build message HTML - Discord style with all messages aligned left
         messageEl.innerHTML = `
             <img src="${avatarUrl}" alt="${sender}" class="message-avatar">
             <div class="message-content">
                 ${!isGrouped ? `<div class="message-header">
-                    <span class="message-author">${sender}</span>
+                    <span class="message-author" title="${this._escapeHtml(sender)}">${this._escapeHtml(displayName)}</span>
                     <span class="message-timestamp" data-timestamp="${timestamp.toISOString()}">${timeString}</span>
                 </div>` : ''}
                 <div class="message-text">${messageContent}</div>
+                <div class="link-previews"></div>
+                <div class="message-reactions"></div>
+                <div class="thread-reply-count" ${replyCount > 0 ? '' : 'style="display: none;"'}>
+                    <i class="bi bi-chat-left-text"></i>
+                    <span class="thread-reply-count-text">${this._formatReplyCount(replyCount)}</span>
+                </div>
             </div>
             <div class="message-actions">
                 <button class="message-actions-btn" title="Message Options">
                     <i class="bi bi-three-dots-vertical"></i>
                 </button>
                 <div class="message-actions-menu">
+                    ${!isDeleted && message.id ? `<div class="message-action-item" data-action="react">
+                        <i class="bi bi-emoji-smile"></i>Add Reaction
+                    </div>` : ''}
+                    ${canPin ? `<div class="message-action-item" data-action="pin">
+                        <i class="bi bi-pin-angle"></i><span class="pin-action-label">${isPinned ? 'Unpin Message' : 'Pin Message'}</span>
+                    </div>` : ''}
+                    ${canStartThread ? `<div class="message-action-item" data-action="reply-thread">
+                        <i class="bi bi-reply"></i>Reply in Thread
+                    </div>` : ''}
+                    ${!isDeleted && isCurrentUser && message.id && message.type !== 'poll' ? `<div class="message-action-item" data-action="edit">
+                        <i class="bi bi-pencil"></i>Edit Message
+                    </div>` : ''}
                     ${!isDeleted && isCurrentUser ? `<div class="message-action-item danger" data-action="delete">
                         <i class="bi bi-trash"></i>Delete Message
                     </div>` : ''}
                     <div class="message-action-item" data-action="copy">
                         <i class="bi bi-clipboard"></i>Copy Text
                     </div>
+                    ${canBlockSender ? `<div class="message-action-item danger" data-action="block">
+                        <i class="bi bi-person-slash"></i><span class="block-action-label">${this.blockedUserIds.has(senderId) ? 'Unblock User' : 'Block User'}</span>
+                    </div>` : ''}
+                    ${canModerateSender ? `<div class="message-action-item" data-action="timeout">
+                        <i class="bi bi-hourglass-split"></i>Time Out User
+                    </div>
+                    <div class="message-action-item danger" data-action="kick">
+                        <i class="bi bi-box-arrow-right"></i>Kick User
+                    </div>
+                    <div class="message-action-item danger" data-action="ban">
+                        <i class="bi bi-slash-circle"></i>Ban User
+                    </div>` : ''}
                 </div>
             </div>
         `;
@@ -1971,6 +2672,100 @@ _showEmptyFriendsState(container, isError = false) {
             }
         }
         
+        // Edit the message inline
+        const editAction = messageEl.querySelector('.message-action-item[data-action="edit"]');
+        if (editAction) {
+            editAction.addEventListener('click', () => {
+                actionMenu.classList.remove('show');
+                this._startEditingMessage(messageEl, message);
+            });
+        }
+        
+        // Open the edit history from the "(edited)" marker
+        this._bindEditedMarker(messageEl, message.id);
+        
+        // Highlight @mentions, especially ones aimed at the current user
+        if (!isDeleted) {
+            this._highlightMentions(messageEl);
+        }
+        
+        // Pin or unpin depending on the current pin state
+        const pinAction = messageEl.querySelector('.message-action-item[data-action="pin"]');
+        if (pinAction) {
+            pinAction.addEventListener('click', () => {
+                actionMenu.classList.remove('show');
+                this._togglePin(message.id);
+            });
+        }
+        
+        // Render link preview cards attached by the server
+        if (!isDeleted) {
+            this._renderLinkPreviews(messageEl, message);
+        }
+        
+        if (isPoll) {
+            this._renderPoll(messageEl.querySelector('.poll-card'), message);
+        }
+        
+        // Render existing reactions and open the emoji picker to add one
+        this._renderReactions(messageEl, message);
+        const reactAction = messageEl.querySelector('.message-action-item[data-action="react"]');
+        if (reactAction) {
+            reactAction.addEventListener('click', (e) => {
+                e.stopPropagation();
+                actionMenu.classList.remove('show');
+                this._openReactionPicker(actionBtn, message.id);
+            });
+        }
+        
+        // Open the thread panel from the menu or the reply count
+        if (canStartThread) {
+            const threadAction = messageEl.querySelector('.message-action-item[data-action="reply-thread"]');
+            if (threadAction) {
+                threadAction.addEventListener('click', () => {
+                    this._openThread(message);
+                    actionMenu.classList.remove('show');
+                });
+            }
+            
+            const replyCountEl = messageEl.querySelector('.thread-reply-count');
+            if (replyCountEl) {
+                replyCountEl.addEventListener('click', () => this._openThread(message));
+            }
+        }
+        
+        // Moderators can act on the sender from the menu, or by right-clicking their name or avatar
+        if (canModerateSender) {
+            const target = { userId: message.senderId, username: sender };
+            ['timeout', 'kick', 'ban'].forEach(action => {
+                messageEl.querySelector(`.message-action-item[data-action="${action}"]`)?.addEventListener('click', () => {
+                    actionMenu.classList.remove('show');
+                    this._openModerationModal(action, target, messageChannel);
+                });
+            });
+            messageEl.querySelectorAll('.message-author, .message-avatar').forEach(el => {
+                el.addEventListener('contextmenu', (e) => this._openModerationMenu(e, target));
+            });
+        }
+        
+        // Block or unblock the sender depending on the current block state
+        const blockAction = messageEl.querySelector('.message-action-item[data-action="block"]');
+        if (blockAction) {
+            blockAction.addEventListener('click', () => {
+                actionMenu.classList.remove('show');
+                if (this.blockedUserIds.has(senderId)) {
+                    this._unblockUser(senderId);
+                } else {
+                    this._blockUser(senderId, sender);
+                }
+            });
+        }
+        
+        // Blocked users' channel messages start collapsed
+        if (!message.isDM) {
+            this._applyBlockedMessageState(messageEl);
+        }
+        
         // Add copy text button event listener
         const copyAction = messageEl.querySelector('.message-action-item[data-action="copy"]');
         if (copyAction && !isDeleted) {
@@ -2033,6 +2828,3858 @@ _showEmptyFriendsState(container, isError = false) {
         
         return messageEl;
     }
+
+    // Check whether a channel name refers to the channel being viewed
+    _isCurrentChannel(channel) {
+        const current = this.currentChannel.startsWith('#') ? this.currentChannel.substring(1) : this.currentChannel;
+        return !this.isDMMode && (channel || 'general') === current;
+    }
+
+    // Create the compact element used for system notices
+    _createSystemMessageElement(message) {
+        const messageEl = document.createElement('div');
+        messageEl.className = 'message system-message';
+        messageEl.setAttribute('data-message-id', message.id || '');
+
+        const timestamp = message.timestamp ? new Date(message.timestamp) : new Date();
+        messageEl.setAttribute('data-timestamp', timestamp.toISOString());
+        const timeString = window.timestampUtils ? window.timestampUtils.formatTimestamp(timestamp) : timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        messageEl.innerHTML = `
+            <i class="bi bi-info-circle system-message-icon"></i>
+            <span class="system-message-text">${this._escapeHtml(message.content)}</span>
+            <span class="message-timestamp" data-timestamp="${timestamp.toISOString()}">${timeString}</span>
+        `;
+        return messageEl;
+    }
+
+    // Load the pinned messages for a channel
+    _loadPinnedMessages(channel) {
+        this.pinnedMessages = [];
+        this.pinnedMessageIds = new Set();
+        this._renderPinnedDrawer();
+
+        this.socket.emit('get-pinned-messages', { channel }, (response) => {
+            // Ignore late responses after switching channels
+            if (!response || !response.success || !this._isCurrentChannel(response.channel)) {
+                if (response && !response.success) {
+                    console.error('[CHAT_DEBUG] Error loading pinned messages:', response.message);
+                }
+                return;
+            }
+
+            this.pinnedMessages = response.pins;
+            this.pinnedMessageIds = new Set(response.pins.map(pin => pin.messageId));
+            this.pinnedMessageIds.forEach(messageId => this._updateMessagePinState(messageId, true));
+            this._renderPinnedDrawer();
+        });
+    }
+
+    // Pin or unpin a message
+    _togglePin(messageId) {
+        const event = this.pinnedMessageIds.has(messageId) ? 'unpin-message' : 'pin-message';
+        this.socket.emit(event, { messageId }, (response) => {
+            if (response && response.success) {
+                this._showNotification(event === 'pin-message' ? 'Message pinned' : 'Message unpinned', 'success');
+            } else {
+                this._showNotification((response && response.message) || 'Failed to update pin', 'error');
+            }
+        });
+    }
+
+    // Reflect a message's pin state in the message list
+    _updateMessagePinState(messageId, pinned) {
+        document.querySelectorAll(`.message[data-message-id="${messageId}"]`).forEach(messageEl => {
+            messageEl.classList.toggle('pinned', pinned);
+            const label = messageEl.querySelector('.pin-action-label');
+            if (label) {
+                label.textContent = pinned ? 'Unpin Message' : 'Pin Message';
+            }
+        });
+    }
+
+    // Show or hide the pinned messages drawer under the channel header
+    _togglePinnedDrawer() {
+        if (this.isDMMode) {
+            this._showNotification('Pinned messages are only available in channels', 'info');
+            return;
+        }
+
+        let drawer = document.getElementById('pinned-drawer');
+        if (!drawer) {
+            drawer = document.createElement('div');
+            drawer.id = 'pinned-drawer';
+            drawer.innerHTML = `
+                <div class="pinned-drawer-header">
+                    <span><i class="bi bi-pin-angle-fill"></i> Pinned Messages</span>
+                    <button class="header-button pinned-drawer-close" title="Close"><i class="bi bi-x-lg"></i></button>
+                </div>
+                <div class="pinned-drawer-list"></div>
+            `;
+            (this.mainContent || document.body).appendChild(drawer);
+
+            drawer.addEventListener('click', (e) => e.stopPropagation());
+            drawer.querySelector('.pinned-drawer-close').addEventListener('click', () => drawer.classList.remove('open'));
+            document.addEventListener('click', () => drawer.classList.remove('open'));
+        }
+
+        drawer.classList.toggle('open');
+        this._renderPinnedDrawer();
+    }
+
+    // Render the pins for the current channel into the drawer
+    _renderPinnedDrawer() {
+        const drawer = document.getElementById('pinned-drawer');
+        if (!drawer) return;
+
+        const list = drawer.querySelector('.pinned-drawer-list');
+        if (this.pinnedMessages.length === 0) {
+            list.innerHTML = '<div class="pinned-empty">This channel doesn\'t have any pinned messages yet.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.pinnedMessages.forEach(pin => {
+            if (!pin.message) return;
+
+            const timestamp = new Date(pin.message.timestamp);
+            const item = document.createElement('div');
+            item.className = 'pinned-item';
+            item.innerHTML = `
+                <div class="message-header">
+                    <span class="message-author">${this._escapeHtml(pin.message.sender)}</span>
+                    <span class="message-timestamp">${timestamp.toLocaleString()}</span>
+                </div>
+                <div class="message-text">${this._formatMessageContent(pin.message.content)}</div>
+                <div class="pinned-item-footer">
+                    <span class="pinned-by">Pinned by ${this._escapeHtml(pin.pinnedByUsername)}</span>
+                    <button class="btn btn-sm btn-link pinned-jump">Jump</button>
+                    <button class="btn btn-sm btn-link text-danger pinned-unpin">Unpin</button>
+                </div>
+            `;
+
+            item.querySelector('.pinned-jump').addEventListener('click', () => this._jumpToPinnedMessage(pin.messageId));
+            item.querySelector('.pinned-unpin').addEventListener('click', () => this._togglePin(pin.messageId));
+            list.appendChild(item);
+        });
+    }
+
+    // Scroll to a pinned message if it is loaded in the message list
+    _jumpToPinnedMessage(messageId) {
+        if (!this._highlightMessage(messageId)) {
+            this.pendingJumpMessageId = messageId;
+            this._loadMessagesAround(messageId);
+        }
+    }
+
+    // Scroll a loaded message into view and flash it; returns false if it isn't loaded
+    _highlightMessage(messageId) {
+        const messageEl = this.messagesContainer
+            ? this.messagesContainer.querySelector(`.message[data-message-id="${messageId}"]`)
+            : null;
+        if (!messageEl) return false;
+
+        messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        messageEl.classList.add('highlighted');
+        setTimeout(() => messageEl.classList.remove('highlighted'), 2000);
+        return true;
+    }
+
+    // Show or hide the search panel
+    _toggleSearchPanel() {
+        let panel = document.getElementById('search-panel');
+        if (panel && panel.classList.contains('open')) {
+            panel.classList.remove('open');
+            return;
+        }
+
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'search-panel';
+            panel.innerHTML = `
+                <div class="thread-panel-header">
+                    <span><i class="bi bi-search"></i> Search</span>
+                    <button class="header-button search-panel-close" title="Close Search"><i class="bi bi-x-lg"></i></button>
+                </div>
+                <div class="search-panel-input">
+                    <input type="text" class="form-control search-input" placeholder="Search messages...">
+                    <div class="search-hint">
+                        Filters: <code>from:user</code> <code>in:#channel</code> <code>in:@user</code>
+                        <code>has:file</code> <code>has:image</code> <code>has:link</code>
+                        <code>before:YYYY-MM-DD</code> <code>after:YYYY-MM-DD</code>
+                    </div>
+                </div>
+                <div class="search-results"></div>
+                <button class="btn btn-sm btn-link search-load-more" style="display: none;">Load more results</button>
+            `;
+            (this.mainContent || document.body).appendChild(panel);
+
+            const input = panel.querySelector('.search-input');
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this._runSearch(input.value.trim(), false);
+                } else if (e.key === 'Escape') {
+                    panel.classList.remove('open');
+                }
+            });
+            panel.querySelector('.search-panel-close').addEventListener('click', () => panel.classList.remove('open'));
+            panel.querySelector('.search-load-more').addEventListener('click', () => this._runSearch(this.searchQuery, true));
+        }
+
+        // Only one side panel at a time
+        this._closeThread();
+        document.getElementById('mentions-panel')?.classList.remove('open');
+        document.getElementById('scheduled-panel')?.classList.remove('open');
+        panel.classList.add('open');
+        panel.querySelector('.search-input').focus();
+    }
+
+    // Run a search, or load the next page of the current one
+    _runSearch(query, loadMore = false) {
+        const panel = document.getElementById('search-panel');
+        if (!panel || !query || this.isSearching) return;
+
+        const resultsEl = panel.querySelector('.search-results');
+        const loadMoreBtn = panel.querySelector('.search-load-more');
+
+        if (!loadMore) {
+            this.searchQuery = query;
+            this.searchCursor = null;
+            resultsEl.innerHTML = '<div class="search-status">Searching...</div>';
+        }
+
+        this.isSearching = true;
+        this.socket.emit('search-messages', { query, cursor: loadMore ? this.searchCursor : null }, (response) => {
+            this.isSearching = false;
+
+            // A newer search replaced this one while it was running
+            if (query !== this.searchQuery) return;
+
+            if (!response || !response.success) {
+                resultsEl.innerHTML = `<div class="search-status text-danger">${this._escapeHtml((response && response.message) || 'Search failed')}</div>`;
+                loadMoreBtn.style.display = 'none';
+                return;
+            }
+
+            if (!loadMore) {
+                resultsEl.innerHTML = response.results.length ? '' : '<div class="search-status">No messages found</div>';
+            }
+
+            response.results.forEach(result => resultsEl.appendChild(this._createSearchResultElement(result)));
+
+            this.searchCursor = response.nextCursor;
+            loadMoreBtn.style.display = response.hasMore ? '' : 'none';
+        });
+    }
+
+    // Create one search result entry
+    _createSearchResultElement(result) {
+        const item = document.createElement('div');
+        item.className = 'search-result';
+
+        let location = `#${result.channel}`;
+        if (result.isDM) {
+            const otherId = result.senderId === this.currentUser.id ? result.recipientId : result.senderId;
+            const otherName = result.senderId === this.currentUser.id
+                ? ((this.allUsers[otherId] && this.allUsers[otherId].username) || 'Direct Message')
+                : result.sender;
+            location = `@${otherName}`;
+        }
+
+        // The snippet is escaped by the server with matches wrapped in <mark>
+        item.innerHTML = `
+            <div class="message-header">
+                <span class="message-author">${this._escapeHtml(result.sender)}</span>
+                <span class="search-result-location">${this._escapeHtml(location)}${result.replyTo ? ' &middot; thread' : ''}</span>
+                <span class="message-timestamp">${new Date(result.timestamp).toLocaleString()}</span>
+            </div>
+            <div class="search-result-snippet">${result.snippet}</div>
+        `;
+        item.addEventListener('click', () => this._jumpToMessage(result));
+        return item;
+    }
+
+    // Open the conversation a message belongs to and scroll to it
+    _jumpToMessage(result) {
+        this.pendingJumpMessageId = result.replyTo || result.id;
+        let alreadyOpen = false;
+
+        if (result.isDM) {
+            const otherId = result.senderId === this.currentUser.id ? result.recipientId : result.senderId;
+            const otherName = result.senderId === this.currentUser.id
+                ? ((this.allUsers[otherId] && this.allUsers[otherId].username) || '')
+                : result.sender;
+            this._startDMConversation(otherId, otherName);
+        } else if (!this._isCurrentChannel(result.channel)) {
+            document.querySelector(`#channels-list .list-item[data-channel="${result.channel}"], .channel-button[data-channel="${result.channel}"]`)?.click();
+        } else {
+            alreadyOpen = true;
+        }
+
+        // Replies live in their thread, so open it next to the parent
+        if (result.replyTo) {
+            this._openThread({ id: result.replyTo, content: '' });
+        }
+
+        // If the conversation is already on screen there is no history load to wait for
+        this._completePendingJump(!alreadyOpen);
+    }
+
+    // Scroll to the message a search result pointed at once it is loaded,
+    // loading the history around it if it is further back than the loaded pages
+    _completePendingJump(waitForHistory = false) {
+        if (!this.pendingJumpMessageId) return;
+
+        if (this._highlightMessage(this.pendingJumpMessageId)) {
+            this.pendingJumpMessageId = null;
+        } else if (!waitForHistory) {
+            this._loadMessagesAround(this.pendingJumpMessageId);
+        }
+    }
+
+    // Render message content as sanitized Markdown
+    _formatMessageContent(content) {
+        if (window.markdownRenderer) {
+            return window.markdownRenderer.renderMarkdown(content);
+        }
+        return this._escapeHtml(content).replace(/\n/g, '<br>');
+    }
+
+    // Strip Markdown for places that only show a text preview
+    _toPlainText(content) {
+        return window.markdownRenderer ? window.markdownRenderer.toPlainText(content) : String(content || '');
+    }
+
+    // Escape text for safe insertion into HTML
+    _escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Build the "(edited)" marker shown after an edited message's text
+    _editedMarkerHtml(message) {
+        if (!message.edited && !message.editedAt) return '';
+
+        const title = message.editedAt ? `Edited ${new Date(message.editedAt).toLocaleString()} - click to view history` : 'Click to view history';
+        return ` <span class="message-edited" title="${this._escapeHtml(title)}">(edited)</span>`;
+    }
+
+    // Open the edit history when the "(edited)" marker is clicked
+    _bindEditedMarker(messageEl, messageId) {
+        const marker = messageEl.querySelector('.message-edited');
+        if (marker) {
+            marker.addEventListener('click', () => this._showMessageHistory(messageId));
+        }
+    }
+
+    // Replace a message's text with an inline editor
+    _startEditingMessage(messageEl, message) {
+        const textEl = messageEl.querySelector('.message-text');
+        if (!textEl || messageEl.classList.contains('editing')) return;
+
+        const originalHtml = textEl.innerHTML;
+        messageEl.classList.add('editing');
+        textEl.innerHTML = `
+            <textarea class="message-edit-input form-control" rows="2"></textarea>
+            <div class="message-edit-hint">Enter to save &middot; Escape to cancel</div>
+        `;
+
+        const input = textEl.querySelector('.message-edit-input');
+        input.value = message.content || '';
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+
+        const finish = () => {
+            messageEl.classList.remove('editing');
+            textEl.innerHTML = originalHtml;
+            this._bindEditedMarker(messageEl, message.id);
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                finish();
+            } else if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                const newContent = input.value.trim();
+                if (!newContent || newContent === message.content) {
+                    finish();
+                    return;
+                }
+
+                input.disabled = true;
+                this.socket.emit('edit-message', { messageId: message.id, newContent }, (response) => {
+                    if (response && response.success) {
+                        message.content = newContent;
+                        message.edited = true;
+                        message.editedAt = response.editedAt || message.editedAt;
+                        messageEl.classList.remove('editing');
+                        this._applyMessageEdit(message.id, newContent, message.editedAt);
+                    } else {
+                        console.error('[CHAT_DEBUG] Error editing message:', response);
+                        this._showNotification((response && (response.error || response.message)) || 'Failed to edit message', 'error');
+                        input.disabled = false;
+                        input.focus();
+                    }
+                });
+            }
+        });
+    }
+
+    // Apply an edit from the server to cached messages and the DOM
+    _applyMessageEdit(messageId, newContent, editedAt) {
+        const caches = [...Object.values(this.channelMessages), ...Object.values(this.dmConversations)];
+        for (const messages of caches) {
+            const cached = Array.isArray(messages) ? messages.find(msg => msg.id === messageId) : null;
+            if (cached) {
+                cached.content = newContent;
+                cached.edited = true;
+                cached.editedAt = editedAt || cached.editedAt;
+                break;
+            }
+        }
+
+        const edited = { content: newContent, edited: true, editedAt };
+        document.querySelectorAll(`.message[data-message-id="${messageId}"]`).forEach(messageEl => {
+            const textEl = messageEl.querySelector('.message-text');
+            if (!textEl || messageEl.classList.contains('editing')) return;
+
+            textEl.innerHTML = this._formatMessageContent(newContent) + this._editedMarkerHtml(edited);
+            this._bindEditedMarker(messageEl, messageId);
+            this._highlightMentions(messageEl);
+        });
+    }
+
+    // Show every version of an edited message with the changes between them
+    _showMessageHistory(messageId) {
+        this.socket.emit('get-message-history', { messageId }, (response) => {
+            if (!response || !response.success) {
+                this._showNotification((response && response.message) || 'Failed to load edit history', 'error');
+                return;
+            }
+
+            const versions = response.versions || [];
+            const entries = versions.map((version, index) => {
+                const previous = index > 0 ? versions[index - 1].content : null;
+                const body = previous === null
+                    ? this._escapeHtml(version.content)
+                    : this._diffWords(previous, version.content);
+                const label = index === 0 ? 'Original' : (version.current ? 'Current' : `Edit ${index}`);
+
+                return `
+                    <div class="edit-history-entry${version.current ? ' current' : ''}">
+                        <div class="edit-history-meta">
+                            <span class="edit-history-label">${label}</span>
+                            <span class="edit-history-time">${new Date(version.timestamp).toLocaleString()}</span>
+                        </div>
+                        <div class="edit-history-content">${body}</div>
+                    </div>
+                `;
+            }).join('');
+
+            const modalEl = document.createElement('div');
+            modalEl.className = 'modal fade';
+            modalEl.id = 'messageHistoryModal';
+            modalEl.setAttribute('tabindex', '-1');
+            modalEl.setAttribute('aria-labelledby', 'messageHistoryModalLabel');
+            modalEl.setAttribute('aria-hidden', 'true');
+            modalEl.innerHTML = `
+                <div class="modal-dialog modal-dialog-centered modal-dialog-scrollable">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title" id="messageHistoryModalLabel">Edit History</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                        </div>
+                        <div class="modal-body">
+                            ${entries || '<p class="text-muted">This message has not been edited.</p>'}
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modalEl);
+            const modal = new bootstrap.Modal(modalEl);
+            modal.show();
+
+            // Clean up when modal is hidden
+            modalEl.addEventListener('hidden.bs.modal', () => {
+                modalEl.remove();
+            });
+        });
+    }
+
+    // Word-level diff between two versions, rendered as escaped HTML with <del>/<ins>
+    _diffWords(oldText, newText) {
+        const a = String(oldText || '').split(/(\s+)/);
+        const b = String(newText || '').split(/(\s+)/);
+
+        // Very long messages are shown as a full replacement instead of a costly diff
+        if (a.length * b.length > 250000) {
+            return `<del>${this._escapeHtml(oldText)}</del> <ins>${this._escapeHtml(newText)}</ins>`;
+        }
+
+        // Longest common subsequence table over the tokens
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        let html = '';
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                html += this._escapeHtml(a[i]);
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                html += `<del>${this._escapeHtml(a[i++])}</del>`;
+            } else {
+                html += `<ins>${this._escapeHtml(b[j++])}</ins>`;
+            }
+        }
+        while (i < a.length) html += `<del>${this._escapeHtml(a[i++])}</del>`;
+        while (j < b.length) html += `<ins>${this._escapeHtml(b[j++])}</ins>`;
+
+        return html;
+    }
+
+    // Render the reaction chips under a message
+    _renderReactions(messageEl, message) {
+        const container = messageEl.querySelector('.message-reactions');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const reactions = message.reactions || [];
+        if (reactions.length === 0 || message.is_deleted) return;
+
+        reactions.forEach(reaction => {
+            const reacted = reaction.userIds.includes(this.currentUser.id);
+            const chip = document.createElement('button');
+            chip.className = 'reaction-chip' + (reacted ? ' reacted' : '');
+            chip.title = this._describeReactionUsers(reaction);
+
+            // Emoji text comes from other users, so never insert it as HTML
+            const emojiSpan = document.createElement('span');
+            emojiSpan.className = 'reaction-emoji';
+            emojiSpan.textContent = reaction.emoji;
+            const countSpan = document.createElement('span');
+            countSpan.className = 'reaction-count';
+            countSpan.textContent = reaction.count;
+            chip.append(emojiSpan, countSpan);
+
+            chip.addEventListener('click', () => this._toggleReaction(message.id, reaction.emoji, reacted));
+            container.appendChild(chip);
+        });
+
+        const addButton = document.createElement('button');
+        addButton.className = 'reaction-chip reaction-add';
+        addButton.title = 'Add Reaction';
+        addButton.innerHTML = '<i class="bi bi-emoji-smile"></i>';
+        addButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._openReactionPicker(addButton, message.id);
+        });
+        container.appendChild(addButton);
+    }
+
+    // Build the tooltip listing who reacted with an emoji
+    _describeReactionUsers(reaction) {
+        const names = reaction.userIds.map(userId => {
+            if (userId === this.currentUser.id) return 'You';
+            return (this.allUsers[userId] && this.allUsers[userId].username) || 'Someone';
+        });
+        return `${names.join(', ')} reacted with ${reaction.emoji}`;
+    }
+
+    // Open the shared emoji picker to react to a message
+    _openReactionPicker(anchor, messageId) {
+        if (!window.emojiPicker) {
+            console.error('[CHAT_DEBUG] Emoji picker is not available for reactions');
+            return;
+        }
+        window.emojiPicker.openForReaction(anchor, (emoji) => this._toggleReaction(messageId, emoji, false));
+    }
+
+    // Add or remove the current user's reaction on a message
+    _toggleReaction(messageId, emoji, remove) {
+        if (!messageId || !emoji) return;
+
+        this.socket.emit(remove ? 'remove-reaction' : 'add-reaction', { messageId, emoji }, (response) => {
+            if (response && !response.success) {
+                console.error('[CHAT_DEBUG] Error updating reaction:', response.message);
+                this._showNotification(response.message || 'Failed to update reaction', 'error');
+            }
+        });
+    }
+
+    // Apply a reaction update from the server to cached messages and the DOM
+    _applyReactionUpdate(messageId, reactions) {
+        const caches = [...Object.values(this.channelMessages), ...Object.values(this.dmConversations)];
+        let cached = null;
+        for (const messages of caches) {
+            cached = Array.isArray(messages) ? messages.find(msg => msg.id === messageId) : null;
+            if (cached) {
+                cached.reactions = reactions;
+                break;
+            }
+        }
+
+        // The same message can be shown in the channel and in the thread panel
+        document.querySelectorAll(`.message[data-message-id="${messageId}"]`).forEach(messageEl => {
+            this._renderReactions(messageEl, { ...(cached || {}), id: messageId, reactions });
+        });
+    }
+
+    // Render the link preview cards under a message
+    _renderLinkPreviews(messageEl, message) {
+        const container = messageEl.querySelector('.link-previews');
+        if (!container) return;
+
+        const previews = message.linkPreviews || [];
+        const canRemove = message.senderId === this.currentUser.id;
+        container.innerHTML = '';
+
+        previews.forEach(preview => {
+            const card = document.createElement('div');
+            card.className = 'link-preview';
+
+            // Only http(s) links are ever unfurled, but check again before building an href
+            const safeUrl = /^https?:\/\//i.test(preview.url) ? preview.url : '#';
+            const safeImage = preview.image && /^https?:\/\//i.test(preview.image) ? preview.image : null;
+
+            card.innerHTML = `
+                <div class="link-preview-body">
+                    ${preview.siteName ? `<div class="link-preview-site">${this._escapeHtml(preview.siteName)}</div>` : ''}
+                    ${preview.title ? `<a class="link-preview-title" href="${this._escapeHtml(safeUrl)}" target="_blank" rel="noopener noreferrer nofollow">${this._escapeHtml(preview.title)}</a>` : ''}
+                    ${preview.description ? `<div class="link-preview-description">${this._escapeHtml(preview.description)}</div>` : ''}
+                </div>
+                ${safeImage ? `<img class="link-preview-image" src="${this._escapeHtml(safeImage)}" alt="" loading="lazy" referrerpolicy="no-referrer">` : ''}
+                ${canRemove ? '<button class="link-preview-remove" title="Remove Preview"><i class="bi bi-x"></i></button>' : ''}
+            `;
+
+            // Hide images that fail to load rather than showing a broken icon
+            card.querySelector('.link-preview-image')?.addEventListener('error', (e) => e.target.remove());
+            card.querySelector('.link-preview-remove')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this._removeLinkPreview(message.id, preview.url);
+            });
+
+            container.appendChild(card);
+        });
+
+        container.style.display = previews.length ? '' : 'none';
+    }
+
+    // Ask the server to drop one of the author's own link previews
+    _removeLinkPreview(messageId, url) {
+        this.socket.emit('remove-link-preview', { messageId, url }, (response) => {
+            if (!response || !response.success) {
+                this._showNotification((response && response.message) || 'Failed to remove preview', 'error');
+            }
+        });
+    }
+
+    // Apply a link preview broadcast to the cached message and every place it is shown
+    _applyLinkPreviewUpdate(messageId, previews) {
+        const caches = [...Object.values(this.channelMessages), ...Object.values(this.dmConversations)];
+        let cached = null;
+        for (const messages of caches) {
+            cached = Array.isArray(messages) ? messages.find(msg => msg.id === messageId) : null;
+            if (cached) {
+                cached.linkPreviews = previews;
+                break;
+            }
+        }
+
+        document.querySelectorAll(`.message[data-message-id="${messageId}"]`).forEach(messageEl => {
+            const senderId = (cached && cached.senderId) || messageEl.getAttribute('data-sender-id');
+            this._renderLinkPreviews(messageEl, { ...(cached || {}), id: messageId, senderId, linkPreviews: previews });
+        });
+    }
+
+    // Format the label shown under a message that has thread replies
+    _formatReplyCount(count) {
+        return count === 1 ? '1 reply' : `${count} replies`;
+    }
+
+    // Update the reply count badge on a thread's parent message
+    _updateThreadReplyCount(parentId, replyCount) {
+        // Keep the cached parent in sync so re-rendering the channel shows the right count
+        for (const channel in this.channelMessages) {
+            const cached = this.channelMessages[channel].find(msg => msg.id === parentId);
+            if (cached) {
+                cached.replyCount = replyCount;
+                break;
+            }
+        }
+
+        const messageEl = this.messagesContainer
+            ? this.messagesContainer.querySelector(`.message[data-message-id="${parentId}"]`)
+            : null;
+        if (!messageEl) return;
+
+        const badge = messageEl.querySelector('.thread-reply-count');
+        if (!badge) return;
+
+        badge.querySelector('.thread-reply-count-text').textContent = this._formatReplyCount(replyCount);
+        badge.style.display = replyCount > 0 ? '' : 'none';
+    }
+
+    // Create the thread side panel the first time it is needed
+    _ensureThreadPanel() {
+        let panel = document.getElementById('thread-panel');
+        if (panel) return panel;
+
+        panel = document.createElement('div');
+        panel.id = 'thread-panel';
+        panel.innerHTML = `
+            <div class="thread-panel-header">
+                <span class="thread-panel-title"><i class="bi bi-chat-left-text"></i> Thread</span>
+                <button class="thread-panel-close header-button" title="Close Thread">
+                    <i class="bi bi-x-lg"></i>
+                </button>
+            </div>
+            <div class="thread-panel-body">
+                <div class="thread-parent"></div>
+                <button class="thread-load-older btn btn-sm btn-link" style="display: none;">Load older replies</button>
+                <div class="thread-replies"></div>
+            </div>
+            <div class="thread-input-container">
+                <textarea class="thread-input form-control" rows="1" placeholder="Reply in thread..."></textarea>
+                <button class="thread-send-button" title="Send Reply">
+                    <i class="bi bi-send"></i>
+                </button>
+            </div>
+        `;
+        (this.mainContent || document.body).appendChild(panel);
+
+        panel.querySelector('.thread-panel-close').addEventListener('click', () => this._closeThread());
+        panel.querySelector('.thread-load-older').addEventListener('click', () => this._loadThreadReplies(true));
+        panel.querySelector('.thread-send-button').addEventListener('click', () => this._sendThreadReply());
+        panel.querySelector('.thread-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this._sendThreadReply();
+            }
+        });
+
+        return panel;
+    }
+
+    // Open the thread side panel for a parent message
+    _openThread(parentMessage) {
+        if (!parentMessage || !parentMessage.id) return;
+
+        console.log(`[CHAT_DEBUG] Opening thread for message: ${parentMessage.id}`);
+
+        const panel = this._ensureThreadPanel();
+        this.activeThreadId = parentMessage.id;
+        this.hasMoreThreadReplies = false;
+        this.isLoadingThreadReplies = false;
+        this.oldestThreadReplyTimestamp = null;
+
+        // Only one side panel at a time
+        document.getElementById('search-panel')?.classList.remove('open');
+        document.getElementById('mentions-panel')?.classList.remove('open');
+        document.getElementById('scheduled-panel')?.classList.remove('open');
+
+        this._renderThreadParent(parentMessage);
+        panel.querySelector('.thread-replies').innerHTML = '';
+        panel.querySelector('.thread-load-older').style.display = 'none';
+        panel.classList.add('open');
+
+        this._loadThreadReplies(false);
+        panel.querySelector('.thread-input').focus();
+    }
+
+    // Close the thread side panel
+    _closeThread() {
+        this.activeThreadId = null;
+        this.oldestThreadReplyTimestamp = null;
+
+        const panel = document.getElementById('thread-panel');
+        if (panel) {
+            panel.classList.remove('open');
+        }
+    }
+
+    // Show the parent message at the top of the thread panel
+    _renderThreadParent(parentMessage) {
+        const panel = this._ensureThreadPanel();
+        const parentEl = panel.querySelector('.thread-parent');
+        const timestamp = parentMessage.timestamp ? new Date(parentMessage.timestamp) : new Date();
+        const timeString = window.timestampUtils ? window.timestampUtils.formatTimestamp(timestamp) : timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        parentEl.innerHTML = `
+            <div class="message-header">
+                <span class="message-author">${parentMessage.sender || parentMessage.username || 'Unknown User'}</span>
+                <span class="message-timestamp">${timeString}</span>
+            </div>
+            <div class="message-text">${this._formatMessageContent(parentMessage.content)}</div>
+        `;
+    }
+
+    // Load a page of replies for the open thread
+    _loadThreadReplies(loadOlder = false) {
+        if (!this.activeThreadId || this.isLoadingThreadReplies) return;
+
+        const threadId = this.activeThreadId;
+        this.isLoadingThreadReplies = true;
+
+        this.socket.emit('get-thread-replies', {
+            parentId: threadId,
+            limit: this.threadRepliesPerPage,
+            before: loadOlder ? this.oldestThreadReplyTimestamp : null
+        }, (response) => {
+            this.isLoadingThreadReplies = false;
+
+            // Ignore responses for a thread that was closed or switched while loading
+            if (threadId !== this.activeThreadId) return;
+
+            if (!response || !response.success) {
+                console.error('[CHAT_DEBUG] Error loading thread replies:', response ? response.message : 'No response');
+                this._showNotification((response && response.message) || 'Failed to load thread', 'error');
+                return;
+            }
+
+            const panel = this._ensureThreadPanel();
+            const repliesEl = panel.querySelector('.thread-replies');
+            const bodyEl = panel.querySelector('.thread-panel-body');
+
+            if (response.parent) {
+                this._renderThreadParent(response.parent);
+            }
+
+            if (response.replies.length > 0) {
+                this.oldestThreadReplyTimestamp = response.replies[0].timestamp;
+            }
+            this.hasMoreThreadReplies = response.hasMore;
+            panel.querySelector('.thread-load-older').style.display = response.hasMore ? '' : 'none';
+
+            if (loadOlder) {
+                // Prepend older replies and keep the current scroll position
+                const previousHeight = bodyEl.scrollHeight;
+                const fragment = document.createDocumentFragment();
+                response.replies.forEach(reply => {
+                    fragment.appendChild(this._createMessageElement(reply, false, false));
+                });
+                repliesEl.insertBefore(fragment, repliesEl.firstChild);
+                bodyEl.scrollTop += bodyEl.scrollHeight - previousHeight;
+            } else {
+                repliesEl.innerHTML = '';
+                response.replies.forEach(reply => {
+                    repliesEl.appendChild(this._createMessageElement(reply, false, false));
+                });
+                bodyEl.scrollTop = bodyEl.scrollHeight;
+            }
+        });
+    }
+
+    // Add a live reply to the open thread
+    _appendThreadReply(message) {
+        const panel = document.getElementById('thread-panel');
+        if (!panel) return;
+
+        const repliesEl = panel.querySelector('.thread-replies');
+        if (message.id && repliesEl.querySelector(`.message[data-message-id="${message.id}"]`)) return;
+
+        repliesEl.appendChild(this._createMessageElement(message, false, false));
+
+        const bodyEl = panel.querySelector('.thread-panel-body');
+        bodyEl.scrollTop = bodyEl.scrollHeight;
+    }
+
+    // Send a reply to the open thread
+    _sendThreadReply() {
+        const panel = document.getElementById('thread-panel');
+        if (!panel || !this.activeThreadId) return;
+
+        const input = panel.querySelector('.thread-input');
+        const content = input.value.trim();
+        if (!content) return;
+
+        const dataChannel = this.currentChannel.startsWith('#') ? this.currentChannel.substring(1) : this.currentChannel;
+
+        input.value = '';
+        input.focus();
+        this._playSentMessageSound();
+
+        this.socket.emit('send-message', {
+            content: content,
+            channel: dataChannel,
+            replyTo: this.activeThreadId,
+            timestamp: new Date().toISOString()
+        }, (response) => {
+            if (response && !response.success) {
+                console.error('[CHAT_DEBUG] Error sending thread reply:', response.message);
+                if (!response.moderation) {
+                    this._showNotification('Failed to send reply: ' + response.message, 'error');
+                }
+            }
+        });
+    }
+
+    // Wrap @mentions in a message's text so they stand out
+    _highlightMentions(messageEl) {
+        const textEl = messageEl.querySelector('.message-text');
+        if (!textEl || !this.currentUser) return;
+
+        const ownName = (this.currentUser.username || '').toLowerCase();
+        const pattern = /(^|[^\w@])@([a-zA-Z0-9_]{3,20})\b/g;
+        let mentionsMe = false;
+
+        // Collect text nodes first so wrapping doesn't disturb the walk; skip code, links and markers
+        const walker = document.createTreeWalker(textEl, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => (node.parentElement.closest('code, pre, a, .mention, .edited-marker')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT)
+        });
+        const textNodes = [];
+        while (walker.nextNode()) {
+            if (walker.currentNode.nodeValue.includes('@')) textNodes.push(walker.currentNode);
+        }
+
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            let match;
+
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(text)) !== null) {
+                const start = match.index + match[1].length;
+                const name = match[2].toLowerCase();
+                const isMe = name === ownName || name === 'here' || name === 'channel';
+
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex, start)));
+                const span = document.createElement('span');
+                span.className = isMe ? 'mention mention-me' : 'mention';
+                span.textContent = `@${match[2]}`;
+                fragment.appendChild(span);
+
+                lastIndex = start + match[2].length + 1;
+                mentionsMe = mentionsMe || isMe;
+            }
+
+            if (lastIndex === 0) return;
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+
+        // Your own messages never count as mentioning you
+        const isOwnMessage = messageEl.classList.contains('own-message') || messageEl.dataset.senderId === this.currentUser.id;
+        messageEl.classList.toggle('mentions-me', mentionsMe && !isOwnMessage);
+    }
+
+    // Usernames the autocomplete can offer, online users first
+    _getMentionCandidates() {
+        const ownName = (this.currentUser && this.currentUser.username || '').toLowerCase();
+        const seen = new Set();
+        const names = [];
+
+        [...this.activeUsernames, ...Object.values(this.allUsers).map(user => user && user.username)].forEach(name => {
+            if (!name || seen.has(name.toLowerCase()) || name.toLowerCase() === ownName) return;
+            seen.add(name.toLowerCase());
+            names.push(name);
+        });
+
+        return names;
+    }
+
+    // Show suggestions when the word before the cursor starts with @
+    _updateMentionSuggestions() {
+        const input = this.messageInput;
+        const match = input.value.slice(0, input.selectionStart).match(/(^|[^\w@])@([a-zA-Z0-9_]{0,20})$/);
+        if (!match) {
+            this._hideMentionSuggestions();
+            return;
+        }
+
+        const prefix = match[2].toLowerCase();
+        const groups = this.isDMMode ? [] : ['here', 'channel'];
+        this.mentionSuggestions = [...groups, ...this._getMentionCandidates()]
+            .filter(name => name.toLowerCase().startsWith(prefix))
+            .slice(0, 8);
+        this.mentionSuggestionIndex = 0;
+
+        if (this.mentionSuggestions.length === 0) {
+            this._hideMentionSuggestions();
+            return;
+        }
+        this._renderMentionSuggestions();
+    }
+
+    // Draw the autocomplete popup above the message input
+    _renderMentionSuggestions() {
+        const container = this.messageInput.closest('.message-input-container') || this.messageInput.parentElement;
+        let popup = document.getElementById('mention-suggestions');
+        if (!popup) {
+            popup = document.createElement('div');
+            popup.id = 'mention-suggestions';
+            container.appendChild(popup);
+        }
+
+        popup.innerHTML = this.mentionSuggestions.map((name, index) => {
+            const isGroup = name === 'here' || name === 'channel';
+            const hint = isGroup ? (name === 'here' ? 'Notify everyone online' : 'Notify everyone') : '';
+            return `
+                <div class="mention-suggestion ${index === this.mentionSuggestionIndex ? 'active' : ''}" data-index="${index}">
+                    <i class="bi ${isGroup ? 'bi-megaphone' : 'bi-person'}"></i>
+                    <span class="mention-suggestion-name">@${this._escapeHtml(name)}</span>
+                    ${hint ? `<span class="mention-suggestion-hint">${hint}</span>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        popup.querySelectorAll('.mention-suggestion').forEach(item => {
+            // mousedown so the input keeps focus
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this._applyMentionSuggestion(this.mentionSuggestions[parseInt(item.dataset.index, 10)]);
+            });
+        });
+        popup.style.display = 'block';
+    }
+
+    // Keyboard navigation for the autocomplete popup
+    _handleMentionKeydown(event) {
+        if (this.mentionSuggestions.length === 0) return;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            const count = this.mentionSuggestions.length;
+            this.mentionSuggestionIndex = (this.mentionSuggestionIndex + step + count) % count;
+            this._renderMentionSuggestions();
+        } else if (event.key === 'Enter' || event.key === 'Tab') {
+            // Stops the keypress handler from sending the message
+            event.preventDefault();
+            this._applyMentionSuggestion(this.mentionSuggestions[this.mentionSuggestionIndex]);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            this._hideMentionSuggestions();
+        }
+    }
+
+    // Replace the partial @name before the cursor with the chosen one
+    _applyMentionSuggestion(name) {
+        const input = this.messageInput;
+        const cursor = input.selectionStart;
+        const before = input.value.slice(0, cursor).replace(/@([a-zA-Z0-9_]{0,20})$/, `@${name} `);
+
+        input.value = before + input.value.slice(cursor);
+        input.setSelectionRange(before.length, before.length);
+        input.focus();
+        this._hideMentionSuggestions();
+    }
+
+    // Close the autocomplete popup
+    _hideMentionSuggestions() {
+        this.mentionSuggestions = [];
+        const popup = document.getElementById('mention-suggestions');
+        if (popup) popup.style.display = 'none';
+    }
+
+    // Show or hide the mentions inbox
+    _toggleMentionsPanel() {
+        let panel = document.getElementById('mentions-panel');
+        if (panel && panel.classList.contains('open')) {
+            panel.classList.remove('open');
+            return;
+        }
+
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'mentions-panel';
+            panel.innerHTML = `
+                <div class="thread-panel-header">
+                    <span><i class="bi bi-at"></i> Mentions</span>
+                    <button class="header-button mentions-panel-close" title="Close Mentions"><i class="bi bi-x-lg"></i></button>
+                </div>
+                <div class="mentions-list"></div>
+                <button class="btn btn-sm btn-link mentions-load-more" style="display: none;">Load older mentions</button>
+            `;
+            (this.mainContent || document.body).appendChild(panel);
+
+            panel.querySelector('.mentions-panel-close').addEventListener('click', () => panel.classList.remove('open'));
+            panel.querySelector('.mentions-load-more').addEventListener('click', () => this._loadMentions(true));
+        }
+
+        // Only one side panel at a time
+        this._closeThread();
+        document.getElementById('search-panel')?.classList.remove('open');
+        document.getElementById('scheduled-panel')?.classList.remove('open');
+        panel.classList.add('open');
+
+        this.unreadMentionCount = 0;
+        this._updateMentionsBadge();
+        this._loadMentions(false);
+    }
+
+    // Load the first or next page of the mentions inbox
+    _loadMentions(loadMore = false) {
+        const panel = document.getElementById('mentions-panel');
+        if (!panel || this.isLoadingMentions) return;
+
+        const listEl = panel.querySelector('.mentions-list');
+        const loadMoreBtn = panel.querySelector('.mentions-load-more');
+
+        if (!loadMore) {
+            this.mentionsCursor = null;
+            listEl.innerHTML = '<div class="search-status">Loading...</div>';
+        }
+
+        this.isLoadingMentions = true;
+        this.socket.emit('get-mentions', { before: loadMore ? this.mentionsCursor : null }, (response) => {
+            this.isLoadingMentions = false;
+
+            if (!response || !response.success) {
+                listEl.innerHTML = `<div class="search-status text-danger">${this._escapeHtml((response && response.message) || 'Failed to load mentions')}</div>`;
+                loadMoreBtn.style.display = 'none';
+                return;
+            }
+
+            if (!loadMore) {
+                listEl.innerHTML = response.mentions.length ? '' : '<div class="search-status">Nobody has mentioned you yet</div>';
+            }
+
+            response.mentions.forEach(entry => listEl.appendChild(this._createMentionElement(entry)));
+
+            this.mentionsCursor = response.cursor;
+            loadMoreBtn.style.display = response.hasMore ? '' : 'none';
+        });
+    }
+
+    // Create one mentions inbox entry
+    _createMentionElement(entry) {
+        const message = entry.message;
+        const item = document.createElement('div');
+        item.className = 'search-result mention-entry';
+
+        const typeLabel = entry.mentionType === 'user' ? '' : ` &middot; @${entry.mentionType}`;
+        item.innerHTML = `
+            <div class="message-header">
+                <span class="message-author">${this._escapeHtml(message.sender)}</span>
+                <span class="search-result-location">#${this._escapeHtml(message.channel)}${message.replyTo ? ' &middot; thread' : ''}${typeLabel}</span>
+                <span class="message-timestamp">${new Date(message.timestamp || entry.createdAt).toLocaleString()}</span>
+            </div>
+            <div class="search-result-snippet">${this._escapeHtml(this._toPlainText(message.content))}</div>
+        `;
+        item.addEventListener('click', () => this._jumpToMessage({ ...message, isDM: false }));
+        return item;
+    }
+
+    // Show the number of unseen mentions on the header button
+    _updateMentionsBadge() {
+        const button = document.getElementById('mentions-button');
+        if (!button) return;
+
+        let badge = button.querySelector('.mentions-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'mentions-badge';
+            button.appendChild(badge);
+        }
+
+        badge.textContent = this.unreadMentionCount > 99 ? '99+' : String(this.unreadMentionCount);
+        badge.style.display = this.unreadMentionCount > 0 ? '' : 'none';
+    }
+
+    // Add a live channel message to the cache and the view, or to the open thread if it is a reply
+    _handleIncomingChannelMessage(message) {
+        if (!message) return;
+        
+        // A DM that reached the channel handler belongs with the other DMs
+        if (message.isDM && message.recipientId) {
+            this._handleIncomingDirectMessage(message);
+            return;
+        }
+        
+        // Our own queued message came back before its acknowledgement
+        if (message.tempId && this.outboxEntries.has(message.tempId)) {
+            this._confirmOutboxMessage(message.tempId, message);
+            return;
+        }
+
+        // Thread replies go to the thread panel, not the channel
+        if (message.replyTo) {
+            if (message.replyTo === this.activeThreadId) {
+                this._appendThreadReply(message);
+            }
+            if (message.senderId !== this.currentUser.id && !this._isChannelMuted(message.channel)) {
+                this._playNotificationSound();
+            }
+            return;
+        }
+
+        // Add message to appropriate channel cache, once
+        const channel = message.channel || 'general';
+        
+        // While an older stretch of history is open, new messages arrive by scrolling down to them
+        if (this._isCurrentChannel(channel) && this.hasNewerMessagesToLoad) {
+            this._trackUnreadMessage({ channel }, message);
+            return;
+        }
+        if (!this.channelMessages[channel]) {
+            this.channelMessages[channel] = [];
+        }
+        if (message.id && this.channelMessages[channel].some(msg => msg.id === message.id)) {
+            return;
+        }
+        this.channelMessages[channel].push(message);
+
+        // If this is the current channel, display the message
+        if (this._isCurrentChannel(channel)) {
+            this._displayMessage(message);
+        }
+        this._trackUnreadMessage({ channel }, message);
+
+        // Play notification sound if message is not from current user and the channel isn't muted
+        if (message.senderId !== this.currentUser.id && !this._isChannelMuted(channel)) {
+            this._playNotificationSound();
+        }
+    }
+
+    // The user's own timezone, used as the default when scheduling
+    _getLocalTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    // Wall-clock parts of an instant in a timezone
+    _getZonedParts(date, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        return parts;
+    }
+
+    // Convert a datetime-local value ("YYYY-MM-DDTHH:mm") read as wall-clock time in a timezone to a Date
+    _zonedTimeToDate(value, timeZone) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value || '');
+        if (!match) return null;
+
+        const wallClockAsUtc = Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5]);
+
+        // Find the zone's offset at that moment; the second pass settles DST transitions
+        let utc = wallClockAsUtc;
+        for (let i = 0; i < 2; i++) {
+            const p = this._getZonedParts(new Date(utc), timeZone);
+            const zonedAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+            utc = wallClockAsUtc - (zonedAsUtc - utc);
+        }
+        return new Date(utc);
+    }
+
+    // Format an instant as a datetime-local value in a timezone
+    _dateToZonedInputValue(date, timeZone) {
+        const p = this._getZonedParts(date, timeZone);
+        return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
+    }
+
+    // Describe when a scheduled message goes out, in the viewer's time and the zone it was picked in
+    _describeScheduledTime(sendAt, timeZone) {
+        const date = new Date(sendAt);
+        const local = date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+        if (!timeZone || timeZone === this._getLocalTimeZone()) {
+            return local;
+        }
+        const zoned = date.toLocaleString([], { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+        return `${local} (${zoned} ${timeZone})`;
+    }
+
+    // Open the schedule dialog for a new message, or to edit an existing scheduled one
+    _openScheduleModal(existing = null) {
+        let target;
+        if (existing) {
+            target = existing.recipientId
+                ? { recipientId: existing.recipientId, label: `@${existing.recipientName || 'user'}` }
+                : { channel: existing.channel, label: `#${existing.channel}` };
+        } else if (this.isDMMode && this.currentDmRecipientId) {
+            const name = (this.allUsers[this.currentDmRecipientId] && this.allUsers[this.currentDmRecipientId].username) || 'user';
+            target = { recipientId: this.currentDmRecipientId, label: `@${name}` };
+        } else {
+            const channel = (this.currentChannel || 'general').replace(/^#/, '');
+            target = { channel, label: `#${channel}` };
+        }
+
+        const localZone = this._getLocalTimeZone();
+        const timeZone = (existing && existing.timeZone) || localZone;
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        if (!zones.includes(timeZone)) zones.unshift(timeZone);
+        if (!zones.includes(localZone)) zones.unshift(localZone);
+
+        const content = existing ? existing.content : (this.messageInput ? this.messageInput.value.trim() : '');
+        const initialTime = existing
+            ? this._dateToZonedInputValue(new Date(existing.sendAt), timeZone)
+            : this._dateToZonedInputValue(new Date(Date.now() + 60 * 60 * 1000), timeZone);
+
+        const modalEl = document.createElement('div');
+        modalEl.className = 'modal fade';
+        modalEl.id = 'scheduleMessageModal';
+        modalEl.setAttribute('tabindex', '-1');
+        modalEl.setAttribute('aria-labelledby', 'scheduleMessageModalLabel');
+        modalEl.setAttribute('aria-hidden', 'true');
+        modalEl.innerHTML = `
+            <div class="modal-dialog modal-dialog-centered">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title" id="scheduleMessageModalLabel">${existing ? 'Edit Scheduled Message' : 'Schedule Message'}</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="mb-2 text-muted">To ${this._escapeHtml(target.label)}</div>
+                        <textarea class="form-control mb-3 schedule-content" rows="3" placeholder="Message">${this._escapeHtml(content)}</textarea>
+                        <label class="form-label">Send at</label>
+                        <div class="d-flex gap-2 mb-2">
+                            <input type="datetime-local" class="form-control schedule-time" value="${initialTime}">
+                            <button type="button" class="btn btn-outline-secondary schedule-tomorrow" title="Tomorrow at 9:00 in the selected timezone">Tomorrow 9:00</button>
+                        </div>
+                        <label class="form-label">Timezone</label>
+                        <select class="form-select schedule-zone">
+                            ${zones.map(zone => `<option value="${this._escapeHtml(zone)}" ${zone === timeZone ? 'selected' : ''}>${this._escapeHtml(zone)}${zone === localZone ? ' (yours)' : ''}</option>`).join('')}
+                        </select>
+                        <div class="form-text schedule-preview"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                        <button type="button" class="btn btn-primary schedule-submit">${existing ? 'Save' : 'Schedule'}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modalEl);
+        const modal = new bootstrap.Modal(modalEl);
+
+        const contentEl = modalEl.querySelector('.schedule-content');
+        const timeEl = modalEl.querySelector('.schedule-time');
+        const zoneEl = modalEl.querySelector('.schedule-zone');
+        const previewEl = modalEl.querySelector('.schedule-preview');
+
+        // Show the picked time in the user's own timezone so cross-timezone picks are unambiguous
+        const updatePreview = () => {
+            const date = this._zonedTimeToDate(timeEl.value, zoneEl.value);
+            previewEl.textContent = date
+                ? `Sends ${date.toLocaleString([], { dateStyle: 'full', timeStyle: 'short' })} your time`
+                : '';
+        };
+        timeEl.addEventListener('input', updatePreview);
+        zoneEl.addEventListener('change', updatePreview);
+        updatePreview();
+
+        modalEl.querySelector('.schedule-tomorrow').addEventListener('click', () => {
+            const p = this._getZonedParts(new Date(), zoneEl.value);
+            const tomorrow = new Date(Date.UTC(p.year, p.month - 1, Number(p.day) + 1));
+            timeEl.value = `${tomorrow.toISOString().slice(0, 10)}T09:00`;
+            updatePreview();
+        });
+
+        modalEl.querySelector('.schedule-submit').addEventListener('click', () => {
+            const text = contentEl.value.trim();
+            const sendAt = this._zonedTimeToDate(timeEl.value, zoneEl.value);
+            if (!text) {
+                this._showNotification('Message content cannot be empty', 'error');
+                return;
+            }
+            if (!sendAt || sendAt.getTime() <= Date.now()) {
+                this._showNotification('Pick a time in the future', 'error');
+                return;
+            }
+
+            const payload = { content: text, sendAt: sendAt.toISOString(), timeZone: zoneEl.value };
+            const event = existing ? 'update-scheduled-message' : 'schedule-message';
+            Object.assign(payload, existing ? { id: existing.id } : target);
+
+            this.socket.emit(event, payload, (response) => {
+                if (!response || !response.success) {
+                    this._showNotification((response && response.message) || 'Failed to schedule message', 'error');
+                    return;
+                }
+
+                if (!existing && this.messageInput) {
+                    this.messageInput.value = '';
+                }
+                modal.hide();
+                this._showNotification(`Message scheduled for ${this._describeScheduledTime(response.scheduled.sendAt, response.scheduled.timeZone)}`, 'success');
+                this._refreshScheduledPanel();
+            });
+        });
+
+        modal.show();
+
+        // Clean up when modal is hidden
+        modalEl.addEventListener('hidden.bs.modal', () => {
+            modalEl.remove();
+        });
+    }
+
+    // Show or hide the scheduled messages panel
+    _toggleScheduledPanel() {
+        let panel = document.getElementById('scheduled-panel');
+        if (panel && panel.classList.contains('open')) {
+            panel.classList.remove('open');
+            return;
+        }
+
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'scheduled-panel';
+            panel.innerHTML = `
+                <div class="thread-panel-header">
+                    <span><i class="bi bi-clock-history"></i> Scheduled Messages</span>
+                    <button class="header-button scheduled-panel-close" title="Close Scheduled Messages"><i class="bi bi-x-lg"></i></button>
+                </div>
+                <div class="scheduled-list"></div>
+            `;
+            (this.mainContent || document.body).appendChild(panel);
+
+            panel.querySelector('.scheduled-panel-close').addEventListener('click', () => panel.classList.remove('open'));
+        }
+
+        // Only one side panel at a time
+        this._closeThread();
+        document.getElementById('search-panel')?.classList.remove('open');
+        document.getElementById('mentions-panel')?.classList.remove('open');
+        panel.classList.add('open');
+
+        this._refreshScheduledPanel();
+    }
+
+    // Reload the scheduled messages panel if it is open
+    _refreshScheduledPanel() {
+        const panel = document.getElementById('scheduled-panel');
+        if (!panel || !panel.classList.contains('open')) return;
+
+        const listEl = panel.querySelector('.scheduled-list');
+        this.socket.emit('get-scheduled-messages', (response) => {
+            if (!response || !response.success) {
+                listEl.innerHTML = `<div class="search-status text-danger">${this._escapeHtml((response && response.message) || 'Failed to load scheduled messages')}</div>`;
+                return;
+            }
+
+            listEl.innerHTML = response.scheduled.length ? '' : '<div class="search-status">No scheduled messages</div>';
+            response.scheduled.forEach(item => listEl.appendChild(this._createScheduledElement(item)));
+        });
+    }
+
+    // Create one entry in the scheduled messages panel
+    _createScheduledElement(item) {
+        const el = document.createElement('div');
+        el.className = 'scheduled-message';
+
+        let target = item.recipientId ? `@${item.recipientName || 'user'}` : `#${item.channel}`;
+        if (item.isReminder) {
+            target = item.channel ? `Reminder in #${item.channel}` : 'Reminder';
+        }
+        el.innerHTML = `
+            <div class="message-header">
+                <span class="search-result-location">${this._escapeHtml(target)}</span>
+                <span class="message-timestamp">${this._escapeHtml(this._describeScheduledTime(item.sendAt, item.timeZone))}</span>
+            </div>
+            <div class="message-text">${this._formatMessageContent(item.content)}</div>
+            <div class="scheduled-message-actions">
+                <button class="btn btn-sm btn-link scheduled-edit"><i class="bi bi-pencil"></i> Edit</button>
+                <button class="btn btn-sm btn-link text-danger scheduled-cancel"><i class="bi bi-x-circle"></i> Cancel</button>
+            </div>
+        `;
+
+        el.querySelector('.scheduled-edit').addEventListener('click', () => this._openScheduleModal(item));
+        el.querySelector('.scheduled-cancel').addEventListener('click', () => {
+            if (!confirm('Cancel this scheduled message?')) return;
+
+            this.socket.emit('cancel-scheduled-message', { id: item.id }, (response) => {
+                if (!response || !response.success) {
+                    this._showNotification((response && response.message) || 'Failed to cancel scheduled message', 'error');
+                    return;
+                }
+                el.remove();
+                this._refreshScheduledPanel();
+            });
+        });
+
+        return el;
+    }
+
+    // Fetch the slash command list for the palette
+    _loadCommands() {
+        if (this.isLoadingCommands) return;
+        this.isLoadingCommands = true;
+
+        this.socket.emit('get-commands', {}, (response) => {
+            this.isLoadingCommands = false;
+            if (!response || !response.success) {
+                console.error('[CHAT_DEBUG] Failed to load commands:', response && response.message);
+                return;
+            }
+            this.commands = response.commands || [];
+            this._updateCommandPalette();
+        });
+    }
+
+    // Show matching commands while the name is typed, then the usage of the chosen one
+    _updateCommandPalette() {
+        const value = this.messageInput.value;
+        if (!value.startsWith('/') || value.startsWith('//')) {
+            this._hideCommandPalette();
+            return;
+        }
+
+        if (!this.commands) {
+            this._loadCommands();
+            return;
+        }
+
+        const available = this.commands.filter(command => !(this.isDMMode && command.channelOnly));
+        const nameMatch = value.match(/^\/([\w-]*)$/);
+        if (nameMatch) {
+            const prefix = nameMatch[1].toLowerCase();
+            this.commandSuggestions = available.filter(command => command.name.startsWith(prefix));
+            this.commandHint = null;
+        } else {
+            const argMatch = value.match(/^\/([\w-]+)\s/);
+            this.commandSuggestions = [];
+            this.commandHint = argMatch ? available.find(command => command.name === argMatch[1].toLowerCase()) || null : null;
+        }
+        this.commandSuggestionIndex = 0;
+
+        if (this.commandSuggestions.length === 0 && !this.commandHint) {
+            this._hideCommandPalette();
+            return;
+        }
+        this._renderCommandPalette();
+    }
+
+    // Draw the command palette above the message input
+    _renderCommandPalette() {
+        const container = this.messageInput.closest('.message-input-container') || this.messageInput.parentElement;
+        let popup = document.getElementById('command-palette');
+        if (!popup) {
+            popup = document.createElement('div');
+            popup.id = 'command-palette';
+            container.appendChild(popup);
+        }
+
+        const items = this.commandHint ? [this.commandHint] : this.commandSuggestions;
+        popup.innerHTML = items.map((command, index) => `
+            <div class="command-suggestion ${this.commandHint ? 'command-hint' : ''} ${!this.commandHint && index === this.commandSuggestionIndex ? 'active' : ''}" data-index="${index}">
+                <span class="command-suggestion-usage">${this._escapeHtml(command.usage)}</span>
+                <span class="command-suggestion-description">${this._escapeHtml(command.description)}</span>
+            </div>
+        `).join('');
+
+        if (!this.commandHint) {
+            popup.querySelectorAll('.command-suggestion').forEach(item => {
+                // mousedown so the input keeps focus
+                item.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    this._applyCommandSuggestion(this.commandSuggestions[parseInt(item.dataset.index, 10)]);
+                });
+            });
+        }
+        popup.style.display = 'block';
+    }
+
+    // Keyboard navigation for the command palette
+    _handleCommandKeydown(event) {
+        if (event.key === 'Escape' && (this.commandSuggestions.length > 0 || this.commandHint)) {
+            event.preventDefault();
+            this._hideCommandPalette();
+            return;
+        }
+        if (this.commandSuggestions.length === 0) return;
+
+        const selected = this.commandSuggestions[this.commandSuggestionIndex];
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            const count = this.commandSuggestions.length;
+            this.commandSuggestionIndex = (this.commandSuggestionIndex + step + count) % count;
+            this._renderCommandPalette();
+        } else if (event.key === 'Tab') {
+            event.preventDefault();
+            this._applyCommandSuggestion(selected);
+        } else if (event.key === 'Enter') {
+            // A fully typed command with nothing left to fill in is sent as is
+            const typed = this.messageInput.value.slice(1).toLowerCase();
+            if (typed === selected.name && !selected.usage.includes('<')) {
+                this._hideCommandPalette();
+                return;
+            }
+            // Stops the keypress handler from sending the message
+            event.preventDefault();
+            this._applyCommandSuggestion(selected);
+        }
+    }
+
+    // Complete the command name and show its usage
+    _applyCommandSuggestion(command) {
+        if (!command) return;
+
+        const input = this.messageInput;
+        input.value = `/${command.name} `;
+        input.setSelectionRange(input.value.length, input.value.length);
+        input.focus();
+        this._updateCommandPalette();
+    }
+
+    // Close the command palette
+    _hideCommandPalette() {
+        this.commandSuggestions = [];
+        this.commandHint = null;
+        const popup = document.getElementById('command-palette');
+        if (popup) popup.style.display = 'none';
+    }
+
+    // Show a reply only the current user can see, e.g. a command result or a reminder
+    _showEphemeralMessage(content, { level = 'info', icon = 'bi-eye-slash', action = null } = {}) {
+        if (!this.messagesContainer) return;
+
+        const messageEl = document.createElement('div');
+        messageEl.className = `message system-message ephemeral-message ephemeral-${level}`;
+        messageEl.innerHTML = `
+            <i class="bi ${icon} system-message-icon"></i>
+            <div class="ephemeral-body">
+                <span class="ephemeral-label">Only you can see this</span>
+                <span class="system-message-text">${this._escapeHtml(content)}</span>
+            </div>
+            ${action ? `<button class="btn btn-sm btn-outline-light ephemeral-action">${this._escapeHtml(action.label)}</button>` : ''}
+            <button class="ephemeral-dismiss" title="Dismiss"><i class="bi bi-x"></i></button>
+        `;
+
+        messageEl.querySelector('.ephemeral-dismiss').addEventListener('click', () => messageEl.remove());
+        if (action) {
+            messageEl.querySelector('.ephemeral-action').addEventListener('click', () => {
+                messageEl.remove();
+                action.onClick();
+            });
+        }
+
+        this.messagesContainer.appendChild(messageEl);
+        this._scrollToBottom();
+    }
+
+    // Switch to a channel from the sidebar
+    _openChannel(channel) {
+        if (this._isCurrentChannel(channel) && !this.isDMMode) return;
+        document.querySelector(`#channels-list .list-item[data-channel="${channel}"], .channel-button[data-channel="${channel}"]`)?.click();
+    }
+
+    // Load the topic shown next to the channel name
+    _loadChannelTopic(channel) {
+        this._setChannelTopic(null);
+        this.socket.emit('get-channel-info', { channel }, (response) => {
+            if (!response || !this._isCurrentChannel(channel)) return;
+            if (!response.success) {
+                this._showNotification(response.message, 'error');
+                return;
+            }
+            this._setChannelTopic(response.channel.topic);
+            this.channelPermissions[channel] = response.channel.permissions || [];
+            this.channelRoles[channel] = response.channel.role;
+            this.privateChannels[response.channel.isPrivate ? 'add' : 'delete'](channel);
+            this.archivedChannels[response.channel.archived ? 'add' : 'delete'](channel);
+            this.channelSlowMode[channel] = response.channel.slowModeSeconds || 0;
+            this._applyChannelPermissions(channel);
+        });
+    }
+
+    // Switch to a channel (main.js calls this from the sidebar)
+    switchChannel(channel) {
+        const channelKey = channel.startsWith('#') ? channel.substring(1) : channel;
+        console.log(`[CHAT_DEBUG] Switching to channel: ${channelKey}`);
+
+        this.currentChannel = channelKey;
+        this.isDMMode = false;
+        if (this.chatTitle) {
+            this.chatTitle.innerHTML = `<i class="bi bi-hash me-2"></i> ${this._escapeHtml(channelKey)}`;
+        }
+
+        this._requestChannelMessages(channelKey);
+        this._displayChannelMessages(channelKey);
+    }
+
+    // Disable the composer in channels the user can't post in
+    // Pass null for a DM, where the user can always write
+    _applyChannelPermissions(channel) {
+        if (!this.messageInput) return;
+
+        const permissions = channel ? this.channelPermissions[channel] : null;
+        const canPost = !permissions || permissions.includes('post');
+        this.messageInput.disabled = !canPost;
+        if (this.sendButton) this.sendButton.disabled = !canPost;
+        if (channel) {
+            const slowMode = this.channelSlowMode[channel];
+            this.messageInput.placeholder = canPost
+                ? `Message #${channel}${slowMode && !this._canModerate(channel) ? ` (slow mode: one message every ${this._formatSlowMode(slowMode)})` : ''}`
+                : this.archivedChannels.has(channel)
+                    ? `#${channel} is archived and read-only`
+                    : `You do not have permission to send messages in #${channel}`;
+        }
+
+        const settingsButton = document.getElementById('channel-settings-button');
+        if (settingsButton) {
+            settingsButton.style.display = !!channel && !!permissions && permissions.includes('manage_channel') ? '' : 'none';
+        }
+
+        const moderationButton = document.getElementById('channel-moderation-button');
+        if (moderationButton) {
+            moderationButton.style.display = this._canModerate(channel) ? '' : 'none';
+        }
+
+        // Invites are for private channels, made by people who manage their members
+        const inviteButton = document.getElementById('channel-invites-button');
+        if (inviteButton) {
+            const canInvite = !!channel && this.privateChannels.has(channel) && !!permissions && permissions.includes('manage_members');
+            inviteButton.style.display = canInvite ? '' : 'none';
+        }
+    }
+
+    // Fetch the channels the user can see and show them in the sidebar
+    _loadChannels(onLoaded = null) {
+        this.socket.emit('get-channels', { includeArchived: this.showArchivedChannels }, (response) => {
+            if (!response || !response.success) return;
+            response.channels.forEach(channel => {
+                this.channelPermissions[channel.name] = channel.permissions || [];
+                this.channelRoles[channel.name] = channel.role;
+                this.privateChannels[channel.is_private ? 'add' : 'delete'](channel.name);
+                this.archivedChannels[channel.archived_at ? 'add' : 'delete'](channel.name);
+            });
+            // Older servers only send the flat list
+            const tree = {
+                channels: response.channels,
+                categories: response.categories || [],
+                uncategorized: response.uncategorized || response.channels,
+                canEditLayout: !!response.canEditLayout
+            };
+            this.channelCategories = {};
+            this.mutedCategories = new Set();
+            tree.categories.forEach(category => {
+                category.channels.forEach(channel => { this.channelCategories[channel.name] = category.id; });
+                if (category.muted) this.mutedCategories.add(category.id);
+            });
+            this._renderChannelList(tree);
+            if (onLoaded) onLoaded();
+        });
+    }
+
+    // Join the channel from an invite link (?invite=CODE), then open it
+    async _redeemInviteFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const code = params.get('invite');
+        if (!code) return;
+
+        // Drop the code from the address bar so a reload doesn't try it again
+        params.delete('invite');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+        try {
+            const response = await fetch(`/api/invites/${encodeURIComponent(code)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin'
+            });
+            const result = await response.json();
+            if (!result.success) {
+                this._showNotification(result.message || 'Could not use this invite', 'error');
+                return;
+            }
+
+            this._showNotification(result.alreadyMember ? `You're already in #${result.channel}` : `You joined #${result.channel}`, 'success');
+            this._loadChannels(() => this._openChannel(result.channel));
+        } catch (error) {
+            console.error('[CHAT_DEBUG] Error redeeming invite:', error);
+            this._showNotification('Could not use this invite', 'error');
+        }
+    }
+
+    // Link that joins a channel with an invite code
+    _getInviteLink(code) {
+        return `${window.location.origin}/?invite=${encodeURIComponent(code)}`;
+    }
+
+    // Create, list and revoke invite links for a private channel
+    _openInviteModal(channel) {
+        document.getElementById('channelInvitesModal')?.remove();
+
+        const modalEl = document.createElement('div');
+        modalEl.className = 'modal fade';
+        modalEl.id = 'channelInvitesModal';
+        modalEl.setAttribute('tabindex', '-1');
+        modalEl.setAttribute('aria-labelledby', 'channelInvitesModalLabel');
+        modalEl.setAttribute('aria-hidden', 'true');
+        modalEl.innerHTML = `
+            <div class="modal-dialog modal-dialog-centered modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title" id="channelInvitesModalLabel">Invite people to #${this._escapeHtml(channel)}</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="d-flex gap-2 mb-3">
+                            <div class="flex-grow-1">
+                                <label class="form-label">Expires after</label>
+                                <select class="form-select invite-expiry">
+                                    <option value="">Never</option>
+                                    <option value="3600000">1 hour</option>
+                                    <option value="86400000" selected>1 day</option>
+                                    <option value="604800000">7 days</option>
+                                    <option value="2592000000">30 days</option>
+                                </select>
+                            </div>
+                            <div class="flex-grow-1">
+                                <label class="form-label">Max uses</label>
+                                <input type="number" class="form-control invite-max-uses" min="1" max="1000" placeholder="No limit">
+                            </div>
+                        </div>
+                        <button type="button" class="btn btn-primary w-100 mb-3 invite-create">Create invite link</button>
+                        <div class="invite-list"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modalEl);
+        const modal = new bootstrap.Modal(modalEl);
+        const listEl = modalEl.querySelector('.invite-list');
+
+        const loadInvites = () => {
+            this.socket.emit('get-channel-invites', { channel }, (response) => {
+                if (!response || !response.success) {
+                    listEl.innerHTML = `<div class="text-muted">${this._escapeHtml((response && response.message) || 'Failed to load invites')}</div>`;
+                    return;
+                }
+                this._renderInviteList(listEl, response.invites, loadInvites);
+            });
+        };
+
+        modalEl.querySelector('.invite-create').addEventListener('click', () => {
+            const expiryMs = Number(modalEl.querySelector('.invite-expiry').value);
+            const maxUses = modalEl.querySelector('.invite-max-uses').value;
+            this.socket.emit('create-channel-invite', {
+                channel,
+                maxUses: maxUses ? Number(maxUses) : null,
+                // Leave a little slack so the longest option isn't rejected on arrival
+                expiresAt: expiryMs ? new Date(Date.now() + expiryMs - 1000).toISOString() : null
+            }, (response) => {
+                if (!response || !response.success) {
+                    this._showNotification((response && response.message) || 'Failed to create invite', 'error');
+                    return;
+                }
+                this._copyInviteLink(response.invite.code);
+                loadInvites();
+            });
+        });
+
+        modalEl.addEventListener('hidden.bs.modal', () => {
+            modalEl.remove();
+        });
+
+        loadInvites();
+        modal.show();
+    }
+
+    // Draw a channel's invites: active ones first, each with its uses and who joined with it
+    _renderInviteList(listEl, invites, onChange) {
+        if (invites.length === 0) {
+            listEl.innerHTML = '<div class="text-muted">No invites yet</div>';
+            return;
+        }
+
+        const sorted = [...invites].sort((a, b) => Number(b.active) - Number(a.active));
+        listEl.innerHTML = sorted.map(invite => {
+            const uses = invite.maxUses ? `${invite.uses}/${invite.maxUses} uses` : `${invite.uses} uses`;
+            const expiry = invite.expiresAt
+                ? `expires ${new Date(invite.expiresAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`
+                : 'never expires';
+            const joined = invite.joined.length > 0
+                ? `Joined: ${invite.joined.map(entry => this._escapeHtml(this._getDisplayName(entry.userId, entry.username))).join(', ')}`
+                : 'Nobody has joined with this invite yet';
+
+            return `
+                <div class="invite-item ${invite.active ? '' : 'inactive'}" data-invite-id="${this._escapeHtml(invite.id)}">
+                    <div class="d-flex align-items-center gap-2">
+                        <code class="invite-code">${this._escapeHtml(invite.code)}</code>
+                        <span class="invite-meta">${uses} · ${invite.active ? expiry : this._escapeHtml(invite.revokedAt ? 'revoked' : invite.inactiveReason)}</span>
+                        ${invite.active ? `
+                            <button type="button" class="btn btn-sm btn-outline-secondary ms-auto invite-copy" title="Copy link"><i class="bi bi-clipboard"></i></button>
+                            <button type="button" class="btn btn-sm btn-outline-danger invite-revoke" title="Revoke"><i class="bi bi-x-lg"></i></button>
+                        ` : ''}
+                    </div>
+                    <div class="invite-joined">${joined}</div>
+                </div>
+            `;
+        }).join('');
+
+        listEl.querySelectorAll('.invite-item').forEach(itemEl => {
+            const invite = sorted.find(entry => entry.id === itemEl.getAttribute('data-invite-id'));
+            itemEl.querySelector('.invite-copy')?.addEventListener('click', () => this._copyInviteLink(invite.code));
+            itemEl.querySelector('.invite-revoke')?.addEventListener('click', () => {
+                this.socket.emit('revoke-channel-invite', { inviteId: invite.id }, (response) => {
+                    if (!response || !response.success) {
+                        this._showNotification((response && response.message) || 'Failed to revoke invite', 'error');
+                        return;
+                    }
+                    this._showNotification('Invite revoked', 'info');
+                    onChange();
+                });
+            });
+        });
+    }
+
+    // Copy an invite link to the clipboard
+    _copyInviteLink(code) {
+        const link = this._getInviteLink(code);
+        navigator.clipboard.writeText(link)
+            .then(() => this._showNotification('Invite link copied', 'success'))
+            .catch(() => this._showNotification(`Invite link: ${link}`, 'info'));
+    }
+
+    // Draw the sidebar: uncategorized channels first, built-in ones at the top, then each category with its channels
+    _renderChannelList(tree) {
+        const listEl = document.getElementById('channels-list');
+        if (!listEl) return;
+
+        if (!this.defaultChannels) {
+            this.defaultChannels = [...listEl.querySelectorAll('.list-item[data-channel]')].map(itemEl => itemEl.getAttribute('data-channel'));
+        }
+        if (!listEl.hasAttribute('data-drag-ready')) {
+            listEl.setAttribute('data-drag-ready', 'true');
+            this._setupChannelDragAndDrop(listEl);
+        }
+
+        // main.js wired up the built-in items, so they are moved around rather than rebuilt
+        const builtInItems = new Map();
+        listEl.querySelectorAll('.list-item[data-channel]:not([data-dynamic])').forEach(itemEl => {
+            builtInItems.set(itemEl.getAttribute('data-channel'), itemEl);
+        });
+        listEl.innerHTML = '';
+
+        const records = new Map(tree.channels.map(channel => [channel.name, channel]));
+        const placeItem = (name, groupEl) => {
+            const channel = records.get(name);
+            let itemEl = builtInItems.get(name);
+            builtInItems.delete(name);
+            if (!itemEl) {
+                if (!channel) return;
+                itemEl = this._createChannelListItem(channel, listEl);
+            }
+            // Only channels saved on the server have a place in the layout
+            if (channel) {
+                itemEl.setAttribute('data-layout-channel', 'true');
+                itemEl.draggable = !!tree.canEditLayout;
+            }
+            groupEl.appendChild(itemEl);
+        };
+
+        const inCategory = new Set(tree.categories.flatMap(category => category.channels.map(channel => channel.name)));
+        const uncategorizedEl = document.createElement('div');
+        uncategorizedEl.className = 'channel-category-channels';
+        uncategorizedEl.setAttribute('data-category-id', 'uncategorized');
+        listEl.appendChild(uncategorizedEl);
+        this.defaultChannels
+            .filter(name => !inCategory.has(name))
+            .forEach(name => placeItem(name, uncategorizedEl));
+        tree.uncategorized
+            .filter(channel => !this.defaultChannels.includes(channel.name))
+            .forEach(channel => placeItem(channel.name, uncategorizedEl));
+
+        tree.categories.forEach(category => {
+            const categoryEl = document.createElement('div');
+            categoryEl.className = 'channel-category';
+            categoryEl.classList.toggle('collapsed', category.collapsed);
+            categoryEl.classList.toggle('muted', category.muted);
+            categoryEl.setAttribute('data-category-id', category.id);
+            categoryEl.innerHTML = `
+                <div class="channel-category-header"${tree.canEditLayout ? ' draggable="true"' : ''}>
+                    <i class="bi bi-chevron-down channel-category-chevron"></i>
+                    <span class="channel-category-name">${this._escapeHtml(category.name)}</span>
+                    <button type="button" class="btn-icon channel-category-mute" title="${category.muted ? 'Unmute category' : 'Mute category'}">
+                        <i class="bi ${category.muted ? 'bi-bell-slash' : 'bi-bell'}"></i>
+                    </button>
+                    ${tree.canEditLayout ? `
+                        <button type="button" class="btn-icon channel-category-rename" title="Rename category"><i class="bi bi-pencil"></i></button>
+                        <button type="button" class="btn-icon channel-category-delete" title="Delete category"><i class="bi bi-trash"></i></button>
+                    ` : ''}
+                </div>
+                <div class="channel-category-channels" data-category-id="${category.id}"></div>
+            `;
+            listEl.appendChild(categoryEl);
+
+            const groupEl = categoryEl.querySelector('.channel-category-channels');
+            category.channels.forEach(channel => placeItem(channel.name, groupEl));
+
+            categoryEl.querySelector('.channel-category-header').addEventListener('click', (e) => {
+                if (e.target.closest('button')) return;
+                const collapsed = categoryEl.classList.toggle('collapsed');
+                this._setCategoryPreference(category.id, { collapsed });
+            });
+            categoryEl.querySelector('.channel-category-mute').addEventListener('click', () => {
+                this._setCategoryPreference(category.id, { muted: !categoryEl.classList.contains('muted') });
+            });
+            categoryEl.querySelector('.channel-category-rename')?.addEventListener('click', () => {
+                const name = prompt('Rename category', category.name);
+                if (name === null || name.trim() === category.name) return;
+                this.socket.emit('rename-category', { categoryId: category.id, name }, (response) => {
+                    if (!response || !response.success) {
+                        this._showNotification((response && response.message) || 'Failed to rename category', 'error');
+                    }
+                });
+            });
+            categoryEl.querySelector('.channel-category-delete')?.addEventListener('click', () => {
+                if (!confirm(`Delete the "${category.name}" category? Its channels will be kept.`)) return;
+                this.socket.emit('delete-category', { categoryId: category.id }, (response) => {
+                    if (!response || !response.success) {
+                        this._showNotification((response && response.message) || 'Failed to delete category', 'error');
+                    }
+                });
+            });
+        });
+
+        // Archived channels stay out of the way until asked for
+        let toggleEl = document.getElementById('archived-channels-toggle');
+        if (!toggleEl) {
+            toggleEl = document.createElement('button');
+            toggleEl.type = 'button';
+            toggleEl.id = 'archived-channels-toggle';
+            toggleEl.className = 'archived-channels-toggle';
+            toggleEl.addEventListener('click', () => {
+                this.showArchivedChannels = !this.showArchivedChannels;
+                this._loadChannels();
+            });
+            listEl.after(toggleEl);
+        }
+        toggleEl.textContent = this.showArchivedChannels ? 'Hide archived channels' : 'Show archived channels';
+
+        const addCategoryButton = document.getElementById('add-category-btn');
+        if (addCategoryButton) addCategoryButton.style.display = tree.canEditLayout ? '' : 'none';
+        // Only admins can arrange the sidebar, and only admins can read the audit log
+        const auditLogLink = document.getElementById('audit-log-link');
+        if (auditLogLink) auditLogLink.style.display = tree.canEditLayout ? '' : 'none';
+
+        this._renderUnreadBadges();
+    }
+
+    // Sidebar item for a channel that isn't built into the page, with a lock on private channels
+    _createChannelListItem(channel, listEl) {
+        const itemEl = document.createElement('div');
+        itemEl.className = 'list-item';
+        itemEl.setAttribute('data-channel', channel.name);
+        itemEl.setAttribute('data-dynamic', 'true');
+        itemEl.classList.toggle('active', !this.isDMMode && this._isCurrentChannel(channel.name));
+        itemEl.classList.toggle('archived', !!channel.archived_at);
+        itemEl.innerHTML = `
+            <i class="bi ${channel.archived_at ? 'bi-archive' : channel.is_private ? 'bi-lock' : 'bi-hash'}"></i>
+            <span>${this._escapeHtml(channel.name)}</span>
+        `;
+        itemEl.addEventListener('click', () => {
+            if (itemEl.classList.contains('active')) return;
+            listEl.querySelectorAll('.list-item').forEach(other => other.classList.remove('active'));
+            itemEl.classList.add('active');
+            this.switchChannel(channel.name);
+        });
+        return itemEl;
+    }
+
+    // Let admins drag channels between categories and reorder the categories; the new layout is saved on drop
+    _setupChannelDragAndDrop(listEl) {
+        let dragged = null;
+        let layoutBefore = null;
+
+        listEl.addEventListener('dragstart', (e) => {
+            if (!e.target.draggable) return;
+            dragged = e.target.closest('.list-item[data-layout-channel]') || e.target.closest('.channel-category');
+            if (!dragged) return;
+            layoutBefore = JSON.stringify(this._collectChannelLayout(listEl));
+            dragged.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', '');
+        });
+
+        listEl.addEventListener('dragover', (e) => {
+            if (!dragged) return;
+            e.preventDefault();
+
+            // Place the dragged element above or below whatever is under the pointer
+            const placeNextTo = (targetEl) => {
+                const rect = targetEl.getBoundingClientRect();
+                targetEl[e.clientY < rect.top + rect.height / 2 ? 'before' : 'after'](dragged);
+            };
+
+            if (dragged.classList.contains('channel-category')) {
+                const categoryEl = e.target.closest('.channel-category');
+                if (categoryEl && categoryEl !== dragged) placeNextTo(categoryEl);
+                return;
+            }
+
+            const itemEl = e.target.closest('.list-item');
+            if (itemEl) {
+                if (itemEl !== dragged) placeNextTo(itemEl);
+                return;
+            }
+            // Over a category header or an empty category: move to the end of it
+            const categoryEl = e.target.closest('.channel-category');
+            const groupEl = categoryEl ? categoryEl.querySelector('.channel-category-channels') : e.target.closest('.channel-category-channels');
+            if (groupEl && dragged.parentElement !== groupEl) groupEl.appendChild(dragged);
+        });
+
+        listEl.addEventListener('drop', (e) => {
+            if (dragged) e.preventDefault();
+        });
+
+        listEl.addEventListener('dragend', () => {
+            if (!dragged) return;
+            dragged.classList.remove('dragging');
+            dragged = null;
+
+            const layout = this._collectChannelLayout(listEl);
+            if (JSON.stringify(layout) === layoutBefore) return;
+            this.socket.emit('save-channel-layout', layout, (response) => {
+                if (!response || !response.success) {
+                    this._showNotification((response && response.message) || 'Failed to save channel layout', 'error');
+                    this._loadChannels();
+                }
+            });
+        });
+    }
+
+    // Read the category order and each category's channels back out of the sidebar
+    _collectChannelLayout(listEl) {
+        const channels = {};
+        listEl.querySelectorAll('.channel-category-channels').forEach(groupEl => {
+            channels[groupEl.getAttribute('data-category-id')] = [...groupEl.querySelectorAll('.list-item[data-layout-channel]')]
+                .map(itemEl => itemEl.getAttribute('data-channel'));
+        });
+        return {
+            categories: [...listEl.querySelectorAll('.channel-category')].map(categoryEl => categoryEl.getAttribute('data-category-id')),
+            channels
+        };
+    }
+
+    // Collapse or mute a category for this user; other tabs follow through category-preference-updated
+    _setCategoryPreference(categoryId, fields) {
+        this.socket.emit('set-category-preference', { categoryId, ...fields }, (response) => {
+            if (!response || !response.success) {
+                this._showNotification((response && response.message) || 'Failed to update category', 'error');
+                this._loadChannels();
+            }
+        });
+    }
+
+    // Apply a collapsed or muted change to a category in the sidebar
+    _applyCategoryPreference(categoryId, collapsed, muted) {
+        this.mutedCategories[muted ? 'add' : 'delete'](categoryId);
+
+        const categoryEl = document.querySelector(`#channels-list .channel-category[data-category-id="${categoryId}"]`);
+        if (!categoryEl) return;
+        categoryEl.classList.toggle('collapsed', collapsed);
+        categoryEl.classList.toggle('muted', muted);
+        const muteButton = categoryEl.querySelector('.channel-category-mute');
+        muteButton.title = muted ? 'Unmute category' : 'Mute category';
+        muteButton.querySelector('i').className = `bi ${muted ? 'bi-bell-slash' : 'bi-bell'}`;
+    }
+
+    // Ask for a name and add a category at the bottom of the sidebar
+    _createCategory() {
+        const name = prompt('Category name');
+        if (name === null) return;
+        this.socket.emit('create-category', { name }, (response) => {
+            if (!response || !response.success) {
+                this._showNotification((response && response.message) || 'Failed to create category', 'error');
+            }
+        });
+    }
+
+    // Move everything kept under a channel's old name to its new one
+    _renameChannelLocally(oldName, newName) {
+        if (this.channelMessages[oldName]) {
+            this.channelMessages[newName] = this.channelMessages[oldName];
+            delete this.channelMessages[oldName];
+        }
+        if (this.defaultChannels && this.defaultChannels.includes(oldName)) {
+            this.defaultChannels = this.defaultChannels.map(name => name === oldName ? newName : name);
+            const itemEl = document.querySelector(`#channels-list .list-item[data-channel="${oldName}"]`);
+            if (itemEl) {
+                itemEl.setAttribute('data-channel', newName);
+                itemEl.querySelector('span').textContent = newName;
+            }
+        }
+        if (!this.isDMMode && this._isCurrentChannel(oldName)) {
+            this.currentChannel = newName;
+        }
+    }
+
+    // Edit the current channel's name, description and topic, archive it, or delete it
+    _openChannelSettingsModal(channel) {
+        document.getElementById('channelSettingsModal')?.remove();
+
+        this.socket.emit('get-channel-info', { channel }, (response) => {
+            if (!response || !response.success) {
+                this._showNotification((response && response.message) || 'Failed to load channel', 'error');
+                return;
+            }
+
+            const info = response.channel;
+            const isProtected = channel === 'general';
+            const modalEl = document.createElement('div');
+            modalEl.className = 'modal fade';
+            modalEl.id = 'channelSettingsModal';
+            modalEl.setAttribute('tabindex', '-1');
+            modalEl.setAttribute('aria-labelledby', 'channelSettingsModalLabel');
+            modalEl.setAttribute('aria-hidden', 'true');
+            modalEl.innerHTML = `
+                <div class="modal-dialog modal-dialog-centered">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title" id="channelSettingsModalLabel">#${this._escapeHtml(channel)} settings</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                        </div>
+                        <div class="modal-body">
+                            <label class="form-label">Name</label>
+                            <input type="text" class="form-control mb-3 channel-name-input" maxlength="100" value="${this._escapeHtml(channel)}" ${isProtected ? 'disabled' : ''}>
+                            <label class="form-label">Description</label>
+                            <textarea class="form-control mb-3 channel-description-input" rows="2" maxlength="250">${this._escapeHtml(info.description || '')}</textarea>
+                            <label class="form-label">Topic</label>
+                            <input type="text" class="form-control mb-3 channel-topic-input" maxlength="250" value="${this._escapeHtml(info.topic || '')}">
+                            ${isProtected ? '' : `
+                                <div class="channel-danger-zone">
+                                    <button type="button" class="btn btn-outline-warning channel-archive-btn">${info.archived ? 'Unarchive channel' : 'Archive channel'}</button>
+                                    ${info.role === 'owner' ? '<button type="button" class="btn btn-outline-danger channel-delete-btn">Delete channel</button>' : ''}
+                                    <div class="channel-delete-confirm d-none">
+                                        <p class="mb-2">This deletes #${this._escapeHtml(channel)} and all of its messages for everyone. Type the channel name to confirm.</p>
+                                        <div class="d-flex gap-2">
+                                            <input type="text" class="form-control channel-delete-input" placeholder="${this._escapeHtml(channel)}">
+                                            <button type="button" class="btn btn-danger channel-delete-confirm-btn" disabled>Delete</button>
+                                        </div>
+                                    </div>
+                                </div>
+                            `}
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                            <button type="button" class="btn btn-primary channel-save-btn">Save</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modalEl);
+            const modal = new bootstrap.Modal(modalEl);
+
+            modalEl.querySelector('.channel-save-btn').addEventListener('click', () => {
+                this.socket.emit('update-channel', {
+                    channel,
+                    name: modalEl.querySelector('.channel-name-input').value.trim(),
+                    description: modalEl.querySelector('.channel-description-input').value.trim(),
+                    topic: modalEl.querySelector('.channel-topic-input').value.trim()
+                }, (result) => {
+                    if (!result || !result.success) {
+                        this._showNotification((result && result.message) || 'Failed to update channel', 'error');
+                        return;
+                    }
+                    modal.hide();
+                });
+            });
+
+            modalEl.querySelector('.channel-archive-btn')?.addEventListener('click', () => {
+                this.socket.emit('archive-channel', { channel, archived: !info.archived }, (result) => {
+                    if (!result || !result.success) {
+                        this._showNotification((result && result.message) || 'Failed to archive channel', 'error');
+                        return;
+                    }
+                    this._showNotification(result.archived ? `#${channel} archived` : `#${channel} unarchived`, 'info');
+                    modal.hide();
+                });
+            });
+
+            // Deleting asks for the channel name to be typed first
+            const confirmEl = modalEl.querySelector('.channel-delete-confirm');
+            const confirmInput = modalEl.querySelector('.channel-delete-input');
+            const confirmBtn = modalEl.querySelector('.channel-delete-confirm-btn');
+            modalEl.querySelector('.channel-delete-btn')?.addEventListener('click', () => {
+                confirmEl.classList.remove('d-none');
+                confirmInput.focus();
+            });
+            confirmInput?.addEventListener('input', () => {
+                confirmBtn.disabled = confirmInput.value.trim() !== channel;
+            });
+            confirmBtn?.addEventListener('click', () => {
+                this.socket.emit('delete-channel', { channel, confirm: confirmInput.value.trim() }, (result) => {
+                    if (!result || !result.success) {
+                        this._showNotification((result && result.message) || 'Failed to delete channel', 'error');
+                        return;
+                    }
+                    modal.hide();
+                });
+            });
+
+            modalEl.addEventListener('hidden.bs.modal', () => {
+                modalEl.remove();
+            });
+
+            modal.show();
+        });
+    }
+
+    // Whether the user can kick, ban and time out people in a channel
+    _canModerate(channel) {
+        return !!channel && (this.channelPermissions[channel] || []).includes('moderate');
+    }
+
+    // Describe a slow mode interval, e.g. "30 seconds" or "1 hour"
+    _formatSlowMode(seconds) {
+        if (seconds % 3600 === 0) return `${seconds / 3600} hour${seconds === 3600 ? '' : 's'}`;
+        if (seconds % 60 === 0) return `${seconds / 60} minute${seconds === 60 ? '' : 's'}`;
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+
+    // Right-click menu with the moderation actions for a user in the current channel
+    _openModerationMenu(event, target) {
+        const channel = this.currentChannel.replace(/^#/, '');
+        if (this.isDMMode || !target.userId || target.userId === this.currentUser.id || !this._canModerate(channel)) return;
+
+        event.preventDefault();
+        document.querySelector('.moderation-menu')?.remove();
+
+        const menuEl = document.createElement('div');
+        menuEl.className = 'moderation-menu';
+        menuEl.innerHTML = `
+            <div class="moderation-menu-title">${this._escapeHtml(target.username)}</div>
+            <div class="message-action-item" data-action="timeout"><i class="bi bi-hourglass-split"></i>Time Out</div>
+            <div class="message-action-item danger" data-action="kick"><i class="bi bi-box-arrow-right"></i>Kick</div>
+            <div class="message-action-item danger" data-action="ban"><i class="bi bi-slash-circle"></i>Ban</div>
+        `;
+        menuEl.style.left = `${event.clientX}px`;
+        menuEl.style.top = `${event.clientY}px`;
+        document.body.appendChild(menuEl);
+
+        menuEl.querySelectorAll('.message-action-item').forEach(itemEl => {
+            itemEl.addEventListener('click', () => {
+                menuEl.remove();
+                this._openModerationModal(itemEl.getAttribute('data-action'), target, channel);
+            });
+        });
+
+        // Close on the next click anywhere
+        setTimeout(() => document.addEventListener('click', () => menuEl.remove(), { once: true }));
+    }
+
+    // Ask for the reason, and the duration of bans and timeouts, then apply the action
+    _openModerationModal(action, target, channel) {
+        document.getElementById('moderationModal')?.remove();
+
+        const titles = {
+            kick: `Kick ${target.username} from #${channel}`,
+            ban: `Ban ${target.username} from #${channel}`,
+            timeout: `Time out ${target.username} in #${channel}`
+        };
+        const durations = {
+            ban: [['60', '1 hour'], ['1440', '1 day'], ['10080', '7 days'], ['43200', '30 days'], ['', 'Permanently']],
+            timeout: [['1', '1 minute'], ['5', '5 minutes'], ['10', '10 minutes'], ['60', '1 hour'], ['1440', '1 day'], ['10080', '1 week']]
+        };
+        const events = { kick: 'kick-channel-member', ban: 'ban-channel-member', timeout: 'timeout-channel-member' };
+
+        const modalEl = document.createElement('div');
+        modalEl.className = 'modal fade';
+        modalEl.id = 'moderationModal';
+        modalEl.setAttribute('tabindex', '-1');
+        modalEl.setAttribute('aria-labelledby', 'moderationModalLabel');
+        modalEl.setAttribute('aria-hidden', 'true');
+        modalEl.innerHTML = `
+            <div class="modal-dialog modal-dialog-centered">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title" id="moderationModalLabel">${this._escapeHtml(titles[action])}</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        ${durations[action] ? `
+                            <label class="form-label">Duration</label>
+                            <select class="form-select mb-3 moderation-duration">
+                                ${durations[action].map(([minutes, label], index) => `<option value="${minutes}" ${index === 1 ? 'selected' : ''}>${label}</option>`).join('')}
+                            </select>
+                        ` : ''}
+                        <label class="form-label">Reason (optional)</label>
+                        <input type="text" class="form-control moderation-reason" maxlength="200" placeholder="Shown to ${this._escapeHtml(target.username)}">
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                        <button type="button" class="btn btn-danger moderation-confirm-btn">${action === 'timeout' ? 'Time out' : action === 'ban' ? 'Ban' : 'Kick'}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modalEl);
+        const modal = new bootstrap.Modal(modalEl);
+
+        modalEl.querySelector('.moderation-confirm-btn').addEventListener('click', () => {
+            const duration = modalEl.querySelector('.moderation-duration');
+            this.socket.emit(events[action], {
+                channel,
+                userId: target.userId,
+                minutes: duration && duration.value ? Number(duration.value) : null,
+                reason: modalEl.querySelector('.moderation-reason').value.trim()
+            }, (result) => {
+                if (!result || !result.success) {
+                    this._showNotification((result && result.message) || 'Moderation action failed', 'error');
+                    return;
+                }
+                modal.hide();
+            });
+        });
+
+        modalEl.addEventListener('hidden.bs.modal', () => {
+            modalEl.remove();
+        });
+
+        modal.show();
+    }
+
+    // Set slow mode and lift bans and timeouts in a channel
+    _openChannelModerationModal(channel) {
+        document.getElementById('channelModerationModal')?.remove();
+
+        const intervals = [0, 5, 10, 30, 60, 300, 900, 3600, 21600];
+        const modalEl = document.createElement('div');
+        modalEl.className = 'modal fade';
+        modalEl.id = 'channelModerationModal';
+        modalEl.setAttribute('tabindex', '-1');
+        modalEl.setAttribute('aria-labelledby', 'channelModerationModalLabel');
+        modalEl.setAttribute('aria-hidden', 'true');
+        modalEl.innerHTML = `
+            <div class="modal-dialog modal-dialog-centered modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title" id="channelModerationModalLabel">Moderate #${this._escapeHtml(channel)}</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <label class="form-label">Slow mode</label>
+                        <select class="form-select mb-3 slow-mode-select">
+                            ${intervals.map(seconds => `<option value="${seconds}">${seconds ? `One message every ${this._formatSlowMode(seconds)}` : 'Off'}</option>`).join('')}
+                        </select>
+                        <h6>Bans and timeouts</h6>
+                        <div class="sanction-list"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modalEl);
+        const modal = new bootstrap.Modal(modalEl);
+        const selectEl = modalEl.querySelector('.slow-mode-select');
+        const listEl = modalEl.querySelector('.sanction-list');
+
+        const loadSanctions = () => {
+            this.socket.emit('get-channel-sanctions', { channel }, (response) => {
+                if (!response || !response.success) {
+                    listEl.innerHTML = `<div class="text-muted">${this._escapeHtml((response && response.message) || 'Failed to load bans and timeouts')}</div>`;
+                    return;
+                }
+                selectEl.value = String(response.slowModeSeconds);
+                this._renderSanctionList(listEl, channel, response.sanctions, loadSanctions);
+            });
+        };
+
+        selectEl.addEventListener('change', () => {
+            this.socket.emit('set-slow-mode', { channel, seconds: Number(selectEl.value) }, (result) => {
+                if (!result || !result.success) {
+                    this._showNotification((result && result.message) || 'Failed to set slow mode', 'error');
+                    loadSanctions();
+                }
+            });
+        });
+
+        modalEl.addEventListener('hidden.bs.modal', () => {
+            modalEl.remove();
+        });
+
+        loadSanctions();
+        modal.show();
+    }
+
+    // Draw a channel's bans and timeouts, each with a button to lift it
+    _renderSanctionList(listEl, channel, sanctions, onChange) {
+        if (sanctions.length === 0) {
+            listEl.innerHTML = '<div class="text-muted">Nobody is banned or timed out</div>';
+            return;
+        }
+
+        listEl.innerHTML = sanctions.map(sanction => `
+            <div class="sanction-item" data-sanction-id="${sanction.id}">
+                <div class="sanction-details">
+                    <div>
+                        <strong>${this._escapeHtml(sanction.username)}</strong>
+                        <span class="sanction-type sanction-${sanction.type}">${sanction.type === 'ban' ? 'Banned' : 'Timed out'}</span>
+                    </div>
+                    <div class="text-muted small">
+                        ${sanction.expiresAt ? `Until ${new Date(sanction.expiresAt).toLocaleString()}` : 'Permanent'}${sanction.reason ? ` · ${this._escapeHtml(sanction.reason)}` : ''}
+                    </div>
+                </div>
+                <button type="button" class="btn btn-sm btn-outline-secondary sanction-lift">${sanction.type === 'ban' ? 'Unban' : 'Remove timeout'}</button>
+            </div>
+        `).join('');
+
+        sanctions.forEach(sanction => {
+            listEl.querySelector(`.sanction-item[data-sanction-id="${sanction.id}"] .sanction-lift`).addEventListener('click', () => {
+                this.socket.emit('lift-channel-sanction', { channel, userId: sanction.userId, type: sanction.type }, (result) => {
+                    if (!result || !result.success) {
+                        this._showNotification((result && result.message) || 'Failed to lift it', 'error');
+                    }
+                    onChange();
+                });
+            });
+        });
+    }
+
+    // Update the topic in the chat header
+    _setChannelTopic(topic) {
+        const topicEl = document.getElementById('channel-topic');
+        if (!topicEl) return;
+
+        topicEl.textContent = topic || '';
+        topicEl.title = topic || '';
+        topicEl.style.display = topic && !this.isDMMode ? '' : 'none';
+    }
+
+    // Name shown on a user's messages: their nickname if they set one
+    _getDisplayName(senderId, username, messageNickname = null) {
+        const nickname = senderId && senderId in this.userNicknames ? this.userNicknames[senderId] : messageNickname;
+        return nickname || username;
+    }
+
+    // Apply a nickname change to messages already on screen
+    _applyNicknameUpdate(userId, nickname) {
+        this.userNicknames[userId] = nickname;
+
+        this.messagesContainer?.querySelectorAll(`.message[data-sender-id="${userId}"] .message-author, .message[data-sender-id="${userId}"] .action-author`).forEach(authorEl => {
+            authorEl.textContent = nickname || authorEl.title;
+        });
+    }
+
+    // Fetch the channels muted with /mute
+    _loadMutedChannels() {
+        this.socket.emit('get-muted-channels', {}, (response) => {
+            if (!response || !response.success) return;
+            this.mutedChannels = new Map(response.mutes.map(mute => [mute.channel, mute.mutedUntil]));
+        });
+    }
+
+    // Whether the user has muted a channel, or its category, and the mute hasn't run out
+    _isChannelMuted(channel) {
+        if (this.mutedCategories.has(this.channelCategories[channel])) return true;
+        if (!this.mutedChannels.has(channel)) return false;
+
+        const until = this.mutedChannels.get(channel);
+        if (until && new Date(until).getTime() <= Date.now()) {
+            this.mutedChannels.delete(channel);
+            return false;
+        }
+        return true;
+    }
+
+    // Open the dialog for creating a poll in the current channel or DM
+    _openPollModal() {
+        let target;
+        if (this.isDMMode && this.currentDmRecipientId) {
+            const name = (this.allUsers[this.currentDmRecipientId] && this.allUsers[this.currentDmRecipientId].username) || 'user';
+            target = { recipientId: this.currentDmRecipientId, label: `@${name}` };
+        } else {
+            const channel = (this.currentChannel || 'general').replace(/^#/, '');
+            target = { channel, label: `#${channel}` };
+        }
+
+        const maxOptions = 10;
+        const durations = [
+            { label: 'No deadline', ms: 0 },
+            { label: '1 hour', ms: 60 * 60 * 1000 },
+            { label: '4 hours', ms: 4 * 60 * 60 * 1000 },
+            { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+            { label: '3 days', ms: 3 * 24 * 60 * 60 * 1000 },
+            { label: '1 week', ms: 7 * 24 * 60 * 60 * 1000 }
+        ];
+
+        const modalEl = document.createElement('div');
+        modalEl.className = 'modal fade';
+        modalEl.id = 'createPollModal';
+        modalEl.setAttribute('tabindex', '-1');
+        modalEl.setAttribute('aria-labelledby', 'createPollModalLabel');
+        modalEl.setAttribute('aria-hidden', 'true');
+        modalEl.innerHTML = `
+            <div class="modal-dialog modal-dialog-centered">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title" id="createPollModalLabel">Create Poll</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="mb-2 text-muted">In ${this._escapeHtml(target.label)}</div>
+                        <input type="text" class="form-control mb-3 poll-question-input" maxlength="300" placeholder="Ask a question">
+                        <label class="form-label">Options</label>
+                        <div class="poll-option-inputs mb-2"></div>
+                        <button type="button" class="btn btn-sm btn-outline-secondary poll-add-option mb-3"><i class="bi bi-plus"></i> Add option</button>
+                        <div class="form-check">
+                            <input class="form-check-input poll-multiple" type="checkbox" id="poll-multiple">
+                            <label class="form-check-label" for="poll-multiple">Allow multiple choices</label>
+                        </div>
+                        <div class="form-check mb-3">
+                            <input class="form-check-input poll-anonymous" type="checkbox" id="poll-anonymous">
+                            <label class="form-check-label" for="poll-anonymous">Anonymous voting</label>
+                        </div>
+                        <label class="form-label">Close after</label>
+                        <select class="form-select poll-duration">
+                            ${durations.map((duration, index) => `<option value="${index}">${duration.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                        <button type="button" class="btn btn-primary poll-submit">Post Poll</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modalEl);
+        const modal = new bootstrap.Modal(modalEl);
+
+        const optionsEl = modalEl.querySelector('.poll-option-inputs');
+        const addOptionBtn = modalEl.querySelector('.poll-add-option');
+
+        // Options can be removed down to the minimum of two
+        const refreshOptionControls = () => {
+            const rows = optionsEl.querySelectorAll('.poll-option-row');
+            rows.forEach((row, index) => {
+                row.querySelector('input').placeholder = `Option ${index + 1}`;
+                row.querySelector('.poll-remove-option').disabled = rows.length <= 2;
+            });
+            addOptionBtn.disabled = rows.length >= maxOptions;
+        };
+        const addOption = () => {
+            const row = document.createElement('div');
+            row.className = 'input-group mb-2 poll-option-row';
+            row.innerHTML = `
+                <input type="text" class="form-control" maxlength="100">
+                <button type="button" class="btn btn-outline-secondary poll-remove-option" title="Remove option"><i class="bi bi-x"></i></button>
+            `;
+            row.querySelector('.poll-remove-option').addEventListener('click', () => {
+                row.remove();
+                refreshOptionControls();
+            });
+            optionsEl.appendChild(row);
+            refreshOptionControls();
+            return row.querySelector('input');
+        };
+        addOption();
+        addOption();
+        addOptionBtn.addEventListener('click', () => addOption().focus());
+
+        modalEl.querySelector('.poll-submit').addEventListener('click', () => {
+            const question = modalEl.querySelector('.poll-question-input').value.trim();
+            const options = [...optionsEl.querySelectorAll('input')].map(input => input.value.trim()).filter(Boolean);
+            const duration = durations[parseInt(modalEl.querySelector('.poll-duration').value, 10)];
+
+            if (!question) {
+                this._showNotification('A poll needs a question', 'error');
+                return;
+            }
+            if (options.length < 2) {
+                this._showNotification('A poll needs at least two options', 'error');
+                return;
+            }
+
+            const payload = {
+                ...target,
+                question,
+                options,
+                allowMultiple: modalEl.querySelector('.poll-multiple').checked,
+                anonymous: modalEl.querySelector('.poll-anonymous').checked,
+                closesAt: duration.ms ? new Date(Date.now() + duration.ms).toISOString() : null
+            };
+            delete payload.label;
+
+            this.socket.emit('create-poll', payload, (response) => {
+                if (!response || !response.success) {
+                    this._showNotification((response && response.message) || 'Failed to create poll', 'error');
+                    return;
+                }
+                modal.hide();
+            });
+        });
+
+        modal.show();
+        modalEl.addEventListener('shown.bs.modal', () => modalEl.querySelector('.poll-question-input').focus());
+
+        // Clean up when modal is hidden
+        modalEl.addEventListener('hidden.bs.modal', () => {
+            modalEl.remove();
+        });
+    }
+
+    // Draw a poll's question, options and result bars into its card
+    _renderPoll(cardEl, message) {
+        const poll = message.poll;
+        if (!cardEl || !poll) return;
+
+        const myVotes = new Set(poll.myVotes || []);
+        const hasVoted = myVotes.size > 0;
+        const totalVotes = poll.options.reduce((sum, option) => sum + option.votes, 0);
+        const isCreator = poll.createdBy === this.currentUser.id;
+
+        const meta = [poll.allowMultiple ? 'Multiple choice' : 'Single choice'];
+        if (poll.anonymous) meta.push('Anonymous');
+        if (poll.closed) {
+            meta.push('Closed');
+        } else if (poll.closesAt) {
+            meta.push(`Closes ${new Date(poll.closesAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`);
+        }
+
+        cardEl.dataset.pollId = poll.id;
+        cardEl.classList.toggle('closed', !!poll.closed);
+        cardEl.innerHTML = `
+            <div class="poll-question">${this._escapeHtml(poll.question)}</div>
+            <div class="poll-meta">${meta.map(item => this._escapeHtml(item)).join(' · ')}</div>
+            <div class="poll-options">
+                ${poll.options.map(option => {
+                    const percent = totalVotes > 0 ? Math.round((option.votes / totalVotes) * 100) : 0;
+                    const selected = myVotes.has(option.id);
+                    const icon = poll.allowMultiple
+                        ? (selected ? 'bi-check-square-fill' : 'bi-square')
+                        : (selected ? 'bi-check-circle-fill' : 'bi-circle');
+                    const voters = option.voters && option.voters.length > 0 ? option.voters.join(', ') : '';
+                    return `
+                        <button type="button" class="poll-option ${selected ? 'selected' : ''}" data-option-id="${option.id}" ${poll.closed ? 'disabled' : ''} ${voters ? `title="${this._escapeHtml(voters)}"` : ''}>
+                            <span class="poll-option-bar" style="width: ${hasVoted || poll.closed ? percent : 0}%"></span>
+                            <i class="bi ${icon} poll-option-check"></i>
+                            <span class="poll-option-text">${this._escapeHtml(option.text)}</span>
+                            ${hasVoted || poll.closed ? `<span class="poll-option-count">${option.votes} · ${percent}%</span>` : ''}
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+            <div class="poll-footer">
+                <span>${poll.totalVoters} ${poll.totalVoters === 1 ? 'voter' : 'voters'}${!hasVoted && !poll.closed ? ' · vote to see results' : ''}</span>
+                ${isCreator && !poll.closed ? '<button type="button" class="btn btn-sm btn-link poll-close">Close poll</button>' : ''}
+            </div>
+        `;
+
+        cardEl.querySelectorAll('.poll-option').forEach(optionEl => {
+            optionEl.addEventListener('click', () => {
+                const optionId = parseInt(optionEl.dataset.optionId, 10);
+                let picks;
+                if (poll.allowMultiple) {
+                    picks = myVotes.has(optionId) ? [...myVotes].filter(id => id !== optionId) : [...myVotes, optionId];
+                } else {
+                    // Clicking your current choice again retracts the vote
+                    picks = myVotes.has(optionId) ? [] : [optionId];
+                }
+                this._votePoll(message.id, poll.id, picks);
+            });
+        });
+
+        cardEl.querySelector('.poll-close')?.addEventListener('click', () => {
+            if (!confirm('Close this poll? No one will be able to vote after that.')) return;
+
+            this.socket.emit('close-poll', { pollId: poll.id }, (response) => {
+                if (!response || !response.success) {
+                    this._showNotification((response && response.message) || 'Failed to close the poll', 'error');
+                }
+            });
+        });
+    }
+
+    // Send the user's picks for a poll
+    _votePoll(messageId, pollId, optionIds) {
+        this.socket.emit('vote-poll', { pollId, optionIds }, (response) => {
+            if (!response || !response.success) {
+                this._showNotification((response && response.message) || 'Failed to save your vote', 'error');
+                return;
+            }
+            this._applyPollUpdate(messageId, response.poll);
+        });
+    }
+
+    // Show new poll results on every copy of the message, keeping the user's own picks
+    _applyPollUpdate(messageId, poll) {
+        const caches = [...Object.values(this.channelMessages), ...Object.values(this.dmConversations)];
+        let cached = null;
+        for (const messages of caches) {
+            cached = Array.isArray(messages) ? messages.find(msg => msg.id === messageId) : null;
+            if (cached) break;
+        }
+
+        // Broadcast results don't carry anyone's own picks, so keep the ones we know
+        const previous = (cached && cached.poll) || {};
+        const updated = { ...poll, myVotes: poll.myVotes || previous.myVotes || [] };
+        if (cached) {
+            cached.poll = updated;
+        }
+
+        document.querySelectorAll(`.message[data-message-id="${messageId}"] .poll-card`).forEach(cardEl => {
+            this._renderPoll(cardEl, { ...(cached || {}), id: messageId, poll: updated });
+        });
+    }
+
+    // Fetch unread and mention counts for every channel and DM
+    _loadUnreadCounts() {
+        this.socket.emit('get-unread-counts', {}, (response) => {
+            if (!response || !response.success) {
+                console.error('[CHAT_DEBUG] Failed to load unread counts:', response && response.message);
+                return;
+            }
+            this._applyUnreadSummary(response);
+        });
+    }
+
+    // Replace the read state with a summary from the server
+    _applyUnreadSummary(summary) {
+        this.readStates = {
+            channels: (summary && summary.channels) || {},
+            dms: (summary && summary.dms) || {}
+        };
+
+        // The open conversation is being read right now
+        const current = this._getCurrentConversation();
+        if (current) {
+            this._prepareUnreadDivider(current);
+            this._renderUnreadDivider();
+            this._scheduleMarkRead();
+        }
+        this._renderUnreadBadges();
+    }
+
+    // The conversation on screen, as { channel } or { recipientId }
+    _getCurrentConversation() {
+        if (this.isDMMode) {
+            return this.currentDmRecipientId ? { recipientId: this.currentDmRecipientId } : null;
+        }
+        const channel = (this.currentChannel || 'general').replace(/^#/, '');
+        return channel ? { channel } : null;
+    }
+
+    // Read state for a conversation, created empty on first use
+    _getReadState(conversation) {
+        const bucket = conversation.recipientId ? this.readStates.dms : this.readStates.channels;
+        const key = conversation.recipientId || conversation.channel;
+        if (!bucket[key]) {
+            bucket[key] = { unread: 0, mentions: 0, lastReadMessageId: null, lastReadAt: null };
+        }
+        return bucket[key];
+    }
+
+    // Show unread and mention counts next to channels and DMs in the sidebar
+    _renderUnreadBadges() {
+        const apply = (itemEl, state) => {
+            let badge = itemEl.querySelector('.unread-badge');
+            const unread = state ? state.unread : 0;
+            const mentions = state ? state.mentions : 0;
+
+            itemEl.classList.toggle('has-unread', unread > 0);
+            if (unread === 0 && mentions === 0) {
+                badge?.remove();
+                return;
+            }
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'unread-badge';
+                itemEl.appendChild(badge);
+            }
+
+            // Mentions take the badge; plain unread messages only bold the name
+            badge.classList.toggle('mention', mentions > 0);
+            badge.textContent = mentions > 0 ? (mentions > 99 ? '99+' : String(mentions)) : '';
+            badge.style.display = mentions > 0 ? '' : 'none';
+        };
+
+        document.querySelectorAll('#channels-list .list-item[data-channel], .channel-button[data-channel]').forEach(itemEl => {
+            apply(itemEl, this.readStates.channels[itemEl.getAttribute('data-channel')]);
+        });
+        document.querySelectorAll('#friends-list [data-user-id], #dm-list [data-user-id]').forEach(itemEl => {
+            apply(itemEl, this.readStates.dms[itemEl.getAttribute('data-user-id')]);
+        });
+    }
+
+    // Remember where the divider goes when a conversation is opened, before it is marked read
+    _prepareUnreadDivider(conversation) {
+        const key = conversation.recipientId ? `dm:${conversation.recipientId}` : `channel:${conversation.channel}`;
+        if (this.unreadDivider.key === key) return;
+
+        const state = this._getReadState(conversation);
+        this.unreadDivider = {
+            key,
+            lastReadAt: state.lastReadAt,
+            unreadCount: state.unread
+        };
+    }
+
+    // Draw the "new messages" divider above the first unread message
+    _renderUnreadDivider() {
+        if (!this.messagesContainer) return;
+        this.messagesContainer.querySelector('.unread-divider')?.remove();
+
+        const { lastReadAt, unreadCount } = this.unreadDivider;
+        if (!unreadCount) {
+            this._updateJumpToUnreadButton();
+            return;
+        }
+
+        const ownId = this.currentUser && this.currentUser.id;
+        const candidates = [...this.messagesContainer.querySelectorAll('.message[data-message-id][data-timestamp]')]
+            .filter(el => el.getAttribute('data-message-id') && el.getAttribute('data-sender-id') !== ownId && !el.classList.contains('ephemeral-message'));
+
+        // Without a marker (never opened) fall back to counting back from the newest message
+        const firstUnread = lastReadAt
+            ? candidates.find(el => new Date(el.getAttribute('data-timestamp')) > new Date(lastReadAt))
+            : candidates[Math.max(0, candidates.length - unreadCount)];
+
+        if (firstUnread) {
+            const divider = document.createElement('div');
+            divider.className = 'unread-divider';
+            divider.innerHTML = '<span>New messages</span>';
+            firstUnread.parentNode.insertBefore(divider, firstUnread);
+        }
+        this._updateJumpToUnreadButton();
+    }
+
+    // Show the jump button while the divider is scrolled out of view above
+    _updateJumpToUnreadButton() {
+        const divider = this.messagesContainer && this.messagesContainer.querySelector('.unread-divider');
+        let button = document.getElementById('jump-to-unread');
+
+        if (!divider || divider.offsetTop >= this.messagesContainer.scrollTop) {
+            if (button) button.style.display = 'none';
+            return;
+        }
+
+        if (!button) {
+            button = document.createElement('button');
+            button.id = 'jump-to-unread';
+            button.type = 'button';
+            button.addEventListener('click', () => {
+                this.messagesContainer.querySelector('.unread-divider')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                button.style.display = 'none';
+            });
+            (this.mainContent || document.body).appendChild(button);
+        }
+
+        const count = this.unreadDivider.unreadCount;
+        button.innerHTML = `<i class="bi bi-arrow-up"></i> ${count > 99 ? '99+' : count} new ${count === 1 ? 'message' : 'messages'} · Jump`;
+        button.style.display = '';
+    }
+
+    // Whether the message list is scrolled to (or near) the newest message
+    _isScrolledToLatest() {
+        const container = this.messagesContainer;
+        return !container || container.scrollHeight - container.scrollTop - container.clientHeight < 80;
+    }
+
+    // Mark the open conversation read shortly after the user sees new messages
+    _scheduleMarkRead() {
+        clearTimeout(this.markReadTimer);
+        this.markReadTimer = setTimeout(() => this._markCurrentConversationRead(), 500);
+    }
+
+    // Send the newest visible message as the read marker, if the user can actually see it
+    _markCurrentConversationRead() {
+        const conversation = this._getCurrentConversation();
+        if (!conversation || !this.messagesContainer || document.visibilityState !== 'visible' || !this._isScrolledToLatest() || this.hasNewerMessagesToLoad) {
+            return;
+        }
+
+        const messageEls = [...this.messagesContainer.querySelectorAll('.message[data-message-id]')]
+            .filter(el => el.getAttribute('data-message-id') && !el.getAttribute('data-message-id').startsWith('temp'));
+        const latest = messageEls[messageEls.length - 1];
+        if (!latest) return;
+
+        const messageId = latest.getAttribute('data-message-id');
+        const state = this._getReadState(conversation);
+        if (state.lastReadMessageId === messageId && state.unread === 0) return;
+
+        this.socket.emit('mark-read', { ...conversation, messageId }, (response) => {
+            if (!response || !response.success) {
+                console.error('[CHAT_DEBUG] Failed to mark messages read:', response && response.message);
+                return;
+            }
+            Object.assign(this._getReadState(conversation), {
+                unread: 0,
+                mentions: 0,
+                lastReadMessageId: response.lastReadMessageId,
+                lastReadAt: response.lastReadAt
+            });
+            this._renderUnreadBadges();
+        });
+    }
+
+    // Count a message that arrived in a conversation the user isn't looking at
+    _trackUnreadMessage(conversation, message) {
+        if (!message || message.senderId === this.currentUser.id || message.replyTo || message.type === 'system') {
+            return;
+        }
+
+        const current = this._getCurrentConversation();
+        const isOpen = current && (conversation.recipientId
+            ? current.recipientId === conversation.recipientId
+            : current.channel === conversation.channel);
+        if (isOpen && document.visibilityState === 'visible' && this._isScrolledToLatest()) {
+            this._scheduleMarkRead();
+            return;
+        }
+
+        const state = this._getReadState(conversation);
+        state.unread++;
+        if (conversation.recipientId) {
+            state.mentions++;
+        }
+        this._renderUnreadBadges();
+    }
+
+    // Fetch how far the other person in a DM has read
+    _loadDMPeerReadState(userId) {
+        this.dmPeerReadAt = null;
+        this.socket.emit('get-dm-read-state', { userId }, (response) => {
+            if (!response || !response.success || this.currentDmRecipientId !== userId) return;
+            this.dmPeerReadAt = response.lastReadAt;
+            this._renderSeenIndicator();
+        });
+    }
+
+    // Show "Seen" under the user's last DM once the other person has read it
+    _renderSeenIndicator() {
+        if (!this.messagesContainer) return;
+        this.messagesContainer.querySelector('.seen-indicator')?.remove();
+        if (!this.isDMMode || !this.dmPeerReadAt) return;
+
+        const messageEls = [...this.messagesContainer.querySelectorAll('.message[data-message-id][data-timestamp]')];
+        const lastMessage = messageEls[messageEls.length - 1];
+        if (!lastMessage || lastMessage.getAttribute('data-sender-id') !== this.currentUser.id) return;
+        if (new Date(lastMessage.getAttribute('data-timestamp')) > new Date(this.dmPeerReadAt)) return;
+
+        const indicator = document.createElement('div');
+        indicator.className = 'seen-indicator';
+        indicator.innerHTML = '<i class="bi bi-check2-all"></i> Seen';
+        indicator.title = new Date(this.dmPeerReadAt).toLocaleString();
+        lastMessage.after(indicator);
+    }
+
+    // Add a DM that arrived live to its conversation
+    _handleIncomingDirectMessage(message) {
+        if (!message || !message.senderId) return;
+        
+        // Our own queued message came back before its acknowledgement
+        if (message.tempId && this.outboxEntries.has(message.tempId)) {
+            this._confirmOutboxMessage(message.tempId, message);
+            return;
+        }
+
+        const otherId = message.senderId === this.currentUser.id ? message.recipientId : message.senderId;
+        
+        // While an older stretch of history is open, new messages arrive by scrolling down to them
+        if (this.isDMMode && this.currentDmRecipientId === otherId && this.hasNewerMessagesToLoad) {
+            this._trackUnreadMessage({ recipientId: otherId }, message);
+            return;
+        }
+        if (!this.dmConversations[otherId]) {
+            this.dmConversations[otherId] = [];
+        }
+        if (message.id && this.dmConversations[otherId].some(msg => msg.id === message.id)) {
+            return;
+        }
+        this.dmConversations[otherId].push(message);
+
+        if (this.isDMMode && this.currentDmRecipientId === otherId) {
+            this._displayMessage(message);
+            this._renderSeenIndicator();
+        }
+        this._trackUnreadMessage({ recipientId: otherId }, message);
+    }
+
+    // Request a page of the open conversation's history; options hold before, after or around
+    _requestHistoryPage(options = {}) {
+        const conversation = this._getCurrentConversation();
+        if (!conversation) return;
+        
+        if (conversation.recipientId) {
+            this.socket.emit('get-dm-messages', { recipientId: conversation.recipientId, limit: this.messagesPerPage, ...options }, (response) => {
+                this._handleHistoryPage({ ...(response || {}), error: response && !response.success ? (response.message || 'Failed to load messages') : null }, conversation);
+            });
+        } else {
+            // Channel pages come back through the message-history event
+            this.socket.emit('get-channel-messages', { channel: conversation.channel, limit: this.messagesPerPage, ...options });
+        }
+    }
+    
+    // Load the page before the oldest loaded message
+    _loadOlderMessages() {
+        if (this.isLoadingMoreMessages || !this.hasMoreMessagesToLoad || !this.oldestMessageCursor) return;
+        
+        console.log('[CHAT_DEBUG] Loading older messages');
+        this.isLoadingMoreMessages = true;
+        this._requestHistoryPage({ before: this.oldestMessageCursor });
+    }
+    
+    // Load the page after the newest loaded message, when history was opened around an older one
+    _loadNewerMessages() {
+        if (this.isLoadingMoreMessages || !this.hasNewerMessagesToLoad || !this.newestMessageCursor) return;
+        
+        console.log('[CHAT_DEBUG] Loading newer messages');
+        this.isLoadingMoreMessages = true;
+        this._requestHistoryPage({ after: this.newestMessageCursor });
+    }
+    
+    // Load a page centred on a message so it can be scrolled to
+    _loadMessagesAround(messageId) {
+        console.log(`[CHAT_DEBUG] Loading messages around ${messageId}`);
+        this.isLoadingMoreMessages = true;
+        this._requestHistoryPage({ around: messageId });
+    }
+    
+    // Merge a page of history into the cache and, if its conversation is open, the view
+    _handleHistoryPage(page, conversation) {
+        const key = conversation.recipientId || conversation.channel;
+        const cache = conversation.recipientId ? this.dmConversations : this.channelMessages;
+        const current = this._getCurrentConversation();
+        const isOpen = current && (conversation.recipientId
+            ? current.recipientId === conversation.recipientId
+            : current.channel === conversation.channel);
+        const messages = page.messages || [];
+        
+        if (isOpen) {
+            this.isLoadingMoreMessages = false;
+        }
+        
+        if (page.error) {
+            console.error('[CHAT_DEBUG] Failed to load message history:', page.error);
+            if (page.mode === 'around' && this.pendingJumpMessageId) {
+                this.pendingJumpMessageId = null;
+                this._showNotification('That message could not be loaded', 'error');
+            }
+            return;
+        }
+        
+        // Older and newer pages extend the loaded window; the other modes replace it
+        if (page.mode === 'before' || page.mode === 'after') {
+            const loaded = cache[key] || [];
+            const known = new Set(loaded.map(msg => msg.id));
+            const fresh = messages.filter(msg => !known.has(msg.id));
+            cache[key] = page.mode === 'before' ? [...fresh, ...loaded] : [...loaded, ...fresh];
+            
+            if (!isOpen) return;
+            if (page.mode === 'before') {
+                this._prependOlderMessages(fresh);
+                this.oldestMessageCursor = page.beforeCursor || this.oldestMessageCursor;
+                this.hasMoreMessagesToLoad = page.hasMoreBefore;
+                this._showBeginningIndicator();
+            } else {
+                this._appendNewerMessages(fresh);
+                this.newestMessageCursor = page.afterCursor || this.newestMessageCursor;
+                this.hasNewerMessagesToLoad = page.hasMoreAfter;
+            }
+            this._updateMessageGrouping();
+            this._observeLazyLoadingSentinels();
+            return;
+        }
+        
+        cache[key] = messages;
+        if (!isOpen) return;
+        
+        if (conversation.recipientId) {
+            this._displayDMConversation(key);
+        } else {
+            this._displayChannelMessages(key);
+        }
+        this.oldestMessageCursor = page.beforeCursor;
+        this.newestMessageCursor = page.afterCursor;
+        this.hasMoreMessagesToLoad = page.hasMoreBefore;
+        this.hasNewerMessagesToLoad = page.hasMoreAfter;
+        this._showBeginningIndicator();
+        this._setupLazyLoadingObserver();
+        
+        // A page loaded around a message is the last try at finding it
+        if (page.mode === 'around') {
+            this._completePendingJump(true);
+            if (this.pendingJumpMessageId) {
+                this.pendingJumpMessageId = null;
+                this._showNotification('That message could not be found', 'info');
+            }
+        } else {
+            this._completePendingJump();
+        }
+    }
+    
+    // Insert an older page above the loaded messages without moving what the user is looking at
+    _prependOlderMessages(messages) {
+        if (!this.messagesContainer || messages.length === 0) return;
+        
+        const previousHeight = this.messagesContainer.scrollHeight;
+        const previousTop = this.messagesContainer.scrollTop;
+        
+        const fragment = document.createDocumentFragment();
+        messages.forEach(message => fragment.appendChild(this._createMessageElement(message, false, false)));
+        
+        const firstMessage = this.messagesContainer.querySelector('.message, .system-message');
+        if (firstMessage) {
+            firstMessage.parentNode.insertBefore(fragment, firstMessage);
+        } else {
+            this.messagesContainer.appendChild(fragment);
+        }
+        
+        this.messagesContainer.scrollTop = previousTop + (this.messagesContainer.scrollHeight - previousHeight);
+    }
+    
+    // Add a newer page below the loaded messages
+    _appendNewerMessages(messages) {
+        if (!this.messagesContainer || messages.length === 0) return;
+        
+        const fragment = document.createDocumentFragment();
+        messages.forEach(message => fragment.appendChild(this._createMessageElement(message, false, false)));
+        
+        const bottomSentinel = this.messagesContainer.querySelector('.lazy-load-sentinel[data-direction="after"]');
+        this.messagesContainer.insertBefore(fragment, bottomSentinel);
+    }
+    
+    // Watch the top and bottom of the message list and load more history as they scroll into view
+    _setupLazyLoadingObserver() {
+        if (!this.messagesContainer || typeof IntersectionObserver === 'undefined') return;
+        
+        this.scrollObserver?.disconnect();
+        this.messagesContainer.querySelectorAll('.lazy-load-sentinel').forEach(el => el.remove());
+        
+        ['before', 'after'].forEach(direction => {
+            const sentinel = document.createElement('div');
+            sentinel.className = 'lazy-load-sentinel';
+            sentinel.setAttribute('data-direction', direction);
+            if (direction === 'before') {
+                this.messagesContainer.prepend(sentinel);
+            } else {
+                this.messagesContainer.appendChild(sentinel);
+            }
+        });
+        
+        this.scrollObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                if (entry.target.getAttribute('data-direction') === 'before') {
+                    this._loadOlderMessages();
+                } else {
+                    this._loadNewerMessages();
+                }
+            });
+        }, { root: this.messagesContainer, rootMargin: '200px 0px' });
+        
+        this._observeLazyLoadingSentinels();
+    }
+    
+    // (Re)observe the sentinels so one still in view after a page loads triggers the next page
+    _observeLazyLoadingSentinels() {
+        if (!this.scrollObserver || !this.messagesContainer) return;
+        
+        this.messagesContainer.querySelectorAll('.lazy-load-sentinel').forEach(sentinel => {
+            this.scrollObserver.unobserve(sentinel);
+            this.scrollObserver.observe(sentinel);
+        });
+    }
+    
+    // Load messages left unsent by a previous session and try them again
+    async _loadOutbox() {
+        if (!this.outbox || !this.currentUser || !this.currentUser.id) return;
+        
+        const entries = await this.outbox.getAll(this.currentUser.id);
+        entries.forEach(entry => {
+            // A send cut off by a reload never got its answer, so it is retried
+            if (entry.status === 'sending') {
+                entry.status = 'pending';
+            }
+            this.outboxEntries.set(entry.tempId, entry);
+        });
+        
+        console.log(`[CHAT_DEBUG] Loaded ${entries.length} queued messages from the outbox`);
+        this._renderOutboxMessages();
+        this._flushOutbox();
+    }
+    
+    // Show a message right away and keep it in the outbox until the server confirms it
+    _queueOutgoingMessage({ content, channel, isDM = false, recipientId = null }) {
+        const entry = {
+            tempId: `temp-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+            userId: this.currentUser.id,
+            content,
+            channel,
+            isDM,
+            recipientId,
+            createdAt: Date.now(),
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: 0,
+            error: null
+        };
+        
+        this.outboxEntries.set(entry.tempId, entry);
+        this.outbox?.put(entry);
+        this._displayOutboxMessage(entry);
+        this._flushOutbox();
+    }
+    
+    // Whether a queued message belongs to the conversation on screen
+    _isOutboxEntryVisible(entry) {
+        if (entry.isDM) {
+            return this.isDMMode && this.currentDmRecipientId === entry.recipientId;
+        }
+        return !this.isDMMode && this._isCurrentChannel(entry.channel);
+    }
+    
+    // Add the open conversation's queued messages below its history
+    _renderOutboxMessages() {
+        [...this.outboxEntries.values()]
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .filter(entry => this._isOutboxEntryVisible(entry))
+            .forEach(entry => this._displayOutboxMessage(entry));
+    }
+    
+    // Draw a queued message with its delivery state
+    _displayOutboxMessage(entry) {
+        if (!this.messagesContainer || !this._isOutboxEntryVisible(entry)) return;
+        if (this.messagesContainer.querySelector(`.message[data-message-id="${entry.tempId}"]`)) {
+            this._renderOutboxState(entry);
+            return;
+        }
+        
+        // No ID yet, so the element offers none of the actions that need a saved message
+        const messageEl = this._createMessageElement({
+            id: null,
+            content: entry.content,
+            sender: this.currentUser.username,
+            senderId: this.currentUser.id,
+            timestamp: entry.createdAt,
+            channel: entry.channel,
+            isDM: entry.isDM,
+            recipientId: entry.recipientId
+        }, false, false);
+        messageEl.setAttribute('data-message-id', entry.tempId);
+        messageEl.classList.add('outbox-message');
+        
+        this.messagesContainer.querySelectorAll('.empty-channel-message, .empty-dm-state').forEach(el => el.remove());
+        const bottomSentinel = this.messagesContainer.querySelector('.lazy-load-sentinel[data-direction="after"]');
+        this.messagesContainer.insertBefore(messageEl, bottomSentinel);
+        
+        this._renderOutboxState(entry);
+        this._scrollToBottom();
+    }
+    
+    // Show whether a queued message is sending or failed, with a way to retry it
+    _renderOutboxState(entry) {
+        const messageEl = this.messagesContainer?.querySelector(`.message[data-message-id="${entry.tempId}"]`);
+        if (!messageEl) return;
+        
+        messageEl.setAttribute('data-outbox-state', entry.status);
+        let statusEl = messageEl.querySelector('.outbox-status');
+        if (!statusEl) {
+            statusEl = document.createElement('div');
+            statusEl.className = 'outbox-status';
+            messageEl.querySelector('.message-content')?.appendChild(statusEl);
+        }
+        
+        if (entry.status === 'failed') {
+            statusEl.innerHTML = `
+                <i class="bi bi-exclamation-circle"></i>
+                <span title="${this._escapeHtml(entry.error || '')}">Failed to send</span>
+                <button type="button" class="btn btn-link btn-sm outbox-retry">Retry</button>
+                <button type="button" class="btn btn-link btn-sm outbox-discard">Discard</button>
+            `;
+            statusEl.querySelector('.outbox-retry').addEventListener('click', () => this._retryOutboxMessage(entry.tempId));
+            statusEl.querySelector('.outbox-discard').addEventListener('click', () => this._discardOutboxMessage(entry.tempId));
+        } else {
+            statusEl.innerHTML = `<i class="bi bi-clock"></i> ${this.isSocketConnected ? 'Sending…' : 'Waiting for connection…'}`;
+        }
+    }
+    
+    // Send queued messages in order, stopping at one that is waiting out its backoff
+    async _flushOutbox() {
+        if (this.isFlushingOutbox || !this.socket || !this.socket.connected) return;
+        
+        this.isFlushingOutbox = true;
+        clearTimeout(this.outboxTimer);
+        try {
+            const entries = [...this.outboxEntries.values()].sort((a, b) => a.createdAt - b.createdAt);
+            for (const entry of entries) {
+                if (entry.status !== 'pending') continue;
+                if (entry.nextAttemptAt > Date.now()) break;
+                
+                const canContinue = await this._sendOutboxEntry(entry);
+                if (!canContinue) break;
+            }
+        } finally {
+            this.isFlushingOutbox = false;
+        }
+        
+        // Come back once the next queued message is due
+        const waiting = [...this.outboxEntries.values()].filter(entry => entry.status === 'pending');
+        if (waiting.length > 0) {
+            const nextAttemptAt = Math.min(...waiting.map(entry => entry.nextAttemptAt));
+            clearTimeout(this.outboxTimer);
+            this.outboxTimer = setTimeout(() => this._flushOutbox(), Math.max(0, nextAttemptAt - Date.now()));
+        }
+    }
+    
+    // Send one queued message; resolves false if it has to wait and should hold back later ones
+    _sendOutboxEntry(entry) {
+        return new Promise((resolve) => {
+            entry.status = 'sending';
+            entry.attempts++;
+            this.outbox?.put(entry);
+            this._renderOutboxState(entry);
+            
+            const payload = {
+                content: entry.content,
+                channel: entry.channel,
+                isDM: entry.isDM,
+                recipientId: entry.recipientId,
+                tempId: entry.tempId
+            };
+            
+            this.socket.timeout(this.outboxAckTimeoutMs).emit('send-message', payload, (err, response) => {
+                // Already confirmed by the broadcast, or discarded while in flight
+                if (!this.outboxEntries.has(entry.tempId)) {
+                    resolve(true);
+                    return;
+                }
+                
+                if (err) {
+                    // No answer: the server will recognize the tempId if the message did arrive
+                    if (entry.attempts >= this.outboxMaxAttempts) {
+                        this._failOutboxMessage(entry.tempId, 'Could not reach the server');
+                        resolve(true);
+                        return;
+                    }
+                    entry.status = 'pending';
+                    entry.nextAttemptAt = Date.now() + Math.min(this.outboxRetryMaxMs, this.outboxRetryBaseMs * 2 ** (entry.attempts - 1));
+                    this.outbox?.put(entry);
+                    this._renderOutboxState(entry);
+                    console.log(`[CHAT_DEBUG] No confirmation for ${entry.tempId}, retrying in ${entry.nextAttemptAt - Date.now()}ms`);
+                    resolve(false);
+                } else if (!response || !response.success) {
+                    this._failOutboxMessage(entry.tempId, (response && response.message) || 'Failed to send message');
+                    resolve(true);
+                } else {
+                    this._confirmOutboxMessage(entry.tempId, response.message);
+                    resolve(true);
+                }
+            });
+        });
+    }
+    
+    // Swap a queued message for the saved one once the server has it
+    _confirmOutboxMessage(tempId, message) {
+        const entry = this.outboxEntries.get(tempId);
+        if (!entry) return;
+        
+        this.outboxEntries.delete(tempId);
+        this.outbox?.remove(tempId);
+        
+        const tempEl = this.messagesContainer?.querySelector(`.message[data-message-id="${tempId}"]`);
+        if (!message || !message.id) {
+            tempEl?.remove();
+            return;
+        }
+        
+        // Cache it where the conversation's history lives, once
+        const cache = entry.isDM ? this.dmConversations : this.channelMessages;
+        const key = entry.isDM ? entry.recipientId : entry.channel;
+        if (!cache[key]) {
+            cache[key] = [];
+        }
+        if (!cache[key].some(msg => msg.id === message.id)) {
+            cache[key].push(message);
+        }
+        
+        if (tempEl) {
+            tempEl.replaceWith(this._createMessageElement(message, false, tempEl.classList.contains('grouped')));
+        }
+    }
+    
+    // Stop retrying a queued message and offer a manual retry
+    _failOutboxMessage(tempId, error) {
+        const entry = this.outboxEntries.get(tempId);
+        if (!entry) return;
+        
+        console.error(`[CHAT_DEBUG] Message ${tempId} failed to send:`, error);
+        entry.status = 'failed';
+        entry.error = error;
+        this.outbox?.put(entry);
+        this._renderOutboxState(entry);
+    }
+    
+    // Put a failed message back in the queue
+    _retryOutboxMessage(tempId) {
+        const entry = this.outboxEntries.get(tempId);
+        if (!entry) return;
+        
+        Object.assign(entry, { status: 'pending', attempts: 0, nextAttemptAt: 0, error: null });
+        this.outbox?.put(entry);
+        this._renderOutboxState(entry);
+        this._flushOutbox();
+    }
+    
+    // Drop a failed message without sending it
+    _discardOutboxMessage(tempId) {
+        this.outboxEntries.delete(tempId);
+        this.outbox?.remove(tempId);
+        this.messagesContainer?.querySelector(`.message[data-message-id="${tempId}"]`)?.remove();
+    }
+    
+    /**
+     * Tell the server the user is typing in the open conversation
+     * Refreshes are throttled, and a pause or an emptied input stops the indicator
+     */
+    _handleTypingInput() {
+        const conversation = this._getCurrentConversation();
+        if (!conversation || !this.messageInput?.value.trim()) {
+            this._stopTyping();
+            return;
+        }
+        
+        // Switching conversations mid-message stops the indicator in the old one
+        const key = this._getTypingKey(conversation);
+        if (this.typingConversation && this._getTypingKey(this.typingConversation) !== key) {
+            this._stopTyping();
+        }
+        
+        const now = Date.now();
+        if (!this.typingConversation || now - this.lastTypingSentAt >= this.typingRefreshMs) {
+            this.socket.emit('user-typing', { ...conversation, typing: true });
+            this.typingConversation = conversation;
+            this.lastTypingSentAt = now;
+        }
+        
+        clearTimeout(this.typingIdleTimer);
+        this.typingIdleTimer = setTimeout(() => this._stopTyping(), this.typingIdleMs);
+    }
+    
+    /**
+     * Tell the server the user stopped typing, if it thinks they are
+     */
+    _stopTyping() {
+        clearTimeout(this.typingIdleTimer);
+        this.typingIdleTimer = null;
+        
+        if (!this.typingConversation) return;
+        
+        this.socket.emit('user-typing', { ...this.typingConversation, typing: false });
+        this.typingConversation = null;
+        this.lastTypingSentAt = 0;
+    }
+    
+    /**
+     * Key typingUsers uses for a conversation
+     * @param {Object} conversation - { channel } or { recipientId }
+     * @returns {string}
+     */
+    _getTypingKey(conversation) {
+        return conversation.recipientId ? `dm:${conversation.recipientId}` : `channel:${conversation.channel}`;
+    }
+    
+    /**
+     * Show who is typing in the open conversation above the message input
+     */
+    _renderTypingIndicator() {
+        const inputArea = document.getElementById('message-input-area');
+        if (!inputArea) return;
+        
+        let indicator = document.getElementById('typing-indicator');
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.id = 'typing-indicator';
+            indicator.setAttribute('aria-live', 'polite');
+            inputArea.insertBefore(indicator, inputArea.firstChild);
+        }
+        
+        const conversation = this._getCurrentConversation();
+        const typers = conversation ? (this.typingUsers[this._getTypingKey(conversation)] || []) : [];
+        const names = typers.map(user => this._getDisplayName(user.id, user.username));
+        
+        let text = '';
+        if (names.length === 1) {
+            text = `${names[0]} is typing…`;
+        } else if (names.length === 2) {
+            text = `${names[0]} and ${names[1]} are typing…`;
+        } else if (names.length === 3) {
+            text = `${names[0]}, ${names[1]} and ${names[2]} are typing…`;
+        } else if (names.length > 3) {
+            text = 'Several people are typing…';
+        }
+        
+        indicator.textContent = text;
+        indicator.classList.toggle('active', names.length > 0);
+    }
+    
+    /**
+     * Watch for activity and tab visibility to mark the user idle while they're away
+     * Only the session is affected: the status the user picked is kept by the server
+     */
+    _setupIdleDetection() {
+        const onActivity = () => this._recordActivity();
+        ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'].forEach(eventName => {
+            document.addEventListener(eventName, onActivity, { passive: true });
+        });
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this._recordActivity();
+            } else {
+                this._scheduleIdle(this.idleWhenHiddenMs);
+            }
+        });
+        
+        this._scheduleIdle(this.idleAfterMs);
+    }
+    
+    /**
+     * Count user input as activity: back online if idle, and restart the idle countdown
+     */
+    _recordActivity() {
+        if (document.visibilityState === 'hidden') return;
+        
+        if (this.isAutoIdle) {
+            this._setAutoIdle(false);
+        }
+        
+        // Mouse movement fires constantly, so the countdown is restarted at most once a second
+        const now = Date.now();
+        if (now - this.lastActivityAt < 1000) return;
+        this.lastActivityAt = now;
+        this._scheduleIdle(this.idleAfterMs);
+    }
+    
+    /**
+     * Mark the user idle after a delay unless there's activity first
+     * @param {number} delay - Milliseconds to wait
+     */
+    _scheduleIdle(delay) {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this._setAutoIdle(true), delay);
+    }
+    
+    /**
+     * Tell the server the user stepped away or came back
+     * @param {boolean} isIdle - Whether the user is away
+     */
+    _setAutoIdle(isIdle) {
+        if (this.isAutoIdle === isIdle) return;
+        this.isAutoIdle = isIdle;
+        
+        if (!this.socket || !this.socket.connected || !this.currentUser) return;
+        this.socket.emit('update-status', { status: isIdle ? 'idle' : 'online', auto: true });
+    }
+    
+    /**
+     * Set the status the user picked in the settings modal
+     * @param {string} status - online, idle, dnd or invisible
+     */
+    _setUserStatus(status) {
+        this.socket.emit('update-status', { status }, (response) => {
+            if (!response || !response.success) {
+                this._showNotification(response?.message || 'Failed to update status', 'error');
+                return;
+            }
+            
+            localStorage.setItem('userStatus', status);
+            this._renderOwnStatus(status);
+        });
+    }
+    
+    /**
+     * Show the user's own status on their avatar and in the settings modal
+     * @param {string} status - Status the user picked, or idle while they're away
+     */
+    _renderOwnStatus(status) {
+        const statusDot = document.querySelector('.user-profile-area .user-status');
+        if (statusDot) {
+            statusDot.className = `user-status ${status}`;
+        }
+        
+        document.querySelectorAll('.status-selector [data-status]').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-status') === status);
+        });
+    }
+    
+    /**
+     * Save the custom status entered in the settings modal, if it changed
+     */
+    _saveCustomStatus() {
+        const textInput = document.getElementById('status-message');
+        const emojiInput = document.getElementById('status-emoji');
+        const expirySelect = document.getElementById('status-expiry');
+        if (!textInput) return;
+        
+        const text = textInput.value.trim();
+        const emoji = emojiInput ? emojiInput.value.trim() : '';
+        const expiry = expirySelect ? expirySelect.value : '';
+        
+        const current = this.myCustomStatus || {};
+        if (text === (current.text || '') && emoji === (current.emoji || '') && !expiry) return;
+        
+        // "today" clears at midnight; anything else is a duration in milliseconds
+        let expiresAt = null;
+        if (expiry === 'today') {
+            const midnight = new Date();
+            midnight.setHours(24, 0, 0, 0);
+            expiresAt = midnight.toISOString();
+        } else if (expiry) {
+            expiresAt = new Date(Date.now() + parseInt(expiry, 10)).toISOString();
+        }
+        
+        this.socket.emit('set-custom-status', { text, emoji, expiresAt }, (response) => {
+            if (!response || !response.success) {
+                this._showNotification(response?.message || 'Failed to set custom status', 'error');
+                return;
+            }
+            
+            this.myCustomStatus = response.customStatus;
+            if (expirySelect) expirySelect.value = '';
+            this._showNotification(response.customStatus ? 'Custom status set' : 'Custom status cleared', 'success');
+        });
+    }
+    
+    /**
+     * Apply a presence update from the server to the friends list and the user's own status
+     * @param {Object} data - { userId, username, status, customStatus, lastSeen }
+     */
+    _updateUserStatus(data) {
+        if (!data || !data.userId) return;
+        
+        const presence = {
+            username: data.username || this.userPresence[data.userId]?.username,
+            status: data.status || 'offline',
+            customStatus: data.customStatus || null,
+            lastSeen: data.lastSeen || null
+        };
+        this.userPresence[data.userId] = presence;
+        
+        if (data.userId === this.currentUser?.id) {
+            this.myCustomStatus = presence.customStatus;
+            this._renderOwnStatus(presence.status);
+            
+            const textInput = document.getElementById('status-message');
+            const emojiInput = document.getElementById('status-emoji');
+            if (textInput && document.activeElement !== textInput) textInput.value = presence.customStatus?.text || '';
+            if (emojiInput && document.activeElement !== emojiInput) emojiInput.value = presence.customStatus?.emoji || '';
+            return;
+        }
+        
+        document.querySelectorAll(`.friend-item[data-user-id="${data.userId}"]`).forEach(friendItem => {
+            const indicator = friendItem.querySelector('.status-indicator');
+            if (indicator) indicator.className = `status-indicator status-${presence.status}`;
+            
+            const statusText = friendItem.querySelector('.friend-status');
+            if (statusText) statusText.textContent = this._formatPresenceText(presence);
+        });
+    }
+    
+    /**
+     * Show who is online in the member list, with their status and custom status
+     * @param {Array<Object|string>} users - Online users as { id, username, status, customStatus }; older servers send usernames
+     */
+    _updateActiveUsersList(users) {
+        const membersList = document.getElementById('members-list');
+        const onlineCount = document.getElementById('online-count');
+        const members = (users || []).map(user => (typeof user === 'string' ? { username: user, status: 'online' } : user));
+        
+        members.forEach(member => {
+            if (member.id) {
+                this.userPresence[member.id] = { username: member.username, status: member.status, customStatus: member.customStatus || null, lastSeen: member.lastSeen || null };
+            }
+        });
+        
+        if (onlineCount) onlineCount.textContent = members.length;
+        if (!membersList) return;
+        
+        membersList.innerHTML = '';
+        members
+            .sort((a, b) => a.username.localeCompare(b.username))
+            .forEach(member => {
+                const memberItem = document.createElement('div');
+                memberItem.className = 'list-item member-item';
+                if (member.id) memberItem.setAttribute('data-user-id', member.id);
+                
+                const customStatus = this._formatCustomStatus(member.customStatus);
+                memberItem.innerHTML = `
+                    <span class="member-status status-${this._escapeHtml(member.status || 'online')}" title="${this._formatStatus(member.status)}"></span>
+                    <div class="member-info">
+                        <span class="member-name">${this._escapeHtml(this._getDisplayName(member.id, member.username))}</span>
+                        ${customStatus ? `<span class="member-custom-status">${this._escapeHtml(customStatus)}</span>` : ''}
+                    </div>
+                `;
+                if (member.id) {
+                    memberItem.addEventListener('contextmenu', (e) => this._openModerationMenu(e, { userId: member.id, username: member.username }));
+                }
+                membersList.appendChild(memberItem);
+            });
+    }
+    
+    /**
+     * Text for a custom status
+     * @param {Object|null} customStatus - { text, emoji }
+     * @returns {string} The emoji and text, or '' if there's no custom status
+     */
+    _formatCustomStatus(customStatus) {
+        if (!customStatus) return '';
+        return [customStatus.emoji, customStatus.text].filter(Boolean).join(' ');
+    }
+    
+    /**
+     * The line shown under a user's name: their custom status, when they were last seen, or their status
+     * @param {Object} presence - { status, customStatus, lastSeen }
+     * @returns {string}
+     */
+    _formatPresenceText(presence) {
+        if (!presence) return this._formatStatus('offline');
+        
+        const customStatus = this._formatCustomStatus(presence.customStatus);
+        if (customStatus) return customStatus;
+        
+        if (presence.status === 'offline' && presence.lastSeen) {
+            return `Last seen ${this._formatLastSeen(presence.lastSeen)}`;
+        }
+        return this._formatStatus(presence.status);
+    }
+    
+    /**
+     * Describe how long ago someone was last seen
+     * @param {string} lastSeen - ISO timestamp
+     * @returns {string} e.g. "just now", "5 minutes ago" or a date for anything older than a week
+     */
+    _formatLastSeen(lastSeen) {
+        const date = new Date(lastSeen);
+        const minutes = Math.floor((Date.now() - date.getTime()) / 60000);
+        
+        if (isNaN(minutes)) return 'a while ago';
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+        
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+        
+        const days = Math.floor(hours / 24);
+        if (days < 7) return `${days} day${days === 1 ? '' : 's'} ago`;
+        return `on ${date.toLocaleDateString()}`;
+    }
     
     /**
      * Force a reflow of the DOM to ensure elements are rendered properly
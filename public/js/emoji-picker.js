@@ -16,6 +16,9 @@ document.addEventListener('DOMContentLoaded', () => {
     let recentEmojis = JSON.parse(localStorage.getItem('recentEmojis')) || [];
     const MAX_RECENT_EMOJIS = 24;
     
+    // When set, the next picked emoji is handed to this callback instead of the message input
+    let reactionCallback = null;
+    
     // Initialize the recent emojis display
     updateRecentEmojisDisplay();
     
@@ -42,7 +45,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Close emoji picker when close button is clicked
     emojiClose.addEventListener('click', () => {
-        emojiPicker.classList.add('d-none');
+        closePicker();
     });
     
     // Close emoji picker when clicking outside
@@ -50,7 +53,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!emojiPicker.classList.contains('d-none') && 
             !emojiPicker.contains(e.target) && 
             !Array.from(emojiTriggers).some(trigger => trigger.contains(e.target))) {
-            emojiPicker.classList.add('d-none');
+            closePicker();
         }
     });
     
@@ -106,14 +109,49 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Handle emoji selection
     emojiButtons.forEach(button => {
-        button.addEventListener('click', () => {
-            const emoji = button.textContent;
-            insertEmoji(emoji);
-            addToRecentEmojis(emoji);
-            emojiPicker.classList.add('d-none');
+        button.addEventListener('click', (e) => {
+            selectEmoji(button.textContent, e);
         });
     });
     
+    // Function to use a picked emoji as a reaction or insert it into the message input
+    function selectEmoji(emoji, event) {
+        if (reactionCallback) {
+            // Keep other listeners on the button from also inserting the emoji into the input
+            event.stopImmediatePropagation();
+            const callback = reactionCallback;
+            addToRecentEmojis(emoji);
+            closePicker();
+            callback(emoji);
+            return;
+        }
+        
+        insertEmoji(emoji);
+        addToRecentEmojis(emoji);
+        closePicker();
+    }
+    
+    // Function to hide the picker and leave reaction mode
+    function closePicker() {
+        emojiPicker.classList.add('d-none');
+        reactionCallback = null;
+    }
+    
+    // Function to open the picker next to an element and report the picked emoji as a reaction
+    function openForReaction(anchor, onSelect) {
+        const rect = anchor.getBoundingClientRect();
+        emojiPicker.style.top = `${Math.min(rect.bottom + 10, window.innerHeight - 410)}px`;
+        emojiPicker.style.bottom = 'auto';
+        emojiPicker.style.left = `${Math.max(10, Math.min(rect.left, window.innerWidth - 330))}px`;
+        
+        reactionCallback = onSelect;
+        emojiPicker.classList.remove('d-none');
+        setTimeout(() => emojiSearchInput.focus(), 100);
+    }
+    
+    // Expose reaction mode so chat.js can reuse the picker for message reactions
+    window.emojiPicker = { openForReaction, close: closePicker };
+    
     // Function to insert emoji into the active message input
     function insertEmoji(emoji) {
         const messageInput = document.getElementById('message-input');
@@ -178,10 +216,8 @@ document.addEventListener('DOMContentLoaded', () => {
                     const button = document.createElement('button');
                     button.className = 'emoji-btn';
                     button.textContent = emoji;
-                    button.addEventListener('click', () => {
-                        insertEmoji(emoji);
-                        addToRecentEmojis(emoji);
-                        emojiPicker.classList.add('d-none');
+                    button.addEventListener('click', (e) => {
+                        selectEmoji(emoji, e);
                     });
                     recentContainer.appendChild(button);
                 });
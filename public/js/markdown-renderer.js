@@ -0,0 +1,258 @@
+/**
+ * Markdown Renderer for The Homies App
+ * Renders the safe Markdown subset used in messages: bold, italics, strikethrough,
+ * inline code, fenced code blocks, block quotes, lists, spoilers and auto-linked URLs.
+ *
+ * All text is HTML-escaped before any formatting is applied and only a fixed set of
+ * tags is ever produced, so the output is safe to assign to innerHTML.
+ *
+ * Loaded as a plain script it sets window.markdownRenderer; required from Node or
+ * imported by the Next.js pages it exports the same API.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.markdownRenderer = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Placeholders keep already-rendered fragments away from later passes
+    const PLACEHOLDER_PATTERN = /\u0000(\d+)\u0000/g;
+
+    const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`\u0000]+/gi;
+    const FENCE_PATTERN = /^\s*```\s*([\w+#.-]*)\s*$/;
+    const QUOTE_PATTERN = /^>\s?(.*)$/;
+    const BULLET_PATTERN = /^\s*[-*+]\s+(.*)$/;
+    const ORDERED_PATTERN = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+    const ESCAPE_PATTERN = /\\([\\*_~|`>-])/g;
+
+    // Keywords highlighted in code blocks, shared across the common languages
+    const KEYWORDS = new Set([
+        'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def', 'default',
+        'delete', 'do', 'elif', 'else', 'export', 'extends', 'false', 'finally', 'fn', 'for', 'from',
+        'func', 'function', 'if', 'import', 'in', 'interface', 'let', 'new', 'nil', 'None', 'null',
+        'pass', 'private', 'public', 'return', 'self', 'static', 'struct', 'switch', 'this', 'throw',
+        'True', 'False', 'true', 'try', 'type', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield'
+    ]);
+
+    // Languages whose line comments start with # rather than //
+    const HASH_COMMENT_LANGUAGES = new Set(['py', 'python', 'sh', 'bash', 'shell', 'zsh', 'rb', 'ruby', 'yaml', 'yml', 'toml', 'r', 'perl']);
+
+    /**
+     * Escape text for safe insertion into HTML text or attribute values
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Highlight code for a fenced block
+     * @param {string} code - Raw code
+     * @param {string} language - Language named after the opening fence, may be empty
+     * @returns {string} Escaped code with token spans
+     */
+    function highlightCode(code, language) {
+        if (!language) {
+            return escapeHtml(code);
+        }
+
+        const lang = language.toLowerCase();
+        const comment = HASH_COMMENT_LANGUAGES.has(lang) ? '#[^\\n]*' : '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+        const tokenPattern = new RegExp(
+            `(${comment})|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)`,
+            'g'
+        );
+
+        let html = '';
+        let lastIndex = 0;
+        let match;
+        while ((match = tokenPattern.exec(code)) !== null) {
+            html += escapeHtml(code.slice(lastIndex, match.index));
+            lastIndex = tokenPattern.lastIndex;
+
+            const token = escapeHtml(match[0]);
+            if (match[1]) {
+                html += `<span class="md-hl-comment">${token}</span>`;
+            } else if (match[2]) {
+                html += `<span class="md-hl-string">${token}</span>`;
+            } else if (match[3]) {
+                html += `<span class="md-hl-number">${token}</span>`;
+            } else if (KEYWORDS.has(match[4])) {
+                html += `<span class="md-hl-keyword">${token}</span>`;
+            } else {
+                html += token;
+            }
+        }
+
+        return html + escapeHtml(code.slice(lastIndex));
+    }
+
+    /**
+     * Split a trailing run of punctuation off a matched URL, keeping balanced parentheses
+     * @param {string} url - URL as matched
+     * @returns {{url: string, trailing: string}} The link target and the text after it
+     */
+    function trimUrl(url) {
+        let trailing = '';
+        while (/[.,!?;:)\]]$/.test(url)) {
+            const last = url[url.length - 1];
+            if (last === ')' && (url.match(/\(/g) || []).length >= (url.match(/\)/g) || []).length) {
+                break;
+            }
+            trailing = last + trailing;
+            url = url.slice(0, -1);
+        }
+        return { url, trailing };
+    }
+
+    /**
+     * Render the inline formatting of one line
+     * @param {string} text - Raw line
+     * @returns {string} HTML
+     */
+    function renderInline(text) {
+        const fragments = [];
+        const stash = (html) => `\u0000${fragments.push(html) - 1}\u0000`;
+
+        // Code and links are taken out first so their content is never formatted,
+        // then backslash-escaped markers so they show literally
+        let html = text
+            .replace(/(`+)([^`\n]+?)\1(?!`)/g, (match, ticks, code) => stash(`<code class="md-code">${escapeHtml(code)}</code>`))
+            .replace(ESCAPE_PATTERN, (match, char) => stash(escapeHtml(char)))
+            .replace(URL_PATTERN, (match) => {
+                const { url, trailing } = trimUrl(match);
+                const link = `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer nofollow">${escapeHtml(url)}</a>`;
+                return stash(link) + trailing;
+            });
+
+        // Formatting markers survive escaping unchanged, so they can be matched afterwards
+        html = escapeHtml(html)
+            .replace(/\|\|(?!\s)(.+?)\|\|/g, '<span class="md-spoiler" title="Click to reveal">$1</span>')
+            .replace(/\*\*(?!\s)(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/~~(?!\s)(.+?)~~/g, '<del>$1</del>')
+            .replace(/\*(?![\s*])([^*]+?)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?![\s_])([^_]+?)_(?!\w)/g, '$1<em>$2</em>');
+
+        return html.replace(PLACEHOLDER_PATTERN, (match, index) => fragments[index]);
+    }
+
+    /**
+     * Render message content as HTML
+     * @param {string} content - Raw message content
+     * @returns {string} Sanitized HTML
+     */
+    function renderMarkdown(content) {
+        if (content == null || content === '') {
+            return '';
+        }
+
+        const lines = String(content).replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push(paragraph.map(renderInline).join('<br>'));
+                paragraph = [];
+            }
+        };
+
+        // Collect consecutive lines matching a pattern, returning their captured content
+        const collect = (start, pattern, group) => {
+            const items = [];
+            let i = start;
+            let match;
+            while (i < lines.length && (match = lines[i].match(pattern))) {
+                items.push(match[group]);
+                i++;
+            }
+            return { items, next: i };
+        };
+
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            const fence = line.match(FENCE_PATTERN);
+
+            if (fence) {
+                // An unclosed fence runs to the end of the message
+                let end = i + 1;
+                while (end < lines.length && !/^\s*```\s*$/.test(lines[end])) {
+                    end++;
+                }
+                const language = fence[1];
+                const code = lines.slice(i + 1, end).join('\n');
+                const languageClass = language ? ` language-${escapeHtml(language.toLowerCase())}` : '';
+
+                flushParagraph();
+                blocks.push(`<pre class="md-code-block"><code class="md-code${languageClass}">${highlightCode(code, language)}</code></pre>`);
+                i = end + 1;
+            } else if (QUOTE_PATTERN.test(line)) {
+                const { items, next } = collect(i, QUOTE_PATTERN, 1);
+                flushParagraph();
+                blocks.push(`<blockquote class="md-quote">${items.map(renderInline).join('<br>')}</blockquote>`);
+                i = next;
+            } else if (BULLET_PATTERN.test(line)) {
+                const { items, next } = collect(i, BULLET_PATTERN, 1);
+                flushParagraph();
+                blocks.push(`<ul class="md-list">${items.map(item => `<li>${renderInline(item)}</li>`).join('')}</ul>`);
+                i = next;
+            } else if (ORDERED_PATTERN.test(line)) {
+                const start = parseInt(line.match(ORDERED_PATTERN)[1], 10);
+                const { items, next } = collect(i, ORDERED_PATTERN, 2);
+                flushParagraph();
+                blocks.push(`<ol class="md-list"${start !== 1 ? ` start="${start}"` : ''}>${items.map(item => `<li>${renderInline(item)}</li>`).join('')}</ol>`);
+                i = next;
+            } else {
+                paragraph.push(line);
+                i++;
+            }
+        }
+        flushParagraph();
+
+        return blocks.join('');
+    }
+
+    /**
+     * Strip Markdown formatting for plain-text contexts such as notifications
+     * @param {string} content - Raw message content
+     * @returns {string} Plain text, with spoilers hidden
+     */
+    function toPlainText(content) {
+        if (content == null) {
+            return '';
+        }
+
+        return String(content)
+            .replace(/\u0000/g, '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/^\s*```[\w+#.-]*\s*$/gm, '')
+            .replace(/(`+)([^`\n]+?)\1(?!`)/g, '$2')
+            .replace(ESCAPE_PATTERN, (match, char) => `\u0000${char.charCodeAt(0)}\u0000`)
+            .replace(/\|\|(?!\s)(.+?)\|\|/g, '[spoiler]')
+            .replace(/\*\*(?!\s)(.+?)\*\*/g, '$1')
+            .replace(/~~(?!\s)(.+?)~~/g, '$1')
+            .replace(/\*(?![\s*])([^*]+?)\*/g, '$1')
+            .replace(/(^|[^\w])_(?![\s_])([^_]+?)_(?!\w)/g, '$1$2')
+            .replace(/^>\s?/gm, '')
+            .replace(/^\s*[-*+]\s+/gm, '• ')
+            .replace(/\n{3,}/g, '\n\n')
+            .replace(PLACEHOLDER_PATTERN, (match, code) => String.fromCharCode(code))
+            .trim();
+    }
+
+    return {
+        renderMarkdown,
+        toPlainText,
+        escapeHtml
+    };
+});
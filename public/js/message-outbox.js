@@ -0,0 +1,111 @@
+/**
+ * Message Outbox for The Homies App
+ * Keeps messages the server hasn't confirmed yet in IndexedDB, so they survive
+ * disconnects and page reloads until they can be sent again
+ */
+
+class MessageOutbox {
+    constructor(dbName = 'homies-outbox') {
+        this.dbName = dbName;
+        this.storeName = 'messages';
+        this.dbPromise = null;
+
+        // Used when IndexedDB is unavailable (private browsing in some browsers)
+        this.memoryStore = new Map();
+    }
+
+    /**
+     * Open the outbox database, creating it on first use
+     * @returns {Promise<IDBDatabase|null>} The database, or null to fall back to memory
+     */
+    _open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            const request = window.indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'tempId' });
+                store.createIndex('userId', 'userId', { unique: false });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('[OUTBOX] Could not open IndexedDB, keeping the outbox in memory:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} The request's result
+     */
+    async _request(mode, makeRequest) {
+        const db = await this._open();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add or update a queued message
+     * @param {Object} entry - Queued message, keyed by its tempId
+     * @returns {Promise<void>}
+     */
+    async put(entry) {
+        this.memoryStore.set(entry.tempId, { ...entry });
+        try {
+            await this._request('readwrite', store => store.put({ ...entry }));
+        } catch (error) {
+            console.error('[OUTBOX] Failed to save queued message:', error);
+        }
+    }
+
+    /**
+     * Remove a message once the server has it, or the user discarded it
+     * @param {string} tempId - The message's tempId
+     * @returns {Promise<void>}
+     */
+    async remove(tempId) {
+        this.memoryStore.delete(tempId);
+        try {
+            await this._request('readwrite', store => store.delete(tempId));
+        } catch (error) {
+            console.error('[OUTBOX] Failed to remove queued message:', error);
+        }
+    }
+
+    /**
+     * Load a user's queued messages
+     * @param {string} userId - Owner of the messages
+     * @returns {Promise<Array<Object>>} Queued messages, oldest first
+     */
+    async getAll(userId) {
+        let entries;
+        try {
+            entries = await this._request('readonly', store => store.index('userId').getAll(userId));
+        } catch (error) {
+            console.error('[OUTBOX] Failed to load queued messages:', error);
+        }
+        if (!entries) {
+            entries = [...this.memoryStore.values()].filter(entry => entry.userId === userId);
+        }
+
+        return entries.sort((a, b) => a.createdAt - b.createdAt);
+    }
+}
+
+// Export the class
+window.MessageOutbox = MessageOutbox;
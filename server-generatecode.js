@@ -1,9 +1,14 @@
-// Generate a random 8-character code
-function generateCode() {
+const crypto = require('crypto');
+
+// Generate a random code (8 characters unless a length is given)
+// Codes double as invite secrets, so characters come from a cryptographic source
+function generateCode(length = 8) {
     const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Removed similar-looking characters
     let code = '';
-    for (let i = 0; i < 8; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
+    for (let i = 0; i < length; i++) {
+        code += chars.charAt(crypto.randomInt(chars.length));
     }
     return code;
 }
+
+module.exports = { generateCode };
@@ -0,0 +1,412 @@
+/**
+ * Slash Commands Module for The Homies App
+ * Registry, argument parsing and dispatch for /commands typed in the composer
+ *
+ * A command handler returns what should happen next:
+ *   { ephemeral: 'text' }                 reply only to the person who ran it
+ *   { send: { content, type } }           send this in place of the typed message
+ * Both may be returned together. Throw a CommandError to reject the command with a message.
+ */
+
+// Registered commands by name (aliases point at the same definition)
+const commands = new Map();
+
+// Longest /remind or /mute duration
+const MAX_DURATION_MS = 365 * 24 * 60 * 60 * 1000;
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Error shown to the user who ran a command
+ */
+class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
+
+/**
+ * Parse a duration such as 90s, 10m, 2h, 1d or 1h30m
+ * @param {string} text - Duration text
+ * @returns {number|null} Milliseconds, or null if the text isn't a valid duration
+ */
+function parseDuration(text) {
+  if (!text || !/^(\d+[smhdw])+$/i.test(text)) {
+    return null;
+  }
+
+  let total = 0;
+  const pattern = /(\d+)([smhdw])/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    total += parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+  }
+  return total > 0 && total <= MAX_DURATION_MS ? total : null;
+}
+
+// Argument parsers by type; each gets the raw token and the command context
+const ARGUMENT_TYPES = {
+  word: async (token) => token,
+  text: async (token) => token,
+  duration: async (token) => {
+    const ms = parseDuration(token);
+    if (ms === null) {
+      throw new CommandError(`"${token}" is not a duration (try 10m, 2h or 1d)`);
+    }
+    return ms;
+  },
+  user: async (token, context) => {
+    const username = token.replace(/^@/, '');
+    const user = await context.resolveUser(username);
+    if (!user) {
+      throw new CommandError(`No user named ${username}`);
+    }
+    return user;
+  }
+};
+
+/**
+ * Register a command
+ * @param {object} definition - Command definition
+ * @param {string} definition.name - Name typed after the slash
+ * @param {string} definition.description - One-line description for the palette
+ * @param {Array<{name: string, type: string, required?: boolean}>} [definition.args] - Arguments in order; a `text` argument takes the rest of the line
+ * @param {Array<string>} [definition.aliases] - Other names for the command
+ * @param {boolean} [definition.channelOnly] - Reject the command in direct messages
+ * @param {function(object): Promise<true|string>} [definition.permission] - Resolves true, or a reason the user can't run it
+ * @param {function(object, object): Promise<object>} definition.handler - Runs the command with the context and parsed arguments
+ */
+function registerCommand(definition) {
+  const { name, handler, args = [] } = definition;
+  if (!/^[a-z][a-z0-9-]*$/.test(name || '') || typeof handler !== 'function') {
+    throw new Error(`Invalid command definition: ${name}`);
+  }
+
+  args.forEach((arg, index) => {
+    if (!ARGUMENT_TYPES[arg.type]) {
+      throw new Error(`Unknown argument type ${arg.type} for /${name}`);
+    }
+    if (arg.type === 'text' && index !== args.length - 1) {
+      throw new Error(`Only the last argument of /${name} can be text`);
+    }
+  });
+
+  const command = { ...definition, args, usage: formatUsage(name, args) };
+  commands.set(name, command);
+  (definition.aliases || []).forEach(alias => commands.set(alias, command));
+}
+
+// Build the usage line shown in the palette and in argument errors
+function formatUsage(name, args) {
+  const parts = args.map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`));
+  return [`/${name}`, ...parts].join(' ');
+}
+
+/**
+ * List the registered commands for the client palette
+ * @returns {Array<{name: string, usage: string, description: string, channelOnly: boolean}>} Commands sorted by name
+ */
+function listCommands() {
+  const unique = new Set(commands.values());
+  return [...unique]
+    .map(command => ({
+      name: command.name,
+      usage: command.usage,
+      description: command.description,
+      channelOnly: !!command.channelOnly
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Split a message into a command name and its argument string
+ * A leading double slash escapes the command and sends the text as-is
+ * @param {string} content - Message content
+ * @returns {{name: string, argText: string}|null} The command, or null if the message isn't one
+ */
+function parseCommandLine(content) {
+  if (typeof content !== 'string') {
+    return null;
+  }
+  const match = content.trim().match(/^\/([a-zA-Z][\w-]*)(?:\s+([\s\S]*))?$/);
+  if (!match) {
+    return null;
+  }
+  return { name: match[1].toLowerCase(), argText: (match[2] || '').trim() };
+}
+
+// Parse the argument string according to the command's argument list
+async function parseArguments(command, argText, context) {
+  const parsed = {};
+  let rest = argText;
+
+  for (const arg of command.args) {
+    let token;
+    if (arg.type === 'text') {
+      token = rest;
+      rest = '';
+    } else {
+      const match = rest.match(/^(\S+)\s*([\s\S]*)$/);
+      token = match ? match[1] : '';
+      rest = match ? match[2] : '';
+    }
+
+    if (!token) {
+      if (arg.required) {
+        throw new CommandError(`Usage: ${command.usage}`);
+      }
+      parsed[arg.name] = null;
+      continue;
+    }
+    parsed[arg.name] = await ARGUMENT_TYPES[arg.type](token, context);
+  }
+
+  if (rest) {
+    throw new CommandError(`Usage: ${command.usage}`);
+  }
+  return parsed;
+}
+
+/**
+ * Run the command in a message, if it is one
+ * @param {string} content - Message content
+ * @param {object} context - Who ran it and where: userId, username, channel, isDM, recipientId, resolveUser(username)
+ * @returns {Promise<object|null>} Handler result, { ephemeral } for errors, or null if the message isn't a command
+ */
+async function executeCommand(content, context) {
+  const line = parseCommandLine(content);
+  if (!line) {
+    return null;
+  }
+
+  const command = commands.get(line.name);
+  if (!command) {
+    return { ephemeral: `Unknown command /${line.name}. Type / to see the available commands, or start with // to send a message that begins with a slash.`, error: true };
+  }
+
+  try {
+    if (command.channelOnly && context.isDM) {
+      throw new CommandError(`/${command.name} only works in channels`);
+    }
+    if (command.permission) {
+      const allowed = await command.permission(context);
+      if (allowed !== true) {
+        throw new CommandError(typeof allowed === 'string' ? allowed : `You don't have permission to use /${command.name}`);
+      }
+    }
+
+    const args = await parseArguments(command, line.argText, context);
+    return (await command.handler(context, args)) || {};
+  } catch (err) {
+    if (err instanceof CommandError) {
+      return { ephemeral: err.message, error: true };
+    }
+    console.error(`Error running /${command.name}:`, err);
+    return { ephemeral: `Something went wrong running /${command.name}`, error: true };
+  }
+}
+
+// Format a duration for replies, e.g. "2 hours" or "1 day 3 hours"
+function describeDuration(ms) {
+  const parts = [];
+  [['week', DURATION_UNITS.w], ['day', DURATION_UNITS.d], ['hour', DURATION_UNITS.h], ['minute', DURATION_UNITS.m], ['second', DURATION_UNITS.s]]
+    .forEach(([label, size]) => {
+      const count = Math.floor(ms / size);
+      if (count > 0 && parts.length < 2) {
+        parts.push(`${count} ${label}${count === 1 ? '' : 's'}`);
+        ms -= count * size;
+      }
+    });
+  return parts.join(' ') || '0 seconds';
+}
+
+/**
+ * Register the built-in commands
+ * @param {object} services - Server functions the commands rely on
+ * @param {function(string): Promise<object|null>} services.getChannel - Load a channel row by name
+ * @param {function(string, string, string): Promise<true|string>} services.checkChannelPermission - Whether a user has a permission in a channel
+ * @param {function(string, string, string): Promise<boolean>} services.addChannelMember - Add a user to a channel as a member
+ * @param {function(string, string, string|null): Promise<boolean>} services.setChannelTopic - Save a channel topic
+ * @param {function(string, string|null): Promise<boolean>} services.setNickname - Save a user's nickname
+ * @param {function(string, string, Date|null): Promise<boolean>} services.muteChannel - Mute a channel for a user until a time (null for indefinitely)
+ * @param {function(string, string): Promise<boolean>} services.unmuteChannel - Unmute a channel for a user
+ * @param {function(object): Promise<boolean>} services.scheduleReminder - Queue a reminder: userId, channel, content, sendAt
+ * @param {function(string, string, object): void} services.notifyUser - Emit an event to every socket of a user
+ * @param {function(string, string, string): Promise<void>} services.postSystemMessage - Post a system notice in a channel
+ */
+function registerBuiltinCommands(services) {
+  registerCommand({
+    name: 'me',
+    description: 'Send an action, e.g. /me waves',
+    args: [{ name: 'action', type: 'text', required: true }],
+    handler: async (context, { action }) => ({ send: { content: action, type: 'action' } })
+  });
+
+  registerCommand({
+    name: 'shrug',
+    description: 'Append ¯\\_(ツ)_/¯ to your message',
+    args: [{ name: 'message', type: 'text' }],
+    // Backslashes keep the Markdown renderer from reading the arms as italics
+    handler: async (context, { message }) => ({
+      send: { content: `${message ? `${message} ` : ''}¯\\\\\\_(ツ)\\_/¯`, type: 'text' }
+    })
+  });
+
+  registerCommand({
+    name: 'topic',
+    description: 'Show or change the channel topic',
+    args: [{ name: 'topic', type: 'text' }],
+    channelOnly: true,
+    handler: async (context, { topic }) => {
+      // Private channels keep their topic from people who can't read them
+      const readable = await services.checkChannelPermission(context.userId, context.channel, 'read');
+      if (readable !== true) {
+        throw new CommandError(typeof readable === 'string' ? readable : 'You cannot view this channel');
+      }
+      const channel = await services.getChannel(context.channel);
+
+      if (topic === null) {
+        const current = channel && channel.topic;
+        return { ephemeral: current ? `Topic for #${context.channel}: ${current}` : `#${context.channel} has no topic` };
+      }
+
+      // Changing the topic needs the same rights as other channel settings
+      const allowed = await services.checkChannelPermission(context.userId, context.channel, 'manage_channel');
+      if (allowed !== true) {
+        throw new CommandError(typeof allowed === 'string' ? allowed : 'You cannot change this channel\'s topic');
+      }
+      if (topic.length > 250) {
+        throw new CommandError('Topics can be at most 250 characters');
+      }
+
+      const cleared = topic === '-' || topic.toLowerCase() === 'clear';
+      if (!await services.setChannelTopic(context.channel, context.userId, cleared ? null : topic)) {
+        throw new CommandError('Failed to update the topic');
+      }
+
+      await services.postSystemMessage(
+        context.channel,
+        context.userId,
+        cleared ? `${context.username} cleared the channel topic` : `${context.username} changed the topic to: ${topic}`
+      );
+      return {};
+    }
+  });
+
+  registerCommand({
+    name: 'nick',
+    description: 'Set the name shown on your messages (no name resets it)',
+    args: [{ name: 'nickname', type: 'text' }],
+    handler: async (context, { nickname }) => {
+      if (nickname !== null && (nickname.length > 32 || /[\u0000-\u001f<>]/.test(nickname))) {
+        throw new CommandError('Nicknames can be at most 32 characters and cannot contain < or >');
+      }
+      if (!await services.setNickname(context.userId, nickname)) {
+        throw new CommandError('Failed to update your nickname');
+      }
+      return { ephemeral: nickname ? `Your nickname is now ${nickname}` : 'Your nickname has been reset' };
+    }
+  });
+
+  registerCommand({
+    name: 'invite',
+    description: 'Invite someone to this channel',
+    args: [{ name: '@user', type: 'user', required: true }],
+    channelOnly: true,
+    handler: async (context, args) => {
+      const invitee = args['@user'];
+      if (invitee.id === context.userId) {
+        throw new CommandError('You are already here');
+      }
+
+      // Private channels only accept invites from people who manage their members,
+      // and inviting someone there adds them as a member
+      const channel = await services.getChannel(context.channel);
+      if (channel && channel.is_private) {
+        const allowed = await services.checkChannelPermission(context.userId, context.channel, 'manage_members');
+        if (allowed !== true) {
+          throw new CommandError(typeof allowed === 'string' ? allowed : 'You cannot invite people to this channel');
+        }
+        if (!await services.addChannelMember(context.channel, invitee.id, context.userId)) {
+          throw new CommandError(`Failed to add ${invitee.username} to #${context.channel}`);
+        }
+      }
+
+      services.notifyUser(invitee.id, 'channel-invite', {
+        channel: context.channel,
+        inviterId: context.userId,
+        inviter: context.username
+      });
+      return { ephemeral: `Invited ${invitee.username} to #${context.channel}` };
+    }
+  });
+
+  registerCommand({
+    name: 'mute',
+    description: 'Mute notifications from this channel (for a while, or until /unmute)',
+    args: [{ name: 'duration', type: 'duration' }],
+    channelOnly: true,
+    handler: async (context, { duration }) => {
+      const until = duration ? new Date(Date.now() + duration) : null;
+      if (!await services.muteChannel(context.userId, context.channel, until)) {
+        throw new CommandError('Failed to mute the channel');
+      }
+      return {
+        ephemeral: duration
+          ? `Muted #${context.channel} for ${describeDuration(duration)}`
+          : `Muted #${context.channel}. Use /unmute to hear from it again`
+      };
+    }
+  });
+
+  registerCommand({
+    name: 'unmute',
+    description: 'Unmute this channel',
+    channelOnly: true,
+    handler: async (context) => {
+      if (!await services.unmuteChannel(context.userId, context.channel)) {
+        throw new CommandError('Failed to unmute the channel');
+      }
+      return { ephemeral: `Unmuted #${context.channel}` };
+    }
+  });
+
+  registerCommand({
+    name: 'remind',
+    description: 'Remind yourself about something later, e.g. /remind 2h check the oven',
+    args: [
+      { name: 'duration', type: 'duration', required: true },
+      { name: 'message', type: 'text', required: true }
+    ],
+    handler: async (context, args) => {
+      const sendAt = new Date(Date.now() + args.duration);
+      const saved = await services.scheduleReminder({
+        userId: context.userId,
+        channel: context.isDM ? null : context.channel,
+        content: args.message,
+        sendAt
+      });
+      if (!saved) {
+        throw new CommandError('Failed to set the reminder');
+      }
+      return { ephemeral: `Okay, I'll remind you in ${describeDuration(args.duration)}` };
+    }
+  });
+}
+
+module.exports = {
+  CommandError,
+  parseDuration,
+  registerCommand,
+  registerBuiltinCommands,
+  listCommands,
+  parseCommandLine,
+  executeCommand
+};
@@ -516,7 +516,9 @@ async function saveMessageToSupabase(message) {
       file_url: message.file_url || message.fileUrl || null,
       file_type: message.file_type || message.fileType || null,
       file_size: message.file_size || message.fileSize || null,
-      recipient_id: message.recipient_id || message.recipientId || null
+      recipient_id: message.recipient_id || message.recipientId || null,
+      reply_to: message.reply_to || message.replyTo || null,
+      client_temp_id: message.client_temp_id || null
     };
     
     console.log(`Saving message to Supabase from user ${senderName} (${senderId}) in channel ${formattedMessage.channel}`);
@@ -545,6 +547,36 @@ async function saveMessageToSupabase(message) {
   }
 }
 
+/**
+ * Find a message a client already sent under a tempId
+ * @param {string} senderId - ID of the sender
+ * @param {string} tempId - The tempId the client gave the message
+ * @returns {Promise<Object|null>} The stored message row, or null if none (or on error)
+ */
+async function getMessageByClientTempId(senderId, tempId) {
+  if (!serviceSupabase || !senderId || !tempId) {
+    return null;
+  }
+
+  try {
+    const { data, error } = await serviceSupabase
+      .from('messages')
+      .select('*')
+      .eq('sender_id', senderId)
+      .eq('client_temp_id', String(tempId))
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error looking up message by client tempId:', error);
+      return null;
+    }
+    return data;
+  } catch (error) {
+    console.error('Error in getMessageByClientTempId:', error);
+    return null;
+  }
+}
+
 /**
  * Save messages to Supabase
  * @param {Array} messages - Array of messages to save
@@ -658,70 +690,2828 @@ async function saveMessagesToSupabase(messages) {
 }
 
 /**
- * Mark a message as deleted in Supabase
- * @param {string} messageId - ID of the message to mark as deleted
- * @param {string} userId - ID of the user requesting deletion (for permission check)
- * @returns {Promise<boolean>} - Success status
+ * Mark a message as deleted in Supabase
+ * @param {string} messageId - ID of the message to mark as deleted
+ * @param {string} userId - ID of the user requesting deletion (for permission check)
+ * @returns {Promise<boolean>} - Success status
+ */
+async function markMessageAsDeleted(messageId, userId) {
+  try {
+    // Ensure Supabase is configured
+    if (!serviceSupabase || !SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+      console.error('Supabase not configured, cannot delete message');
+      return false;
+    }
+
+    if (!messageId) {
+      console.error('No message ID provided for deletion');
+      return false;
+    }
+
+    console.log(`Marking message ${messageId} as deleted in Supabase`);
+
+    // First check if the message exists and belongs to the user
+    const { data: existingMessage, error: fetchError } = await serviceSupabase
+      .from('messages')
+      .select('id, sender_id')
+      .eq('id', messageId)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Error checking message existence:', fetchError);
+      return false;
+    }
+
+    if (!existingMessage) {
+      console.error(`Message ${messageId} not found in Supabase`);
+      return false;
+    }
+
+    // Check if the user is the owner of the message
+    if (userId && existingMessage.sender_id !== userId) {
+      console.error(`User ${userId} is not the owner of message ${messageId}`);
+      return false;
+    }
+
+    // Update the message with deleted status using the new column name
+    const { error } = await serviceSupabase
+      .from('messages')
+      .update({
+        is_deleted: true,
+        deleted_at: new Date().toISOString(),
+        content: '[This message has been deleted]' // Replace content with placeholder
+      })
+      .eq('id', messageId);
+
+    if (error) {
+      console.error('Error marking message as deleted:', error);
+      return false;
+    }
+
+    console.log(`Successfully marked message ${messageId} as deleted`);
+    return true;
+  } catch (error) {
+    console.error('Error in markMessageAsDeleted:', error);
+    return false;
+  }
+}
+
+/**
+ * Get a single message row by ID
+ * @param {string} messageId - ID of the message to fetch
+ * @returns {Promise<object|null>} The message row or null if not found/error
+ */
+async function getMessageById(messageId) {
+    if (!serviceSupabase || !messageId) {
+        console.error('Invalid input for getMessageById');
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('messages')
+            .select('*')
+            .eq('id', messageId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching message by ID:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in getMessageById:', err);
+        return null;
+    }
+}
+
+// *** THREAD FUNCTIONS ***
+
+/**
+ * Load one page of replies in a message thread
+ * Pages are taken from the newest end so the panel can scroll back like the main chat
+ * @param {string} parentId - ID of the thread's parent message
+ * @param {object} options - Pagination options
+ * @param {number} options.limit - Maximum number of replies to return
+ * @param {string|null} options.before - Only return replies created before this ISO timestamp
+ * @returns {Promise<{replies: Array<object>, hasMore: boolean}|null>} Replies in chronological order, or null on error
+ */
+async function getThreadReplies(parentId, { limit = 20, before = null } = {}) {
+    if (!serviceSupabase || !parentId) {
+        console.error('Invalid input for getThreadReplies');
+        return null;
+    }
+
+    try {
+        // Fetch one extra row to find out whether an older page exists
+        let query = serviceSupabase
+            .from('messages')
+            .select('*')
+            .eq('reply_to', parentId)
+            .or('is_deleted.is.null,is_deleted.eq.false')
+            .order('created_at', { ascending: false })
+            .limit(limit + 1);
+
+        if (before) {
+            query = query.lt('created_at', before);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error loading thread replies:', error);
+            return null;
+        }
+
+        const hasMore = data.length > limit;
+        const replies = data.slice(0, limit).reverse();
+
+        console.log(`Loaded ${replies.length} replies for thread ${parentId} (hasMore: ${hasMore})`);
+        return { replies, hasMore };
+    } catch (err) {
+        console.error('Exception in getThreadReplies:', err);
+        return null;
+    }
+}
+
+/**
+ * Count the replies of several thread parents in one query
+ * @param {Array<string>} parentIds - IDs of the parent messages
+ * @returns {Promise<object>} Map of parent ID to { count, lastReplyAt }; parents without replies are omitted
+ */
+async function getThreadReplyCounts(parentIds) {
+    const counts = {};
+    if (!serviceSupabase || !Array.isArray(parentIds) || parentIds.length === 0) {
+        return counts;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('messages')
+            .select('reply_to, created_at')
+            .in('reply_to', parentIds)
+            .or('is_deleted.is.null,is_deleted.eq.false');
+
+        if (error) {
+            console.error('Error counting thread replies:', error);
+            return counts;
+        }
+
+        data.forEach(row => {
+            const entry = counts[row.reply_to] || { count: 0, lastReplyAt: null };
+            entry.count++;
+            if (!entry.lastReplyAt || row.created_at > entry.lastReplyAt) {
+                entry.lastReplyAt = row.created_at;
+            }
+            counts[row.reply_to] = entry;
+        });
+
+        return counts;
+    } catch (err) {
+        console.error('Exception in getThreadReplyCounts:', err);
+        return counts;
+    }
+}
+
+// *** REACTION FUNCTIONS ***
+
+/**
+ * Add an emoji reaction to a message
+ * Adding a reaction the user already has is a no-op
+ * @param {string} messageId - ID of the message being reacted to
+ * @param {string} userId - ID of the reacting user
+ * @param {string} emoji - The emoji to add
+ * @returns {Promise<object>} Object with success status and error if applicable
+ */
+async function addReaction(messageId, userId, emoji) {
+    if (!serviceSupabase || !messageId || !userId || !emoji) {
+        console.error('Invalid input for addReaction');
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('message_reactions')
+            .upsert({
+                message_id: messageId,
+                user_id: userId,
+                emoji: emoji,
+                created_at: new Date().toISOString()
+            }, { onConflict: 'message_id,user_id,emoji', ignoreDuplicates: true });
+
+        if (error) {
+            console.error('Error adding reaction:', error);
+            return { success: false, error: error.message };
+        }
+        return { success: true };
+    } catch (err) {
+        console.error('Exception in addReaction:', err);
+        return { success: false, error: 'Server error adding reaction' };
+    }
+}
+
+/**
+ * Remove one of a user's emoji reactions from a message
+ * @param {string} messageId - ID of the message
+ * @param {string} userId - ID of the user whose reaction is removed
+ * @param {string} emoji - The emoji to remove
+ * @returns {Promise<object>} Object with success status and error if applicable
+ */
+async function removeReaction(messageId, userId, emoji) {
+    if (!serviceSupabase || !messageId || !userId || !emoji) {
+        console.error('Invalid input for removeReaction');
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('message_reactions')
+            .delete()
+            .eq('message_id', messageId)
+            .eq('user_id', userId)
+            .eq('emoji', emoji);
+
+        if (error) {
+            console.error('Error removing reaction:', error);
+            return { success: false, error: error.message };
+        }
+        return { success: true };
+    } catch (err) {
+        console.error('Exception in removeReaction:', err);
+        return { success: false, error: 'Server error removing reaction' };
+    }
+}
+
+/**
+ * Get aggregated reactions for several messages in one query
+ * @param {Array<string>} messageIds - IDs of the messages
+ * @returns {Promise<object>} Map of message ID to [{ emoji, count, userIds }] in order of first use; messages without reactions are omitted
+ */
+async function getReactionsForMessages(messageIds) {
+    const reactions = {};
+    if (!serviceSupabase || !Array.isArray(messageIds) || messageIds.length === 0) {
+        return reactions;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('message_reactions')
+            .select('message_id, user_id, emoji, created_at')
+            .in('message_id', messageIds)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Error loading reactions:', error);
+            return reactions;
+        }
+
+        data.forEach(row => {
+            const list = reactions[row.message_id] || (reactions[row.message_id] = []);
+            let entry = list.find(r => r.emoji === row.emoji);
+            if (!entry) {
+                entry = { emoji: row.emoji, count: 0, userIds: [] };
+                list.push(entry);
+            }
+            entry.count++;
+            entry.userIds.push(row.user_id);
+        });
+
+        return reactions;
+    } catch (err) {
+        console.error('Exception in getReactionsForMessages:', err);
+        return reactions;
+    }
+}
+
+// *** PIN FUNCTIONS ***
+
+/**
+ * Pin a message in a channel
+ * @param {string} channel - Channel name the message belongs to
+ * @param {string} messageId - ID of the message to pin
+ * @param {string} userId - ID of the user pinning it
+ * @returns {Promise<object>} Object with success status, the pin row, and error if applicable
+ */
+async function pinMessage(channel, messageId, userId) {
+    if (!serviceSupabase || !channel || !messageId || !userId) {
+        console.error('Invalid input for pinMessage');
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('pinned_messages')
+            .insert({
+                channel: channel,
+                message_id: messageId,
+                pinned_by: userId,
+                pinned_at: new Date().toISOString()
+            })
+            .select('*')
+            .maybeSingle();
+
+        if (error) {
+            // Unique violation means the message is already pinned
+            if (error.code === '23505') {
+                return { success: false, error: 'Message is already pinned' };
+            }
+            console.error('Error pinning message:', error);
+            return { success: false, error: error.message };
+        }
+        return { success: true, pin: data };
+    } catch (err) {
+        console.error('Exception in pinMessage:', err);
+        return { success: false, error: 'Server error pinning message' };
+    }
+}
+
+/**
+ * Unpin a message
+ * @param {string} messageId - ID of the pinned message
+ * @returns {Promise<object>} Object with success status and error if applicable
+ */
+async function unpinMessage(messageId) {
+    if (!serviceSupabase || !messageId) {
+        console.error('Invalid input for unpinMessage');
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('pinned_messages')
+            .delete()
+            .eq('message_id', messageId);
+
+        if (error) {
+            console.error('Error unpinning message:', error);
+            return { success: false, error: error.message };
+        }
+        return { success: true };
+    } catch (err) {
+        console.error('Exception in unpinMessage:', err);
+        return { success: false, error: 'Server error unpinning message' };
+    }
+}
+
+/**
+ * Get the pin row for a message
+ * @param {string} messageId - ID of the message
+ * @returns {Promise<object|null>} The pin row, or null if not pinned/error
+ */
+async function getPin(messageId) {
+    if (!serviceSupabase || !messageId) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('pinned_messages')
+            .select('*')
+            .eq('message_id', messageId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching pin:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in getPin:', err);
+        return null;
+    }
+}
+
+/**
+ * Get all pinned messages in a channel, newest pin first
+ * @param {string} channel - Channel name
+ * @returns {Promise<Array<object>|null>} Pin rows with the pinned message embedded as `message`, or null on error
+ */
+async function getPinnedMessages(channel) {
+    if (!serviceSupabase || !channel) {
+        console.error('Invalid input for getPinnedMessages');
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('pinned_messages')
+            .select('message_id, pinned_by, pinned_at, message:messages(*)')
+            .eq('channel', channel)
+            .order('pinned_at', { ascending: false });
+
+        if (error) {
+            console.error('Error loading pinned messages:', error);
+            return null;
+        }
+
+        // Drop pins whose message has since been deleted
+        return data.filter(pin => pin.message && !pin.message.is_deleted);
+    } catch (err) {
+        console.error('Exception in getPinnedMessages:', err);
+        return null;
+    }
+}
+
+// *** MENTION FUNCTIONS ***
+
+/**
+ * Look up users by username, ignoring case
+ * @param {Array<string>} usernames - Usernames to look up
+ * @returns {Promise<Array<object>>} Matching users as { id, username }; empty on error
+ */
+async function getUsersByUsernames(usernames) {
+    if (!serviceSupabase || !Array.isArray(usernames) || usernames.length === 0) {
+        return [];
+    }
+
+    try {
+        // Escape "_" so it isn't treated as a single-character wildcard by ILIKE
+        const filters = usernames.map(name => `username.ilike.${name.replace(/_/g, '\\_')}`).join(',');
+        const { data, error } = await serviceSupabase
+            .from('users')
+            .select('id, username')
+            .or(filters);
+
+        if (error) {
+            console.error('Error looking up users by username:', error);
+            return [];
+        }
+
+        const wanted = usernames.map(name => name.toLowerCase());
+        return data.filter(user => wanted.includes(user.username.toLowerCase()));
+    } catch (err) {
+        console.error('Exception in getUsersByUsernames:', err);
+        return [];
+    }
+}
+
+/**
+ * Store the users mentioned by a message
+ * @param {Array<object>} mentions - Rows of { message_id, user_id, sender_id, channel, mention_type }
+ * @returns {Promise<object>} Object with success status and error if applicable
+ */
+async function saveMentions(mentions) {
+    if (!serviceSupabase || !Array.isArray(mentions) || mentions.length === 0) {
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('message_mentions')
+            .upsert(mentions, { onConflict: 'message_id,user_id', ignoreDuplicates: true });
+
+        if (error) {
+            console.error('Error saving mentions:', error);
+            return { success: false, error: error.message };
+        }
+        return { success: true };
+    } catch (err) {
+        console.error('Exception in saveMentions:', err);
+        return { success: false, error: 'Server error saving mentions' };
+    }
+}
+
+/**
+ * Load a page of a user's mentions inbox, newest first
+ * @param {string} userId - ID of the mentioned user
+ * @param {object} options - Pagination options
+ * @param {number} options.limit - Maximum number of mentions to return
+ * @param {string|null} options.before - Only return mentions created before this ISO timestamp
+ * @returns {Promise<{mentions: Array<object>, hasMore: boolean, cursor: string|null}|null>} Mention rows with the message embedded as `message` and the `before` value for the next page, or null on error
+ */
+async function getMentionsForUser(userId, { limit = 25, before = null } = {}) {
+    if (!serviceSupabase || !userId) {
+        console.error('Invalid input for getMentionsForUser');
+        return null;
+    }
+
+    try {
+        let query = serviceSupabase
+            .from('message_mentions')
+            .select('message_id, sender_id, channel, mention_type, created_at, message:messages(*)')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(limit + 1);
+
+        if (before) {
+            query = query.lt('created_at', before);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error loading mentions:', error);
+            return null;
+        }
+
+        const hasMore = data.length > limit;
+        const mentions = data.slice(0, limit).filter(row => row.message && !row.message.is_deleted);
+        return { mentions, hasMore, cursor: hasMore ? data[limit - 1].created_at : null };
+    } catch (err) {
+        console.error('Exception in getMentionsForUser:', err);
+        return null;
+    }
+}
+
+// *** LINK PREVIEW FUNCTIONS ***
+
+/**
+ * Get a cached link preview
+ * @param {string} url - URL that was unfurled
+ * @param {number} maxAgeMs - Oldest cache entry to accept, in milliseconds
+ * @returns {Promise<{preview: object|null, failed: boolean}|null>} Cached result, or null if missing/stale/error
+ */
+async function getCachedLinkPreview(url, maxAgeMs) {
+    if (!serviceSupabase || !url) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('link_previews')
+            .select('*')
+            .eq('url', url)
+            .gte('fetched_at', new Date(Date.now() - maxAgeMs).toISOString())
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching cached link preview:', error);
+            return null;
+        }
+        if (!data) {
+            return null;
+        }
+
+        return {
+            failed: data.failed,
+            preview: data.failed ? null : {
+                url: data.url,
+                title: data.title,
+                description: data.description,
+                image: data.image_url,
+                siteName: data.site_name
+            }
+        };
+    } catch (err) {
+        console.error('Exception in getCachedLinkPreview:', err);
+        return null;
+    }
+}
+
+/**
+ * Cache the result of unfurling a URL
+ * @param {string} url - URL that was unfurled
+ * @param {object|null} preview - Preview card data, or null if the URL had nothing to show
+ * @returns {Promise<boolean>} True if the result was stored
+ */
+async function saveLinkPreview(url, preview) {
+    if (!serviceSupabase || !url) {
+        return false;
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('link_previews')
+            .upsert({
+                url: url,
+                title: preview ? preview.title : null,
+                description: preview ? preview.description : null,
+                image_url: preview ? preview.image : null,
+                site_name: preview ? preview.siteName : null,
+                failed: !preview,
+                fetched_at: new Date().toISOString()
+            }, { onConflict: 'url' });
+
+        if (error) {
+            console.error('Error caching link preview:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in saveLinkPreview:', err);
+        return false;
+    }
+}
+
+/**
+ * Replace the link previews attached to a message
+ * @param {string} messageId - ID of the message
+ * @param {Array<object>} previews - Preview cards to show under the message
+ * @returns {Promise<boolean>} True if the message was updated
+ */
+async function setMessageLinkPreviews(messageId, previews) {
+    if (!serviceSupabase || !messageId) {
+        return false;
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('messages')
+            .update({ link_previews: previews || [] })
+            .eq('id', messageId);
+
+        if (error) {
+            console.error('Error saving message link previews:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in setMessageLinkPreviews:', err);
+        return false;
+    }
+}
+
+// *** SCHEDULED MESSAGE FUNCTIONS ***
+
+/**
+ * Queue a message to be sent later
+ * @param {object} scheduled - Row with sender_id, channel or recipient_id, content, send_at and time_zone
+ * @returns {Promise<object>} Object with success status, the scheduled row, and error if applicable
+ */
+async function createScheduledMessage(scheduled) {
+    if (!serviceSupabase || !scheduled || !scheduled.sender_id || !scheduled.content || !scheduled.send_at) {
+        console.error('Invalid input for createScheduledMessage');
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('scheduled_messages')
+            .insert({ ...scheduled, status: 'pending' })
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Error scheduling message:', error);
+            return { success: false, error: error.message };
+        }
+        return { success: true, scheduled: data };
+    } catch (err) {
+        console.error('Exception in createScheduledMessage:', err);
+        return { success: false, error: 'Server error scheduling message' };
+    }
+}
+
+/**
+ * Get a user's pending scheduled messages, soonest first
+ * @param {string} userId - ID of the sender
+ * @returns {Promise<Array<object>|null>} Scheduled rows, or null on error
+ */
+async function getScheduledMessagesForUser(userId) {
+    if (!serviceSupabase || !userId) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('scheduled_messages')
+            .select('*')
+            .eq('sender_id', userId)
+            .eq('status', 'pending')
+            .order('send_at', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching scheduled messages:', error);
+            return null;
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getScheduledMessagesForUser:', err);
+        return null;
+    }
+}
+
+/**
+ * Change the content or time of a pending scheduled message
+ * @param {string} scheduledId - ID of the scheduled message
+ * @param {string} userId - ID of the sender; only they may edit it
+ * @param {object} updates - Fields to change: content, send_at, time_zone
+ * @returns {Promise<object>} Object with success status, the updated row, and error if applicable
+ */
+async function updateScheduledMessage(scheduledId, userId, updates) {
+    if (!serviceSupabase || !scheduledId || !userId) {
+        console.error('Invalid input for updateScheduledMessage');
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('scheduled_messages')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', scheduledId)
+            .eq('sender_id', userId)
+            .eq('status', 'pending')
+            .select('*')
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error updating scheduled message:', error);
+            return { success: false, error: error.message };
+        }
+        if (!data) {
+            return { success: false, error: 'Scheduled message not found or already sent' };
+        }
+        return { success: true, scheduled: data };
+    } catch (err) {
+        console.error('Exception in updateScheduledMessage:', err);
+        return { success: false, error: 'Server error updating scheduled message' };
+    }
+}
+
+/**
+ * Cancel a pending scheduled message
+ * @param {string} scheduledId - ID of the scheduled message
+ * @param {string} userId - ID of the sender; only they may cancel it
+ * @returns {Promise<object>} Object with success status and error if applicable
+ */
+async function cancelScheduledMessage(scheduledId, userId) {
+    const result = await updateScheduledMessage(scheduledId, userId, { status: 'cancelled' });
+    return result.success ? { success: true } : result;
+}
+
+/**
+ * Claim the scheduled messages that are due, so no other dispatcher sends them too
+ * @param {number} limit - Most messages to claim at once
+ * @returns {Promise<Array<object>>} Claimed rows, oldest first
+ */
+async function claimDueScheduledMessages(limit = 20) {
+    if (!serviceSupabase) {
+        return [];
+    }
+
+    try {
+        const now = new Date().toISOString();
+        const { data: due, error } = await serviceSupabase
+            .from('scheduled_messages')
+            .select('id')
+            .eq('status', 'pending')
+            .lte('send_at', now)
+            .order('send_at', { ascending: true })
+            .limit(limit);
+
+        if (error) {
+            console.error('Error fetching due scheduled messages:', error);
+            return [];
+        }
+
+        const claimed = [];
+        for (const row of due || []) {
+            // The status check makes the claim atomic: only one dispatcher gets the row back
+            const { data, error: claimError } = await serviceSupabase
+                .from('scheduled_messages')
+                .update({ status: 'sending', claimed_at: now })
+                .eq('id', row.id)
+                .eq('status', 'pending')
+                .select('*')
+                .maybeSingle();
+
+            if (claimError) {
+                console.error(`Error claiming scheduled message ${row.id}:`, claimError);
+            } else if (data) {
+                claimed.push(data);
+            }
+        }
+        return claimed;
+    } catch (err) {
+        console.error('Exception in claimDueScheduledMessages:', err);
+        return [];
+    }
+}
+
+/**
+ * Return messages stuck in 'sending' (the server stopped mid-dispatch) to the queue
+ * @param {number} staleAfterMs - How long a claim may last before it is considered abandoned
+ * @returns {Promise<number>} Number of messages requeued
+ */
+async function requeueStaleScheduledMessages(staleAfterMs) {
+    if (!serviceSupabase) {
+        return 0;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('scheduled_messages')
+            .update({ status: 'pending', claimed_at: null })
+            .eq('status', 'sending')
+            .lt('claimed_at', new Date(Date.now() - staleAfterMs).toISOString())
+            .select('id');
+
+        if (error) {
+            console.error('Error requeueing scheduled messages:', error);
+            return 0;
+        }
+        return (data || []).length;
+    } catch (err) {
+        console.error('Exception in requeueStaleScheduledMessages:', err);
+        return 0;
+    }
+}
+
+/**
+ * Record the outcome of dispatching a scheduled message
+ * @param {string} scheduledId - ID of the scheduled message
+ * @param {object} outcome - Either { messageId } when sent or { error } when it failed
+ * @returns {Promise<boolean>} True if the row was updated
+ */
+async function finishScheduledMessage(scheduledId, { messageId = null, error = null } = {}) {
+    if (!serviceSupabase || !scheduledId) {
+        return false;
+    }
+
+    try {
+        const { error: updateError } = await serviceSupabase
+            .from('scheduled_messages')
+            .update({
+                status: error ? 'failed' : 'sent',
+                sent_message_id: messageId,
+                error: error,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', scheduledId);
+
+        if (updateError) {
+            console.error('Error finishing scheduled message:', updateError);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in finishScheduledMessage:', err);
+        return false;
+    }
+}
+
+/**
+ * Put a claimed scheduled message back in the queue without counting it as sent
+ * @param {string} scheduledId - ID of the scheduled message
+ * @param {Date} [sendAt] - New time to try again; keeps the current time if omitted
+ * @returns {Promise<boolean>} True if the row was released
+ */
+async function releaseScheduledMessage(scheduledId, sendAt = null) {
+    if (!serviceSupabase || !scheduledId) {
+        return false;
+    }
+
+    try {
+        const updates = { status: 'pending', claimed_at: null, updated_at: new Date().toISOString() };
+        if (sendAt) {
+            updates.send_at = sendAt.toISOString();
+        }
+
+        const { error } = await serviceSupabase
+            .from('scheduled_messages')
+            .update(updates)
+            .eq('id', scheduledId)
+            .eq('status', 'sending');
+
+        if (error) {
+            console.error('Error releasing scheduled message:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in releaseScheduledMessage:', err);
+        return false;
+    }
+}
+
+// *** CHANNEL SETTINGS FUNCTIONS ***
+
+/**
+ * Get a channel by name
+ * @param {string} name - Channel name
+ * @returns {Promise<object|null>} The channel row, or null if it doesn't exist or on error
+ */
+async function getChannelByName(name) {
+    if (!serviceSupabase || !name) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channels')
+            .select('*')
+            .eq('name', name)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching channel:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in getChannelByName:', err);
+        return null;
+    }
+}
+
+/**
+ * Set or clear a channel's topic
+ * @param {string} name - Channel name
+ * @param {string|null} topic - New topic, or null to clear it
+ * @returns {Promise<boolean>} True if the topic was saved
+ */
+async function setChannelTopic(name, topic) {
+    if (!serviceSupabase || !name) {
+        return false;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channels')
+            .update({ topic: topic || null })
+            .eq('name', name)
+            .select('id');
+
+        if (error) {
+            console.error('Error setting channel topic:', error);
+            return false;
+        }
+        return (data || []).length > 0;
+    } catch (err) {
+        console.error('Exception in setChannelTopic:', err);
+        return false;
+    }
+}
+
+/**
+ * Mute a channel's notifications for a user
+ * @param {string} userId - ID of the user
+ * @param {string} channel - Channel name
+ * @param {Date|null} mutedUntil - When the mute ends, or null for until they unmute
+ * @returns {Promise<boolean>} True if the mute was saved
+ */
+async function muteChannel(userId, channel, mutedUntil = null) {
+    if (!serviceSupabase || !userId || !channel) {
+        return false;
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('channel_mutes')
+            .upsert({
+                user_id: userId,
+                channel: channel,
+                muted_until: mutedUntil ? mutedUntil.toISOString() : null
+            }, { onConflict: 'user_id,channel' });
+
+        if (error) {
+            console.error('Error muting channel:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in muteChannel:', err);
+        return false;
+    }
+}
+
+/**
+ * Remove a user's mute on a channel
+ * @param {string} userId - ID of the user
+ * @param {string} channel - Channel name
+ * @returns {Promise<boolean>} True if the channel is no longer muted
+ */
+async function unmuteChannel(userId, channel) {
+    if (!serviceSupabase || !userId || !channel) {
+        return false;
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('channel_mutes')
+            .delete()
+            .eq('user_id', userId)
+            .eq('channel', channel);
+
+        if (error) {
+            console.error('Error unmuting channel:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in unmuteChannel:', err);
+        return false;
+    }
+}
+
+/**
+ * Get the users who currently have a channel muted
+ * @param {string} channel - Channel name
+ * @returns {Promise<Set<string>>} IDs of users with an active mute; empty on error
+ */
+async function getChannelMutedUserIds(channel) {
+    if (!serviceSupabase || !channel) {
+        return new Set();
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_mutes')
+            .select('user_id')
+            .eq('channel', channel)
+            .or(`muted_until.is.null,muted_until.gt.${new Date().toISOString()}`);
+
+        if (error) {
+            console.error('Error fetching channel mutes:', error);
+            return new Set();
+        }
+        return new Set((data || []).map(row => row.user_id));
+    } catch (err) {
+        console.error('Exception in getChannelMutedUserIds:', err);
+        return new Set();
+    }
+}
+
+/**
+ * Get the channels a user currently has muted
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array<object>>} Rows of { channel, muted_until }; empty on error
+ */
+async function getMutedChannelsForUser(userId) {
+    if (!serviceSupabase || !userId) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_mutes')
+            .select('channel, muted_until')
+            .eq('user_id', userId)
+            .or(`muted_until.is.null,muted_until.gt.${new Date().toISOString()}`);
+
+        if (error) {
+            console.error('Error fetching muted channels:', error);
+            return [];
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getMutedChannelsForUser:', err);
+        return [];
+    }
+}
+
+// *** CHANNEL MEMBERSHIP FUNCTIONS ***
+
+/**
+ * Create a channel and record its creator as the owner
+ * @param {string} name - Channel name
+ * @param {string} createdBy - ID of the user creating it
+ * @param {string|null} description - Channel description
+ * @param {boolean} isPrivate - Whether only members can see the channel
+ * @returns {Promise<object>} Object with success status, the channel row, and error if applicable
+ */
+async function createChannel(name, createdBy, description = null, isPrivate = false) {
+    if (!serviceSupabase || !name || !createdBy) {
+        console.error('Invalid input for createChannel');
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channels')
+            .insert({
+                name,
+                created_by: createdBy,
+                description: description || null,
+                is_private: !!isPrivate
+            })
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Error creating channel:', error);
+            return { success: false, error: error.code === '23505' ? 'A channel with that name already exists' : 'Failed to create channel' };
+        }
+
+        const { error: memberError } = await serviceSupabase
+            .from('channel_members')
+            .insert({ channel: name, user_id: createdBy, role: 'owner', added_by: createdBy });
+
+        if (memberError) {
+            console.error('Error recording channel owner:', memberError);
+        }
+        return { success: true, channel: data };
+    } catch (err) {
+        console.error('Exception in createChannel:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Get every channel
+ * @returns {Promise<Array<object>>} Channel rows ordered by name; empty on error
+ */
+async function getAllChannels() {
+    if (!serviceSupabase) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channels')
+            .select('*')
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching channels:', error);
+            return [];
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getAllChannels:', err);
+        return [];
+    }
+}
+
+/**
+ * Get a user's membership in a channel
+ * @param {string} channel - Channel name
+ * @param {string} userId - ID of the user
+ * @returns {Promise<object|null>} The channel_members row, or null if they have none or on error
+ */
+async function getChannelMember(channel, userId) {
+    if (!serviceSupabase || !channel || !userId) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_members')
+            .select('*')
+            .eq('channel', channel)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching channel member:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in getChannelMember:', err);
+        return null;
+    }
+}
+
+/**
+ * Get everyone with a role in a channel
+ * @param {string} channel - Channel name
+ * @returns {Promise<Array<object>>} channel_members rows with the user's username; empty on error
+ */
+async function getChannelMembers(channel) {
+    if (!serviceSupabase || !channel) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_members')
+            .select('channel, user_id, role, added_by, created_at, user:user_id ( username )')
+            .eq('channel', channel)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching channel members:', error);
+            return [];
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getChannelMembers:', err);
+        return [];
+    }
+}
+
+/**
+ * Get every channel a user has a role in
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array<object>>} channel_members rows; empty on error
+ */
+async function getChannelMembershipsForUser(userId) {
+    if (!serviceSupabase || !userId) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_members')
+            .select('channel, role')
+            .eq('user_id', userId);
+
+        if (error) {
+            console.error('Error fetching channel memberships:', error);
+            return [];
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getChannelMembershipsForUser:', err);
+        return [];
+    }
+}
+
+/**
+ * Add a user to a channel or change their role
+ * @param {string} channel - Channel name
+ * @param {string} userId - ID of the user
+ * @param {string} role - Their new role
+ * @param {string} addedBy - ID of the member making the change
+ * @returns {Promise<boolean>} True if the role was saved
+ */
+async function setChannelMemberRole(channel, userId, role, addedBy) {
+    if (!serviceSupabase || !channel || !userId || !role) {
+        return false;
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('channel_members')
+            .upsert({
+                channel,
+                user_id: userId,
+                role,
+                added_by: addedBy,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'channel,user_id' });
+
+        if (error) {
+            console.error('Error setting channel member role:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in setChannelMemberRole:', err);
+        return false;
+    }
+}
+
+/**
+ * Remove a user's membership in a channel
+ * @param {string} channel - Channel name
+ * @param {string} userId - ID of the user
+ * @returns {Promise<boolean>} True if the membership is gone
+ */
+async function removeChannelMember(channel, userId) {
+    if (!serviceSupabase || !channel || !userId) {
+        return false;
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('channel_members')
+            .delete()
+            .eq('channel', channel)
+            .eq('user_id', userId);
+
+        if (error) {
+            console.error('Error removing channel member:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in removeChannelMember:', err);
+        return false;
+    }
+}
+
+// *** CHANNEL MANAGEMENT FUNCTIONS ***
+
+/**
+ * Rename a channel, moving its messages, members, pins and other records to the new name
+ * @param {string} oldName - Current channel name
+ * @param {string} newName - New channel name
+ * @returns {Promise<object>} Object with success status and error if applicable
+ */
+async function renameChannel(oldName, newName) {
+    if (!serviceSupabase || !oldName || !newName) {
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const { error } = await serviceSupabase.rpc('rename_channel', { old_name: oldName, new_name: newName });
+
+        if (error) {
+            console.error('Error renaming channel:', error);
+            return { success: false, error: error.code === '23505' ? 'A channel with that name already exists' : 'Failed to rename channel' };
+        }
+        return { success: true };
+    } catch (err) {
+        console.error('Exception in renameChannel:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Update a channel's description and topic
+ * @param {string} name - Channel name
+ * @param {object} fields - description and/or topic; null clears a field
+ * @returns {Promise<boolean>} True if the channel was updated
+ */
+async function updateChannelDetails(name, fields) {
+    const updates = {};
+    ['description', 'topic'].forEach(key => {
+        if (fields[key] !== undefined) updates[key] = fields[key] || null;
+    });
+    if (!serviceSupabase || !name || Object.keys(updates).length === 0) {
+        return false;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channels')
+            .update(updates)
+            .eq('name', name)
+            .select('id');
+
+        if (error) {
+            console.error('Error updating channel:', error);
+            return false;
+        }
+        return (data || []).length > 0;
+    } catch (err) {
+        console.error('Exception in updateChannelDetails:', err);
+        return false;
+    }
+}
+
+/**
+ * Archive or unarchive a channel
+ * @param {string} name - Channel name
+ * @param {string|null} archivedBy - ID of the user archiving it, or null to unarchive
+ * @returns {Promise<boolean>} True if the channel was updated
+ */
+async function setChannelArchived(name, archivedBy) {
+    if (!serviceSupabase || !name) {
+        return false;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channels')
+            .update({
+                archived_at: archivedBy ? new Date().toISOString() : null,
+                archived_by: archivedBy || null
+            })
+            .eq('name', name)
+            .select('id');
+
+        if (error) {
+            console.error('Error archiving channel:', error);
+            return false;
+        }
+        return (data || []).length > 0;
+    } catch (err) {
+        console.error('Exception in setChannelArchived:', err);
+        return false;
+    }
+}
+
+/**
+ * Delete a channel along with its members, pins, invites and other records
+ * Its messages are marked deleted rather than removed straight away
+ * @param {string} name - Channel name
+ * @returns {Promise<boolean>} True if the channel was deleted
+ */
+async function deleteChannel(name) {
+    if (!serviceSupabase || !name) {
+        return false;
+    }
+
+    try {
+        const { error } = await serviceSupabase.rpc('delete_channel', { channel_name: name });
+
+        if (error) {
+            console.error('Error deleting channel:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in deleteChannel:', err);
+        return false;
+    }
+}
+
+// *** CHANNEL MODERATION FUNCTIONS ***
+
+/**
+ * Ban a user from a channel or time them out
+ * @param {object} sanction - Sanction details
+ * @param {string} sanction.channel - Channel name
+ * @param {string} sanction.userId - ID of the user it applies to
+ * @param {string} sanction.type - 'ban' or 'timeout'
+ * @param {string|null} [sanction.reason] - Why, shown to the user
+ * @param {string|null} [sanction.expiresAt] - When it ends, or null for a permanent ban
+ * @param {string} sanction.createdBy - ID of the moderator
+ * @returns {Promise<object|null>} The created sanction or null on failure
+ */
+async function addChannelSanction({ channel, userId, type, reason = null, expiresAt = null, createdBy }) {
+    if (!serviceSupabase || !channel || !userId || !type) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_sanctions')
+            .insert({
+                channel,
+                user_id: userId,
+                type,
+                reason,
+                expires_at: expiresAt,
+                created_by: createdBy
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error adding channel sanction:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in addChannelSanction:', err);
+        return null;
+    }
+}
+
+/**
+ * Get the bans and timeouts still in force in a channel
+ * @param {string} channel - Channel name
+ * @param {string} [userId] - Only return sanctions against this user
+ * @returns {Promise<Array>} Sanction rows, newest first, with the affected user's username
+ */
+async function getActiveChannelSanctions(channel, userId = null) {
+    if (!serviceSupabase || !channel) {
+        return [];
+    }
+
+    try {
+        let query = serviceSupabase
+            .from('channel_sanctions')
+            .select('*, user:user_id ( username )')
+            .eq('channel', channel)
+            .is('lifted_at', null)
+            .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+            .order('created_at', { ascending: false });
+        if (userId) {
+            query = query.eq('user_id', userId);
+        }
+
+        const { data, error } = await query;
+        if (error) {
+            console.error('Error fetching channel sanctions:', error);
+            return [];
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getActiveChannelSanctions:', err);
+        return [];
+    }
+}
+
+/**
+ * Get the bans and timeouts still in force against a user, in any channel
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array>} Sanction rows
+ */
+async function getActiveSanctionsForUser(userId) {
+    if (!serviceSupabase || !userId) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_sanctions')
+            .select('*')
+            .eq('user_id', userId)
+            .is('lifted_at', null)
+            .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+
+        if (error) {
+            console.error('Error fetching user sanctions:', error);
+            return [];
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getActiveSanctionsForUser:', err);
+        return [];
+    }
+}
+
+/**
+ * Lift a user's bans or timeouts in a channel
+ * @param {string} channel - Channel name
+ * @param {string} userId - ID of the user
+ * @param {string} type - 'ban' or 'timeout'
+ * @param {string} liftedBy - ID of the moderator
+ * @returns {Promise<boolean>} True if anything was lifted
+ */
+async function liftChannelSanctions(channel, userId, type, liftedBy) {
+    if (!serviceSupabase || !channel || !userId || !type) {
+        return false;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_sanctions')
+            .update({ lifted_at: new Date().toISOString(), lifted_by: liftedBy })
+            .eq('channel', channel)
+            .eq('user_id', userId)
+            .eq('type', type)
+            .is('lifted_at', null)
+            .select('id');
+
+        if (error) {
+            console.error('Error lifting channel sanctions:', error);
+            return false;
+        }
+        return (data || []).length > 0;
+    } catch (err) {
+        console.error('Exception in liftChannelSanctions:', err);
+        return false;
+    }
+}
+
+/**
+ * Set how long each user must wait between messages in a channel
+ * @param {string} name - Channel name
+ * @param {number} seconds - Interval in seconds; 0 turns slow mode off
+ * @returns {Promise<boolean>} True if the channel was updated
+ */
+async function setChannelSlowMode(name, seconds) {
+    if (!serviceSupabase || !name) {
+        return false;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channels')
+            .update({ slow_mode_seconds: seconds })
+            .eq('name', name)
+            .select('id');
+
+        if (error) {
+            console.error('Error setting slow mode:', error);
+            return false;
+        }
+        return (data || []).length > 0;
+    } catch (err) {
+        console.error('Exception in setChannelSlowMode:', err);
+        return false;
+    }
+}
+
+// *** CHANNEL CATEGORY FUNCTIONS ***
+
+/**
+ * Check whether a user is an admin, who can arrange the sidebar for everyone
+ * @param {string} userId - ID of the user
+ * @returns {Promise<boolean>} True if the user is an admin
+ */
+async function isUserAdmin(userId) {
+    if (!serviceSupabase || !userId) {
+        return false;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('users')
+            .select('is_admin')
+            .eq('id', userId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error checking admin status:', error);
+            return false;
+        }
+        return !!(data && data.is_admin);
+    } catch (err) {
+        console.error('Exception in isUserAdmin:', err);
+        return false;
+    }
+}
+
+/**
+ * Get every channel category
+ * @returns {Promise<Array>} Category rows ordered by position
+ */
+async function getChannelCategories() {
+    if (!serviceSupabase) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_categories')
+            .select('*')
+            .order('position', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching channel categories:', error);
+            return [];
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getChannelCategories:', err);
+        return [];
+    }
+}
+
+/**
+ * Create a channel category
+ * @param {string} name - Category name
+ * @param {string} createdBy - ID of the admin creating it
+ * @param {number} position - Place in the sidebar
+ * @returns {Promise<object|null>} The created category or null on failure
+ */
+async function createChannelCategory(name, createdBy, position) {
+    if (!serviceSupabase || !name) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_categories')
+            .insert({ name, created_by: createdBy, position })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error creating channel category:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in createChannelCategory:', err);
+        return null;
+    }
+}
+
+/**
+ * Rename a channel category
+ * @param {string} categoryId - ID of the category
+ * @param {string} name - New name
+ * @returns {Promise<boolean>} True if the category was renamed
+ */
+async function renameChannelCategory(categoryId, name) {
+    if (!serviceSupabase || !categoryId || !name) {
+        return false;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_categories')
+            .update({ name })
+            .eq('id', categoryId)
+            .select('id');
+
+        if (error) {
+            console.error('Error renaming channel category:', error);
+            return false;
+        }
+        return (data || []).length > 0;
+    } catch (err) {
+        console.error('Exception in renameChannelCategory:', err);
+        return false;
+    }
+}
+
+/**
+ * Delete a channel category; its channels become uncategorized
+ * @param {string} categoryId - ID of the category
+ * @returns {Promise<boolean>} True if the category was deleted
+ */
+async function deleteChannelCategory(categoryId) {
+    if (!serviceSupabase || !categoryId) {
+        return false;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_categories')
+            .delete()
+            .eq('id', categoryId)
+            .select('id');
+
+        if (error) {
+            console.error('Error deleting channel category:', error);
+            return false;
+        }
+        return (data || []).length > 0;
+    } catch (err) {
+        console.error('Exception in deleteChannelCategory:', err);
+        return false;
+    }
+}
+
+/**
+ * Save the order of categories and the place of each channel
+ * @param {Array<string>} categoryOrder - Category IDs in order
+ * @param {Array<object>} channelLayout - { name, category_id, position } for each channel
+ * @returns {Promise<boolean>} True if the layout was saved
+ */
+async function saveChannelLayout(categoryOrder, channelLayout) {
+    if (!serviceSupabase) {
+        return false;
+    }
+
+    try {
+        const { error } = await serviceSupabase.rpc('save_channel_layout', {
+            category_order: categoryOrder,
+            channel_layout: channelLayout
+        });
+
+        if (error) {
+            console.error('Error saving channel layout:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in saveChannelLayout:', err);
+        return false;
+    }
+}
+
+/**
+ * Get a user's collapsed and muted categories
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array>} category_preferences rows
+ */
+async function getCategoryPreferences(userId) {
+    if (!serviceSupabase || !userId) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('category_preferences')
+            .select('category_id, collapsed, muted')
+            .eq('user_id', userId);
+
+        if (error) {
+            console.error('Error fetching category preferences:', error);
+            return [];
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getCategoryPreferences:', err);
+        return [];
+    }
+}
+
+/**
+ * Collapse/expand or mute/unmute a category for one user
+ * @param {string} userId - ID of the user
+ * @param {string} categoryId - ID of the category
+ * @param {object} fields - collapsed and/or muted
+ * @returns {Promise<object|null>} The saved preference or null on failure
+ */
+async function setCategoryPreference(userId, categoryId, fields) {
+    const updates = {};
+    ['collapsed', 'muted'].forEach(key => {
+        if (typeof fields[key] === 'boolean') updates[key] = fields[key];
+    });
+    if (!serviceSupabase || !userId || !categoryId || Object.keys(updates).length === 0) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('category_preferences')
+            .upsert({
+                user_id: userId,
+                category_id: categoryId,
+                ...updates,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id,category_id' })
+            .select('category_id, collapsed, muted')
+            .single();
+
+        if (error) {
+            console.error('Error saving category preference:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in setCategoryPreference:', err);
+        return null;
+    }
+}
+
+/**
+ * Get the users who muted a category
+ * @param {string} categoryId - ID of the category
+ * @returns {Promise<Array<string>>} User IDs
+ */
+async function getCategoryMutedUserIds(categoryId) {
+    if (!serviceSupabase || !categoryId) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('category_preferences')
+            .select('user_id')
+            .eq('category_id', categoryId)
+            .eq('muted', true);
+
+        if (error) {
+            console.error('Error fetching category mutes:', error);
+            return [];
+        }
+        return (data || []).map(row => row.user_id);
+    } catch (err) {
+        console.error('Exception in getCategoryMutedUserIds:', err);
+        return [];
+    }
+}
+
+// *** CHANNEL INVITE FUNCTIONS ***
+
+/**
+ * Save a new channel invite
+ * @param {object} invite - Invite fields
+ * @param {string} invite.code - Invite code
+ * @param {string} invite.channel - Channel the invite joins
+ * @param {string} invite.createdBy - ID of the user creating it
+ * @param {number|null} invite.maxUses - Use limit, or null for none
+ * @param {string|null} invite.expiresAt - Expiry time, or null for none
+ * @returns {Promise<object>} Object with success status, the invite row, and error if applicable;
+ *   duplicate is set when the code is already taken
+ */
+async function createChannelInvite({ code, channel, createdBy, maxUses = null, expiresAt = null }) {
+    if (!serviceSupabase || !code || !channel || !createdBy) {
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_invites')
+            .insert({
+                code,
+                channel,
+                created_by: createdBy,
+                max_uses: maxUses,
+                expires_at: expiresAt
+            })
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Error creating channel invite:', error);
+            return { success: false, error: 'Failed to create invite', duplicate: error.code === '23505' };
+        }
+        return { success: true, invite: data };
+    } catch (err) {
+        console.error('Exception in createChannelInvite:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Look up an invite by its code
+ * @param {string} code - Invite code
+ * @returns {Promise<object|null>} The channel_invites row, or null if there is none or on error
+ */
+async function getChannelInviteByCode(code) {
+    if (!serviceSupabase || !code) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_invites')
+            .select('*')
+            .eq('code', code)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching channel invite:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in getChannelInviteByCode:', err);
+        return null;
+    }
+}
+
+/**
+ * Look up an invite by its ID
+ * @param {string} inviteId - ID of the invite
+ * @returns {Promise<object|null>} The channel_invites row, or null if there is none or on error
+ */
+async function getChannelInviteById(inviteId) {
+    if (!serviceSupabase || !inviteId) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_invites')
+            .select('*')
+            .eq('id', inviteId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching channel invite:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in getChannelInviteById:', err);
+        return null;
+    }
+}
+
+/**
+ * Get a channel's invites, newest first, with who joined with each
+ * @param {string} channel - Channel name
+ * @returns {Promise<Array<object>|null>} channel_invites rows with their uses, or null on error
+ */
+async function getChannelInvites(channel) {
+    if (!serviceSupabase || !channel) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_invites')
+            .select('*, uses:channel_invite_uses ( user_id, joined_at, user:user_id ( username ) )')
+            .eq('channel', channel)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching channel invites:', error);
+            return null;
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getChannelInvites:', err);
+        return null;
+    }
+}
+
+/**
+ * Revoke an invite so it can no longer be used
+ * @param {string} inviteId - ID of the invite
+ * @returns {Promise<boolean>} True if the invite was revoked
+ */
+async function revokeChannelInvite(inviteId) {
+    if (!serviceSupabase || !inviteId) {
+        return false;
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('channel_invites')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', inviteId)
+            .is('revoked_at', null);
+
+        if (error) {
+            console.error('Error revoking channel invite:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in revokeChannelInvite:', err);
+        return false;
+    }
+}
+
+/**
+ * Count one use of an invite
+ * Only succeeds if nobody else used the invite since it was loaded, so concurrent joins
+ * can't take it past its use limit; callers reload the invite and try again
+ * @param {object} invite - The channel_invites row as it was loaded
+ * @returns {Promise<boolean>} True if the use was counted
+ */
+async function claimChannelInviteUse(invite) {
+    if (!serviceSupabase || !invite) {
+        return false;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_invites')
+            .update({ use_count: invite.use_count + 1 })
+            .eq('id', invite.id)
+            .eq('use_count', invite.use_count)
+            .is('revoked_at', null)
+            .select('id')
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error counting channel invite use:', error);
+            return false;
+        }
+        return !!data;
+    } catch (err) {
+        console.error('Exception in claimChannelInviteUse:', err);
+        return false;
+    }
+}
+
+/**
+ * Record that a user joined with an invite
+ * @param {string} inviteId - ID of the invite
+ * @param {string} userId - ID of the user who joined
+ * @returns {Promise<boolean>} True if the use was saved
+ */
+async function recordChannelInviteUse(inviteId, userId) {
+    if (!serviceSupabase || !inviteId || !userId) {
+        return false;
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('channel_invite_uses')
+            .upsert({ invite_id: inviteId, user_id: userId }, { onConflict: 'invite_id,user_id' });
+
+        if (error) {
+            console.error('Error recording channel invite use:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in recordChannelInviteUse:', err);
+        return false;
+    }
+}
+
+// *** NICKNAME FUNCTIONS ***
+
+/**
+ * Set or clear a user's nickname
+ * @param {string} userId - ID of the user
+ * @param {string|null} nickname - New nickname, or null to show the username again
+ * @returns {Promise<boolean>} True if the nickname was saved
+ */
+async function setUserNickname(userId, nickname) {
+    if (!serviceSupabase || !userId) {
+        return false;
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('users')
+            .update({ nickname: nickname || null })
+            .eq('id', userId);
+
+        if (error) {
+            console.error('Error setting nickname:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in setUserNickname:', err);
+        return false;
+    }
+}
+
+/**
+ * Get the nicknames of a set of users
+ * @param {Array<string>} userIds - IDs of the users
+ * @returns {Promise<Map<string, string>>} Nickname by user ID, for users that have one; empty on error
+ */
+async function getNicknamesForUsers(userIds) {
+    const nicknames = new Map();
+    if (!serviceSupabase || !Array.isArray(userIds) || userIds.length === 0) {
+        return nicknames;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('users')
+            .select('id, nickname')
+            .in('id', userIds)
+            .not('nickname', 'is', null);
+
+        if (error) {
+            console.error('Error fetching nicknames:', error);
+            return nicknames;
+        }
+        (data || []).forEach(row => nicknames.set(row.id, row.nickname));
+        return nicknames;
+    } catch (err) {
+        console.error('Exception in getNicknamesForUsers:', err);
+        return nicknames;
+    }
+}
+
+// *** POLL FUNCTIONS ***
+
+/**
+ * Create the poll attached to a poll message
+ * @param {object} poll - Row with message_id, created_by, question, options, allow_multiple, anonymous and closes_at
+ * @returns {Promise<object>} Object with success status, the poll row, and error if applicable
+ */
+async function createPoll(poll) {
+    if (!serviceSupabase || !poll || !poll.message_id || !poll.created_by) {
+        console.error('Invalid input for createPoll');
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('polls')
+            .insert(poll)
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error('Error creating poll:', error);
+            return { success: false, error: error.message };
+        }
+        return { success: true, poll: data };
+    } catch (err) {
+        console.error('Exception in createPoll:', err);
+        return { success: false, error: 'Server error creating poll' };
+    }
+}
+
+/**
+ * Get a poll by ID
+ * @param {string} pollId - ID of the poll
+ * @returns {Promise<object|null>} The poll row, or null if not found or on error
+ */
+async function getPollById(pollId) {
+    if (!serviceSupabase || !pollId) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('polls')
+            .select('*')
+            .eq('id', pollId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching poll:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in getPollById:', err);
+        return null;
+    }
+}
+
+/**
+ * Get the polls attached to a set of messages
+ * @param {Array<string>} messageIds - IDs of the messages
+ * @returns {Promise<object>} Map of message ID to poll row; empty on error
+ */
+async function getPollsForMessages(messageIds) {
+    if (!serviceSupabase || !Array.isArray(messageIds) || messageIds.length === 0) {
+        return {};
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('polls')
+            .select('*')
+            .in('message_id', messageIds);
+
+        if (error) {
+            console.error('Error fetching polls for messages:', error);
+            return {};
+        }
+
+        const polls = {};
+        (data || []).forEach(poll => {
+            polls[poll.message_id] = poll;
+        });
+        return polls;
+    } catch (err) {
+        console.error('Exception in getPollsForMessages:', err);
+        return {};
+    }
+}
+
+/**
+ * Get every vote cast in a set of polls
+ * @param {Array<string>} pollIds - IDs of the polls
+ * @returns {Promise<Array<object>>} Rows of { poll_id, option_id, user_id }; empty on error
+ */
+async function getPollVotes(pollIds) {
+    if (!serviceSupabase || !Array.isArray(pollIds) || pollIds.length === 0) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('poll_votes')
+            .select('poll_id, option_id, user_id')
+            .in('poll_id', pollIds)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching poll votes:', error);
+            return [];
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getPollVotes:', err);
+        return [];
+    }
+}
+
+/**
+ * Replace a user's vote in a poll
+ * @param {string} pollId - ID of the poll
+ * @param {string} userId - ID of the voter
+ * @param {Array<number>} optionIds - Options they picked; empty to retract their vote
+ * @returns {Promise<boolean>} True if the vote was saved
+ */
+async function setPollVotes(pollId, userId, optionIds) {
+    if (!serviceSupabase || !pollId || !userId || !Array.isArray(optionIds)) {
+        return false;
+    }
+
+    try {
+        const { error: deleteError } = await serviceSupabase
+            .from('poll_votes')
+            .delete()
+            .eq('poll_id', pollId)
+            .eq('user_id', userId);
+
+        if (deleteError) {
+            console.error('Error clearing poll votes:', deleteError);
+            return false;
+        }
+
+        if (optionIds.length === 0) {
+            return true;
+        }
+
+        const { error } = await serviceSupabase
+            .from('poll_votes')
+            .insert(optionIds.map(optionId => ({ poll_id: pollId, option_id: optionId, user_id: userId })));
+
+        if (error) {
+            console.error('Error saving poll votes:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in setPollVotes:', err);
+        return false;
+    }
+}
+
+/**
+ * Close a poll so it accepts no more votes
+ * @param {string} pollId - ID of the poll
+ * @returns {Promise<object|null>} The closed poll row, or null if it was already closed or on error
+ */
+async function closePoll(pollId) {
+    if (!serviceSupabase || !pollId) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('polls')
+            .update({ closed_at: new Date().toISOString() })
+            .eq('id', pollId)
+            .is('closed_at', null)
+            .select('*')
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error closing poll:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in closePoll:', err);
+        return null;
+    }
+}
+
+/**
+ * Close every poll whose closing time has passed
+ * @returns {Promise<Array<object>>} The polls closed by this call; empty on error
+ */
+async function closeExpiredPolls() {
+    if (!serviceSupabase) {
+        return [];
+    }
+
+    try {
+        // The closed_at check means each poll is reported closed exactly once
+        const { data, error } = await serviceSupabase
+            .from('polls')
+            .update({ closed_at: new Date().toISOString() })
+            .is('closed_at', null)
+            .lte('closes_at', new Date().toISOString())
+            .select('*');
+
+        if (error) {
+            console.error('Error closing expired polls:', error);
+            return [];
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in closeExpiredPolls:', err);
+        return [];
+    }
+}
+
+// *** READ STATE FUNCTIONS ***
+
+/**
+ * Get a user's basic account details
+ * @param {string} userId - ID of the user
+ * @returns {Promise<object|null>} { id, username, created_at }, or null if not found or on error
+ */
+async function getUserById(userId) {
+    if (!serviceSupabase || !userId) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('users')
+            .select('id, username, created_at')
+            .eq('id', userId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching user:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in getUserById:', err);
+        return null;
+    }
+}
+
+/**
+ * Get the names of every channel
+ * @returns {Promise<Array<string>>} Channel names; empty on error
+ */
+async function getChannelNames() {
+    if (!serviceSupabase) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channels')
+            .select('name');
+
+        if (error) {
+            console.error('Error fetching channel names:', error);
+            return [];
+        }
+        return (data || []).map(channel => channel.name);
+    } catch (err) {
+        console.error('Exception in getChannelNames:', err);
+        return [];
+    }
+}
+
+/**
+ * Get a user's read markers for every channel they have opened
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array<object>>} Rows of { channel, last_read_message_id, last_read_at }; empty on error
+ */
+async function getChannelReadStates(userId) {
+    if (!serviceSupabase || !userId) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('channel_read_states')
+            .select('channel, last_read_message_id, last_read_at')
+            .eq('user_id', userId);
+
+        if (error) {
+            console.error('Error fetching channel read states:', error);
+            return [];
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getChannelReadStates:', err);
+        return [];
+    }
+}
+
+/**
+ * Move a user's read marker in a channel forward to a message
+ * @param {string} userId - ID of the user
+ * @param {string} channel - Channel name
+ * @param {object} message - The message read up to: { id, created_at }
+ * @returns {Promise<object>} Object with success status and whether the marker moved
+ */
+async function markChannelRead(userId, channel, message) {
+    if (!serviceSupabase || !userId || !channel || !message || !message.id) {
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const { data: existing, error: fetchError } = await serviceSupabase
+            .from('channel_read_states')
+            .select('last_read_at')
+            .eq('user_id', userId)
+            .eq('channel', channel)
+            .maybeSingle();
+
+        if (fetchError) {
+            console.error('Error fetching channel read state:', fetchError);
+            return { success: false, error: fetchError.message };
+        }
+
+        // Markers only move forward, so an older tab can't undo a newer read
+        if (existing && new Date(existing.last_read_at) >= new Date(message.created_at)) {
+            return { success: true, advanced: false };
+        }
+
+        const { error } = await serviceSupabase
+            .from('channel_read_states')
+            .upsert({
+                user_id: userId,
+                channel: channel,
+                last_read_message_id: message.id,
+                last_read_at: message.created_at,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id,channel' });
+
+        if (error) {
+            console.error('Error saving channel read state:', error);
+            return { success: false, error: error.message };
+        }
+        return { success: true, advanced: true };
+    } catch (err) {
+        console.error('Exception in markChannelRead:', err);
+        return { success: false, error: 'Server error saving read state' };
+    }
+}
+
+/**
+ * Get a user's read markers in their one-to-one conversations
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array<object>>} Rows of { conversationId, otherUserId, lastReadMessageId, lastReadAt }; empty on error
+ */
+async function getDirectReadStates(userId) {
+    if (!serviceSupabase || !userId) {
+        return [];
+    }
+
+    try {
+        const { data: memberships, error } = await serviceSupabase
+            .from('conversation_members')
+            .select('conversation_id, last_read_message_id, last_read_at, conversations!inner(is_group)')
+            .eq('user_id', userId)
+            .eq('conversations.is_group', false);
+
+        if (error) {
+            console.error('Error fetching conversation memberships:', error);
+            return [];
+        }
+        if (!memberships || memberships.length === 0) {
+            return [];
+        }
+
+        const { data: others, error: othersError } = await serviceSupabase
+            .from('conversation_members')
+            .select('conversation_id, user_id')
+            .in('conversation_id', memberships.map(member => member.conversation_id))
+            .neq('user_id', userId);
+
+        if (othersError) {
+            console.error('Error fetching conversation partners:', othersError);
+            return [];
+        }
+
+        return memberships
+            .map(member => {
+                const other = (others || []).find(row => row.conversation_id === member.conversation_id);
+                return other ? {
+                    conversationId: member.conversation_id,
+                    otherUserId: other.user_id,
+                    lastReadMessageId: member.last_read_message_id,
+                    lastReadAt: member.last_read_at
+                } : null;
+            })
+            .filter(Boolean);
+    } catch (err) {
+        console.error('Exception in getDirectReadStates:', err);
+        return [];
+    }
+}
+
+/**
+ * Find the one-to-one conversation between two users, creating it if they have none yet
+ * @param {string} userId - ID of one participant
+ * @param {string} otherUserId - ID of the other participant
+ * @returns {Promise<string|null>} Conversation ID, or null on error
+ */
+async function getOrCreateDirectConversation(userId, otherUserId) {
+    if (!serviceSupabase || !userId || !otherUserId) {
+        return null;
+    }
+
+    try {
+        const existing = (await getDirectReadStates(userId)).find(state => state.otherUserId === otherUserId);
+        if (existing) {
+            return existing.conversationId;
+        }
+
+        const { data: conversation, error } = await serviceSupabase
+            .from('conversations')
+            .insert({ is_group: false, created_by: userId })
+            .select('id')
+            .single();
+
+        if (error) {
+            console.error('Error creating conversation:', error);
+            return null;
+        }
+
+        const { error: membersError } = await serviceSupabase
+            .from('conversation_members')
+            .insert([
+                { conversation_id: conversation.id, user_id: userId },
+                { conversation_id: conversation.id, user_id: otherUserId }
+            ]);
+
+        if (membersError) {
+            console.error('Error adding conversation members:', membersError);
+            return null;
+        }
+        return conversation.id;
+    } catch (err) {
+        console.error('Exception in getOrCreateDirectConversation:', err);
+        return null;
+    }
+}
+
+/**
+ * Move a user's read marker in a DM conversation forward to a message
+ * @param {string} userId - ID of the reader
+ * @param {string} otherUserId - ID of the other participant
+ * @param {object} message - The message read up to: { id, created_at }
+ * @returns {Promise<object>} Object with success status and whether the marker moved
+ */
+async function markDirectConversationRead(userId, otherUserId, message) {
+    if (!serviceSupabase || !userId || !otherUserId || !message || !message.id) {
+        return { success: false, error: 'Invalid input' };
+    }
+
+    try {
+        const conversationId = await getOrCreateDirectConversation(userId, otherUserId);
+        if (!conversationId) {
+            return { success: false, error: 'Conversation not found' };
+        }
+
+        // The last_read_at check keeps markers moving forward only
+        const { data, error } = await serviceSupabase
+            .from('conversation_members')
+            .update({ last_read_message_id: message.id, last_read_at: message.created_at })
+            .eq('conversation_id', conversationId)
+            .eq('user_id', userId)
+            .or(`last_read_at.is.null,last_read_at.lt.${message.created_at}`)
+            .select('conversation_id');
+
+        if (error) {
+            console.error('Error saving conversation read state:', error);
+            return { success: false, error: error.message };
+        }
+        return { success: true, advanced: (data || []).length > 0 };
+    } catch (err) {
+        console.error('Exception in markDirectConversationRead:', err);
+        return { success: false, error: 'Server error saving read state' };
+    }
+}
+
+/**
+ * Count the messages in a channel that a user hasn't read
+ * Thread replies and the user's own messages don't count
+ * @param {string} userId - ID of the reader
+ * @param {string} channel - Channel name
+ * @param {string} since - Read marker time; messages after it are unread
+ * @returns {Promise<number>} Unread message count; 0 on error
+ */
+async function countUnreadChannelMessages(userId, channel, since) {
+    if (!serviceSupabase || !userId || !channel || !since) {
+        return 0;
+    }
+
+    try {
+        const { count, error } = await serviceSupabase
+            .from('messages')
+            .select('id', { count: 'exact', head: true })
+            .eq('channel', channel)
+            .is('recipient_id', null)
+            .is('reply_to', null)
+            .neq('sender_id', userId)
+            .gt('created_at', since)
+            .or('is_deleted.is.null,is_deleted.eq.false');
+
+        if (error) {
+            console.error('Error counting unread messages:', error);
+            return 0;
+        }
+        return count || 0;
+    } catch (err) {
+        console.error('Exception in countUnreadChannelMessages:', err);
+        return 0;
+    }
+}
+
+/**
+ * Count the mentions of a user in a channel since their read marker
+ * @param {string} userId - ID of the mentioned user
+ * @param {string} channel - Channel name
+ * @param {string} since - Read marker time
+ * @returns {Promise<number>} Unread mention count; 0 on error
+ */
+async function countUnreadMentions(userId, channel, since) {
+    if (!serviceSupabase || !userId || !channel || !since) {
+        return 0;
+    }
+
+    try {
+        const { count, error } = await serviceSupabase
+            .from('message_mentions')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .eq('channel', channel)
+            .gt('created_at', since);
+
+        if (error) {
+            console.error('Error counting unread mentions:', error);
+            return 0;
+        }
+        return count || 0;
+    } catch (err) {
+        console.error('Exception in countUnreadMentions:', err);
+        return 0;
+    }
+}
+
+/**
+ * Count the DMs one user sent another after a point in time
+ * @param {string} userId - ID of the reader
+ * @param {string} senderId - ID of the other participant
+ * @param {string} since - Read marker time; messages after it are unread
+ * @returns {Promise<number>} Unread message count; 0 on error
+ */
+async function countUnreadDirectMessages(userId, senderId, since) {
+    if (!serviceSupabase || !userId || !senderId || !since) {
+        return 0;
+    }
+
+    try {
+        const { count, error } = await serviceSupabase
+            .from('messages')
+            .select('id', { count: 'exact', head: true })
+            .eq('recipient_id', userId)
+            .eq('sender_id', senderId)
+            .gt('created_at', since)
+            .or('is_deleted.is.null,is_deleted.eq.false');
+
+        if (error) {
+            console.error('Error counting unread DMs:', error);
+            return 0;
+        }
+        return count || 0;
+    } catch (err) {
+        console.error('Exception in countUnreadDirectMessages:', err);
+        return 0;
+    }
+}
+
+/**
+ * Find who has sent a user DMs after a point in time, leaving out senders already accounted for
+ * Only the newest messages are looked at, so a sender whose DMs are all older than them is missed
+ * @param {string} userId - ID of the recipient
+ * @param {string} since - Only messages after this time are looked at
+ * @param {Array<string>} [excludeSenderIds] - Senders to leave out
+ * @param {number} [limit] - Most messages to look at, newest first
+ * @returns {Promise<Array<string>>} Distinct sender IDs; empty on error
  */
-async function markMessageAsDeleted(messageId, userId) {
-  try {
-    // Ensure Supabase is configured
-    if (!serviceSupabase || !SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-      console.error('Supabase not configured, cannot delete message');
-      return false;
+async function getDirectMessageSendersSince(userId, since, excludeSenderIds = [], limit = 1000) {
+    if (!serviceSupabase || !userId || !since) {
+        return [];
     }
 
-    if (!messageId) {
-      console.error('No message ID provided for deletion');
-      return false;
-    }
+    try {
+        let query = serviceSupabase
+            .from('messages')
+            .select('sender_id')
+            .eq('recipient_id', userId)
+            .gt('created_at', since)
+            .or('is_deleted.is.null,is_deleted.eq.false');
+        // IDs go into a PostgREST filter string, so only well-formed ones are passed through
+        const excluded = excludeSenderIds.filter(id => isValidUUID(id));
+        if (excluded.length > 0) {
+            query = query.not('sender_id', 'in', `(${excluded.join(',')})`);
+        }
 
-    console.log(`Marking message ${messageId} as deleted in Supabase`);
+        const { data, error } = await query
+            .order('created_at', { ascending: false })
+            .limit(limit);
 
-    // First check if the message exists and belongs to the user
-    const { data: existingMessage, error: fetchError } = await serviceSupabase
-      .from('messages')
-      .select('id, sender_id')
-      .eq('id', messageId)
-      .maybeSingle();
+        if (error) {
+            console.error('Error fetching DM senders:', error);
+            return [];
+        }
+        return [...new Set((data || []).map(row => row.sender_id))];
+    } catch (err) {
+        console.error('Exception in getDirectMessageSendersSince:', err);
+        return [];
+    }
+}
 
-    if (fetchError) {
-      console.error('Error checking message existence:', fetchError);
-      return false;
+// *** PRESENCE FUNCTIONS ***
+
+/**
+ * Get the status a user picked, their custom status and when they were last seen
+ * @param {string} userId - ID of the user
+ * @returns {Promise<object|null>} { status, last_seen, custom_status_text, custom_status_emoji, custom_status_expires_at }, or null if not found or on error
+ */
+async function getUserPresence(userId) {
+    if (!serviceSupabase || !userId) {
+        return null;
     }
 
-    if (!existingMessage) {
-      console.error(`Message ${messageId} not found in Supabase`);
-      return false;
+    try {
+        const { data, error } = await serviceSupabase
+            .from('users')
+            .select('status, last_seen, custom_status_text, custom_status_emoji, custom_status_expires_at')
+            .eq('id', userId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error fetching user presence:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in getUserPresence:', err);
+        return null;
     }
+}
 
-    // Check if the user is the owner of the message
-    if (userId && existingMessage.sender_id !== userId) {
-      console.error(`User ${userId} is not the owner of message ${messageId}`);
-      return false;
+/**
+ * Save part of a user's presence
+ * @param {string} userId - ID of the user
+ * @param {object} fields - Any of status, last_seen, custom_status_text, custom_status_emoji and custom_status_expires_at
+ * @returns {Promise<boolean>} True if the fields were saved
+ */
+async function updateUserPresence(userId, fields) {
+    if (!serviceSupabase || !userId || !fields) {
+        return false;
     }
 
-    // Update the message with deleted status using the new column name
-    const { error } = await serviceSupabase
-      .from('messages')
-      .update({
-        is_deleted: true,
-        deleted_at: new Date().toISOString(),
-        content: '[This message has been deleted]' // Replace content with placeholder
-      })
-      .eq('id', messageId);
+    try {
+        const { error } = await serviceSupabase
+            .from('users')
+            .update(fields)
+            .eq('id', userId);
 
-    if (error) {
-      console.error('Error marking message as deleted:', error);
-      return false;
+        if (error) {
+            console.error('Error updating user presence:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in updateUserPresence:', err);
+        return false;
     }
+}
 
-    console.log(`Successfully marked message ${messageId} as deleted`);
-    return true;
-  } catch (error) {
-    console.error('Error in markMessageAsDeleted:', error);
-    return false;
-  }
+/**
+ * Clear custom statuses whose expiry has passed
+ * @returns {Promise<Array<string>>} IDs of the users whose custom status was cleared; empty on error
+ */
+async function clearExpiredCustomStatuses() {
+    if (!serviceSupabase) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('users')
+            .update({ custom_status_text: null, custom_status_emoji: null, custom_status_expires_at: null })
+            .lte('custom_status_expires_at', new Date().toISOString())
+            .select('id');
+
+        if (error) {
+            console.error('Error clearing expired custom statuses:', error);
+            return [];
+        }
+        return (data || []).map(row => row.id);
+    } catch (err) {
+        console.error('Exception in clearExpiredCustomStatuses:', err);
+        return [];
+    }
 }
 
 // *** FRIENDSHIP FUNCTIONS ***
@@ -748,7 +3538,8 @@ async function sendFriendRequest(senderId, recipientId) {
             .insert({
                 user_id_1: user_id_1,
                 user_id_2: user_id_2,
-                status: 'pending'
+                status: 'pending',
+                requested_by: senderId
                 // created_at and updated_at should have defaults or triggers
             })
             .select()
@@ -876,8 +3667,8 @@ async function getFriendships(userId) {
                 status, 
                 created_at, 
                 updated_at,
-                users1:user_id_1 ( id, username, avatar_url, status ),
-                users2:user_id_2 ( id, username, avatar_url, status )
+                users1:user_id_1 ( id, username, avatar_url, status, last_seen, custom_status_text, custom_status_emoji, custom_status_expires_at ),
+                users2:user_id_2 ( id, username, avatar_url, status, last_seen, custom_status_text, custom_status_emoji, custom_status_expires_at )
             `)
             .or(`user_id_1.eq.${userId},user_id_2.eq.${userId}`) 
             // Optional: filter specific statuses if needed, e.g., .in('status', ['accepted', 'pending'])
@@ -896,7 +3687,13 @@ async function getFriendships(userId) {
                 friend_id: friendUser.id,
                 friend_username: friendUser.username,
                 friend_avatar_url: friendUser.avatar_url,
-                friend_status: friendUser.status, // Friend's online status
+                friend_status: friendUser.status, // Status the friend picked; the server swaps in what others may see
+                friend_last_seen: friendUser.last_seen,
+                friend_custom_status: {
+                    text: friendUser.custom_status_text,
+                    emoji: friendUser.custom_status_emoji,
+                    expiresAt: friendUser.custom_status_expires_at
+                },
                 friendship_status: f.status, // 'pending', 'accepted'
                 since: f.updated_at
             };
@@ -937,6 +3734,230 @@ async function getFriendshipStatus(userId1, userId2) {
     }
 }
 
+/**
+ * Get one friendship record by ID, with both users' details
+ * @param {string} requestId - ID of the friends row
+ * @returns {Promise<object|null>} Friendship record or null
+ */
+async function getFriendRequestById(requestId) {
+    if (!serviceSupabase || !requestId) return null;
+    try {
+        const { data, error } = await serviceSupabase
+            .from('friends')
+            .select(`
+                *,
+                users1:user_id_1 ( id, username, avatar_url ),
+                users2:user_id_2 ( id, username, avatar_url )
+            `)
+            .eq('id', requestId)
+            .maybeSingle();
+        if (error) {
+            console.error('Error fetching friend request:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in getFriendRequestById:', err);
+        return null;
+    }
+}
+
+/**
+ * Get the pending friend requests a user has sent or received, newest first
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Array<object>|null>} friends rows with both users' details, or null on error
+ */
+async function getPendingFriendRequests(userId) {
+    if (!serviceSupabase || !userId) return null;
+    try {
+        const { data, error } = await serviceSupabase
+            .from('friends')
+            .select(`
+                *,
+                users1:user_id_1 ( id, username, avatar_url ),
+                users2:user_id_2 ( id, username, avatar_url )
+            `)
+            .or(`user_id_1.eq.${userId},user_id_2.eq.${userId}`)
+            .eq('status', 'pending')
+            .order('created_at', { ascending: false });
+        if (error) {
+            console.error('Error fetching pending friend requests:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in getPendingFriendRequests:', err);
+        return null;
+    }
+}
+
+/**
+ * Delete a friend request that is still pending; accepted friendships are left alone
+ * @param {string} requestId - ID of the friends row
+ * @returns {Promise<boolean>} True if a pending request was deleted
+ */
+async function deletePendingFriendRequest(requestId) {
+    if (!serviceSupabase || !requestId) return false;
+    try {
+        const { data, error } = await serviceSupabase
+            .from('friends')
+            .delete()
+            .eq('id', requestId)
+            .eq('status', 'pending')
+            .select('id');
+        if (error) {
+            console.error('Error deleting friend request:', error);
+            return false;
+        }
+        return data.length > 0;
+    } catch (err) {
+        console.error('Exception in deletePendingFriendRequest:', err);
+        return false;
+    }
+}
+
+// *** USER BLOCK FUNCTIONS ***
+
+/**
+ * Block a user; blocking someone already blocked does nothing
+ * @param {string} blockerId - ID of the user doing the blocking
+ * @param {string} blockedId - ID of the user being blocked
+ * @returns {Promise<boolean>} True if the block is in place
+ */
+async function blockUser(blockerId, blockedId) {
+    if (!serviceSupabase || !blockerId || !blockedId || blockerId === blockedId) {
+        return false;
+    }
+
+    try {
+        const { error } = await serviceSupabase
+            .from('user_blocks')
+            .upsert({ blocker_id: blockerId, blocked_id: blockedId }, { onConflict: 'blocker_id,blocked_id', ignoreDuplicates: true });
+
+        if (error) {
+            console.error('Error blocking user:', error);
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error('Exception in blockUser:', err);
+        return false;
+    }
+}
+
+/**
+ * Remove a block
+ * @param {string} blockerId - ID of the user who blocked
+ * @param {string} blockedId - ID of the blocked user
+ * @returns {Promise<boolean>} True if a block was removed
+ */
+async function unblockUser(blockerId, blockedId) {
+    if (!serviceSupabase || !blockerId || !blockedId) {
+        return false;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('user_blocks')
+            .delete()
+            .eq('blocker_id', blockerId)
+            .eq('blocked_id', blockedId)
+            .select('blocked_id');
+
+        if (error) {
+            console.error('Error unblocking user:', error);
+            return false;
+        }
+        return (data || []).length > 0;
+    } catch (err) {
+        console.error('Exception in unblockUser:', err);
+        return false;
+    }
+}
+
+/**
+ * Get the users someone has blocked
+ * @param {string} blockerId - ID of the user
+ * @returns {Promise<Array|null>} Block rows, newest first, with the blocked user's details, or null on error
+ */
+async function getBlockedUsers(blockerId) {
+    if (!serviceSupabase || !blockerId) {
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('user_blocks')
+            .select('blocked_id, created_at, user:blocked_id ( id, username, avatar_url )')
+            .eq('blocker_id', blockerId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching blocked users:', error);
+            return null;
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getBlockedUsers:', err);
+        return null;
+    }
+}
+
+/**
+ * Get the blocks between two users, in either direction
+ * @param {string} userId1 - UUID of the first user
+ * @param {string} userId2 - UUID of the second user
+ * @returns {Promise<Array<{blocker_id: string, blocked_id: string}>>} Zero, one or two block rows
+ */
+async function getBlocksBetween(userId1, userId2) {
+    if (!serviceSupabase || !isValidUUID(userId1) || !isValidUUID(userId2)) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('user_blocks')
+            .select('blocker_id, blocked_id')
+            .or(`and(blocker_id.eq.${userId1},blocked_id.eq.${userId2}),and(blocker_id.eq.${userId2},blocked_id.eq.${userId1})`);
+
+        if (error) {
+            console.error('Error checking blocks:', error);
+            return [];
+        }
+        return data || [];
+    } catch (err) {
+        console.error('Exception in getBlocksBetween:', err);
+        return [];
+    }
+}
+
+/**
+ * Get the users who have blocked someone
+ * @param {string} blockedId - ID of the blocked user
+ * @returns {Promise<Array<string>>} IDs of the users who blocked them
+ */
+async function getBlockerIds(blockedId) {
+    if (!serviceSupabase || !blockedId) {
+        return [];
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('user_blocks')
+            .select('blocker_id')
+            .eq('blocked_id', blockedId);
+
+        if (error) {
+            console.error('Error fetching blockers:', error);
+            return [];
+        }
+        return (data || []).map(row => row.blocker_id);
+    } catch (err) {
+        console.error('Exception in getBlockerIds:', err);
+        return [];
+    }
+}
+
 /**
  * Upload a file to Supabase Storage
  * @param {Buffer} fileBuffer - The file buffer to upload
@@ -1079,13 +4100,46 @@ async function editMessage(messageId, newContent, userId) {
             };
         }
 
+        if (message.is_deleted) {
+            return { success: false, error: 'Deleted messages cannot be edited', originalContent: message.content };
+        }
+
+        // A poll's question lives in the poll itself, so the message text must stay in step with it
+        if (message.type === 'poll') {
+            return { success: false, error: 'Polls cannot be edited', originalContent: message.content };
+        }
+
+        // Nothing to record if the content did not change
+        if (message.content === newContent) {
+            return { success: true, data: null, originalContent: message.content, editedAt: message.edited_at || null };
+        }
+
+        const editedAt = new Date().toISOString();
+
+        // Keep the version being replaced so the edit history survives
+        const { error: historyError } = await client
+            .from('message_edits')
+            .insert({
+                message_id: messageId,
+                editor_id: userId,
+                content: message.content,
+                created_at: message.edited_at || message.created_at,
+                replaced_at: editedAt
+            });
+
+        if (historyError) {
+            console.error('Error saving message edit history:', historyError);
+            return { success: false, error: historyError.message, originalContent: message.content };
+        }
+
         // Update the message
         const { data, error } = await client
             .from('messages')
             .update({ 
                 content: newContent,
                 edited: true,
-                updated_at: new Date().toISOString()
+                edited_at: editedAt,
+                updated_at: editedAt
             })
             .eq('id', messageId);
 
@@ -1094,13 +4148,42 @@ async function editMessage(messageId, newContent, userId) {
             return { success: false, error: error.message, originalContent: message.content };
         }
 
-        return { success: true, data, originalContent: message.content };
+        return { success: true, data, originalContent: message.content, editedAt };
     } catch (err) {
         console.error('Exception editing message:', err);
         return { success: false, error: err.message, originalContent: null };
     }
 }
 
+/**
+ * Get the prior versions of an edited message
+ * @param {string} messageId - ID of the message
+ * @returns {Promise<Array<object>|null>} Versions oldest first, or null on error
+ */
+async function getMessageEditHistory(messageId) {
+    if (!serviceSupabase || !messageId) {
+        console.error('Invalid input for getMessageEditHistory');
+        return null;
+    }
+
+    try {
+        const { data, error } = await serviceSupabase
+            .from('message_edits')
+            .select('content, editor_id, created_at, replaced_at')
+            .eq('message_id', messageId)
+            .order('replaced_at', { ascending: true });
+
+        if (error) {
+            console.error('Error loading message edit history:', error);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error('Exception in getMessageEditHistory:', err);
+        return null;
+    }
+}
+
 module.exports = {
     getSupabaseClient,
     registerUser,
@@ -1110,15 +4193,111 @@ module.exports = {
     getAllUsers,
     loadMessagesFromSupabase,
     saveMessageToSupabase,
+    getMessageByClientTempId,
     saveMessagesToSupabase,
     getUserIdByUsername,
     isValidUUID,
     markMessageAsDeleted,
+    getMessageById,
+    getThreadReplies,
+    getThreadReplyCounts,
+    addReaction,
+    removeReaction,
+    getReactionsForMessages,
+    pinMessage,
+    unpinMessage,
+    getPin,
+    getPinnedMessages,
+    getUsersByUsernames,
+    saveMentions,
+    getMentionsForUser,
+    getCachedLinkPreview,
+    saveLinkPreview,
+    setMessageLinkPreviews,
+    createScheduledMessage,
+    getScheduledMessagesForUser,
+    updateScheduledMessage,
+    cancelScheduledMessage,
+    claimDueScheduledMessages,
+    requeueStaleScheduledMessages,
+    finishScheduledMessage,
+    releaseScheduledMessage,
+    getChannelByName,
+    setChannelTopic,
+    muteChannel,
+    unmuteChannel,
+    getChannelMutedUserIds,
+    getMutedChannelsForUser,
+    createChannel,
+    getAllChannels,
+    getChannelMember,
+    getChannelMembers,
+    getChannelMembershipsForUser,
+    setChannelMemberRole,
+    removeChannelMember,
+    renameChannel,
+    updateChannelDetails,
+    setChannelArchived,
+    deleteChannel,
+    addChannelSanction,
+    getActiveChannelSanctions,
+    getActiveSanctionsForUser,
+    liftChannelSanctions,
+    setChannelSlowMode,
+    isUserAdmin,
+    getChannelCategories,
+    createChannelCategory,
+    renameChannelCategory,
+    deleteChannelCategory,
+    saveChannelLayout,
+    getCategoryPreferences,
+    setCategoryPreference,
+    getCategoryMutedUserIds,
+    createChannelInvite,
+    getChannelInviteByCode,
+    getChannelInviteById,
+    getChannelInvites,
+    revokeChannelInvite,
+    claimChannelInviteUse,
+    recordChannelInviteUse,
+    setUserNickname,
+    getNicknamesForUsers,
+    createPoll,
+    getPollById,
+    getPollsForMessages,
+    getPollVotes,
+    setPollVotes,
+    closePoll,
+    closeExpiredPolls,
+    getUserById,
+    getChannelNames,
+    getChannelReadStates,
+    markChannelRead,
+    getDirectReadStates,
+    getOrCreateDirectConversation,
+    markDirectConversationRead,
+    countUnreadChannelMessages,
+    countUnreadMentions,
+    countUnreadDirectMessages,
+    getDirectMessageSendersSince,
+    getUserPresence,
+    updateUserPresence,
+    clearExpiredCustomStatuses,
     sendFriendRequest,
     acceptFriendRequest,
     rejectOrRemoveFriend,
     getFriendships,
+    getFriendshipStatus,
+    getFriendRequestById,
+    getPendingFriendRequests,
+    deletePendingFriendRequest,
+    blockUser,
+    unblockUser,
+    getBlockedUsers,
+    getBlocksBetween,
+    getBlockerIds,
     uploadFileToSupabase,
     updateUserAvatar,
-    editMessage
+    editMessage,
+    getMessageEditHistory
 };
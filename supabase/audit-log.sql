@@ -0,0 +1,23 @@
+-- Tables for the audit log of moderation and admin actions
+
+-- Create audit log table
+-- One row per sensitive action: who did it, what it was done to, and the values before and after.
+-- Rows are never updated, and outlive the users and channels they mention
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    action VARCHAR(50) NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    target_type VARCHAR(20),
+    target_id TEXT,
+    target_label TEXT,
+    channel TEXT,
+    before JSONB,
+    after JSONB,
+    metadata JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for the filters the audit log page offers, newest first
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at DESC);
@@ -0,0 +1,46 @@
+-- Tables, columns and functions for channel categories and the sidebar layout
+
+-- Admins arrange the sidebar for everyone
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Create channel categories table
+-- Collapsible groups of channels in the sidebar, e.g. "Gaming" or "Projects"
+CREATE TABLE IF NOT EXISTS channel_categories (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(50) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Where each channel sits; channels of a deleted category become uncategorized
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS category_id UUID REFERENCES channel_categories(id) ON DELETE SET NULL;
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0;
+
+-- Create category preferences table
+-- Each user's own collapsed and muted categories
+CREATE TABLE IF NOT EXISTS category_preferences (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    category_id UUID NOT NULL REFERENCES channel_categories(id) ON DELETE CASCADE,
+    collapsed BOOLEAN NOT NULL DEFAULT FALSE,
+    muted BOOLEAN NOT NULL DEFAULT FALSE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, category_id)
+);
+
+-- Save a whole sidebar arrangement in one transaction
+-- channel_layout is a JSON array of { name, category_id, position }
+CREATE OR REPLACE FUNCTION save_channel_layout(category_order UUID[], channel_layout JSONB)
+RETURNS void AS $$
+BEGIN
+  UPDATE channel_categories
+  SET position = array_position(category_order, id) - 1
+  WHERE id = ANY(category_order);
+
+  UPDATE channels
+  SET category_id = NULLIF(entry->>'category_id', '')::UUID,
+      position = (entry->>'position')::INTEGER
+  FROM jsonb_array_elements(channel_layout) AS entry
+  WHERE channels.name = entry->>'name';
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,26 @@
+-- Create channel invites table
+-- Invite codes for private channels, with an optional use limit and expiry.
+-- Revoked invites are kept so the owner can still see who joined with them
+CREATE TABLE IF NOT EXISTS channel_invites (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(32) NOT NULL UNIQUE,
+    channel TEXT NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+    use_count INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for listing a channel's invites
+CREATE INDEX IF NOT EXISTS idx_channel_invites_channel ON channel_invites(channel, created_at DESC);
+
+-- Create channel invite uses table
+-- Who joined with each invite
+CREATE TABLE IF NOT EXISTS channel_invite_uses (
+    invite_id UUID NOT NULL REFERENCES channel_invites(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (invite_id, user_id)
+);
@@ -0,0 +1,47 @@
+-- Columns and functions used to rename, archive and delete channels
+
+-- Archived channels are read-only and hidden from the sidebar unless asked for
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Channels are referenced by name everywhere, so a rename has to move every row
+-- that points at the old name; doing it in one function keeps it in one transaction
+CREATE OR REPLACE FUNCTION rename_channel(old_name TEXT, new_name TEXT)
+RETURNS void AS $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM channels WHERE name = new_name) THEN
+    RAISE EXCEPTION 'channel % already exists', new_name USING ERRCODE = 'unique_violation';
+  END IF;
+
+  UPDATE channels SET name = new_name WHERE name = old_name;
+  UPDATE messages SET channel = new_name WHERE channel = old_name;
+  UPDATE channel_members SET channel = new_name WHERE channel = old_name;
+  UPDATE channel_invites SET channel = new_name WHERE channel = old_name;
+  UPDATE message_mentions SET channel = new_name WHERE channel = old_name;
+  UPDATE pinned_messages SET channel = new_name WHERE channel = old_name;
+  UPDATE channel_read_states SET channel = new_name WHERE channel = old_name;
+  UPDATE channel_mutes SET channel = new_name WHERE channel = old_name;
+  UPDATE scheduled_messages SET channel = new_name WHERE channel = old_name;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Delete a channel and everything that belongs to it
+-- Its messages are marked deleted like any other deleted message, so the daily
+-- cleanup job removes them for good
+CREATE OR REPLACE FUNCTION delete_channel(channel_name TEXT)
+RETURNS void AS $$
+BEGIN
+  UPDATE messages
+  SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP, content = '[This message has been deleted]'
+  WHERE channel = channel_name AND is_deleted IS NOT TRUE;
+
+  DELETE FROM pinned_messages WHERE channel = channel_name;
+  DELETE FROM message_mentions WHERE channel = channel_name;
+  DELETE FROM channel_read_states WHERE channel = channel_name;
+  DELETE FROM channel_mutes WHERE channel = channel_name;
+  DELETE FROM channel_invites WHERE channel = channel_name;
+  DELETE FROM channel_members WHERE channel = channel_name;
+  DELETE FROM scheduled_messages WHERE channel = channel_name AND status = 'pending';
+  DELETE FROM channels WHERE name = channel_name;
+END;
+$$ LANGUAGE plpgsql;
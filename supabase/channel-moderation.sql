@@ -0,0 +1,65 @@
+-- Tables, columns and functions for channel bans, timeouts and slow mode
+
+-- Seconds each user must wait between messages; 0 means slow mode is off
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS slow_mode_seconds INTEGER NOT NULL DEFAULT 0
+    CHECK (slow_mode_seconds >= 0);
+
+-- Create channel sanctions table
+-- A ban keeps a user out of a channel entirely; a timeout only stops them posting.
+-- Either ends when it expires (bans can be permanent) or when a moderator lifts it
+CREATE TABLE IF NOT EXISTS channel_sanctions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    channel TEXT NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(10) NOT NULL CHECK (type IN ('ban', 'timeout')),
+    reason TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    lifted_at TIMESTAMP WITH TIME ZONE,
+    lifted_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Create index for looking up the sanctions that are still in force
+CREATE INDEX IF NOT EXISTS idx_channel_sanctions_active ON channel_sanctions(channel, user_id) WHERE lifted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_channel_sanctions_user ON channel_sanctions(user_id) WHERE lifted_at IS NULL;
+
+-- Redefined from channel-management.sql so renames and deletes also cover sanctions
+CREATE OR REPLACE FUNCTION rename_channel(old_name TEXT, new_name TEXT)
+RETURNS void AS $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM channels WHERE name = new_name) THEN
+    RAISE EXCEPTION 'channel % already exists', new_name USING ERRCODE = 'unique_violation';
+  END IF;
+
+  UPDATE channels SET name = new_name WHERE name = old_name;
+  UPDATE messages SET channel = new_name WHERE channel = old_name;
+  UPDATE channel_members SET channel = new_name WHERE channel = old_name;
+  UPDATE channel_invites SET channel = new_name WHERE channel = old_name;
+  UPDATE channel_sanctions SET channel = new_name WHERE channel = old_name;
+  UPDATE message_mentions SET channel = new_name WHERE channel = old_name;
+  UPDATE pinned_messages SET channel = new_name WHERE channel = old_name;
+  UPDATE channel_read_states SET channel = new_name WHERE channel = old_name;
+  UPDATE channel_mutes SET channel = new_name WHERE channel = old_name;
+  UPDATE scheduled_messages SET channel = new_name WHERE channel = old_name;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION delete_channel(channel_name TEXT)
+RETURNS void AS $$
+BEGIN
+  UPDATE messages
+  SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP, content = '[This message has been deleted]'
+  WHERE channel = channel_name AND is_deleted IS NOT TRUE;
+
+  DELETE FROM pinned_messages WHERE channel = channel_name;
+  DELETE FROM message_mentions WHERE channel = channel_name;
+  DELETE FROM channel_read_states WHERE channel = channel_name;
+  DELETE FROM channel_mutes WHERE channel = channel_name;
+  DELETE FROM channel_invites WHERE channel = channel_name;
+  DELETE FROM channel_sanctions WHERE channel = channel_name;
+  DELETE FROM channel_members WHERE channel = channel_name;
+  DELETE FROM scheduled_messages WHERE channel = channel_name AND status = 'pending';
+  DELETE FROM channels WHERE name = channel_name;
+END;
+$$ LANGUAGE plpgsql;
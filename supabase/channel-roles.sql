@@ -0,0 +1,22 @@
+-- Create channel members table
+-- A user's role in a channel: owner, admin, moderator, member or read-only.
+-- Private channels are only open to users listed here; in public channels a row
+-- overrides the member role everyone else gets
+CREATE TABLE IF NOT EXISTS channel_members (
+    channel TEXT NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member'
+        CHECK (role IN ('owner', 'admin', 'moderator', 'member', 'read-only')),
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (channel, user_id)
+);
+
+-- Create index for listing the channels a user belongs to
+CREATE INDEX IF NOT EXISTS idx_channel_members_user ON channel_members(user_id);
+
+-- Record existing channel creators as owners
+INSERT INTO channel_members (channel, user_id, role)
+SELECT name, created_by, 'owner' FROM channels WHERE created_by IS NOT NULL
+ON CONFLICT (channel, user_id) DO NOTHING;
@@ -0,0 +1,8 @@
+-- Record who sent each friend request
+
+-- Friendships store the two users in sorted order, so the row alone can't say who asked whom.
+-- Requests made before this column existed have no sender; either user may accept or decline them
+ALTER TABLE friends ADD COLUMN IF NOT EXISTS requested_by UUID REFERENCES users(id) ON DELETE CASCADE;
+
+-- Create index for listing a user's outgoing requests
+CREATE INDEX IF NOT EXISTS idx_friends_requested_by ON friends(requested_by) WHERE status = 'pending';
@@ -0,0 +1,14 @@
+-- Create link preview cache table
+-- One row per unfurled URL; failed rows stop pages without metadata from being refetched
+CREATE TABLE IF NOT EXISTS link_previews (
+    url TEXT PRIMARY KEY,
+    title TEXT,
+    description TEXT,
+    image_url TEXT,
+    site_name TEXT,
+    failed BOOLEAN NOT NULL DEFAULT FALSE,
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Previews attached to each message, as shown under it; the author can remove entries
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS link_previews JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,15 @@
+-- Create message mentions table
+-- One row per mentioned user per message; mention_type records whether it came from @username, @here or @channel
+CREATE TABLE IF NOT EXISTS message_mentions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    sender_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    channel TEXT,
+    mention_type VARCHAR(10) NOT NULL DEFAULT 'user', -- user, here, channel
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(message_id, user_id)
+);
+
+-- Create index for loading a user's mentions inbox newest first
+CREATE INDEX IF NOT EXISTS idx_message_mentions_user ON message_mentions(user_id, created_at DESC);
@@ -0,0 +1,20 @@
+-- Add edit tracking columns to messages table
+-- editMessage already writes edited/updated_at; edited_at marks the latest edit for the UI
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS edited BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+
+-- Create message edit history table
+-- Each row is a version of the message as it read before an edit replaced it
+CREATE TABLE IF NOT EXISTS message_edits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    editor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    content TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL, -- When this version was first posted or last edited
+    replaced_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP -- When the edit replaced it
+);
+
+-- Create index for loading a message's history in order
+CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id, replaced_at);
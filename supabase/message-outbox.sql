@@ -0,0 +1,7 @@
+-- Client outbox support: the tempId a client gave a message, so resends are recognized
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS client_temp_id TEXT;
+
+-- One message per client tempId per sender; a retry racing the first attempt fails here instead of duplicating
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_sender_client_temp_id
+    ON messages(sender_id, client_temp_id)
+    WHERE client_temp_id IS NOT NULL;
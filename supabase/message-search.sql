@@ -0,0 +1,11 @@
+-- Add full-text search support to messages
+-- The 'simple' configuration skips stemming so search highlights line up with the words typed
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (to_tsvector('simple', coalesce(content, ''))) STORED;
+
+-- Create index for full-text queries
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN(search_vector);
+
+-- Create index for paging search results newest first
+CREATE INDEX IF NOT EXISTS idx_messages_created_at_id ON messages(created_at DESC, id DESC);
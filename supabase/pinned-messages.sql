@@ -0,0 +1,12 @@
+-- Create pinned messages table
+-- Pins are keyed by channel name, matching messages.channel; a message can only be pinned once
+CREATE TABLE IF NOT EXISTS pinned_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    channel TEXT NOT NULL,
+    message_id UUID NOT NULL UNIQUE REFERENCES messages(id) ON DELETE CASCADE,
+    pinned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    pinned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for loading a channel's pins newest first
+CREATE INDEX IF NOT EXISTS idx_pinned_messages_channel ON pinned_messages(channel, pinned_at DESC);
@@ -0,0 +1,30 @@
+-- Create polls table
+-- Each poll belongs to a message of type 'poll' whose content is the question
+CREATE TABLE IF NOT EXISTS polls (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL UNIQUE REFERENCES messages(id) ON DELETE CASCADE,
+    created_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    question TEXT NOT NULL,
+    options JSONB NOT NULL, -- [{ "id": 0, "text": "..." }, ...]
+    allow_multiple BOOLEAN NOT NULL DEFAULT FALSE,
+    anonymous BOOLEAN NOT NULL DEFAULT FALSE,
+    closes_at TIMESTAMP WITH TIME ZONE, -- NULL keeps the poll open until closed by hand
+    closed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for the server's automatic closing of expired polls
+CREATE INDEX IF NOT EXISTS idx_polls_open ON polls(closes_at) WHERE closed_at IS NULL;
+
+-- Create poll votes table
+-- One row per option a user picked; multi-choice polls can have several per user
+CREATE TABLE IF NOT EXISTS poll_votes (
+    poll_id UUID NOT NULL REFERENCES polls(id) ON DELETE CASCADE,
+    option_id SMALLINT NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (poll_id, user_id, option_id)
+);
+
+-- Create index for tallying a poll
+CREATE INDEX IF NOT EXISTS idx_poll_votes_poll ON poll_votes(poll_id);
@@ -0,0 +1,13 @@
+-- Create message reactions table
+-- Each row is one user's reaction with one emoji; the same emoji can't be added twice by the same user
+CREATE TABLE IF NOT EXISTS message_reactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    emoji VARCHAR(32) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(message_id, user_id, emoji)
+);
+
+-- Create index for loading reactions alongside message history
+CREATE INDEX IF NOT EXISTS idx_message_reactions_message_id ON message_reactions(message_id);
@@ -0,0 +1,18 @@
+-- Create channel read states table
+-- The newest message each user has seen in each channel, for unread counts and the "new messages" divider
+CREATE TABLE IF NOT EXISTS channel_read_states (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel TEXT NOT NULL,
+    last_read_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    last_read_at TIMESTAMP WITH TIME ZONE NOT NULL, -- created_at of that message, kept if the message is deleted
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, channel)
+);
+
+-- DM read markers use conversation_members.last_read_message_id from dm-friends-schema.sql;
+-- last_read_at mirrors channel_read_states so unread counts are a created_at comparison
+ALTER TABLE conversation_members ADD COLUMN IF NOT EXISTS last_read_at TIMESTAMP WITH TIME ZONE;
+
+-- Create indexes for counting unread channel messages and DMs
+CREATE INDEX IF NOT EXISTS idx_messages_channel_created ON messages(channel, created_at);
+CREATE INDEX IF NOT EXISTS idx_messages_recipient_created ON messages(recipient_id, created_at);
@@ -0,0 +1,24 @@
+-- Create scheduled messages table
+-- Messages queued to be sent later; the server dispatcher picks up due rows, including ones missed while it was down
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sender_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel TEXT, -- Set for channel messages
+    recipient_id UUID REFERENCES users(id) ON DELETE CASCADE, -- Set for direct messages
+    content TEXT NOT NULL,
+    send_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    time_zone TEXT, -- Timezone the sender picked the time in, for display
+    status VARCHAR(10) NOT NULL DEFAULT 'pending', -- pending, sending, sent, cancelled, failed
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    sent_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((channel IS NULL) <> (recipient_id IS NULL))
+);
+
+-- Create index for the dispatcher's due-message query
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages(status, send_at);
+
+-- Create index for listing a user's pending messages
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_sender ON scheduled_messages(sender_id, status, send_at);
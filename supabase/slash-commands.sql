@@ -0,0 +1,21 @@
+-- Columns and tables used by the built-in slash commands
+
+-- Channel topic set with /topic
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS topic TEXT;
+
+-- Display name set with /nick; messages still record the username
+ALTER TABLE users ADD COLUMN IF NOT EXISTS nickname VARCHAR(32);
+
+-- Create channel mutes table
+-- Channels a user silenced with /mute; muted_until NULL means until /unmute
+CREATE TABLE IF NOT EXISTS channel_mutes (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel TEXT NOT NULL,
+    muted_until TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, channel)
+);
+
+-- Reminders from /remind ride on the scheduled message dispatcher but are
+-- delivered privately to the sender instead of being posted
+ALTER TABLE scheduled_messages ADD COLUMN IF NOT EXISTS is_reminder BOOLEAN NOT NULL DEFAULT FALSE;
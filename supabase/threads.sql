@@ -0,0 +1,8 @@
+-- Add thread support to messages
+-- A reply stores the ID of its thread's parent message in reply_to.
+-- Threads are one level deep: replies always point at the top-level message.
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS reply_to UUID REFERENCES messages(id) ON DELETE CASCADE;
+
+-- Create index for loading a thread's replies in order
+CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages(reply_to, created_at);
@@ -0,0 +1,15 @@
+-- Tables for users blocking each other
+
+-- Create user blocks table
+-- Blocks are one-way: the blocker stops hearing from the blocked user. The friends table can't
+-- hold them, since its rows store the two users in sorted order and so can't say who blocked whom
+CREATE TABLE IF NOT EXISTS user_blocks (
+    blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (blocker_id, blocked_id),
+    CHECK (blocker_id <> blocked_id)
+);
+
+-- Create index for finding everyone who has blocked a user
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
@@ -0,0 +1,10 @@
+-- Presence: the status a user picked and their custom status message
+-- users.status keeps the picked status (online, idle, dnd or invisible) across sessions;
+-- whether they are connected is only tracked in memory, and last_seen records when they
+-- were last visibly online (it is not moved while they are invisible)
+
+-- Custom status set from the profile settings, e.g. "back at 3pm"
+ALTER TABLE users ADD COLUMN IF NOT EXISTS custom_status_text VARCHAR(128);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS custom_status_emoji VARCHAR(32);
+-- NULL keeps the custom status until it is cleared by hand
+ALTER TABLE users ADD COLUMN IF NOT EXISTS custom_status_expires_at TIMESTAMP WITH TIME ZONE;
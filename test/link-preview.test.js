@@ -0,0 +1,118 @@
+/**
+ * Link preview tests, run against a stub HTTP server on the loopback interface
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const {
+  isPrivateAddress,
+  createHttpFetcher,
+  setPreviewFetcher,
+  getLinkPreview
+} = require('../link-preview');
+
+const PAGE_HTML = '<html><head><title>Stub page</title><meta property="og:description" content="From the stub"></head><body></body></html>';
+
+let server;
+let base;
+let port;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    switch (req.url) {
+      case '/page':
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return res.end(PAGE_HTML);
+      case '/redirect-mapped':
+        res.writeHead(302, { Location: `http://[::ffff:127.0.0.1]:${port}/page` });
+        return res.end();
+      case '/redirect-metadata':
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+        return res.end();
+      case '/big':
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.end(`<html><head><title>Big</title></head><body>${'x'.repeat(10 * 1024)}</body></html>`);
+      case '/slow':
+        return; // Never answers
+      case '/image':
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(Buffer.alloc(64));
+      default:
+        res.writeHead(404);
+        return res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+  base = `http://127.0.0.1:${port}`;
+});
+
+test.after(() => {
+  setPreviewFetcher(null);
+  server.closeAllConnections();
+  server.close();
+});
+
+// Lets the stub server itself through while every other private address stays refused
+const stubOnly = address => address !== '127.0.0.1' && isPrivateAddress(address);
+
+test('isPrivateAddress refuses IPv6 forms of IPv4 addresses however they are written', () => {
+  [
+    '::ffff:127.0.0.1',
+    '::ffff:7f00:1',
+    '::7f00:1',
+    '::1',
+    '::',
+    '64:ff9b::a9fe:a9fe',
+    '2002:7f00:1::1',
+    'fe80::1%eth0',
+    'fd00::1',
+    '169.254.169.254',
+    '10.0.0.1'
+  ].forEach(address => assert.strictEqual(isPrivateAddress(address), true, address));
+
+  ['8.8.8.8', '2606:4700::1', '2001:4860:4860::8888'].forEach(address => {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  });
+});
+
+test('the default fetcher refuses private IP literals without connecting', async () => {
+  const fetcher = createHttpFetcher();
+  for (const host of ['127.0.0.1', '[::ffff:127.0.0.1]', '[::ffff:7f00:1]', '[::7f00:1]', '[64:ff9b::a9fe:a9fe]']) {
+    await assert.rejects(fetcher(`http://${host}:${port}/page`), /private address/, host);
+  }
+});
+
+test('redirects to private addresses are refused', async () => {
+  const fetcher = createHttpFetcher({ isBlockedAddress: stubOnly });
+  const page = await fetcher(`${base}/page`);
+  assert.match(page.body, /Stub page/);
+
+  await assert.rejects(fetcher(`${base}/redirect-mapped`), /private address/);
+  await assert.rejects(fetcher(`${base}/redirect-metadata`), /private address/);
+});
+
+test('responses over the size limit are refused', async () => {
+  const fetcher = createHttpFetcher({ isBlockedAddress: stubOnly, maxBytes: 1024 });
+  await assert.rejects(fetcher(`${base}/big`));
+});
+
+test('slow responses time out', async () => {
+  const fetcher = createHttpFetcher({ isBlockedAddress: stubOnly, timeout: 200 });
+  await assert.rejects(fetcher(`${base}/slow`));
+});
+
+test('non-HTML responses have no body and no preview', async () => {
+  const fetcher = createHttpFetcher({ isBlockedAddress: stubOnly });
+  const image = await fetcher(`${base}/image`);
+  assert.strictEqual(image.contentType, 'image/png');
+  assert.strictEqual(image.body, '');
+
+  setPreviewFetcher(fetcher);
+  assert.strictEqual(await getLinkPreview(`${base}/image`), null);
+
+  const preview = await getLinkPreview(`${base}/page`);
+  assert.strictEqual(preview.title, 'Stub page');
+  assert.strictEqual(preview.description, 'From the stub');
+});
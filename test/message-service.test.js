@@ -0,0 +1,89 @@
+/**
+ * Message service tests, run against in-memory stand-ins for the server helpers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMessageService } = require('../message-service');
+
+const SESSION = { id: '6f1c2a52-1f4e-4d0b-9a53-0d6f3f3f0a11', username: 'tester', authenticated: true };
+
+function createServices(overrides = {}) {
+  const calls = { released: 0, saved: 0 };
+  const services = {
+    saveMessage: async fields => {
+      calls.saved++;
+      return { id: `message-${calls.saved}`, created_at: new Date().toISOString(), ...fields };
+    },
+    findMessageByTempId: async () => null,
+    toClientMessage: async row => ({ id: row.id }),
+    resolveNickname: async () => null,
+    userExists: async () => true,
+    checkUserBlock: async () => null,
+    checkChannelPermission: async () => true,
+    checkChannelSanctions: async () => null,
+    claimSlowModeSlot: async () => null,
+    releaseSlowModeSlot: () => { calls.released++; },
+    resolveThreadParent: async id => id,
+    isCommand: () => false,
+    runSlashCommand: async () => null,
+    attachPoll: async () => null,
+    cacheChannelMessage: () => {},
+    emitToChannel: async () => {},
+    emitToUser: () => {},
+    broadcastThreadUpdate: async () => {},
+    notifyMentions: async () => {},
+    unfurlMessageLinks: async () => {},
+    ...overrides
+  };
+  return { services, calls };
+}
+
+// Keep the expected errors out of the test output
+function quietly(fn) {
+  return async () => {
+    const original = console.error;
+    console.error = () => {};
+    try {
+      await fn();
+    } finally {
+      console.error = original;
+    }
+  };
+}
+
+test('a failed save is reported and gives the slow mode slot back', quietly(async () => {
+  const { services, calls } = createServices({ saveMessage: async () => null });
+  const result = await createMessageService(services).send(SESSION, { channel: 'general', content: 'hello' });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.message, 'Failed to save message');
+  assert.strictEqual(calls.released, 1);
+}));
+
+test('a channel message that saved is acknowledged even when delivery fails', quietly(async () => {
+  const { services, calls } = createServices({
+    resolveNickname: async () => { throw new Error('nickname lookup failed'); },
+    emitToChannel: async () => { throw new Error('emit failed'); },
+    notifyMentions: async () => { throw new Error('mentions failed'); },
+    unfurlMessageLinks: async () => { throw new Error('unfurl failed'); }
+  });
+  const result = await createMessageService(services).send(SESSION, { channel: 'general', content: 'hello @someone https://example.com' });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.messageId, 'message-1');
+  assert.strictEqual(calls.released, 0);
+}));
+
+test('a DM that saved is acknowledged even when delivery fails', quietly(async () => {
+  const { services } = createServices({
+    emitToUser: () => { throw new Error('emit failed'); }
+  });
+  const result = await createMessageService(services).send(SESSION, {
+    recipientId: '0b7e9c3e-5d2a-4c1f-8e6b-2a9d4f1c7e30',
+    content: 'hello'
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.messageId, 'message-1');
+}));